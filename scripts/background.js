@@ -3,15 +3,49 @@
  * Handles Chrome extension background tasks and side panel management
  */
 
+importScripts(
+  'chrome-storage-backend.js',
+  'idb-backend.js',
+  'command-log.js',
+  'storage-manager.js',
+  'tab-group-sync.js',
+  'dwell-tracker.js',
+  'timeline-store.js',
+  'schema-migrator.js',
+  'import-planner.js',
+  'project-formats.js',
+  'snapshot-deltas.js',
+  'identity.js',
+  'crash-recovery.js',
+  'backup-crypto.js',
+  'folder-backup.js',
+  'sync-manager.js',
+  'webdav-sync.js',
+  'storage-guard.js',
+  'write-queue.js',
+  'page-summarizer.js'
+);
+
+const DEFAULT_SETTINGS = {
+  darkMode: false,
+  compactView: false,
+  autoIntentPrompt: false,
+  intentPromptCooldownMinutes: 5,
+  domainRules: {},
+  timelineRetentionDays: 30,
+  trashRetentionDays: 30,
+  autoArchiveDays: 0
+};
+
+// Owns projects, snapshots and summaries (IndexedDB); pages reach them through messages
+const storageManager = new StorageManager({ autoBackup: false });
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // Set default settings
     chrome.storage.local.set({
-      user_settings: {
-        darkMode: false,
-        compactView: false
-      }
+      user_settings: DEFAULT_SETTINGS
     });
 
     // Open side panel on installation
@@ -20,25 +54,36 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 
   // Create context menu items
-  if (chrome.contextMenus) {
-    try {
-      chrome.contextMenus.removeAll(() => {
-        chrome.contextMenus.create({
-          id: 'save-to-intent',
-          title: 'Save to Intent',
-          contexts: ['page']
-        });
+  buildContextMenus();
 
-        chrome.contextMenus.create({
-          id: 'add-to-project',
-          title: 'Add to Project',
-          contexts: ['page']
-        });
-      });
-    } catch (error) {
-      console.error('Context menus setup error:', error);
-    }
-  }
+  // Older versions stored projects in other shapes; fix them up before anything reads them.
+  // Reloading the extension can also leave saved tabs pointing at stale tab ids.
+  schemaMigrator.migrate()
+    .then(() => reconcileLiveTabs())
+    .catch(() => {});
+  dwellTracker.resume().catch(() => {});
+  scheduleSnapshots();
+  scheduleDailyCleanup();
+  folderBackup.schedule().catch(() => {});
+  syncManager.schedule().catch(() => {});
+  webDavSync.schedule().catch(() => {});
+  crashRecovery.start().catch(() => {});
+});
+
+// Rebuild context menus on browser start so the project submenu matches storage
+chrome.runtime.onStartup.addListener(() => {
+  buildContextMenus();
+  reconcileLiveTabs().catch(() => {});
+  tabGroupSync.reconcileGroups().catch(() => {});
+  dwellTracker.resume().catch(() => {});
+  timelineStore.applyRetention().catch(() => {});
+  scheduleSnapshots();
+  scheduleDailyCleanup();
+  folderBackup.schedule().catch(() => {});
+  syncManager.schedule().catch(() => {});
+  webDavSync.schedule().catch(() => {});
+  webDavSync.scheduleSoon().catch(() => {});
+  crashRecovery.handleStartup().catch(() => {});
 });
 
 // Handle action button click to open side panel
@@ -50,18 +95,40 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
-// Listen for tab creation
-chrome.tabs.onCreated.addListener((tab) => {
-  // Tab created - logged for timeline only
-});
+/**
+ * Timeline bookkeeping runs beside the other tab listeners and must not break them
+ */
+function recordTimeline(handler) {
+  new Promise(resolve => resolve(handler()))
+    .catch(error => console.error('Failed to record timeline event:', error));
+}
 
 // Track new tabs awaiting intent
 const newTabsAwaitingIntent = new Set();
 
+// Listen for tab creation
+chrome.tabs.onCreated.addListener((tab) => {
+  // The URL is usually not known yet, so decide once the first page has loaded
+  newTabsAwaitingIntent.add(tab.id);
+  recordTimeline(() => timelineStore.handleTabCreated(tab));
+});
+
 // Listen for tab updates
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  syncLiveTab(tabId, changeInfo).catch(() => {});
+
+  if (changeInfo.groupId !== undefined) {
+    tabGroupSync.handleTabGroupChanged(tab).catch(() => {});
+  }
+
   if (changeInfo.status === 'complete' && tab.url) {
-    logTabActivity(tab).catch(() => {});
+    recordTimeline(() => timelineStore.handleTabUpdated(tabId, changeInfo, tab));
+
+    // New tabs keep waiting through chrome://newtab until a real page loads
+    if (newTabsAwaitingIntent.has(tabId) && isNewTabNeedingIntent(tab)) {
+      newTabsAwaitingIntent.delete(tabId);
+      handleNewTabIntent(tab).catch(() => {});
+    }
   }
 });
 
@@ -80,57 +147,575 @@ function isNewTabNeedingIntent(tab) {
 
 /**
  * Show intent capture modal for a tab
+ * @param {number} tabId - Tab to show the overlay in
+ * @param {Object} page - Optional page override ({ url, title, notes }) for link/selection saves
  */
-async function showIntentCaptureForTab(tabId) {
+async function showIntentCaptureForTab(tabId, page = {}) {
   try {
-    setTimeout(async () => {
-      try {
-        await chrome.tabs.sendMessage(tabId, {
-          action: 'showIntentCapture'
-        });
-      } catch (messageError) {
-        // Silently fail if content script not available
+    await injectIntentCapture(tabId);
+    await chrome.tabs.sendMessage(tabId, {
+      action: 'showIntentCapture',
+      ...page
+    });
+  } catch (error) {
+    // Silently fail on pages where scripts cannot be injected (Web Store, PDFs, etc.)
+  }
+}
+
+/**
+ * Inject the intent capture content script into a tab
+ * The script guards against double injection itself
+ */
+async function injectIntentCapture(tabId) {
+  if (!chrome.scripting) return;
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ['scripts/content-intent-capture.js']
+  });
+}
+
+/**
+ * The canonical URL a tab's page declares, read by content-extractor.js, or null
+ * when there is none or the page can't be scripted
+ */
+async function getCanonicalUrl(tabId) {
+  if (!chrome.scripting) return null;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['scripts/content-extractor.js']
+    });
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getCanonicalUrl' });
+    return response?.canonicalUrl || null;
+  } catch (error) {
+    // Silently fail on pages where scripts cannot be injected (Web Store, PDFs, etc.)
+    return null;
+  }
+}
+
+// ==================== AUTOMATIC INTENT PROMPT ====================
+
+/**
+ * Get user settings merged over the defaults
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get('user_settings');
+  return { ...DEFAULT_SETTINGS, ...(result.user_settings || {}) };
+}
+
+/**
+ * Get hostname without the www. prefix
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Find the rule for a domain; a rule for example.com also covers docs.example.com
+ */
+function findDomainRule(domainRules, domain) {
+  if (!domainRules || !domain) return null;
+
+  const parts = domain.split('.');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const rule = domainRules[parts.slice(i).join('.')];
+    if (rule) return rule;
+  }
+  return null;
+}
+
+/**
+ * Decide what to do with a freshly opened tab: apply a domain rule,
+ * inherit the opener's intent, or prompt (respecting the cooldown)
+ */
+async function handleNewTabIntent(tab) {
+  const settings = await getSettings();
+  if (!settings.autoIntentPrompt) return;
+
+  const rule = findDomainRule(settings.domainRules, getDomain(tab.url));
+  if (rule?.mode === 'never') return;
+
+  if (rule?.mode === 'always' && rule.intent) {
+    await saveTabWithIntent(rule.intent, tab.url, tab.title, tab);
+    return;
+  }
+
+  // Tabs opened from a tagged tab (e.g. a link from a research page) are filed into the same intent
+  if (tab.openerTabId !== undefined) {
+    const parentIntent = await getTabIntent(tab.openerTabId);
+    if (parentIntent) {
+      await saveTabWithIntent(parentIntent, tab.url, tab.title, tab);
+      return;
+    }
+  }
+
+  const { last_intent_prompt: lastPromptAt = 0 } =
+    await chrome.storage.session.get('last_intent_prompt');
+  const cooldownMs = settings.intentPromptCooldownMinutes * 60 * 1000;
+  if (Date.now() - lastPromptAt < cooldownMs) return;
+
+  await chrome.storage.session.set({ last_intent_prompt: Date.now() });
+  await showIntentCaptureForTab(tab.id, { auto: true, domain: getDomain(tab.url) });
+}
+
+/**
+ * Intents of live tabs, kept in session storage so they survive worker restarts
+ * but not browser restarts (Chrome reuses tab ids)
+ */
+async function getTabIntents() {
+  const result = await chrome.storage.session.get('tab_intents');
+  return result.tab_intents || {};
+}
+
+async function getTabIntent(tabId) {
+  const intents = await getTabIntents();
+  return intents[tabId] || null;
+}
+
+async function tagTabIntent(tabId, intent) {
+  const intents = await getTabIntents();
+  intents[tabId] = intent;
+  await chrome.storage.session.set({ tab_intents: intents });
+}
+
+async function forgetTabIntent(tabId) {
+  const intents = await getTabIntents();
+  if (intents[tabId]) {
+    delete intents[tabId];
+    await chrome.storage.session.set({ tab_intents: intents });
+  }
+}
+
+/**
+ * Save a per-domain rule: { mode: 'never' } or { mode: 'always', intent }
+ * Passing a null rule removes it
+ */
+async function setDomainRule(domain, rule) {
+  try {
+    let domainRules = null;
+    await updateSettings(settings => {
+      domainRules = { ...settings.domainRules };
+      if (rule) {
+        domainRules[domain] = rule;
+      } else {
+        delete domainRules[domain];
       }
-    }, 1000);
+      return { domainRules };
+    });
+    return { success: true, domainRules };
   } catch (error) {
-    console.error('Could not inject intent capture:', error);
+    console.error('Failed to save domain rule:', error);
+    return { success: false, error: error.message };
   }
 }
 
+/**
+ * Merge changes into the stored settings. Runs under the projects lock, which sync
+ * also holds while it writes settings, so no writer works from a stale copy.
+ *
+ * @param {Object|Function} changes - The changes, or a function of the stored settings returning them
+ */
+function updateSettings(changes) {
+  return withProjectsLock(async () => {
+    const result = await chrome.storage.local.get('user_settings');
+    const stored = result.user_settings || {};
+    const settings = { ...stored, ...(typeof changes === 'function' ? changes(stored) : changes) };
+    await chrome.storage.local.set({ user_settings: settings });
+    return { success: true, settings };
+  });
+}
+
 // Listen for tab removal
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-  // Tab removed - could auto-archive tab data here
+  newTabsAwaitingIntent.delete(tabId);
+  forgetTabIntent(tabId).catch(() => {});
+  recordTimeline(() => timelineStore.handleTabRemoved(tabId));
+
+  // Credit the closing tab's active time while it is still bound to its saved record
+  dwellTracker.handleTabRemoved(tabId)
+    .catch(() => {})
+    .then(() => markLiveTabClosed(tabId))
+    .catch(() => {});
+});
+
+// Prerendering and instant navigation swap the tab id under a saved tab
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  updateLiveTabRecords(removedTabId, { chromeTabId: addedTabId }).catch(() => {});
 });
 
 // Listen for tab activation
+// ==================== ACTIVE TIME ====================
+
+const dwellTracker = new DwellTracker(() => storageManager.getProjects());
+
 chrome.tabs.onActivated.addListener((activeInfo) => {
-  // Tab activated - tracking for analytics
+  dwellTracker.handleTabActivated(activeInfo).catch(() => {});
+  recordTimeline(() => timelineStore.handleTabActivated(activeInfo));
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  dwellTracker.handleWindowFocusChanged(windowId).catch(() => {});
+});
+
+chrome.idle.setDetectionInterval(dwellTracker.IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener((state) => {
+  dwellTracker.handleIdleStateChanged(state).catch(() => {});
 });
 
+// ==================== TAB GROUPS ====================
+
+const tabGroupSync = new TabGroupSync(updateProjects, () => storageManager.getProjects());
+
+if (chrome.tabGroups) {
+  chrome.tabGroups.onUpdated.addListener((group) => {
+    tabGroupSync.handleGroupUpdated(group).catch(() => {});
+  });
+
+  chrome.tabGroups.onRemoved.addListener((group) => {
+    tabGroupSync.handleGroupRemoved(group).catch(() => {});
+  });
+}
+
+// ==================== LIVE TAB BINDING ====================
+
+// The single writer for the projects: every read-modify-write in this worker goes through it
+const projectsWriteQueue = new WriteQueue();
+
 /**
- * Log tab activity to timeline
+ * Run a task that writes projects once the writes queued before it are done
  */
-async function logTabActivity(tab) {
-  try {
-    const result = await chrome.storage.local.get('tab_timeline');
-    const timeline = result.tab_timeline || [];
-
-    timeline.unshift({
-      tabId: tab.id,
-      title: tab.title,
-      url: tab.url,
-      timestamp: new Date().toISOString()
+function withProjectsLock(task) {
+  return projectsWriteQueue.run(task);
+}
+
+/**
+ * Add the version the projects are at after a write, which the side panel bases its next changes on
+ */
+async function withProjectsVersion(result) {
+  return result?.success ? { ...result, version: await storageManager.getProjectsVersion() } : result;
+}
+
+/**
+ * Run a mutation against the stored projects; the mutator edits the array in place
+ * and may return false to skip the write. Only changed projects are written back.
+ * @param {Object} options - { label } for the undo history, { record: false } to leave it out
+ */
+function updateProjects(mutator, options) {
+  return withProjectsLock(() => storageManager.updateProjects(mutator, options));
+}
+
+/**
+ * Find saved tabs currently bound to a live Chrome tab
+ */
+function findLiveTabRecords(projects, chromeTabId) {
+  const records = [];
+  projects.forEach(project => {
+    (project.tabs || []).forEach(tab => {
+      if (tab.chromeTabId === chromeTabId && tab.liveStatus === 'open' && !tab.removed) {
+        records.push(tab);
+      }
     });
+  });
+  return records;
+}
+
+/**
+ * Apply changes to every saved tab bound to a live tab
+ */
+function updateLiveTabRecords(chromeTabId, changes) {
+  return updateProjects(projects => {
+    const records = findLiveTabRecords(projects, chromeTabId);
+    if (records.length === 0) return false;
+
+    records.forEach(record => Object.assign(record, changes));
+  }, { record: false });
+}
+
+/**
+ * Follow navigation, title and favicon changes of a bound tab
+ */
+function syncLiveTab(tabId, changeInfo) {
+  const changes = {};
+  if (changeInfo.url) changes.url = changeInfo.url;
+  if (changeInfo.title) changes.title = changeInfo.title;
+  if (changeInfo.favIconUrl) changes.favicon = changeInfo.favIconUrl;
+
+  if (Object.keys(changes).length === 0) return Promise.resolve();
+  return updateLiveTabRecords(tabId, changes);
+}
+
+/**
+ * Mark saved tabs as closed once their live tab goes away
+ */
+function markLiveTabClosed(chromeTabId) {
+  return updateLiveTabRecords(chromeTabId, {
+    liveStatus: 'closed',
+    chromeTabId: null,
+    closedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Tab ids do not survive a browser restart: rebind saved tabs to open tabs
+ * with the same URL and mark the rest as closed
+ */
+async function reconcileLiveTabs() {
+  const openTabs = await chrome.tabs.query({});
+  const openByUrl = new Map();
+  openTabs.forEach(tab => {
+    if (tab.url && !openByUrl.has(tab.url)) openByUrl.set(tab.url, tab);
+  });
+
+  return updateProjects(projects => {
+    let changed = false;
+
+    projects.forEach(project => {
+      (project.tabs || []).forEach(record => {
+        if (record.liveStatus !== 'open') return;
+
+        const liveTab = openByUrl.get(record.url);
+        if (liveTab) {
+          if (record.chromeTabId !== liveTab.id) {
+            record.chromeTabId = liveTab.id;
+            changed = true;
+          }
+        } else {
+          record.liveStatus = 'closed';
+          record.chromeTabId = null;
+          record.closedAt = new Date().toISOString();
+          changed = true;
+        }
+      });
+    });
+
+    return changed;
+  }, { record: false });
+}
+
+// ==================== TIMELINE ====================
+
+const timelineStore = new TimelineStore(IndexedDBBackend.isSupported() ? storageManager.backend : null);
+
+// ==================== SCHEMA MIGRATIONS ====================
+
+const schemaMigrator = new SchemaMigrator(updateProjects, timelineStore, storageManager);
+
+// ==================== SESSION SNAPSHOTS ====================
+
+const SNAPSHOT_ALARM = 'session-snapshot';
+const SNAPSHOT_INTERVAL_MINUTES = 5;
+
+/**
+ * Re-creating an alarm restarts its period, so this only runs on install and startup
+ */
+function scheduleSnapshots() {
+  chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+}
+
+// ==================== TRASH & ARCHIVE ====================
+
+const DAILY_CLEANUP_ALARM = 'daily-cleanup';
+
+/**
+ * Purge expired trash items and archive inactive projects shortly after startup, then once a day
+ */
+function scheduleDailyCleanup() {
+  chrome.alarms.create(DAILY_CLEANUP_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM) {
+    withProjectsLock(() => storageManager.createSessionSnapshot('auto')).catch(() => {});
+  }
+  if (alarm.name === DAILY_CLEANUP_ALARM) {
+    withProjectsLock(async () => {
+      await storageManager.cleanupRemovedTabs();
+      await storageManager.autoArchiveProjects();
+    }).catch(() => {});
+  }
+  if (alarm.name === folderBackup.ALARM) {
+    withProjectsLock(() => folderBackup.runBackup()).catch(() => {});
+  }
+  if (syncManager.isSyncAlarm(alarm)) {
+    withProjectsLock(() => syncManager.sync()).catch(() => {});
+  }
+  if (webDavSync.isSyncAlarm(alarm)) {
+    withProjectsLock(() => webDavSync.sync()).catch(() => {});
+  }
+  if (alarm.name === storageGuard.ALARM) {
+    withProjectsLock(() => storageGuard.check()).catch(() => {});
+  }
+  crashRecovery.handleAlarm(alarm);
+});
+
+// ==================== PAGE SUMMARIES ====================
+
+const pageSummarizer = new PageSummarizer(storageManager);
+
+/**
+ * A saved tab's summary as the side panel shows it, without the page text kept for it
+ */
+function describeSummary(record) {
+  if (!record) return null;
+  const { content, ...summary } = record;
+  return { ...summary, label: pageSummarizer.describe(record) };
+}
 
-    // Keep only last 100 activities
-    if (timeline.length > 100) {
-      timeline.length = 100;
+/**
+ * A saved tab and its project, or null
+ */
+async function findSavedTab(projectId, tabId) {
+  const project = (await storageManager.getProjects()).find(p => p.id === projectId);
+  const tab = (project?.tabs || []).find(t => t.id === tabId);
+  return tab ? { project, tab } : null;
+}
+
+/**
+ * Read a saved tab's page for the side panel to summarize; the worker can read open tabs,
+ * the side panel has the Summarizer, which Chrome does not expose to service workers
+ */
+async function prepareTabSummary(projectId, tabId) {
+  const saved = await findSavedTab(projectId, tabId);
+  if (!saved) {
+    return { success: false, error: 'Tab not found' };
+  }
+  return pageSummarizer.prepare(saved.tab, saved.project);
+}
+
+/**
+ * Store the side panel's summary of a prepared page, or the opening of the page without one
+ */
+async function saveTabSummary(projectId, tabId, prepared, summary) {
+  if (!(await findSavedTab(projectId, tabId))) {
+    return { success: false, error: 'Tab not found' };
+  }
+
+  const result = await pageSummarizer.store(tabId, prepared, summary);
+  if (!result.success) {
+    return { success: false, error: result.error?.message || result.error };
+  }
+  return { ...result, summary: describeSummary(result.summary) };
+}
+
+// ==================== STORAGE GUARD ====================
+
+const storageGuard = new StorageGuard(storageManager, timelineStore);
+
+// Check usage shortly after anything is written
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || Object.keys(changes).every(key => storageGuard.isOwnKey(key))) return;
+  storageGuard.scheduleCheck().catch(() => {});
+});
+
+// ==================== FOLDER BACKUPS ====================
+
+const folderBackup = new FolderBackup(storageManager);
+
+/**
+ * Save folder backup settings; the folder itself is picked on an extension page
+ */
+async function configureFolderBackup(changes) {
+  const settings = await folderBackup.saveSettings(changes);
+  await folderBackup.schedule();
+  if (settings.enabled) {
+    await withProjectsLock(() => folderBackup.runBackup());
+  }
+  return { success: true, settings: await folderBackup.getSettings() };
+}
+
+// ==================== DEVICE SYNC ====================
+
+const syncManager = new SyncManager(storageManager);
+
+/**
+ * Turn sync on or off or rename this device; turning it on syncs right away
+ */
+async function configureSync(changes) {
+  const settings = await syncManager.saveSettings(changes);
+  await syncManager.schedule();
+  if (settings.enabled) {
+    await withProjectsLock(() => syncManager.sync());
+  }
+  return syncManager.getStatus();
+}
+
+// Sync soon after local edits, and when another device shared its changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    const manifest = changes[syncManager.MANIFEST_KEY]?.newValue;
+    if (manifest) {
+      syncManager.getState()
+        .then(state => manifest.deviceId !== state.deviceId && syncManager.scheduleSoon())
+        .catch(() => {});
     }
+  } else if (areaName === 'local' && [
+    storageManager.STORAGE_KEYS.PROJECTS_REVISION,
+    storageManager.STORAGE_KEYS.INTENTS,
+    storageManager.STORAGE_KEYS.SETTINGS
+  ].some(key => changes[key])) {
+    syncManager.scheduleSoon().catch(() => {});
+  }
+});
 
-    await chrome.storage.local.set({ tab_timeline: timeline });
+// ==================== SELF-HOSTED SYNC ====================
+
+const webDavSync = new WebDavSync(storageManager);
+
+/**
+ * Connect to a WebDAV server and sync right away; the side panel has already
+ * been granted access to its address
+ */
+async function configureWebDavSync({ url, username, password }) {
+  try {
+    await webDavSync.configure({ url, username, password });
   } catch (error) {
-    console.error('Failed to log tab activity:', error);
+    return { success: false, error: error.message };
   }
+  await webDavSync.schedule();
+  const result = await withProjectsLock(() => webDavSync.sync());
+  return { ...(await webDavSync.getStatus()), success: result.success, offline: !!result.offline, error: result.error };
+}
+
+// Queue every local change for the server; the queue is emptied once the server has it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[storageManager.STORAGE_KEYS.PROJECTS_REVISION]) return;
+  webDavSync.enqueue('projects')
+    .then(() => webDavSync.scheduleSoon())
+    .catch(() => {});
+});
+
+// ==================== CRASH RECOVERY ====================
+
+const crashRecovery = new CrashRecovery(storageManager, updateProjects);
+
+chrome.windows.onRemoved.addListener(() => {
+  withProjectsLock(() => crashRecovery.handleWindowRemoved()).catch(() => {});
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  crashRecovery.handleNotificationButton(notificationId, buttonIndex);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  crashRecovery.handleNotificationClicked(notificationId);
+});
+
+/**
+ * Send a handler's result back, or a failed result when it rejects, so the caller is never left waiting
+ */
+function respond(promise, sendResponse) {
+  promise
+    .then(sendResponse)
+    .catch(error => {
+      console.error('Failed to handle message:', error);
+      sendResponse({ success: false, error: error.message });
+    });
 }
 
 /**
@@ -141,13 +726,148 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     handleIntentCapture(message.intent, sender.tab);
     sendResponse({ success: true });
   } else if (message.action === 'getTabInfo') {
-    getTabInfo(message.tabId).then(sendResponse);
+    respond(getTabInfo(message.tabId), sendResponse);
     return true;
   } else if (message.action === 'saveTabWithIntent') {
-    saveTabWithIntent(message.intent, message.url, message.title, sender.tab).then(sendResponse);
+    respond(saveTabWithIntent(message.intent, message.url, message.title, sender.tab, {
+      notes: message.notes
+    }), sendResponse);
     return true;
   } else if (message.action === 'getRecentIntents') {
-    getRecentIntents().then(sendResponse);
+    respond(getRecentIntents(), sendResponse);
+    return true;
+  } else if (message.action === 'updateSettings') {
+    respond(updateSettings(message.changes), sendResponse);
+    return true;
+  } else if (message.action === 'setDomainRule') {
+    respond(setDomainRule(message.domain, message.rule), sendResponse);
+    return true;
+  } else if (message.action === 'getProjects') {
+    respond(getProjects(), sendResponse);
+    return true;
+  } else if (message.action === 'getSummary') {
+    respond(storageManager.getSummary(message.tabId).then(record => ({ success: true, summary: describeSummary(record) })), sendResponse);
+    return true;
+  } else if (message.action === 'prepareSummary') {
+    respond(prepareTabSummary(message.projectId, message.tabId), sendResponse);
+    return true;
+  } else if (message.action === 'saveSummary') {
+    respond(saveTabSummary(message.projectId, message.tabId, message.prepared, message.summary), sendResponse);
+    return true;
+  } else if (message.action === 'changeProjects') {
+    respond(withProjectsLock(() => storageManager.applyProjectChanges(message.changes, message.options)), sendResponse);
+    return true;
+  } else if (message.action === 'getDuplicates') {
+    respond(storageManager.findDuplicates(), sendResponse);
+    return true;
+  } else if (message.action === 'mergeDuplicates') {
+    respond(withProjectsLock(() => storageManager.mergeDuplicates(message.keep, message.others)), sendResponse);
+    return true;
+  } else if (message.action === 'exportData') {
+    respond(storageManager.exportData(message.options), sendResponse);
+    return true;
+  } else if (message.action === 'exportProjects') {
+    respond(storageManager.exportProjects(message.projectIds, message.format), sendResponse);
+    return true;
+  } else if (message.action === 'importData') {
+    respond(withProjectsLock(() => storageManager.importData(message.data, message.options)), sendResponse);
+    return true;
+  } else if (message.action === 'undoImport') {
+    respond(withProjectsLock(() => storageManager.undoImport(message.snapshotId)), sendResponse);
+    return true;
+  } else if (message.action === 'getSnapshots') {
+    respond(storageManager.getSessionSnapshots()
+      .then(snapshots => ({ success: true, snapshots: snapshots.map(({ projects, delta, ...meta }) => meta) })), sendResponse);
+    return true;
+  } else if (message.action === 'compareSnapshot') {
+    respond(storageManager.compareSnapshot(message.snapshotId), sendResponse);
+    return true;
+  } else if (message.action === 'restoreFromSnapshot') {
+    respond(withProjectsLock(() => storageManager.restoreFromSnapshot(message.snapshotId, message.selection)), sendResponse);
+    return true;
+  } else if (message.action === 'getFolderBackup') {
+    respond(folderBackup.getSettings().then(settings => ({ success: true, settings })), sendResponse);
+    return true;
+  } else if (message.action === 'configureFolderBackup') {
+    respond(configureFolderBackup(message.settings), sendResponse);
+    return true;
+  } else if (message.action === 'runFolderBackup') {
+    respond(withProjectsLock(() => folderBackup.runBackup()), sendResponse);
+    return true;
+  } else if (message.action === 'listFolderBackups') {
+    respond(folderBackup.listBackups(), sendResponse);
+    return true;
+  } else if (message.action === 'disconnectFolderBackup') {
+    respond(folderBackup.disconnect()
+      .then(settings => folderBackup.schedule().then(() => ({ success: true, settings }))), sendResponse);
+    return true;
+  } else if (message.action === 'setFolderBackupPassphrase') {
+    respond(folderBackup.setPassphrase(message.passphrase), sendResponse);
+    return true;
+  } else if (message.action === 'restoreFolderBackup') {
+    respond(withProjectsLock(() => folderBackup.restore(message.name, message.passphrase)), sendResponse);
+    return true;
+  } else if (message.action === 'getSyncStatus') {
+    respond(syncManager.getStatus(), sendResponse);
+    return true;
+  } else if (message.action === 'configureSync') {
+    respond(configureSync(message.settings), sendResponse);
+    return true;
+  } else if (message.action === 'syncNow') {
+    respond(withProjectsLock(() => syncManager.sync()), sendResponse);
+    return true;
+  } else if (message.action === 'getWebDavSync') {
+    respond(webDavSync.getStatus(), sendResponse);
+    return true;
+  } else if (message.action === 'configureWebDavSync') {
+    respond(configureWebDavSync(message.settings), sendResponse);
+    return true;
+  } else if (message.action === 'webDavSyncNow') {
+    respond(withProjectsLock(() => webDavSync.sync()), sendResponse);
+    return true;
+  } else if (message.action === 'disconnectWebDavSync') {
+    respond(webDavSync.disconnect().then(() => ({ success: true })), sendResponse);
+    return true;
+  } else if (message.action === 'getActivity') {
+    respond(storageManager.commandLog.getActivity(), sendResponse);
+    return true;
+  } else if (message.action === 'undo') {
+    respond(withProjectsLock(() => storageManager.commandLog.undo(message.options)), sendResponse);
+    return true;
+  } else if (message.action === 'redo') {
+    respond(withProjectsLock(() => storageManager.commandLog.redo(message.options)), sendResponse);
+    return true;
+  } else if (message.action === 'deleteProject') {
+    respond(withProjectsLock(() => storageManager.deleteProject(message.projectId).then(withProjectsVersion)), sendResponse);
+    return true;
+  } else if (message.action === 'getTrash') {
+    respond(storageManager.getTrash(), sendResponse);
+    return true;
+  } else if (message.action === 'restoreFromTrash') {
+    respond(withProjectsLock(() => storageManager.restoreFromTrash(message.items)), sendResponse);
+    return true;
+  } else if (message.action === 'deleteFromTrash') {
+    respond(withProjectsLock(() => storageManager.deleteFromTrash(message.items)), sendResponse);
+    return true;
+  } else if (message.action === 'archiveProjects') {
+    respond(withProjectsLock(() => storageManager.archiveProjects(message.projectIds).then(withProjectsVersion)), sendResponse);
+    return true;
+  } else if (message.action === 'unarchiveProjects') {
+    respond(withProjectsLock(() => storageManager.unarchiveProjects(message.projectIds).then(withProjectsVersion)), sendResponse);
+    return true;
+  } else if (message.action === 'getStorageGuard') {
+    respond(storageGuard.getStatus(), sendResponse);
+    return true;
+  } else if (message.action === 'configureStorageGuard') {
+    respond(storageGuard.saveSettings(message.settings)
+      .then(() => withProjectsLock(() => storageGuard.check()))
+      .then(() => storageGuard.getStatus()), sendResponse);
+    return true;
+  } else if (message.action === 'getTimeline') {
+    respond(getTimeline(message.options), sendResponse);
+    return true;
+  } else if (message.action === 'openProjectInGroup') {
+    respond(tabGroupSync.openProjectInGroup(message.projectId), sendResponse);
     return true;
   }
 });
@@ -195,45 +915,92 @@ async function getTabInfo(tabId) {
 
 /**
  * Save tab with intent
+ * @param {Object} options - Optional { projectId, notes }; projectId files into that project directly
  */
-async function saveTabWithIntent(intent, url, title, tab) {
+async function saveTabWithIntent(intent, url, title, tab, options = {}) {
   try {
-    const result = await chrome.storage.local.get('tab_projects');
-    let projects = result.tab_projects || [];
-
-    let project = projects.find(p => p.intent === intent || p.title === intent);
-
-    if (!project) {
-      project = {
-        id: Date.now().toString(),
-        title: intent,
-        subtitle: intent,
-        intent: intent,
-        tabs: [],
-        section: 'today',
-        createdAt: new Date().toISOString()
+    // Saving the page itself (not a link on it) binds the record to the live tab
+    const isLiveTab = tab?.id !== undefined && tab.url === url;
+    const canonicalUrl = isLiveTab ? storageManager.identity.canonicalFor(url, await getCanonicalUrl(tab.id)) : null;
+    const page = { url, canonicalUrl };
+
+    const { project, newTab, duplicate, alsoIn } = await updateProjects(projects => {
+      // Projects in the trash don't take new tabs; saving to that intent starts a new one
+      let project = options.projectId
+        ? projects.find(p => p.id === options.projectId && !p.removed)
+        : projects.find(p => !p.removed && (p.intent === intent || p.title === intent || p.name === intent));
+
+      if (!project) {
+        project = {
+          id: storageManager.identity.createId(),
+          title: intent,
+          subtitle: intent,
+          intent: intent,
+          tabs: [],
+          section: 'today',
+          createdAt: new Date().toISOString()
+        };
+        projects.push(project);
+      } else if (project.archived) {
+        // Saving to an archived intent means it is in use again
+        delete project.archived;
+        delete project.archivedAt;
+        project.unarchivedAt = new Date().toISOString();
+      }
+
+      // The page is already in this project: keep that tab, bound to the live tab if this is it
+      const saved = storageManager.identity.findSavedTab(project, page);
+      if (saved) {
+        if (options.notes) saved.notes = options.notes;
+        if (isLiveTab) {
+          saved.chromeTabId = tab.id;
+          saved.liveStatus = 'open';
+          delete saved.closedAt;
+        }
+        return { project, newTab: saved, duplicate: true };
+      }
+
+      const newTab = {
+        id: storageManager.identity.createId(),
+        title: title || 'Untitled',
+        url: url,
+        favicon: (isLiveTab && tab.favIconUrl) || '🔗',
+        timestamp: new Date().toISOString()
       };
-      projects.push(project);
-    }
 
-    const newTab = {
-      id: Date.now().toString() + Math.random(),
-      title: title || 'Untitled',
-      url: url,
-      favicon: tab?.favIconUrl || '🔗',
-      timestamp: new Date().toISOString()
-    };
+      if (canonicalUrl) {
+        newTab.canonicalUrl = canonicalUrl;
+      }
+
+      if (options.notes) {
+        newTab.notes = options.notes;
+      }
 
-    project.tabs.push(newTab);
+      if (isLiveTab) {
+        newTab.chromeTabId = tab.id;
+        newTab.liveStatus = 'open';
+      }
+
+      project.tabs = project.tabs || [];
+      project.tabs.push(newTab);
+
+      // Saved anyway, but the user is told where else the page already is
+      const alsoIn = storageManager.findProjectsWithPage(projects, page, project.id).map(getProjectLabel);
+      return { project, newTab, alsoIn };
+    }, { label: `Save "${title || url}" to "${intent}"` });
 
-    await chrome.storage.local.set({ tab_projects: projects });
-    await handleIntentCapture(intent, tab);
+    await handleIntentCapture(getProjectLabel(project), tab);
 
     if (tab?.id) {
       newTabsAwaitingIntent.delete(tab.id);
+
+      // Remember the intent of the live tab so tabs opened from it can inherit it
+      if (isLiveTab) {
+        await tagTabIntent(tab.id, getProjectLabel(project));
+      }
     }
 
-    return { success: true, project, tab: newTab };
+    return { success: true, project, tab: newTab, duplicate: !!duplicate, alsoIn: alsoIn || [] };
   } catch (error) {
     console.error('Failed to save tab with intent:', error);
     return { success: false, error: error.message };
@@ -254,15 +1021,177 @@ async function getRecentIntents() {
   }
 }
 
+/**
+ * Get all projects for the side panel, with the version its changes are based on
+ */
+async function getProjects() {
+  try {
+    const [projects, version] = await Promise.all([storageManager.getProjects(), storageManager.getProjectsVersion()]);
+    return { success: true, projects, version };
+  } catch (error) {
+    console.error('Failed to get projects:', error);
+    return { success: false, projects: [] };
+  }
+}
+
+/**
+ * Get a page of timeline events for the side panel
+ */
+async function getTimeline(options = {}) {
+  try {
+    const page = await timelineStore.query(options);
+    return { success: true, ...page };
+  } catch (error) {
+    console.error('Failed to get timeline:', error);
+    return { success: false, events: [], cursor: null };
+  }
+}
+
+// ==================== CONTEXT MENUS ====================
+
+const CONTEXT_MENU_CONTEXTS = ['page', 'link', 'selection'];
+const PROJECT_MENU_PREFIX = 'add-to-project:';
+
+// Signature of the last project list the submenu was built from
+let contextMenuSignature = null;
+
+// Each rebuild clears the menu and creates it again; overlapping ones would create the same ids twice
+let contextMenuBuild = Promise.resolve();
+
+/**
+ * Get the display name of a project regardless of which UI created it
+ */
+function getProjectLabel(project) {
+  return project.intent || project.title || project.name || 'Untitled';
+}
+
+/**
+ * Build the context menu, including one "Add to Project" entry per saved project.
+ * Rebuilds run one after another, each from the projects as they are when it starts.
+ */
+function buildContextMenus() {
+  contextMenuBuild = contextMenuBuild
+    .then(rebuildContextMenus)
+    .catch(error => console.error('Failed to build context menus:', error));
+  return contextMenuBuild;
+}
+
+async function rebuildContextMenus() {
+  if (!chrome.contextMenus) return;
+
+  try {
+    const projects = (await storageManager.getProjects()).filter(p => !p.removed && !p.archived);
+    contextMenuSignature = getContextMenuSignature(projects);
+
+    await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+
+    chrome.contextMenus.create({
+      id: 'save-to-intent',
+      title: 'Save to Intent',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+
+    chrome.contextMenus.create({
+      id: 'add-to-project',
+      title: 'Add to Project',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+
+    if (projects.length === 0) {
+      chrome.contextMenus.create({
+        id: `${PROJECT_MENU_PREFIX}none`,
+        parentId: 'add-to-project',
+        title: 'No projects yet',
+        enabled: false,
+        contexts: CONTEXT_MENU_CONTEXTS
+      });
+      return;
+    }
+
+    projects.forEach(project => {
+      chrome.contextMenus.create({
+        id: `${PROJECT_MENU_PREFIX}${project.id}`,
+        parentId: 'add-to-project',
+        title: getProjectLabel(project),
+        contexts: CONTEXT_MENU_CONTEXTS
+      });
+    });
+  } catch (error) {
+    console.error('Context menus setup error:', error);
+  }
+}
+
+/**
+ * Ids and labels are all the submenu depends on; tab changes should not rebuild it
+ */
+function getContextMenuSignature(projects) {
+  return JSON.stringify(projects.map(p => [p.id, getProjectLabel(p)]));
+}
+
+/**
+ * Work out what a context menu click refers to: a link, a selection, or the page
+ */
+function getContextMenuTarget(info, tab) {
+  if (info.linkUrl) {
+    return {
+      url: info.linkUrl,
+      title: info.selectionText || info.linkUrl
+    };
+  }
+
+  return {
+    url: info.pageUrl || tab?.url,
+    title: tab?.title,
+    notes: info.selectionText || undefined
+  };
+}
+
+// Keep the project submenu in sync with storage
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes[storageManager.STORAGE_KEYS.PROJECTS_REVISION]) return;
+
+  try {
+    const projects = (await storageManager.getProjects()).filter(p => !p.removed && !p.archived);
+    if (getContextMenuSignature(projects) !== contextMenuSignature) {
+      buildContextMenus();
+    }
+  } catch (error) {
+    console.error('Failed to update context menus:', error);
+  }
+});
+
 /**
  * Handle context menu clicks
  */
 if (chrome.contextMenus && chrome.contextMenus.onClicked) {
-  chrome.contextMenus.onClicked.addListener((info, tab) => {
+  chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const target = getContextMenuTarget(info, tab);
+
     if (info.menuItemId === 'save-to-intent') {
-      // Show intent capture dialog
-    } else if (info.menuItemId === 'add-to-project') {
-      // Show project selection dialog
+      if (tab?.id !== undefined) {
+        showIntentCaptureForTab(tab.id, target);
+      }
+    } else if (String(info.menuItemId).startsWith(PROJECT_MENU_PREFIX)) {
+      const projectId = String(info.menuItemId).slice(PROJECT_MENU_PREFIX.length);
+      const projects = await storageManager.getProjects();
+      const project = projects.find(p => p.id === projectId);
+
+      if (!project || !target.url) return;
+
+      const result = await saveTabWithIntent(getProjectLabel(project), target.url, target.title, tab, {
+        projectId,
+        notes: target.notes
+      });
+
+      // Saved without the overlay, so a notification is the only place to warn
+      if (result.success && result.alsoIn.length > 0) {
+        chrome.notifications.create(`duplicate-${result.tab.id}`, {
+          type: 'basic',
+          iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+          title: `Saved to "${getProjectLabel(project)}"`,
+          message: `This page is also saved in ${result.alsoIn.map(label => `"${label}"`).join(', ')}.`
+        });
+      }
     }
   });
 }
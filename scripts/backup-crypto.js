@@ -0,0 +1,164 @@
+/**
+ * Tab Story - Backup Crypto
+ * Passphrase encryption for export and backup files (WebCrypto, PBKDF2 + AES-GCM).
+ * An encrypted file is a small JSON envelope: a readable header saying how to
+ * derive the key, and the ciphertext of the original file.
+ */
+
+class BackupCrypto {
+  constructor() {
+    this.FORMAT = 'tab-story-encrypted';
+    this.VERSION = 1;
+    this.KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000 };
+    this.CIPHER = 'AES-GCM';
+    this.SALT_BYTES = 16;
+    this.IV_BYTES = 12;
+  }
+
+  isEncrypted(payload) {
+    return !!payload && typeof payload === 'object' && payload.format === this.FORMAT;
+  }
+
+  // ==================== ENCODING ====================
+
+  toBase64(bytes) {
+    let binary = '';
+    const view = new Uint8Array(bytes);
+    // Chunked so large backups don't overflow the argument list
+    for (let i = 0; i < view.length; i += 0x8000) {
+      binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  // ==================== KEYS ====================
+
+  /**
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+   */
+  async deriveKey(passphrase, salt, iterations = this.KDF.iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      this.KDF.name,
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: this.KDF.name, hash: this.KDF.hash, salt, iterations },
+      material,
+      { name: this.CIPHER, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * A key with a fresh salt, for callers that encrypt many files with one
+   * passphrase without keeping the passphrase around
+   *
+   * @returns {Promise<Object>} { key, salt, iterations }
+   */
+  async createKey(passphrase) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
+    }
+    const salt = this.randomBytes(this.SALT_BYTES);
+    return { key: await this.deriveKey(passphrase, salt), salt, iterations: this.KDF.iterations };
+  }
+
+  // ==================== ENVELOPE ====================
+
+  /**
+   * The header is bound to the ciphertext as additional data, so editing it breaks decryption
+   */
+  getHeader(envelope) {
+    const { format, version, kdf, cipher } = envelope;
+    return new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher }));
+  }
+
+  async encrypt(data, passphrase) {
+    return this.encryptWithKey(data, await this.createKey(passphrase));
+  }
+
+  /**
+   * @param {Object} keyInfo - { key, salt, iterations } from createKey()
+   */
+  async encryptWithKey(data, { key, salt, iterations }) {
+    const iv = this.randomBytes(this.IV_BYTES);
+    const envelope = {
+      format: this.FORMAT,
+      version: this.VERSION,
+      kdf: { name: this.KDF.name, hash: this.KDF.hash, iterations, salt: this.toBase64(salt) },
+      cipher: { name: this.CIPHER, iv: this.toBase64(iv) }
+    };
+
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: this.CIPHER, iv, additionalData: this.getHeader(envelope) },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return { ...envelope, ciphertext: this.toBase64(ciphertext) };
+  }
+
+  /**
+   * @param {string|Object} secret - The passphrase, or a { key, salt } from createKey()
+   *   made with this file's salt (see matchesKey)
+   * @returns {Promise<*>} The original data
+   */
+  async decrypt(envelope, secret) {
+    if (!this.isEncrypted(envelope)) {
+      throw new Error('This file is not encrypted');
+    }
+    if (envelope.version > this.VERSION) {
+      throw new Error('This file was encrypted by a newer version of Tab Story');
+    }
+    if (envelope.kdf?.name !== this.KDF.name || envelope.cipher?.name !== this.CIPHER) {
+      throw new Error('This file uses an encryption method Tab Story does not support');
+    }
+
+    const salt = this.fromBase64(envelope.kdf.salt);
+    const key = typeof secret === 'string'
+      ? await this.deriveKey(secret, salt, envelope.kdf.iterations)
+      : secret.key;
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: this.CIPHER, iv: this.fromBase64(envelope.cipher.iv), additionalData: this.getHeader(envelope) },
+        key,
+        this.fromBase64(envelope.ciphertext)
+      );
+    } catch (error) {
+      // AES-GCM can't tell a wrong key from a damaged file
+      const wrong = new Error('Wrong passphrase, or the file is damaged');
+      wrong.code = 'wrong-passphrase';
+      throw wrong;
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Whether a stored key was derived with this file's salt and can open it
+   */
+  matchesKey(envelope, keyInfo) {
+    return !!keyInfo && this.isEncrypted(envelope) && envelope.kdf.salt === this.toBase64(keyInfo.salt);
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.BackupCrypto = BackupCrypto;
+}
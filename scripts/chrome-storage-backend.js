@@ -0,0 +1,140 @@
+/**
+ * Tab Story - Chrome Storage Backend
+ * Keeps projects and snapshots as arrays in chrome.storage.local.
+ * Used where IndexedDB is not available; every write rewrites the whole array.
+ */
+
+class ChromeStorageBackend {
+  constructor() {
+    this.storage = chrome.storage.local;
+    this.KEYS = {
+      PROJECTS: 'tab_projects',
+      SNAPSHOTS: 'session_snapshots',
+      LAST_SESSION: 'last_session',
+      SUMMARIES: 'tab_summaries'
+    };
+  }
+
+  async getValue(key, fallback) {
+    const result = await this.storage.get(key);
+    return result[key] || fallback;
+  }
+
+  // ==================== PROJECTS & TABS ====================
+
+  async getProjects() {
+    return this.getValue(this.KEYS.PROJECTS, []);
+  }
+
+  async saveProjects(projects) {
+    await this.storage.set({ [this.KEYS.PROJECTS]: projects });
+  }
+
+  /**
+   * Insert or replace one project, tabs included
+   */
+  async putProject(project) {
+    const projects = await this.getProjects();
+    const index = projects.findIndex(p => p.id === project.id);
+    if (index === -1) {
+      projects.push(project);
+    } else {
+      projects[index] = project;
+    }
+    await this.saveProjects(projects);
+  }
+
+  async deleteProject(projectId) {
+    const projects = await this.getProjects();
+    await this.saveProjects(projects.filter(p => p.id !== projectId));
+  }
+
+  /**
+   * Insert or replace one tab of a project
+   */
+  async putTab(projectId, tab) {
+    const projects = await this.getProjects();
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+
+    const index = project.tabs.findIndex(t => t.id === tab.id);
+    if (index === -1) {
+      project.tabs.push(tab);
+    } else {
+      project.tabs[index] = tab;
+    }
+    await this.saveProjects(projects);
+  }
+
+  // ==================== SNAPSHOTS ====================
+
+  /**
+   * Newest first
+   */
+  async getSnapshots() {
+    return this.getValue(this.KEYS.SNAPSHOTS, []);
+  }
+
+  async putSnapshot(snapshot) {
+    const snapshots = (await this.getSnapshots()).filter(s => s.id !== snapshot.id);
+    snapshots.unshift(snapshot);
+    snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    await this.storage.set({
+      [this.KEYS.SNAPSHOTS]: snapshots,
+      [this.KEYS.LAST_SESSION]: snapshots[0]
+    });
+  }
+
+  async deleteSnapshots(snapshotIds) {
+    const kept = (await this.getSnapshots()).filter(s => !snapshotIds.includes(s.id));
+    await this.storage.set({ [this.KEYS.SNAPSHOTS]: kept });
+
+    // The last session is the newest snapshot left, as the IndexedDB backend reads it
+    const latest = await this.getLatestSnapshot();
+    if (latest && snapshotIds.includes(latest.id)) {
+      if (kept.length > 0) {
+        await this.storage.set({ [this.KEYS.LAST_SESSION]: kept[0] });
+      } else {
+        await this.storage.remove(this.KEYS.LAST_SESSION);
+      }
+    }
+  }
+
+  async getLatestSnapshot() {
+    return this.getValue(this.KEYS.LAST_SESSION, null);
+  }
+
+  // ==================== SUMMARIES ====================
+
+  async getSummaries() {
+    return Object.values(await this.getValue(this.KEYS.SUMMARIES, {}));
+  }
+
+  async getSummary(tabId) {
+    const summaries = await this.getValue(this.KEYS.SUMMARIES, {});
+    return summaries[tabId] || null;
+  }
+
+  async putSummary(record) {
+    const summaries = await this.getValue(this.KEYS.SUMMARIES, {});
+    summaries[record.tabId] = record;
+    await this.storage.set({ [this.KEYS.SUMMARIES]: summaries });
+  }
+
+  async deleteSummaries(tabIds) {
+    const summaries = await this.getValue(this.KEYS.SUMMARIES, {});
+    tabIds.forEach(tabId => delete summaries[tabId]);
+    await this.storage.set({ [this.KEYS.SUMMARIES]: summaries });
+  }
+
+  // ==================== WHOLE STORE ====================
+
+  async clearProjects() {
+    await this.storage.remove([this.KEYS.PROJECTS, this.KEYS.SUMMARIES]);
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.ChromeStorageBackend = ChromeStorageBackend;
+}
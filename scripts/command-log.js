@@ -0,0 +1,406 @@
+/**
+ * Tab Story - Command Log
+ * Records every change to the projects as before/after pairs of what it
+ * touched, so any of them can be undone, redone, or reverted later from the
+ * Activity view. An added or removed project is kept whole; an edited one only
+ * keeps its own fields and the tabs that changed. This browser's live tab and
+ * group ids are left out: they are not the user's edits and must survive an undo.
+ */
+
+class CommandLog {
+  /**
+   * @param {StorageManager} storageManager - Reads and writes the projects
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.LOG_KEY = 'command_log';
+    this.MAX_ENTRIES = 50;
+    // Display state that follows the tab group; expanding a group is not an edit
+    this.VIEW_FIELDS = ['collapsed'];
+  }
+
+  /**
+   * Shape: { entries: [{ id, timestamp, label, undone, order, changes }], redo: [entryId] }
+   * Entries are oldest first. redo holds the undone entries that can be redone, last undone last.
+   * Entries logged before tab-level changes hold whole projects on both sides of an edit.
+   */
+  async getLog() {
+    const result = await chrome.storage.local.get(this.LOG_KEY);
+    return { entries: [], redo: [], ...result[this.LOG_KEY] };
+  }
+
+  async saveLog(log) {
+    await chrome.storage.local.set({ [this.LOG_KEY]: log });
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * A project as the log keeps it, without live ids and view state
+   */
+  strip(project) {
+    const stripped = this.storageManager.withoutLiveBindings(project);
+    this.VIEW_FIELDS.forEach(field => delete stripped[field]);
+    return stripped;
+  }
+
+  /**
+   * Items added, removed or edited between two lists, matched by id, and both
+   * orders when the items in both lists moved
+   *
+   * @returns {Object} { changes: [{ id, before, after, beforeIndex, afterIndex }], order: { before, after } | null }
+   */
+  diffList(beforeItems, afterItems) {
+    const before = new Map(beforeItems.map((item, index) => [item.id, { item, index }]));
+    const after = new Map(afterItems.map((item, index) => [item.id, { item, index }]));
+
+    const changes = [];
+    new Set([...before.keys(), ...after.keys()]).forEach(id => {
+      const was = before.get(id);
+      const now = after.get(id);
+      if (was && now && JSON.stringify(was.item) === JSON.stringify(now.item)) return;
+      changes.push({
+        id,
+        before: was ? was.item : null,
+        after: now ? now.item : null,
+        beforeIndex: was ? was.index : null,
+        afterIndex: now ? now.index : null
+      });
+    });
+
+    const kept = id => before.has(id) && after.has(id);
+    const beforeOrder = beforeItems.map(item => item.id);
+    const afterOrder = afterItems.map(item => item.id);
+    const reordered = beforeOrder.filter(kept).join('\n') !== afterOrder.filter(kept).join('\n');
+    return { changes, order: reordered ? { before: beforeOrder, after: afterOrder } : null };
+  }
+
+  /**
+   * What a change between two project lists did, or null when only live ids moved
+   *
+   * @returns {Object|null} { order: { before, after } | null, changes: [{ projectId, title, before, after, beforeIndex, afterIndex, tabs? }] }
+   *   An edited project has its fields without tabs as before/after, and tabs: { changes: [{ tabId, ... }], order }
+   */
+  diff(beforeProjects, afterProjects) {
+    const { changes, order } = this.diffList(
+      beforeProjects.map(project => this.strip(project)),
+      afterProjects.map(project => this.strip(project))
+    );
+    if (changes.length === 0 && !order) return null;
+
+    return {
+      order,
+      changes: changes.map(({ id, before, after, beforeIndex, afterIndex }) => {
+        const change = {
+          projectId: id,
+          title: (after || before).intent || (after || before).title || 'Untitled',
+          before,
+          after,
+          beforeIndex,
+          afterIndex
+        };
+        if (!before || !after) return change;
+
+        const { tabs: beforeTabs = [], ...beforeFields } = before;
+        const { tabs: afterTabs = [], ...afterFields } = after;
+        const tabs = this.diffList(beforeTabs, afterTabs);
+        return {
+          ...change,
+          before: beforeFields,
+          after: afterFields,
+          tabs: {
+            changes: tabs.changes.map(({ id: tabId, ...tabChange }) => ({ tabId, ...tabChange })),
+            order: tabs.order
+          }
+        };
+      })
+    };
+  }
+
+  /**
+   * Log a change. As in any editor, a new change ends what can be redone;
+   * undone entries stay listed in the Activity view.
+   */
+  async record(label, beforeProjects, afterProjects) {
+    const diff = this.diff(beforeProjects, afterProjects);
+    if (!diff) return null;
+
+    const log = await this.getLog();
+    const entry = {
+      id: this.storageManager.identity.createId(),
+      timestamp: new Date().toISOString(),
+      label,
+      undone: false,
+      ...diff
+    };
+    log.entries = [...log.entries, entry].slice(-this.MAX_ENTRIES);
+    log.redo = [];
+    await this.saveLog(log);
+    return entry;
+  }
+
+  /**
+   * Drop all but the newest entries, when storage runs short
+   *
+   * @returns {Promise<number>} How many entries were dropped
+   */
+  async trim(keep) {
+    const log = await this.getLog();
+    const dropped = log.entries.slice(0, Math.max(0, log.entries.length - keep));
+    if (dropped.length === 0) return 0;
+
+    const droppedIds = new Set(dropped.map(entry => entry.id));
+    log.entries = log.entries.slice(dropped.length);
+    log.redo = log.redo.filter(id => !droppedIds.has(id));
+    await this.saveLog(log);
+    return dropped.length;
+  }
+
+  /**
+   * Point entries at the new ids of re-keyed projects and tabs, so they can still be undone
+   *
+   * @param {Object} rekeyed - { projects: Map(oldId -> newId), tabs: Map(newProjectId -> Map(oldId -> newId)) }
+   */
+  async rekey({ projects, tabs }) {
+    const log = await this.getLog();
+    const projectId = id => projects.get(String(id)) || id;
+    // Tabs are looked up in the project the change is about
+    const tabIdIn = newProjectId => id => tabs.get(newProjectId)?.get(String(id)) || id;
+    const rekeyTab = (tab, tabId) => tab && { ...tab, id: tabId(tab.id) };
+    const rekeyProject = (project, tabId) => project && {
+      ...project,
+      id: projectId(project.id),
+      ...(project.tabs && { tabs: project.tabs.map(tab => rekeyTab(tab, tabId)) })
+    };
+
+    log.entries.forEach(entry => {
+      entry.changes.forEach(change => {
+        change.projectId = projectId(change.projectId);
+        const tabId = tabIdIn(change.projectId);
+        change.before = rekeyProject(change.before, tabId);
+        change.after = rekeyProject(change.after, tabId);
+        if (!change.tabs) return;
+        change.tabs.changes.forEach(tabChange => {
+          tabChange.tabId = tabId(tabChange.tabId);
+          tabChange.before = rekeyTab(tabChange.before, tabId);
+          tabChange.after = rekeyTab(tabChange.after, tabId);
+        });
+        if (change.tabs.order) {
+          change.tabs.order = { before: change.tabs.order.before.map(tabId), after: change.tabs.order.after.map(tabId) };
+        }
+      });
+      if (entry.order) {
+        entry.order = { before: entry.order.before.map(projectId), after: entry.order.after.map(projectId) };
+      }
+    });
+    await this.saveLog(log);
+  }
+
+  // ==================== UNDO & REDO ====================
+
+  /**
+   * Projects touched by the entry that were edited again since (on the side being replaced)
+   */
+  findConflicts(projects, entry, from) {
+    const current = new Map(projects.map(project => [project.id, this.strip(project)]));
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    return entry.changes
+      .filter(change => {
+        const now = current.get(change.projectId);
+        if (!change.tabs) return !same(change[from], now);
+        if (!now) return true;
+
+        const { tabs = [], ...fields } = now;
+        const nowTabs = new Map(tabs.map(tab => [tab.id, tab]));
+        return !same(change[from], fields) ||
+          change.tabs.changes.some(tabChange => !same(tabChange[from], nowTabs.get(tabChange.tabId)));
+      })
+      .map(change => change.title);
+  }
+
+  /**
+   * Put one side of a list's changes in place. restore(live, change) builds the
+   * item to put back from the logged one and the item there now, if any.
+   */
+  applyChanges(items, changes, idKey, side, restore) {
+    changes.forEach(change => {
+      const index = items.findIndex(item => item.id === change[idKey]);
+
+      if (!change[side]) {
+        if (index !== -1) items.splice(index, 1);
+        return;
+      }
+
+      const restored = restore(index === -1 ? null : items[index], change);
+      if (index === -1) {
+        const position = change[`${side}Index`] ?? items.length;
+        items.splice(Math.min(position, items.length), 0, restored);
+        return;
+      }
+      items[index] = restored;
+    });
+  }
+
+  applyOrder(items, order, side) {
+    if (!order) return;
+    const rank = new Map(order[side].map((id, index) => [id, index]));
+    const ordered = [...items].sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity));
+    items.splice(0, items.length, ...ordered);
+  }
+
+  /**
+   * A logged tab with the live ids of the tab it replaces
+   */
+  restoreTab(tab, live) {
+    const restored = JSON.parse(JSON.stringify(tab));
+    const { chromeTabId, liveStatus, closedAt } = live || {};
+    if (chromeTabId !== undefined) restored.chromeTabId = chromeTabId;
+    if (liveStatus !== undefined) restored.liveStatus = liveStatus;
+    if (closedAt !== undefined) restored.closedAt = closedAt;
+    return restored;
+  }
+
+  /**
+   * One side of a project change, keeping live ids of the project and of tabs that still exist
+   */
+  restoreProject(live, change, side) {
+    const restored = JSON.parse(JSON.stringify(change[side]));
+    const liveTabs = live?.tabs || [];
+
+    if (live) {
+      ['groupId', ...this.VIEW_FIELDS].forEach(field => {
+        if (live[field] !== undefined) restored[field] = live[field];
+      });
+    }
+
+    if (change.tabs) {
+      const tabs = [...liveTabs];
+      this.applyChanges(tabs, change.tabs.changes, 'tabId', side, (tab, tabChange) => this.restoreTab(tabChange[side], tab));
+      this.applyOrder(tabs, change.tabs.order, side);
+      restored.tabs = tabs;
+    } else {
+      const byId = new Map(liveTabs.map(tab => [tab.id, tab]));
+      restored.tabs = restored.tabs.map(tab => this.restoreTab(tab, byId.get(tab.id)));
+    }
+    return restored;
+  }
+
+  /**
+   * Put the entry's projects back to one side of it
+   */
+  applySide(projects, entry, side) {
+    this.applyChanges(projects, entry.changes, 'projectId', side, (live, change) => this.restoreProject(live, change, side));
+    this.applyOrder(projects, entry.order, side);
+  }
+
+  /**
+   * Move the entry's projects from one side to the other. Projects edited since
+   * would lose those edits, so without force the result only lists them.
+   */
+  async move(entry, from, to, force) {
+    let result;
+    await this.storageManager.updateProjects(projects => {
+      const conflicts = this.findConflicts(projects, entry, from);
+      if (conflicts.length > 0 && !force) {
+        result = { success: false, needsConfirm: true, conflicts };
+        return false;
+      }
+      this.applySide(projects, entry, to);
+      result = { success: true, entry: this.summarize(entry), conflicts };
+    }, { record: false });
+    return result;
+  }
+
+  /**
+   * Revert an entry, the newest one by default (Ctrl+Z)
+   *
+   * @param {Object} options - { entryId, force } force reverts even over later edits
+   */
+  async undo({ entryId = null, force = false } = {}) {
+    try {
+      const log = await this.getLog();
+      const entry = entryId
+        ? log.entries.find(e => e.id === entryId)
+        : [...log.entries].reverse().find(e => !e.undone);
+      if (!entry || entry.undone) {
+        return { success: false, error: 'Nothing to undo' };
+      }
+
+      const result = await this.move(entry, 'after', 'before', force);
+      if (!result.success) return result;
+
+      entry.undone = true;
+      log.redo = [...log.redo.filter(id => id !== entry.id), entry.id];
+      await this.saveLog(log);
+      return result;
+    } catch (error) {
+      console.error('Failed to undo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Re-apply an undone entry, the most recently undone one by default (Ctrl+Shift+Z)
+   */
+  async redo({ entryId = null, force = false } = {}) {
+    try {
+      const log = await this.getLog();
+      const entry = log.entries.find(e => e.id === (entryId || log.redo[log.redo.length - 1]));
+      if (!entry || !entry.undone) {
+        return { success: false, error: 'Nothing to redo' };
+      }
+
+      const result = await this.move(entry, 'before', 'after', force);
+      if (!result.success) return result;
+
+      entry.undone = false;
+      log.redo = log.redo.filter(id => id !== entry.id);
+      await this.saveLog(log);
+      return result;
+    } catch (error) {
+      console.error('Failed to redo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== ACTIVITY ====================
+
+  summarize(entry) {
+    const count = key => entry.changes.filter(key).length;
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      label: entry.label,
+      undone: entry.undone,
+      projects: entry.changes.map(change => change.title),
+      added: count(change => !change.before),
+      removed: count(change => !change.after),
+      updated: count(change => change.before && change.after),
+      reordered: !!entry.order
+    };
+  }
+
+  /**
+   * @returns {Object} { success, entries (newest first, without project data), canUndo, canRedo }
+   */
+  async getActivity() {
+    try {
+      const log = await this.getLog();
+      return {
+        success: true,
+        entries: log.entries.map(entry => this.summarize(entry)).reverse(),
+        canUndo: log.entries.some(entry => !entry.undone),
+        canRedo: log.redo.length > 0
+      };
+    } catch (error) {
+      console.error('Failed to get activity:', error);
+      return { success: false, error: error.message, entries: [] };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.CommandLog = CommandLog;
+}
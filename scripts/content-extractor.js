@@ -3,8 +3,14 @@
  * Extracts page content for AI analysis
  */
 
+// Injected again each time a page is summarized; listen only once
+if (!window.tabStoryContentExtractorInjected) {
+  window.tabStoryContentExtractorInjected = true;
+  chrome.runtime.onMessage.addListener(handleExtractorMessage);
+}
+
 // Listen for messages from the extension
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+function handleExtractorMessage(request, sender, sendResponse) {
   if (request.action === 'getPageContent') {
     try {
       const content = extractPageContent();
@@ -19,6 +25,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         visualContent,
         structuredData,
         metadata,
+        description: getMetaDescription(),
         links,
         faqs
       });
@@ -27,7 +34,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
     return true; // Keep channel open for async response
   }
-});
+
+  if (request.action === 'getCanonicalUrl') {
+    sendResponse({ success: true, canonicalUrl: findCanonicalUrl() });
+    return true;
+  }
+}
 
 /**
  * Extract meaningful content from the page
@@ -378,6 +390,7 @@ function extractMetadata() {
     lastUpdated: null,
     readingTime: 0,
     domain: '',
+    canonicalUrl: null,
     schemaData: {},
     socialShares: {},
     language: 'en'
@@ -387,6 +400,9 @@ function extractMetadata() {
     // Extract domain
     metadata.domain = window.location.hostname.replace('www.', '');
 
+    // Extract canonical URL
+    metadata.canonicalUrl = findCanonicalUrl();
+
     // Extract author
     metadata.author = findAuthor();
 
@@ -419,6 +435,13 @@ function extractMetadata() {
   return metadata;
 }
 
+/**
+ * The canonical URL the page declares in <link rel="canonical">, or null
+ */
+function findCanonicalUrl() {
+  return document.querySelector('link[rel="canonical"]')?.href || null;
+}
+
 /**
  * Find author information
  */
@@ -18,15 +18,22 @@ if (!window.tabMemoryAssistantInjected) {
     // Listen for intent capture request from background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'showIntentCapture') {
-        showIntentCaptureModal();
+        showIntentCaptureModal({
+          url: message.url || window.location.href,
+          title: message.title || document.title,
+          notes: message.notes,
+          auto: message.auto,
+          domain: message.domain
+        });
         sendResponse({ success: true });
       }
     });
 
     /**
      * Show intent capture modal
+     * @param {Object} page - What gets saved: this page, or a link/selection on it
      */
-    function showIntentCaptureModal() {
+    function showIntentCaptureModal(page) {
       // Check if modal already exists
       if (document.getElementById('tab-memory-intent-modal')) {
         return;
@@ -103,6 +110,23 @@ if (!window.tabMemoryAssistantInjected) {
               <div id="tab-memory-chips" style="display: flex; flex-wrap: wrap; gap: 8px;"></div>
             </div>
 
+            <div id="tab-memory-domain-rules" style="display: none; margin-top: 16px; font-size: 12px; color: #49454E;">
+              <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                <input id="tab-memory-always-checkbox" type="checkbox" />
+                <span id="tab-memory-always-label"></span>
+              </label>
+              <button id="tab-memory-never-btn" style="
+                margin-top: 8px;
+                padding: 0;
+                background: none;
+                border: none;
+                cursor: pointer;
+                font-size: 12px;
+                color: #1F6FED;
+                text-decoration: underline;
+              "></button>
+            </div>
+
             <div style="display: flex; gap: 12px; margin-top: 24px; justify-content: flex-end;">
               <button id="tab-memory-skip-btn" style="
                 padding: 10px 20px;
@@ -152,6 +176,22 @@ if (!window.tabMemoryAssistantInjected) {
       const skipBtn = document.getElementById('tab-memory-skip-btn');
       const closeBtn = document.getElementById('tab-memory-close-btn');
       const chipsContainer = document.getElementById('tab-memory-chips');
+      const alwaysCheckbox = document.getElementById('tab-memory-always-checkbox');
+
+      // Per-domain rules are only offered when the prompt appeared on its own
+      if (page.auto && page.domain) {
+        document.getElementById('tab-memory-domain-rules').style.display = 'block';
+        document.getElementById('tab-memory-always-label').textContent =
+          `Always file ${page.domain} pages into this intent`;
+
+        const neverBtn = document.getElementById('tab-memory-never-btn');
+        neverBtn.textContent = `Never ask on ${page.domain}`;
+        neverBtn.addEventListener('click', async () => {
+          await setDomainRule(page.domain, { mode: 'never' });
+          showToast(`Won't ask again on ${page.domain}`);
+          closeModal();
+        });
+      }
 
       // Focus input
       input.focus();
@@ -160,7 +200,8 @@ if (!window.tabMemoryAssistantInjected) {
       loadRecentIntents(chipsContainer, input);
 
       // Event listeners
-      saveBtn.addEventListener('click', () => saveIntent(input.value));
+      const save = () => saveIntent(input.value, page, page.auto && alwaysCheckbox.checked);
+      saveBtn.addEventListener('click', save);
       skipBtn.addEventListener('click', closeModal);
       closeBtn.addEventListener('click', closeModal);
 
@@ -174,7 +215,7 @@ if (!window.tabMemoryAssistantInjected) {
       // Save on Enter key
       input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-          saveIntent(input.value);
+          save();
         }
       });
 
@@ -227,10 +268,21 @@ if (!window.tabMemoryAssistantInjected) {
       }
     }
 
+    /**
+     * Save a per-domain intent rule through the background script
+     */
+    async function setDomainRule(domain, rule) {
+      try {
+        await chrome.runtime.sendMessage({ action: 'setDomainRule', domain, rule });
+      } catch (error) {
+        console.error('[Tab Memory] Failed to save domain rule:', error);
+      }
+    }
+
     /**
      * Save intent
      */
-    async function saveIntent(intent) {
+    async function saveIntent(intent, page, alwaysForDomain = false) {
       const intentText = intent.trim();
 
       if (!intentText) {
@@ -240,15 +292,26 @@ if (!window.tabMemoryAssistantInjected) {
 
       try {
         // Send intent to background script
-        await chrome.runtime.sendMessage({
+        const response = await chrome.runtime.sendMessage({
           action: 'saveTabWithIntent',
           intent: intentText,
-          url: window.location.href,
-          title: document.title
+          url: page.url,
+          title: page.title,
+          notes: page.notes
         });
 
+        if (alwaysForDomain) {
+          await setDomainRule(page.domain, { mode: 'always', intent: intentText });
+        }
+
         // Show success message
-        showToast('Intent saved! 🎉');
+        if (response?.duplicate) {
+          showToast('Already saved to this intent');
+        } else if (response?.alsoIn?.length) {
+          showToast(`Saved. This page is also in ${response.alsoIn.map(label => `"${label}"`).join(', ')}`, 5000);
+        } else {
+          showToast('Intent saved! 🎉');
+        }
 
         // Close modal
         closeModal();
@@ -272,7 +335,7 @@ if (!window.tabMemoryAssistantInjected) {
     /**
      * Show toast notification
      */
-    function showToast(message) {
+    function showToast(message, duration = 3000) {
       const toast = document.createElement('div');
       toast.textContent = message;
       toast.style.cssText = `
@@ -289,7 +352,7 @@ if (!window.tabMemoryAssistantInjected) {
         animation: slideUpFade 0.3s ease;
       `;
       document.body.appendChild(toast);
-      setTimeout(() => toast.remove(), 3000);
+      setTimeout(() => toast.remove(), duration);
     }
 
     // Add fadeOut animation
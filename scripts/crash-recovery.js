@@ -0,0 +1,235 @@
+/**
+ * Tab Story - Crash Recovery
+ * Keeps a heartbeat with the open windows while the browser runs. If the browser
+ * starts again without having closed its last window, the previous session
+ * crashed and the user is offered to reopen it, tab groups and saved tabs included.
+ */
+
+class CrashRecovery {
+  /**
+   * @param {StorageManager} storageManager - Owner of the session state markers
+   * @param {Function} updateProjects - Serialized read-modify-write on the stored projects
+   */
+  constructor(storageManager, updateProjects) {
+    this.storageManager = storageManager;
+    this.updateProjects = updateProjects;
+    this.HEARTBEAT_ALARM = 'session-heartbeat';
+    this.HEARTBEAT_MINUTES = 1;
+    this.NOTIFICATION_ID = 'crash-recovery';
+    this.RECOVERY_KEY = 'crash_recovery';
+    // Session storage is emptied on browser restart; set once the previous session was checked
+    this.CHECKED_KEY = 'crash_check_done';
+  }
+
+  isRestorable(url) {
+    return /^(https?|file):/.test(url || '');
+  }
+
+  /**
+   * Re-creating an alarm restarts its period, so this only runs on install and startup
+   */
+  scheduleHeartbeat() {
+    chrome.alarms.create(this.HEARTBEAT_ALARM, { periodInMinutes: this.HEARTBEAT_MINUTES });
+  }
+
+  /**
+   * Open normal windows with their tabs, tab groups and the saved tabs bound to them
+   *
+   * Shape: [{ focused, state, tabs: [{ url, title, pinned, active, group, saved: [{ projectId, tabId }] }] }]
+   */
+  async captureLayout() {
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    const groups = new Map((await chrome.tabGroups.query({})).map(group => [group.id, group]));
+    const projects = await this.storageManager.getProjects();
+
+    return windows
+      .filter(win => !win.incognito)
+      .map(win => ({
+        focused: win.focused,
+        state: win.state,
+        tabs: (win.tabs || [])
+          .filter(tab => this.isRestorable(tab.url))
+          .map(tab => {
+            const group = groups.get(tab.groupId);
+            const saved = [];
+            projects.forEach(project => (project.tabs || []).forEach(record => {
+              if (record.chromeTabId === tab.id && record.liveStatus === 'open' && !record.removed) {
+                saved.push({ projectId: project.id, tabId: record.id });
+              }
+            }));
+
+            return {
+              url: tab.url,
+              title: tab.title,
+              pinned: tab.pinned,
+              active: tab.active,
+              group: group ? { title: group.title, color: group.color, collapsed: group.collapsed } : null,
+              saved
+            };
+          })
+      }))
+      .filter(win => win.tabs.length > 0);
+  }
+
+  /**
+   * Record the open windows. Nothing is written before the previous session was
+   * checked, or while no window is open (that state is the clean shutdown marker).
+   */
+  async heartbeat() {
+    try {
+      const result = await chrome.storage.session.get(this.CHECKED_KEY);
+      if (!result[this.CHECKED_KEY]) return;
+
+      const windows = await this.captureLayout();
+      if (windows.length === 0) return;
+
+      await this.storageManager.markSessionActive({ windows });
+    } catch (error) {
+      console.error('Failed to record session heartbeat:', error);
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name === this.HEARTBEAT_ALARM) {
+      return this.heartbeat();
+    }
+  }
+
+  /**
+   * Closing the last window is how a normal shutdown looks from here
+   */
+  async handleWindowRemoved() {
+    const remaining = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    if (remaining.length > 0) return;
+
+    await this.storageManager.createSessionSnapshot('pre-close');
+    await this.storageManager.markSessionClosed();
+  }
+
+  /**
+   * On browser start: if the last session never closed cleanly, keep its layout
+   * and ask whether to reopen it. Then start a fresh heartbeat.
+   */
+  async handleStartup() {
+    const previous = await this.storageManager.checkPreviousSessionCrashed();
+    const tabCount = (previous.windows || []).reduce((sum, win) => sum + win.tabs.length, 0);
+
+    if (previous.crashed && tabCount > 0) {
+      await chrome.storage.local.set({
+        [this.RECOVERY_KEY]: { windows: previous.windows, lastUpdate: previous.lastUpdate }
+      });
+      await this.notify(previous.windows.length, tabCount);
+    }
+
+    await this.start();
+  }
+
+  /**
+   * Begin heartbeats for this session, e.g. right after install or update
+   */
+  async start() {
+    await chrome.storage.session.set({ [this.CHECKED_KEY]: true });
+    this.scheduleHeartbeat();
+    await this.heartbeat();
+  }
+
+  notify(windowCount, tabCount) {
+    return chrome.notifications.create(this.NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Chrome closed unexpectedly',
+      message: `Reopen ${tabCount} tab${tabCount === 1 ? '' : 's'} from ${windowCount} window${windowCount === 1 ? '' : 's'}, grouped by intent?`,
+      buttons: [{ title: 'Reopen tabs' }, { title: 'Dismiss' }],
+      requireInteraction: true
+    });
+  }
+
+  handleNotificationButton(notificationId, buttonIndex) {
+    if (notificationId !== this.NOTIFICATION_ID) return;
+    return buttonIndex === 0 ? this.reopen() : this.dismiss();
+  }
+
+  handleNotificationClicked(notificationId) {
+    if (notificationId !== this.NOTIFICATION_ID) return;
+    return this.reopen();
+  }
+
+  async dismiss() {
+    await chrome.storage.local.remove(this.RECOVERY_KEY);
+    await chrome.notifications.clear(this.NOTIFICATION_ID);
+  }
+
+  /**
+   * Reopen the crashed session's windows, rebuild their tab groups and bind
+   * saved tabs (and projects shown as groups) to the new tabs
+   */
+  async reopen() {
+    try {
+      const result = await chrome.storage.local.get(this.RECOVERY_KEY);
+      const recovery = result[this.RECOVERY_KEY];
+      await this.dismiss();
+      if (!recovery) {
+        return { success: false, error: 'Nothing to reopen' };
+      }
+
+      const bindings = [];
+      const groupBindings = [];
+
+      for (const layout of recovery.windows) {
+        const created = await chrome.windows.create({ url: layout.tabs.map(tab => tab.url), focused: layout.focused });
+        const tabs = created.tabs || [];
+
+        for (const [index, saved] of layout.tabs.entries()) {
+          const tab = tabs[index];
+          if (!tab) continue;
+
+          if (saved.pinned) await chrome.tabs.update(tab.id, { pinned: true });
+          if (saved.active) await chrome.tabs.update(tab.id, { active: true });
+          saved.saved.forEach(record => bindings.push({ ...record, chromeTabId: tab.id }));
+        }
+
+        // Tabs that shared a group title and color go back into one group
+        const groups = new Map();
+        layout.tabs.forEach((saved, index) => {
+          if (!saved.group || !tabs[index] || saved.pinned) return;
+          const key = `${saved.group.title}\n${saved.group.color}`;
+          if (!groups.has(key)) groups.set(key, { ...saved.group, tabIds: [] });
+          groups.get(key).tabIds.push(tabs[index].id);
+        });
+
+        for (const group of groups.values()) {
+          const groupId = await chrome.tabs.group({ tabIds: group.tabIds, createProperties: { windowId: created.id } });
+          await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+          groupBindings.push({ title: group.title, groupId });
+        }
+      }
+
+      await this.updateProjects(projects => {
+        bindings.forEach(binding => {
+          const project = projects.find(p => p.id === binding.projectId);
+          const record = project?.tabs?.find(t => t.id === binding.tabId);
+          if (!record) return;
+
+          record.chromeTabId = binding.chromeTabId;
+          record.liveStatus = 'open';
+          delete record.closedAt;
+        });
+        groupBindings.forEach(({ title, groupId }) => {
+          const project = projects.find(p => !p.removed && (p.intent || p.title) === title);
+          if (project) project.groupId = groupId;
+        });
+        return bindings.length + groupBindings.length > 0;
+      });
+
+      return { success: true, windowCount: recovery.windows.length };
+    } catch (error) {
+      console.error('Failed to reopen crashed session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.CrashRecovery = CrashRecovery;
+}
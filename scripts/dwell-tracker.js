@@ -0,0 +1,189 @@
+/**
+ * Tab Story - Dwell Tracker
+ * Local-only accounting of active time per saved tab and per project
+ */
+
+class DwellTracker {
+  /**
+   * @param {Function} getProjects - Resolves to the stored projects
+   */
+  constructor(getProjects) {
+    this.getProjects = getProjects;
+    this.STORAGE_KEY = 'tab_dwell';
+    this.FOCUS_KEY = 'dwell_focus';
+    this.DAYS_KEPT = 14;
+    this.IDLE_DETECTION_SECONDS = 60;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run tracking steps one at a time so flushes never overlap
+   */
+  run(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('Failed to track active time:', error));
+    return this.queue;
+  }
+
+  /**
+   * Local calendar day used to bucket time, e.g. "2024-03-09"
+   */
+  getDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Start counting time for a tab, closing out the previous one
+   */
+  startTracking(tabId) {
+    return this.run(async () => {
+      await this.flush();
+      await chrome.storage.session.set({ [this.FOCUS_KEY]: { tabId, since: Date.now() } });
+    });
+  }
+
+  /**
+   * Stop counting until a tab gains focus again
+   */
+  stopTracking(endTime = Date.now()) {
+    return this.run(async () => {
+      await this.flush(endTime);
+      await chrome.storage.session.remove(this.FOCUS_KEY);
+    });
+  }
+
+  /**
+   * Only tab switches in the window the user is looking at count
+   */
+  async handleTabActivated(activeInfo) {
+    const focusedWindow = await chrome.windows.getLastFocused();
+    if (!focusedWindow.focused || focusedWindow.id !== activeInfo.windowId) return;
+
+    return this.startTracking(activeInfo.tabId);
+  }
+
+  /**
+   * Focus moved to another window, or away from the browser entirely
+   */
+  async handleWindowFocusChanged(windowId) {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      return this.stopTracking();
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) {
+      return this.startTracking(tab.id);
+    }
+  }
+
+  /**
+   * Idle time is not active time. Chrome reports idle only after the
+   * detection interval has passed, so that interval is taken back off.
+   */
+  async handleIdleStateChanged(state) {
+    if (state === 'active') {
+      return this.resume();
+    }
+
+    const idleSince = state === 'idle'
+      ? Date.now() - this.IDLE_DETECTION_SECONDS * 1000
+      : Date.now();
+    return this.stopTracking(idleSince);
+  }
+
+  /**
+   * Must run before the saved tab is unbound from its Chrome tab id
+   */
+  async handleTabRemoved(tabId) {
+    const result = await chrome.storage.session.get(this.FOCUS_KEY);
+    if (result[this.FOCUS_KEY]?.tabId === tabId) {
+      return this.stopTracking();
+    }
+  }
+
+  /**
+   * Pick up the active tab of the focused window, e.g. on startup
+   */
+  async resume() {
+    const focusedWindow = await chrome.windows.getLastFocused({ populate: true });
+    const tab = focusedWindow.focused && focusedWindow.tabs?.find(t => t.active);
+    if (tab) {
+      return this.startTracking(tab.id);
+    }
+  }
+
+  /**
+   * Credit the time since the focus started to the saved tabs bound to it
+   */
+  async flush(endTime = Date.now()) {
+    const focusResult = await chrome.storage.session.get(this.FOCUS_KEY);
+    const focus = focusResult[this.FOCUS_KEY];
+    if (!focus) return;
+
+    const seconds = Math.round((endTime - focus.since) / 1000);
+    if (seconds <= 0) return;
+
+    const projects = await this.getProjects();
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    const dwell = result[this.STORAGE_KEY] || { tabs: {}, days: {} };
+    const recorded = this.recordActiveTime(dwell, projects, focus.tabId, seconds, new Date(endTime));
+
+    if (recorded) {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: dwell });
+    }
+  }
+
+  /**
+   * Add seconds to every live saved tab bound to a Chrome tab, and to its
+   * project's total for the day. Returns false when nothing was saved for it.
+   *
+   * Stored shape: { tabs: { [savedTabId]: seconds }, days: { [day]: { [projectId]: seconds } } }
+   */
+  recordActiveTime(dwell, projects, chromeTabId, seconds, date = new Date()) {
+    const dayKey = this.getDayKey(date);
+    let recorded = false;
+
+    projects.forEach(project => {
+      (project.tabs || []).forEach(record => {
+        if (record.chromeTabId !== chromeTabId || record.liveStatus !== 'open' || record.removed) return;
+
+        dwell.tabs[record.id] = (dwell.tabs[record.id] || 0) + seconds;
+        dwell.days[dayKey] = dwell.days[dayKey] || {};
+        dwell.days[dayKey][project.id] = (dwell.days[dayKey][project.id] || 0) + seconds;
+        recorded = true;
+      });
+    });
+
+    if (recorded) {
+      this.prune(dwell, projects, date);
+    }
+    return recorded;
+  }
+
+  /**
+   * Drop days past the retention window and totals of tabs that no longer exist
+   */
+  prune(dwell, projects, date = new Date()) {
+    const cutoff = new Date(date);
+    cutoff.setDate(cutoff.getDate() - this.DAYS_KEPT);
+    const cutoffKey = this.getDayKey(cutoff);
+
+    Object.keys(dwell.days).forEach(dayKey => {
+      if (dayKey < cutoffKey) delete dwell.days[dayKey];
+    });
+
+    const savedTabIds = new Set();
+    projects.forEach(project => (project.tabs || []).forEach(record => savedTabIds.add(record.id)));
+    Object.keys(dwell.tabs).forEach(tabId => {
+      if (!savedTabIds.has(tabId)) delete dwell.tabs[tabId];
+    });
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.DwellTracker = DwellTracker;
+}
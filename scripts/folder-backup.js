@@ -0,0 +1,356 @@
+/**
+ * Tab Story - Folder Backup
+ * Optionally writes session snapshots as rotating JSON files into a folder the
+ * user picked (File System Access API), so backups survive uninstalling the
+ * extension or clearing its data.
+ */
+
+class FolderBackup {
+  /**
+   * @param {StorageManager} storageManager - Source of the snapshots that are written out
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.SETTINGS_KEY = 'folder_backup';
+    this.ALARM = 'folder-backup';
+    this.DEFAULTS = { enabled: false, folderName: null, intervalMinutes: 60, keep: 10, encrypted: false };
+
+    // Directory handles can't go into chrome.storage, only into IndexedDB
+    this.HANDLE_DB = 'tab_story_files';
+    this.HANDLE_STORE = 'handles';
+    this.HANDLE_KEY = 'backup-directory';
+    // The derived key is stored instead of the passphrase, and can't be read back out
+    this.ENCRYPTION_KEY = 'backup-key';
+
+    this.FILE_PREFIX = 'tab-story-backup-';
+    this.FILE_FORMAT = 'tab-story-snapshot';
+    this.FILE_VERSION = 1;
+  }
+
+  static isSupported() {
+    return typeof FileSystemDirectoryHandle !== 'undefined' && typeof indexedDB !== 'undefined';
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Shape: { enabled, folderName, intervalMinutes, keep, encrypted, lastBackupAt, lastFile,
+   *   lastFingerprint, status: 'ok' | 'permission-needed' | 'error', error }
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(this.SETTINGS_KEY);
+    return { ...this.DEFAULTS, ...result[this.SETTINGS_KEY] };
+  }
+
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Re-creating an alarm restarts its period, so this only runs on install,
+   * startup and when the interval changes
+   */
+  async schedule() {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      chrome.alarms.create(this.ALARM, { periodInMinutes: settings.intervalMinutes });
+    } else {
+      await chrome.alarms.clear(this.ALARM);
+    }
+  }
+
+  // ==================== DIRECTORY HANDLE ====================
+
+  openHandleDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.HANDLE_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.HANDLE_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async handleRequest(mode, run) {
+    const db = await this.openHandleDb();
+    try {
+      return await new Promise((resolve, reject) => {
+        const request = run(db.transaction(this.HANDLE_STORE, mode).objectStore(this.HANDLE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async getHandle() {
+    return (await this.handleRequest('readonly', store => store.get(this.HANDLE_KEY))) || null;
+  }
+
+  async saveHandle(handle) {
+    await this.handleRequest('readwrite', store => store.put(handle, this.HANDLE_KEY));
+  }
+
+  async clearHandle() {
+    await this.handleRequest('readwrite', store => store.delete(this.HANDLE_KEY));
+  }
+
+  async getEncryptionKey() {
+    return (await this.handleRequest('readonly', store => store.get(this.ENCRYPTION_KEY))) || null;
+  }
+
+  /**
+   * Encrypt backup files from now on with this passphrase, or stop with null.
+   * The next backup is written even if nothing changed, so the folder has a file in the new form.
+   */
+  async setPassphrase(passphrase) {
+    try {
+      if (passphrase) {
+        const keyInfo = await new BackupCrypto().createKey(passphrase);
+        await this.handleRequest('readwrite', store => store.put(keyInfo, this.ENCRYPTION_KEY));
+      } else {
+        await this.handleRequest('readwrite', store => store.delete(this.ENCRYPTION_KEY));
+      }
+      const settings = await this.saveSettings({ encrypted: !!passphrase, lastFingerprint: null });
+      return { success: true, settings };
+    } catch (error) {
+      console.error('Failed to set backup passphrase:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Access lapses when the browser restarts. Asking again needs a click on an
+   * extension page, so the background worker only checks.
+   */
+  async hasPermission(handle, request = false) {
+    const options = { mode: 'readwrite' };
+    if ((await handle.queryPermission(options)) === 'granted') return true;
+    return request && (await handle.requestPermission(options)) === 'granted';
+  }
+
+  /**
+   * Let the user pick the folder; must run from a click on an extension page
+   */
+  async chooseFolder() {
+    try {
+      const handle = await showDirectoryPicker({ id: 'tab-story-backups', mode: 'readwrite' });
+      await this.saveHandle(handle);
+      const settings = await this.saveSettings({ enabled: true, folderName: handle.name, status: 'ok', error: null });
+      return { success: true, settings };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true };
+      }
+      console.error('Failed to choose backup folder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async disconnect() {
+    await this.clearHandle();
+    await this.handleRequest('readwrite', store => store.delete(this.ENCRYPTION_KEY));
+    return this.saveSettings({ enabled: false, folderName: null, encrypted: false, status: null, error: null, lastFingerprint: null });
+  }
+
+  /**
+   * The folder handle, if one is set and usable without asking
+   */
+  async getWritableHandle() {
+    const handle = await this.getHandle();
+    if (!handle) {
+      throw new Error('No backup folder chosen');
+    }
+    if (!(await this.hasPermission(handle))) {
+      const error = new Error('Access to the backup folder needs to be allowed again');
+      error.status = 'permission-needed';
+      throw error;
+    }
+    return handle;
+  }
+
+  // ==================== BACKUP FILES ====================
+
+  /**
+   * Timestamped names sort oldest to newest, which rotation relies on
+   */
+  getFileName(timestamp) {
+    return `${this.FILE_PREFIX}${new Date(timestamp).toISOString().replace(/[:.]/g, '-')}.json`;
+  }
+
+  isBackupFile(name) {
+    return name.startsWith(this.FILE_PREFIX) && name.endsWith('.json');
+  }
+
+  buildFile(snapshot, projects) {
+    const { delta, baseId, kind, ...meta } = snapshot;
+    return {
+      format: this.FILE_FORMAT,
+      version: this.FILE_VERSION,
+      snapshot: { ...meta, projects }
+    };
+  }
+
+  /**
+   * Projects from a backup file, checked the same way an import is
+   */
+  parseFile(payload) {
+    if (payload?.format !== this.FILE_FORMAT || !Array.isArray(payload.snapshot?.projects)) {
+      throw new Error('Not a Tab Story backup file');
+    }
+    return new ImportPlanner(new SchemaMigrator(null)).validate(payload.snapshot.projects).projects;
+  }
+
+  /**
+   * Take a snapshot and write it to the folder, keeping the newest `keep` files.
+   * Nothing is written while the projects are unchanged since the last file.
+   */
+  async runBackup() {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        return { success: false, error: 'Folder backups are off' };
+      }
+
+      const handle = await this.getWritableHandle();
+      const result = await this.storageManager.createSessionSnapshot('auto');
+      if (!result.snapshot) {
+        return { success: false, error: result.message || 'Could not take a snapshot' };
+      }
+      if (result.snapshot.fingerprint === settings.lastFingerprint) {
+        await this.saveSettings({ status: 'ok', error: null });
+        return { success: true, skipped: true };
+      }
+
+      const projects = await this.storageManager.getSnapshotProjects(result.snapshot.id);
+      let content = this.buildFile(result.snapshot, projects);
+      if (settings.encrypted) {
+        const keyInfo = await this.getEncryptionKey();
+        if (!keyInfo) {
+          throw new Error('Set the backup passphrase again to keep encrypting backups');
+        }
+        content = await new BackupCrypto().encryptWithKey(content, keyInfo);
+      }
+
+      const name = this.getFileName(result.snapshot.timestamp);
+      const fileHandle = await handle.getFileHandle(name, { create: true });
+      const writable = await fileHandle.createWritable();
+      await writable.write(JSON.stringify(content, null, 2));
+      await writable.close();
+
+      const removed = await this.rotate(handle, settings.keep);
+      await this.saveSettings({
+        lastBackupAt: new Date().toISOString(),
+        lastFile: name,
+        lastFingerprint: result.snapshot.fingerprint,
+        status: 'ok',
+        error: null
+      });
+
+      return { success: true, file: name, removed };
+    } catch (error) {
+      console.error('Failed to write folder backup:', error);
+      await this.saveSettings({ status: error.status || 'error', error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete all but the newest `keep` backup files; other files are left alone
+   */
+  async rotate(handle, keep) {
+    const names = (await this.listFiles(handle)).map(file => file.name);
+    const expired = names.slice(keep);
+    for (const name of expired) {
+      await handle.removeEntry(name);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Backup files in the folder, newest first
+   */
+  async listFiles(handle) {
+    const files = [];
+    for await (const [name, entry] of handle.entries()) {
+      if (entry.kind === 'file' && this.isBackupFile(name)) {
+        files.push({ name, entry });
+      }
+    }
+    return files.sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * @returns {Object} { success, files: [{ name, timestamp, size }] }
+   */
+  async listBackups() {
+    try {
+      const handle = await this.getWritableHandle();
+      const files = [];
+      for (const { name, entry } of await this.listFiles(handle)) {
+        const file = await entry.getFile();
+        files.push({ name, timestamp: new Date(file.lastModified).toISOString(), size: file.size });
+      }
+      return { success: true, files };
+    } catch (error) {
+      console.error('Failed to list folder backups:', error);
+      return { success: false, error: error.message, files: [] };
+    }
+  }
+
+  /**
+   * Replace the projects with a backup file's. A 'pre-restore' snapshot is taken first.
+   * Encrypted files open with the stored key when they were written with it;
+   * older ones need their passphrase (the result has needsPassphrase set).
+   */
+  async restore(name, passphrase = null) {
+    try {
+      if (!this.isBackupFile(name)) {
+        return { success: false, error: 'Not a Tab Story backup file' };
+      }
+
+      const handle = await this.getWritableHandle();
+      const file = await (await handle.getFileHandle(name)).getFile();
+      let payload = JSON.parse(await file.text());
+
+      const backupCrypto = new BackupCrypto();
+      if (backupCrypto.isEncrypted(payload)) {
+        const keyInfo = await this.getEncryptionKey();
+        const secret = backupCrypto.matchesKey(payload, keyInfo) ? keyInfo : passphrase;
+        if (!secret) {
+          return { success: false, needsPassphrase: true, error: 'This backup is encrypted. Enter its passphrase to restore it.' };
+        }
+        try {
+          payload = await backupCrypto.decrypt(payload, secret);
+        } catch (error) {
+          return { success: false, needsPassphrase: error.code === 'wrong-passphrase', error: error.message };
+        }
+      }
+
+      const projects = this.parseFile(payload);
+
+      const backup = await this.storageManager.createSessionSnapshot('pre-restore');
+      const saved = await this.storageManager.saveProjects(projects, { label: `Restore backup file ${name}` });
+      if (!saved.success) {
+        return { success: false, error: 'Failed to save restored projects' };
+      }
+
+      return {
+        success: true,
+        projectCount: projects.length,
+        tabCount: projects.reduce((sum, p) => sum + p.tabs.filter(t => !t.removed).length, 0),
+        snapshotId: backup.snapshot?.id
+      };
+    } catch (error) {
+      console.error('Failed to restore folder backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.FolderBackup = FolderBackup;
+}
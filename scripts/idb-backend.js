@@ -0,0 +1,476 @@
+/**
+ * Tab Story - IndexedDB Backend
+ * Projects, tabs, snapshots, timeline and summaries as separate object stores,
+ * so changing one tab writes one record instead of every project.
+ */
+
+class IndexedDBBackend {
+  constructor() {
+    this.DB_NAME = 'tab_story';
+    this.DB_VERSION = 1;
+    this.STORES = {
+      PROJECTS: 'projects',
+      TABS: 'tabs',
+      SNAPSHOTS: 'snapshots',
+      TIMELINE: 'timeline',
+      SUMMARIES: 'summaries'
+    };
+
+    // chrome.storage.local keys this backend replaces, read once by the migration
+    this.LEGACY_KEYS = {
+      PROJECTS: 'tab_projects',
+      SNAPSHOTS: 'session_snapshots',
+      LAST_SESSION: 'last_session',
+      TIMELINE_INDEX: 'timeline_index',
+      TIMELINE_DAY_PREFIX: 'timeline_day_'
+    };
+    this.MIGRATION_KEY = 'storage_backend';
+
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database once per context, migrating chrome.storage data on first use
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => this.upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async db => {
+        await this.migrateFromChromeStorage(db);
+        return db;
+      });
+
+      // A failed open should be retried on the next call, not cached
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  upgrade(db) {
+    if (!db.objectStoreNames.contains(this.STORES.PROJECTS)) {
+      db.createObjectStore(this.STORES.PROJECTS, { keyPath: 'id' });
+    }
+
+    // The same tab id can be saved into more than one project
+    if (!db.objectStoreNames.contains(this.STORES.TABS)) {
+      const tabs = db.createObjectStore(this.STORES.TABS, { keyPath: ['projectId', 'id'] });
+      tabs.createIndex('url', 'url');
+    }
+
+    if (!db.objectStoreNames.contains(this.STORES.SNAPSHOTS)) {
+      const snapshots = db.createObjectStore(this.STORES.SNAPSHOTS, { keyPath: 'id' });
+      snapshots.createIndex('timestamp', 'timestamp');
+    }
+
+    if (!db.objectStoreNames.contains(this.STORES.TIMELINE)) {
+      const timeline = db.createObjectStore(this.STORES.TIMELINE, { keyPath: 'id' });
+      timeline.createIndex('day', 'day');
+      timeline.createIndex('timestamp', ['timestamp', 'id']);
+      timeline.createIndex('domain', ['domain', 'timestamp', 'id']);
+    }
+
+    if (!db.objectStoreNames.contains(this.STORES.SUMMARIES)) {
+      db.createObjectStore(this.STORES.SUMMARIES, { keyPath: 'tabId' });
+    }
+  }
+
+  /**
+   * Resolve a single IDBRequest
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve once a transaction has committed
+   */
+  completion(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async transaction(storeNames, mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction(storeNames, mode);
+  }
+
+  /**
+   * Key range covering every tab of one project
+   */
+  projectTabsRange(projectId) {
+    // Arrays sort after every string and number, so [id, []] is past any tab id
+    return IDBKeyRange.bound([projectId], [projectId, []]);
+  }
+
+  // ==================== PROJECTS & TABS ====================
+
+  /**
+   * Projects in their saved order, each with its tabs in order
+   */
+  async getProjects() {
+    const tx = await this.transaction([this.STORES.PROJECTS, this.STORES.TABS]);
+    const [projectRecords, tabRecords] = await Promise.all([
+      this.request(tx.objectStore(this.STORES.PROJECTS).getAll()),
+      this.request(tx.objectStore(this.STORES.TABS).getAll())
+    ]);
+
+    const tabsByProject = {};
+    tabRecords
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ projectId, position, ...tab }) => {
+        (tabsByProject[projectId] = tabsByProject[projectId] || []).push(tab);
+      });
+
+    return projectRecords
+      .sort((a, b) => a.position - b.position)
+      .map(({ position, ...project }) => ({ ...project, tabs: tabsByProject[project.id] || [] }));
+  }
+
+  /**
+   * Replace every project and tab
+   */
+  async saveProjects(projects) {
+    const tx = await this.transaction([this.STORES.PROJECTS, this.STORES.TABS], 'readwrite');
+    tx.objectStore(this.STORES.PROJECTS).clear();
+    tx.objectStore(this.STORES.TABS).clear();
+    projects.forEach((project, position) => this.writeProject(tx, project, position));
+    return this.completion(tx);
+  }
+
+  /**
+   * Insert or replace one project, tabs included
+   */
+  async putProject(project, position) {
+    const tx = await this.transaction([this.STORES.PROJECTS, this.STORES.TABS], 'readwrite');
+    tx.objectStore(this.STORES.TABS).delete(this.projectTabsRange(project.id));
+    this.writeProject(tx, project, position);
+    return this.completion(tx);
+  }
+
+  writeProject(tx, project, position) {
+    const { tabs = [], ...record } = project;
+    tx.objectStore(this.STORES.PROJECTS).put({ ...record, position });
+
+    const tabStore = tx.objectStore(this.STORES.TABS);
+    tabs.forEach((tab, tabPosition) => {
+      tabStore.put({ ...tab, projectId: project.id, position: tabPosition });
+    });
+  }
+
+  async deleteProject(projectId) {
+    const tx = await this.transaction([this.STORES.PROJECTS, this.STORES.TABS], 'readwrite');
+    tx.objectStore(this.STORES.PROJECTS).delete(projectId);
+    tx.objectStore(this.STORES.TABS).delete(this.projectTabsRange(projectId));
+    return this.completion(tx);
+  }
+
+  /**
+   * Insert or replace one tab of a project. New tabs go after the last one.
+   */
+  async putTab(projectId, tab) {
+    const tx = await this.transaction([this.STORES.TABS], 'readwrite');
+    const store = tx.objectStore(this.STORES.TABS);
+    const existing = await this.request(store.get([projectId, tab.id]));
+
+    let position = existing?.position;
+    if (position === undefined) {
+      const siblings = await this.request(store.getAll(this.projectTabsRange(projectId)));
+      position = siblings.reduce((max, sibling) => Math.max(max, sibling.position + 1), 0);
+    }
+
+    store.put({ ...tab, projectId, position });
+    return this.completion(tx);
+  }
+
+  // ==================== SNAPSHOTS ====================
+
+  /**
+   * Newest first
+   */
+  async getSnapshots() {
+    const tx = await this.transaction([this.STORES.SNAPSHOTS]);
+    const snapshots = await this.request(tx.objectStore(this.STORES.SNAPSHOTS).getAll());
+    return snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async putSnapshot(snapshot) {
+    const tx = await this.transaction([this.STORES.SNAPSHOTS], 'readwrite');
+    tx.objectStore(this.STORES.SNAPSHOTS).put(snapshot);
+    return this.completion(tx);
+  }
+
+  async deleteSnapshots(snapshotIds) {
+    const tx = await this.transaction([this.STORES.SNAPSHOTS], 'readwrite');
+    const store = tx.objectStore(this.STORES.SNAPSHOTS);
+    snapshotIds.forEach(id => store.delete(id));
+    return this.completion(tx);
+  }
+
+  async getLatestSnapshot() {
+    const tx = await this.transaction([this.STORES.SNAPSHOTS]);
+    const index = tx.objectStore(this.STORES.SNAPSHOTS).index('timestamp');
+    const cursor = await this.request(index.openCursor(null, 'prev'));
+    return cursor ? cursor.value : null;
+  }
+
+  // ==================== SUMMARIES ====================
+
+  async getSummaries() {
+    const tx = await this.transaction([this.STORES.SUMMARIES]);
+    return this.request(tx.objectStore(this.STORES.SUMMARIES).getAll());
+  }
+
+  async getSummary(tabId) {
+    const tx = await this.transaction([this.STORES.SUMMARIES]);
+    return (await this.request(tx.objectStore(this.STORES.SUMMARIES).get(tabId))) || null;
+  }
+
+  async putSummary(record) {
+    const tx = await this.transaction([this.STORES.SUMMARIES], 'readwrite');
+    tx.objectStore(this.STORES.SUMMARIES).put(record);
+    return this.completion(tx);
+  }
+
+  async deleteSummaries(tabIds) {
+    const tx = await this.transaction([this.STORES.SUMMARIES], 'readwrite');
+    const store = tx.objectStore(this.STORES.SUMMARIES);
+    tabIds.forEach(tabId => store.delete(tabId));
+    return this.completion(tx);
+  }
+
+  // ==================== TIMELINE ====================
+
+  /**
+   * Events must carry a `day` key (local YYYY-MM-DD) for retention
+   */
+  async addTimelineEvents(events) {
+    const tx = await this.transaction([this.STORES.TIMELINE], 'readwrite');
+    const store = tx.objectStore(this.STORES.TIMELINE);
+    events.forEach(event => store.put(event));
+    return this.completion(tx);
+  }
+
+  /**
+   * Walk events newest first from just before the cursor.
+   * The returned cursor is null once there is nothing older.
+   */
+  async queryTimeline({ cursor = null, limit, domain = null, types = null }) {
+    const tx = await this.transaction([this.STORES.TIMELINE]);
+    const store = tx.objectStore(this.STORES.TIMELINE);
+
+    let source;
+    let range = null;
+    if (domain) {
+      source = store.index('domain');
+      range = cursor
+        ? IDBKeyRange.bound([domain], [domain, cursor.timestamp, cursor.id], false, true)
+        : IDBKeyRange.bound([domain], [domain, []]);
+    } else {
+      source = store.index('timestamp');
+      range = cursor ? IDBKeyRange.upperBound([cursor.timestamp, cursor.id], true) : null;
+    }
+
+    return new Promise((resolve, reject) => {
+      const events = [];
+      const request = source.openCursor(range, 'prev');
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const current = request.result;
+        if (!current) {
+          resolve({ events, cursor: null });
+          return;
+        }
+
+        const event = current.value;
+        if (!types || types.includes(event.type)) {
+          events.push(event);
+        }
+
+        if (events.length === limit) {
+          resolve({ events, cursor: { timestamp: event.timestamp, id: event.id } });
+          return;
+        }
+        current.continue();
+      };
+    });
+  }
+
+  /**
+   * Delete events from days before the given day key
+   */
+  async deleteTimelineBefore(dayKey) {
+    const tx = await this.transaction([this.STORES.TIMELINE], 'readwrite');
+    const index = tx.objectStore(this.STORES.TIMELINE).index('day');
+    const request = index.openCursor(IDBKeyRange.upperBound(dayKey, true));
+
+    let deleted = 0;
+    request.onsuccess = () => {
+      const current = request.result;
+      if (!current) return;
+      current.delete();
+      deleted++;
+      current.continue();
+    };
+
+    await this.completion(tx);
+    return deleted;
+  }
+
+  async clearTimeline() {
+    const tx = await this.transaction([this.STORES.TIMELINE], 'readwrite');
+    tx.objectStore(this.STORES.TIMELINE).clear();
+    return this.completion(tx);
+  }
+
+  // ==================== WHOLE STORE ====================
+
+  async clearProjects() {
+    const tx = await this.transaction(
+      [this.STORES.PROJECTS, this.STORES.TABS, this.STORES.SUMMARIES],
+      'readwrite'
+    );
+    tx.objectStore(this.STORES.PROJECTS).clear();
+    tx.objectStore(this.STORES.TABS).clear();
+    tx.objectStore(this.STORES.SUMMARIES).clear();
+    return this.completion(tx);
+  }
+
+  // ==================== MIGRATION ====================
+
+  /**
+   * One-time move of projects, snapshots, timeline and summaries out of
+   * chrome.storage.local. The copy is counted inside its transaction; unless
+   * every record read was written, nothing is committed and the old keys stay
+   * for the next run.
+   */
+  async migrateFromChromeStorage(db) {
+    const marker = await chrome.storage.local.get(this.MIGRATION_KEY);
+    if (marker[this.MIGRATION_KEY] === 'indexeddb') return;
+
+    const stored = await chrome.storage.local.get(null);
+    const dayKeys = Object.keys(stored).filter(key => key.startsWith(this.LEGACY_KEYS.TIMELINE_DAY_PREFIX));
+    const { projects, snapshots, timeline, summaries } = this.collectLegacyRecords(stored, dayKeys);
+    const expected = {
+      [this.STORES.PROJECTS]: projects.length,
+      [this.STORES.TABS]: projects.reduce((sum, project) => sum + project.tabs.length, 0),
+      [this.STORES.SNAPSHOTS]: snapshots.length,
+      [this.STORES.TIMELINE]: timeline.length,
+      [this.STORES.SUMMARIES]: summaries.length
+    };
+
+    const tx = db.transaction(Object.values(this.STORES), 'readwrite');
+    const committed = this.completion(tx);
+    const before = await this.countRecords(tx);
+
+    projects.forEach((project, position) => this.writeProject(tx, project, position));
+    snapshots.forEach(snapshot => tx.objectStore(this.STORES.SNAPSHOTS).put(snapshot));
+    timeline.forEach(event => tx.objectStore(this.STORES.TIMELINE).put(event));
+    summaries.forEach(summary => tx.objectStore(this.STORES.SUMMARIES).put(summary));
+
+    const after = await this.countRecords(tx);
+    const short = Object.keys(expected).filter(name => after[name] - before[name] !== expected[name]);
+    if (short.length > 0) {
+      tx.abort();
+      await committed.catch(() => {});
+      throw new Error(`Storage migration did not write every record (${short.join(', ')})`);
+    }
+    await committed;
+
+    await chrome.storage.local.set({
+      [this.MIGRATION_KEY]: 'indexeddb',
+      storage_migrated_at: new Date().toISOString()
+    });
+    await chrome.storage.local.remove([
+      this.LEGACY_KEYS.PROJECTS,
+      this.LEGACY_KEYS.SNAPSHOTS,
+      this.LEGACY_KEYS.LAST_SESSION,
+      this.LEGACY_KEYS.TIMELINE_INDEX,
+      ...dayKeys
+    ]);
+  }
+
+  /**
+   * The chrome.storage records as the stores will hold them, each with an id
+   * its store can key on. Summaries move off their tabs so project reads stay small.
+   */
+  collectLegacyRecords(stored, dayKeys) {
+    const identity = new Identity();
+    const projectIds = new Set();
+    const tabIds = new Set();
+    const summaries = [];
+
+    const projects = (stored[this.LEGACY_KEYS.PROJECTS] || []).map(project => {
+      const tabs = (project.tabs || []).map(tab => {
+        const { summary, ...rest } = tab;
+        // Summaries are keyed by tab id alone, so tab ids are kept unique across projects
+        const id = this.uniqueId(tab.id, tabIds, identity);
+        if (summary) {
+          summaries.push({ tabId: id, summary, createdAt: tab.timestamp || new Date().toISOString() });
+        }
+        return { ...rest, id };
+      });
+      return { ...project, id: this.uniqueId(project.id, projectIds, identity), tabs };
+    });
+
+    const snapshotIds = new Set();
+    const legacySnapshots = stored[this.LEGACY_KEYS.SNAPSHOTS] || [];
+    const lastSession = stored[this.LEGACY_KEYS.LAST_SESSION];
+    // The last session is usually also the newest snapshot
+    const sessions = lastSession?.id && !legacySnapshots.some(snapshot => snapshot.id === lastSession.id)
+      ? [...legacySnapshots, lastSession]
+      : legacySnapshots;
+    const snapshots = sessions.map(snapshot => ({ ...snapshot, id: this.uniqueId(snapshot.id, snapshotIds, identity) }));
+
+    const eventIds = new Set();
+    const timeline = dayKeys.flatMap(key => {
+      const day = key.slice(this.LEGACY_KEYS.TIMELINE_DAY_PREFIX.length);
+      return (stored[key] || []).map(event => ({ ...event, id: this.uniqueId(event.id, eventIds, identity), day }));
+    });
+
+    return { projects, snapshots, timeline, summaries };
+  }
+
+  /**
+   * A missing id gets a new one and a repeated id a ":copy" suffix, so no record replaces another
+   */
+  uniqueId(id, used, identity) {
+    const missing = id === undefined || id === null || id === '';
+    let unique = missing ? identity.createId() : id;
+    for (let copy = 1; used.has(String(unique)); copy++) {
+      unique = copy === 1 ? `${id}:copy` : `${id}:copy${copy}`;
+    }
+    used.add(String(unique));
+    return unique;
+  }
+
+  /**
+   * Records in each store, read inside the given transaction
+   */
+  async countRecords(tx) {
+    const names = Object.values(this.STORES);
+    const counts = await Promise.all(names.map(name => this.request(tx.objectStore(name).count())));
+    return Object.fromEntries(names.map((name, i) => [name, counts[i]]));
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.IndexedDBBackend = IndexedDBBackend;
+}
@@ -0,0 +1,147 @@
+/**
+ * Tab Story - Identity
+ * Ids for projects and saved tabs, and what makes two saved tabs the same page.
+ * Ids are UUIDs: timestamps collide when two records are made in the same
+ * millisecond, and Chrome hands out the same tab ids again after a restart.
+ * A saved tab is identified by its canonical URL (the page's own
+ * <link rel=canonical> when it was read, otherwise its URL without tracking
+ * parameters, fragment or www.), so the same page saved twice, in one
+ * project or in several, is recognised as a duplicate.
+ */
+
+class Identity {
+  constructor() {
+    this.ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    // Query parameters that only say where a visit came from
+    this.TRACKING_PREFIXES = ['utm_'];
+    this.TRACKING_PARAMS = [
+      'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+      'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src'
+    ];
+  }
+
+  // ==================== IDS ====================
+
+  /**
+   * A new random id for a project or a tab
+   */
+  createId() {
+    return crypto.randomUUID();
+  }
+
+  isId(id) {
+    return typeof id === 'string' && this.ID_PATTERN.test(id);
+  }
+
+  /**
+   * A UUID-shaped id derived from a seed; the same seed always gives the same
+   * id, so devices re-keying the same old record agree on its new id
+   */
+  deriveId(seed) {
+    // cyrb128: four 32-bit lanes, mixed together at the end
+    let h1 = 1779033703;
+    let h2 = 3144134277;
+    let h3 = 1013904242;
+    let h4 = 2773480762;
+    for (let i = 0; i < seed.length; i++) {
+      const code = seed.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ code, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= h2 ^ h3 ^ h4;
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+
+    const hex = [h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+    // Version 8 (custom) and the RFC 4122 variant, so it reads as any other UUID
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  // ==================== PAGES ====================
+
+  isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return this.TRACKING_PARAMS.includes(lower) || this.TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+  }
+
+  /**
+   * The URL a saved page is known by: scheme and host in lower case, no www.,
+   * default port, tracking parameters, fragment or trailing slash, and the
+   * remaining query parameters sorted. Fragments that route single-page apps
+   * (#/inbox, #!/inbox) are kept. Anything that doesn't parse as a URL is
+   * compared as it is.
+   */
+  normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return String(url || '').trim();
+    }
+
+    parsed.hostname = parsed.hostname.replace(/^www\./, '');
+    if (!/^#!?\//.test(parsed.hash)) parsed.hash = '';
+    [...parsed.searchParams.keys()]
+      .filter(name => this.isTrackingParam(name))
+      .forEach(name => parsed.searchParams.delete(name));
+    parsed.searchParams.sort();
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.href;
+  }
+
+  isSamePage(a, b) {
+    return this.normalizeUrl(a) === this.normalizeUrl(b);
+  }
+
+  /**
+   * The canonical URL a page declares, if it can be trusted: on the same
+   * site, and not the home page for a page deeper in the site (a common
+   * misconfiguration that would make every page of the site one page)
+   *
+   * @returns {string|null}
+   */
+  canonicalFor(url, canonicalUrl) {
+    if (!canonicalUrl) return null;
+    try {
+      const page = new URL(url);
+      const canonical = new URL(canonicalUrl, page);
+      const site = host => host.replace(/^www\./, '');
+      if (!['http:', 'https:'].includes(canonical.protocol)) return null;
+      if (site(canonical.hostname) !== site(page.hostname)) return null;
+      if (canonical.pathname === '/' && page.pathname !== '/') return null;
+      return canonical.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * What a saved tab, or a page about to be saved ({ url, canonicalUrl }), is compared by
+   */
+  pageKey(page) {
+    return this.normalizeUrl(page.canonicalUrl || page.url);
+  }
+
+  /**
+   * The tab of a project already saved for this page, leaving out the trash
+   */
+  findSavedTab(project, page) {
+    const key = this.pageKey(page);
+    return (project?.tabs || []).find(tab => !tab.removed && this.pageKey(tab) === key) || null;
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.Identity = Identity;
+}
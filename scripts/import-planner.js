@@ -0,0 +1,200 @@
+/**
+ * Tab Story - Import Planner
+ * Validates an import file and works out what it would change, without writing anything
+ */
+
+class ImportPlanner {
+  /**
+   * @param {SchemaMigrator} schema - Source of the canonical project/tab shape
+   */
+  constructor(schema) {
+    this.schema = schema;
+    this.STRATEGIES = {
+      REPLACE: 'replace',
+      MERGE: 'merge',
+      KEEP_BOTH: 'keep-both'
+    };
+    this.PROJECTS_KEY = 'tab_projects';
+    this.KEPT_SUFFIX = ' (imported)';
+  }
+
+  getIntentKey(project) {
+    return String(project.intent || project.title || '').trim().toLowerCase();
+  }
+
+  isValidUrl(url) {
+    try {
+      return ['http:', 'https:', 'file:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Accepts a full export ({ data: { tab_projects } }), the bare storage
+   * layout ({ tab_projects }) or a plain array of projects.
+   * Broken projects and tabs are dropped and reported instead of failing the import.
+   *
+   * @returns {Object} { valid, errors, dropped, projects }
+   */
+  validate(payload) {
+    const data = payload && payload.data && !Array.isArray(payload) ? payload.data : payload;
+    const rawProjects = Array.isArray(data) ? data : data?.[this.PROJECTS_KEY];
+
+    if (!Array.isArray(rawProjects)) {
+      return { valid: false, errors: ['No projects found in the file'], dropped: [], projects: [] };
+    }
+
+    const dropped = [];
+    const projects = [];
+
+    rawProjects.forEach((raw, index) => {
+      const label = raw?.intent || raw?.title || raw?.name || `Project ${index + 1}`;
+
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        dropped.push({ kind: 'project', label, reason: 'Not a project record' });
+        return;
+      }
+      if (!raw.intent && !raw.title && !raw.name) {
+        dropped.push({ kind: 'project', label, reason: 'Missing a name or intent' });
+        return;
+      }
+      if (raw.tabs !== undefined && !Array.isArray(raw.tabs)) {
+        dropped.push({ kind: 'project', label, reason: 'Tabs are not a list' });
+        return;
+      }
+
+      const tabs = (raw.tabs || []).filter(tab => {
+        if (tab && typeof tab === 'object' && this.isValidUrl(tab.url)) return true;
+
+        dropped.push({ kind: 'tab', label: tab?.title || tab?.url || 'Untitled', project: label, reason: 'Missing a valid URL' });
+        return false;
+      });
+
+      projects.push(this.schema.normalizeProject({ ...raw, tabs }));
+    });
+
+    return { valid: true, errors: [], dropped, projects };
+  }
+
+  /**
+   * Merge projects that share an intent; tabs are merged by URL, first one wins
+   *
+   * @returns {Object} { projects, merged } - merged lists the intents that had duplicates
+   */
+  dedupeByIntent(projects) {
+    const byIntent = new Map();
+    const merged = new Set();
+
+    projects.forEach(project => {
+      const key = this.getIntentKey(project);
+      const kept = byIntent.get(key);
+
+      if (!kept) {
+        byIntent.set(key, { ...project, tabs: [...project.tabs] });
+        return;
+      }
+
+      merged.add(kept.intent);
+      this.addMissingTabs(kept, project.tabs);
+    });
+
+    return { projects: [...byIntent.values()], merged: [...merged] };
+  }
+
+  /**
+   * Append tabs whose page the project does not have yet; returns how many were added
+   */
+  addMissingTabs(project, tabs) {
+    const pageOf = tab => this.schema.identity.pageKey(tab);
+    const urls = new Set(project.tabs.map(pageOf));
+    const ids = new Set(project.tabs.map(tab => tab.id));
+    let added = 0;
+
+    tabs.forEach(tab => {
+      if (urls.has(pageOf(tab))) return;
+
+      const copy = ids.has(tab.id) ? { ...tab, id: this.schema.createId() } : { ...tab };
+      project.tabs.push(copy);
+      urls.add(pageOf(copy));
+      ids.add(copy.id);
+      added++;
+    });
+
+    return added;
+  }
+
+  /**
+   * Work out the projects an import would leave behind and a diff for the preview.
+   *
+   * - replace: the file becomes the new project list
+   * - merge: projects with the same intent are joined, tabs matched by URL
+   * - keep-both: every imported project is added; clashing intents get a suffix
+   *
+   * @returns {Object} { projects, diff: { added, updated, removed, merged } }
+   */
+  plan(existing, incoming, strategy = this.STRATEGIES.MERGE) {
+    if (!Object.values(this.STRATEGIES).includes(strategy)) {
+      throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    const imported = this.dedupeByIntent(incoming);
+    const diff = { added: [], updated: [], removed: [], merged: imported.merged };
+    const existingByIntent = new Map(existing.map(project => [this.getIntentKey(project), project]));
+    const summarize = project => ({ intent: project.intent, tabCount: project.tabs.length });
+
+    if (strategy === this.STRATEGIES.REPLACE) {
+      const importedKeys = new Set(imported.projects.map(project => this.getIntentKey(project)));
+
+      imported.projects.forEach(project => {
+        const current = existingByIntent.get(this.getIntentKey(project));
+        if (current) {
+          diff.updated.push({ ...summarize(project), previousTabCount: (current.tabs || []).length });
+        } else {
+          diff.added.push(summarize(project));
+        }
+      });
+      existing
+        .filter(project => !importedKeys.has(this.getIntentKey(project)))
+        .forEach(project => diff.removed.push({ intent: project.intent, tabCount: (project.tabs || []).length }));
+
+      return { projects: imported.projects, diff };
+    }
+
+    const result = existing.map(project => ({ ...project, tabs: [...(project.tabs || [])] }));
+    const usedIds = new Set(result.map(project => project.id));
+    const usedKeys = new Set(result.map(project => this.getIntentKey(project)));
+
+    imported.projects.forEach(project => {
+      const key = this.getIntentKey(project);
+
+      if (strategy === this.STRATEGIES.MERGE && usedKeys.has(key)) {
+        const current = result.find(p => this.getIntentKey(p) === key);
+        const addedTabs = this.addMissingTabs(current, project.tabs);
+        if (addedTabs > 0) {
+          diff.updated.push({ intent: current.intent, addedTabs, tabCount: current.tabs.length });
+        }
+        return;
+      }
+
+      const copy = { ...project };
+      if (usedIds.has(copy.id)) copy.id = this.schema.createId();
+      if (usedKeys.has(key)) {
+        copy.intent = copy.intent + this.KEPT_SUFFIX;
+        copy.title = copy.title + this.KEPT_SUFFIX;
+      }
+
+      result.push(copy);
+      usedIds.add(copy.id);
+      usedKeys.add(this.getIntentKey(copy));
+      diff.added.push(summarize(copy));
+    });
+
+    return { projects: result, diff };
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.ImportPlanner = ImportPlanner;
+}
@@ -269,7 +269,10 @@ class ModalManager {
   async saveAllSettings() {
     if (!this.storageManager) return;
 
+    // Merge so settings managed elsewhere (intent prompt, domain rules) are kept
+    const currentSettings = await this.storageManager.getSettings();
     const settings = {
+      ...currentSettings,
       darkMode: document.getElementById('dark-mode').checked,
       compactView: document.getElementById('compact-view').checked
     };
@@ -279,19 +282,26 @@ class ModalManager {
 
   /**
    * Handle export data
+   * @param {string} format - 'json' for a full backup, or a ProjectFormats format for all projects
+   * @param {string|null} passphrase - Encrypts a full backup
    */
-  async handleExportData() {
+  async handleExportData(format = 'json', passphrase = null) {
     if (!this.storageManager) return;
 
-    const result = await this.storageManager.exportData();
+    const result = format === 'json'
+      ? await this.storageManager.exportData({ passphrase })
+      : await this.storageManager.exportProjects(null, format);
     if (result.success) {
-      const dataStr = JSON.stringify(result.data, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
+      const dataBlob = format === 'json'
+        ? new Blob([JSON.stringify(result.data, null, 2)], { type: 'application/json' })
+        : new Blob([result.content], { type: result.mimeType });
       const url = URL.createObjectURL(dataBlob);
 
       const a = document.createElement('a');
       a.href = url;
-      a.download = `tab-memory-backup-${new Date().toISOString().split('T')[0]}.json`;
+      a.download = format === 'json'
+        ? `tab-memory-backup-${new Date().toISOString().split('T')[0]}.json`
+        : result.filename;
       a.click();
 
       URL.revokeObjectURL(url);
@@ -551,13 +561,56 @@ class ModalManager {
     }
   }
 
+  /**
+   * Render a snapshot comparison; only things the snapshot has get a checkbox
+   */
+  renderSnapshotDiff(diff) {
+    if (diff.length === 0) {
+      return '<p class="session-diff-empty">No differences from your current data</p>';
+    }
+
+    const escape = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text ?? '';
+      return div.innerHTML;
+    };
+    const statusLabels = { added: 'Added since', removed: 'Removed since', renamed: 'Renamed', changed: 'Changed' };
+
+    const tabRow = (project, tab, label, restorable) => `
+      <label class="session-diff-tab">
+        ${restorable ? `<input type="checkbox" data-project-id="${escape(project.id)}" data-tab-id="${escape(tab.id)}">` : ''}
+        <span>${label}: ${escape(tab.previousTitle ? `${tab.previousTitle} → ${tab.title}` : tab.title || tab.url)}</span>
+      </label>
+    `;
+
+    return `
+      ${diff.map(project => `
+        <div class="session-diff-project">
+          <label class="session-diff-title">
+            ${project.status !== 'added' ? `<input type="checkbox" data-project-id="${escape(project.id)}">` : ''}
+            <span class="chip">${statusLabels[project.status]}</span>
+            <span>${escape(project.previousIntent ? `${project.previousIntent} → ${project.intent}` : project.intent)}</span>
+          </label>
+          ${project.tabs.removed.map(tab => tabRow(project, tab, 'Removed', true)).join('')}
+          ${project.tabs.renamed.map(tab => tabRow(project, tab, 'Renamed', true)).join('')}
+          ${project.tabs.added.map(tab => tabRow(project, tab, 'Added', false)).join('')}
+        </div>
+      `).join('')}
+      <button class="btn btn-primary btn-sm restore-selected-btn">Restore selected</button>
+    `;
+  }
+
   /**
    * Show session restore modal with list of snapshots
    */
   async showSessionRestoreModal(storageManager) {
     const snapshots = await storageManager.getSessionSnapshots();
+    const folderBackup = typeof FolderBackup !== 'undefined' && FolderBackup.isSupported()
+      ? new FolderBackup(storageManager)
+      : null;
+    const folderSettings = folderBackup ? await folderBackup.getSettings() : null;
 
-    if (snapshots.length === 0) {
+    if (snapshots.length === 0 && !folderSettings?.enabled) {
       this.showToast('No session backups found', 'info');
       return;
     }
@@ -579,7 +632,7 @@ class ModalManager {
           <div class="session-list">
             ${snapshots.map((snapshot, index) => {
               const date = new Date(snapshot.timestamp);
-              const typeLabel = snapshot.type === 'auto' ? 'Auto' : snapshot.type === 'manual' ? 'Manual' : 'Pre-Close';
+              const typeLabel = { auto: 'Auto', manual: 'Manual', 'pre-import': 'Before import', 'pre-restore': 'Before restore' }[snapshot.type] || 'Pre-Close';
               const typeClass = snapshot.type === 'auto' ? 'info' : snapshot.type === 'manual' ? 'success' : 'warning';
 
               return `
@@ -593,15 +646,26 @@ class ModalManager {
                         <span>${snapshot.projectCount} groups</span>
                       </div>
                     </div>
+                    <button class="btn btn-text btn-sm compare-snapshot-btn" data-snapshot-id="${snapshot.id}">
+                      <span class="material-symbols-outlined">difference</span>
+                      Compare
+                    </button>
                     <button class="btn btn-primary btn-sm restore-snapshot-btn" data-snapshot-id="${snapshot.id}">
                       <span class="material-symbols-outlined">restore</span>
-                      Restore
+                      Restore all
                     </button>
                   </div>
+                  <div class="session-diff" data-snapshot-id="${snapshot.id}" hidden></div>
                 </div>
               `;
             }).join('')}
           </div>
+          ${folderSettings?.enabled ? `
+            <p style="margin: 16px 0 8px; color: var(--color-text-secondary);">
+              Or restore a backup file from your backup folder:
+            </p>
+            <div class="session-list folder-backup-list"></div>
+          ` : ''}
         </div>
         <div class="modal-footer">
           <button class="btn btn-text" id="session-restore-cancel">Close</button>
@@ -622,6 +686,13 @@ class ModalManager {
     closeBtn.addEventListener('click', cleanup);
     cancelBtn.addEventListener('click', cleanup);
 
+    const refreshProjects = async () => {
+      if (window.app) {
+        await window.app.tabManager.loadProjects();
+        window.app.tabManager.renderProjects();
+      }
+    };
+
     // Handle restore button clicks
     const restoreBtns = backdrop.querySelectorAll('.restore-snapshot-btn');
     restoreBtns.forEach(btn => {
@@ -632,20 +703,139 @@ class ModalManager {
         if (result.success) {
           this.showToast(`Session restored: ${result.snapshot.tabCount} tabs`, 'success');
           cleanup();
-
-          // Reload the page to reflect changes
-          window.location.reload();
+          await refreshProjects();
         } else {
           this.showToast('Failed to restore session', 'error');
         }
       });
     });
 
+    // Compare a snapshot with the current data and restore only what is picked
+    const compareBtns = backdrop.querySelectorAll('.compare-snapshot-btn');
+    compareBtns.forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const snapshotId = btn.dataset.snapshotId;
+        const container = backdrop.querySelector(`.session-diff[data-snapshot-id="${snapshotId}"]`);
+        const result = await storageManager.compareSnapshot(snapshotId);
+
+        if (!result.success) {
+          this.showToast('Failed to compare backup', 'error');
+          return;
+        }
+
+        container.innerHTML = this.renderSnapshotDiff(result.diff);
+        container.hidden = false;
+
+        const restoreSelectedBtn = container.querySelector('.restore-selected-btn');
+        restoreSelectedBtn?.addEventListener('click', async () => {
+          const selection = { projectIds: [], tabs: [] };
+          container.querySelectorAll('input[type="checkbox"]:checked').forEach(input => {
+            if (input.dataset.tabId) {
+              selection.tabs.push({ projectId: input.dataset.projectId, tabId: input.dataset.tabId });
+            } else {
+              selection.projectIds.push(input.dataset.projectId);
+            }
+          });
+
+          const restored = await storageManager.restoreFromSnapshot(snapshotId, selection);
+          if (restored.success) {
+            this.showToast(`Restored ${restored.restoredCount} item${restored.restoredCount !== 1 ? 's' : ''}`, 'success');
+            cleanup();
+            await refreshProjects();
+          } else {
+            this.showToast('Failed to restore selection', 'error');
+          }
+        });
+      });
+    });
+
+    const folderList = backdrop.querySelector('.folder-backup-list');
+    if (folderList) {
+      await this.renderFolderBackups(folderList, folderBackup, async () => {
+        cleanup();
+        await refreshProjects();
+      });
+    }
+
     backdrop.addEventListener('click', (e) => {
       if (e.target === backdrop) cleanup();
     });
   }
 
+  /**
+   * List the backup files in the chosen folder, each with a Restore button.
+   * After a browser restart Chrome asks again before the folder can be read.
+   */
+  async renderFolderBackups(container, folderBackup, onRestored) {
+    const { success, files, error } = await folderBackup.listBackups();
+    const escape = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text ?? '';
+      return div.innerHTML;
+    };
+
+    if (!success) {
+      container.innerHTML = `
+        <div class="session-item">
+          <div class="session-item-header">
+            <div class="session-item-meta">${escape(error)}</div>
+            <button class="btn btn-text btn-sm allow-folder-btn">Allow access</button>
+          </div>
+        </div>
+      `;
+      container.querySelector('.allow-folder-btn').addEventListener('click', async () => {
+        const handle = await folderBackup.getHandle();
+        if (handle && await folderBackup.hasPermission(handle, true)) {
+          await this.renderFolderBackups(container, folderBackup, onRestored);
+        } else {
+          this.showToast('Access to the backup folder was not allowed', 'error');
+        }
+      });
+      return;
+    }
+
+    if (files.length === 0) {
+      container.innerHTML = '<p class="session-diff-empty">No backup files in this folder yet</p>';
+      return;
+    }
+
+    container.innerHTML = files.map((file, index) => `
+      <div class="session-item">
+        <div class="session-item-header">
+          <div class="session-item-info">
+            <div class="session-item-date">${new Date(file.timestamp).toLocaleString()}</div>
+            <div class="session-item-meta">
+              <span class="chip chip-info">File</span>
+              <span>${Math.ceil(file.size / 1024)} KB</span>
+            </div>
+          </div>
+          <button class="btn btn-primary btn-sm restore-file-btn" data-file-index="${index}">
+            <span class="material-symbols-outlined">restore</span>
+            Restore
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.restore-file-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const name = files[btn.dataset.fileIndex].name;
+        let result = await folderBackup.restore(name);
+        while (result.needsPassphrase) {
+          const passphrase = prompt(result.error);
+          if (!passphrase) return;
+          result = await folderBackup.restore(name, passphrase);
+        }
+        if (result.success) {
+          this.showToast(`Backup restored: ${result.tabCount} tabs`, 'success');
+          await onRestored();
+        } else {
+          this.showToast(result.error || 'Failed to restore backup', 'error');
+        }
+      });
+    });
+  }
+
 }
 
 // Export for use in other scripts
@@ -0,0 +1,212 @@
+/**
+ * Tab Story - Page Summarizer
+ * Summarizes what a saved page actually says. The text comes from the open
+ * tab through content-extractor.js, or, once the tab is closed, from the copy
+ * kept with the last summary. Long pages are cut into chunks the summarizer
+ * accepts; each chunk is summarized and the chunk summaries are summarized
+ * again until one remains. Without Chrome's built-in Summarizer the opening
+ * sentences of the page are used instead.
+ *
+ * Chrome exposes the Summarizer to pages, not to the service worker. The
+ * worker reads the page (prepare) and stores the result (store); the summary
+ * itself is written by the page that asked for it.
+ */
+
+class PageSummarizer {
+  /**
+   * @param {StorageManager} storageManager - Stores summaries and the copy of the page text
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    // Characters per summarizer call, well inside the built-in model's input limit
+    this.CHUNK_SIZE = 4000;
+    // Characters read from the page; long pages are summarized in chunks
+    this.MAX_CONTENT = 60000;
+    // Page text kept with the summary, so a closed tab can be summarized again
+    this.MAX_STORED_CONTENT = 8000;
+    this.EXTRACT_SENTENCES = 3;
+    this.TYPES = {
+      ai: 'AI summary',
+      extract: 'Opening of the page'
+    };
+  }
+
+  // ==================== CONTENT ====================
+
+  /**
+   * The text of a saved tab: from the page when it is open, else the stored copy
+   *
+   * @returns {Promise<Object|null>} { text, source: 'page' | 'cache' }
+   */
+  async getContent(tab) {
+    if (tab.liveStatus === 'open' && tab.chromeTabId !== undefined) {
+      const text = await this.extractFromTab(tab.chromeTabId);
+      if (text) return { text, source: 'page' };
+    }
+
+    const stored = await this.storageManager.getSummary(tab.id);
+    return stored?.content ? { text: stored.content, source: 'cache' } : null;
+  }
+
+  /**
+   * Ask content-extractor.js in the tab for the page text; null when the page can't be scripted
+   */
+  async extractFromTab(chromeTabId) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: chromeTabId },
+        files: ['scripts/content-extractor.js']
+      });
+      const response = await chrome.tabs.sendMessage(chromeTabId, { action: 'getPageContent' });
+      if (!response?.success) return null;
+
+      const description = response.description || '';
+      const text = [description, response.content].filter(Boolean).join('\n\n').trim();
+      return text.slice(0, this.MAX_CONTENT) || null;
+    } catch (error) {
+      // Closed in the meantime, or a page scripts cannot be injected into (Web Store, PDFs, etc.)
+      return null;
+    }
+  }
+
+  /**
+   * Cut text into pieces of at most CHUNK_SIZE characters, at sentence ends where possible
+   */
+  chunk(text) {
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*\s*/g) || [];
+    const chunks = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+      // A sentence longer than a chunk is cut where it has to be
+      for (let start = 0; start < sentence.length; start += this.CHUNK_SIZE) {
+        const piece = sentence.slice(start, start + this.CHUNK_SIZE);
+        if (current && current.length + piece.length > this.CHUNK_SIZE) {
+          chunks.push(current.trim());
+          current = '';
+        }
+        current += piece;
+      }
+    });
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+  }
+
+  // ==================== SUMMARIES ====================
+
+  /**
+   * Chrome's built-in Summarizer, under its current or its earlier name, or null
+   */
+  async createSummarizer(context) {
+    const options = { type: 'tldr', format: 'plain-text', length: 'short', sharedContext: context };
+    if (typeof Summarizer !== 'undefined') {
+      if ((await Summarizer.availability()) === 'unavailable') return null;
+      return Summarizer.create(options);
+    }
+    if (typeof window !== 'undefined' && window.ai?.summarizer) {
+      return window.ai.summarizer.create({ ...options, type: 'tl;dr' });
+    }
+    return null;
+  }
+
+  /**
+   * Summarize each chunk, then the chunk summaries, until a single summary is left
+   */
+  async summarizeChunks(summarizer, chunks) {
+    let parts = chunks;
+    while (parts.length > 1) {
+      const summaries = [];
+      for (const part of parts) {
+        summaries.push(await summarizer.summarize(part));
+      }
+      parts = this.chunk(summaries.join(' '));
+    }
+    return summarizer.summarize(parts[0]);
+  }
+
+  /**
+   * The first few sentences of the page, for when no summarizer is available
+   */
+  extractSummary(text) {
+    const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+/g) || [text];
+    return sentences.slice(0, this.EXTRACT_SENTENCES).map(sentence => sentence.trim()).join(' ').slice(0, 500);
+  }
+
+  /**
+   * The page text of a saved tab, cut into chunks, with the context to summarize it in
+   *
+   * @returns {Promise<Object>} { success, text, source, chunks, context }
+   */
+  async prepare(tab, project) {
+    const content = await this.getContent(tab);
+    if (!content) {
+      // An open tab the page can't be read from: usually a site Tab Story has no access to
+      const error = tab.liveStatus === 'open'
+        ? 'Tab Story cannot read this page. Allow access to the site and try again.'
+        : 'The page text is not available. Open the tab and try again.';
+      return { success: false, error };
+    }
+
+    return {
+      success: true,
+      text: content.text,
+      source: content.source,
+      chunks: this.chunk(content.text),
+      context: `A page saved for: ${project.intent || project.title}`
+    };
+  }
+
+  /**
+   * Store a summary of prepared page text with its type, source and date;
+   * without one from the Summarizer, the opening of the page is stored instead
+   *
+   * @param {Object} prepared - { text, source, chunks } as returned by prepare
+   * @param {string|null} summary - The Summarizer's summary, if there was a Summarizer
+   * @returns {Promise<Object>} { success, summary: { tabId, summary, type, source, chunks, content, createdAt } }
+   */
+  async store(tabId, { text, source, chunks }, summary = null) {
+    return this.storageManager.saveSummary(tabId, summary || this.extractSummary(text), {
+      type: summary ? 'ai' : 'extract',
+      source,
+      chunks: Array.isArray(chunks) ? chunks.length : chunks,
+      content: text.slice(0, this.MAX_STORED_CONTENT)
+    });
+  }
+
+  /**
+   * Summarize a saved tab's page and store the summary, in a page where the Summarizer is exposed
+   *
+   * @returns {Promise<Object>} { success, summary: { tabId, summary, type, source, chunks, content, createdAt } }
+   */
+  async summarize(tab, project) {
+    let summarizer = null;
+    try {
+      const prepared = await this.prepare(tab, project);
+      if (!prepared.success) return prepared;
+
+      summarizer = await this.createSummarizer(prepared.context);
+      const summary = summarizer ? await this.summarizeChunks(summarizer, prepared.chunks) : null;
+      return await this.store(tab.id, prepared, summary);
+    } catch (error) {
+      console.error('Failed to summarize page:', error);
+      return { success: false, error: error.message };
+    } finally {
+      summarizer?.destroy?.();
+    }
+  }
+
+  /**
+   * "AI summary · Mar 20, 2024" style line for a stored summary
+   */
+  describe(record) {
+    const label = this.TYPES[record.type] || 'Summary';
+    if (!record.createdAt) return label;
+    const date = new Date(record.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return `${label} · ${date}`;
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.PageSummarizer = PageSummarizer;
+}
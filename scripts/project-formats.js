@@ -0,0 +1,263 @@
+/**
+ * Tab Story - Project Formats
+ * Converts projects to and from formats other tools understand:
+ * Netscape bookmarks HTML, Markdown, CSV and OneTab's plain-text list.
+ */
+
+class ProjectFormats {
+  constructor() {
+    this.FORMATS = {
+      BOOKMARKS_HTML: 'bookmarks-html',
+      MARKDOWN: 'markdown',
+      CSV: 'csv',
+      ONETAB: 'onetab'
+    };
+    this.FILE_TYPES = {
+      'bookmarks-html': { mimeType: 'text/html', extension: 'html' },
+      markdown: { mimeType: 'text/markdown', extension: 'md' },
+      csv: { mimeType: 'text/csv', extension: 'csv' },
+      onetab: { mimeType: 'text/plain', extension: 'txt' }
+    };
+    this.CSV_COLUMNS = ['intent', 'title', 'url', 'saved_at', 'notes', 'summary'];
+    this.UNFILED_BOOKMARKS = 'Imported bookmarks';
+    this.ONETAB_GROUP = 'OneTab';
+  }
+
+  getLabel(project) {
+    return project.intent || project.title || project.name || 'Untitled';
+  }
+
+  /**
+   * Tabs the user removed stay in storage for undo but are not exported
+   */
+  getTabs(project) {
+    return (project.tabs || []).filter(tab => !tab.removed);
+  }
+
+  /**
+   * @param {string} format - One of FORMATS
+   * @param {Array} projects
+   * @param {Object} summaries - Summary records by saved tab id
+   */
+  export(format, projects, summaries = {}) {
+    switch (format) {
+      case this.FORMATS.BOOKMARKS_HTML: return this.toBookmarksHtml(projects);
+      case this.FORMATS.MARKDOWN: return this.toMarkdown(projects, summaries);
+      case this.FORMATS.CSV: return this.toCsv(projects, summaries);
+      case this.FORMATS.ONETAB: return this.toOneTab(projects);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Returns raw projects ({ title, intent, tabs }) for the import planner to validate
+   */
+  parse(format, text) {
+    switch (format) {
+      case this.FORMATS.BOOKMARKS_HTML: return this.fromBookmarksHtml(text);
+      case this.FORMATS.ONETAB: return this.fromOneTab(text);
+      default: throw new Error(`Cannot import format: ${format}`);
+    }
+  }
+
+  // ==================== ESCAPING ====================
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  decodeHtml(value) {
+    return String(value ?? '')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  escapeMarkdown(value) {
+    return String(value ?? '').replace(/([\\[\]*_`])/g, '\\$1');
+  }
+
+  /**
+   * Quote a CSV cell; cells that a spreadsheet would run as a formula get a leading quote
+   */
+  escapeCsv(value) {
+    let cell = String(value ?? '');
+    if (/^[=+\-@]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }
+
+  toUnixSeconds(timestamp) {
+    const time = new Date(timestamp).getTime();
+    return Number.isNaN(time) ? '' : Math.floor(time / 1000);
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Netscape bookmarks file with one folder per intent, as browsers import it
+   */
+  toBookmarksHtml(projects) {
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>'
+    ];
+
+    projects.forEach(project => {
+      lines.push(`    <DT><H3 ADD_DATE="${this.toUnixSeconds(project.createdAt)}">${this.escapeHtml(this.getLabel(project))}</H3>`);
+      lines.push('    <DL><p>');
+      this.getTabs(project).forEach(tab => {
+        lines.push(`        <DT><A HREF="${this.escapeHtml(tab.url)}" ADD_DATE="${this.toUnixSeconds(tab.timestamp)}">${this.escapeHtml(tab.title || tab.url)}</A>`);
+        if (tab.notes) {
+          lines.push(`        <DD>${this.escapeHtml(tab.notes)}`);
+        }
+      });
+      lines.push('    </DL><p>');
+    });
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+  }
+
+  toMarkdown(projects, summaries = {}) {
+    const lines = ['# Tab Story reading list', ''];
+
+    projects.forEach(project => {
+      lines.push(`## ${this.escapeMarkdown(this.getLabel(project))}`, '');
+
+      this.getTabs(project).forEach(tab => {
+        lines.push(`- [${this.escapeMarkdown(tab.title || tab.url)}](<${tab.url}>)`);
+
+        const summary = summaries[tab.id]?.summary || tab.summary;
+        if (summary) {
+          lines.push(`  - Summary: ${summary.replace(/\s*\n\s*/g, ' ')}`);
+        }
+        if (tab.notes) {
+          lines.push(`  - Notes: ${tab.notes.replace(/\s*\n\s*/g, ' ')}`);
+        }
+      });
+
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One row per tab
+   */
+  toCsv(projects, summaries = {}) {
+    const rows = [this.CSV_COLUMNS.join(',')];
+
+    projects.forEach(project => {
+      this.getTabs(project).forEach(tab => {
+        rows.push([
+          this.getLabel(project),
+          tab.title,
+          tab.url,
+          tab.timestamp,
+          tab.notes,
+          summaries[tab.id]?.summary || tab.summary
+        ].map(cell => this.escapeCsv(cell)).join(','));
+      });
+    });
+
+    return rows.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * OneTab lists "URL | Title" per line, with a blank line between groups.
+   * It has no group names, so intents are lost on the way out.
+   */
+  toOneTab(projects) {
+    return projects
+      .map(project => this.getTabs(project).map(tab => `${tab.url} | ${tab.title || tab.url}`).join('\n'))
+      .filter(block => block)
+      .join('\n\n') + '\n';
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Each bookmark folder that holds links becomes a project; nested folders are
+   * named by their path ("Work / Reading"). Links outside any folder are collected
+   * into one project.
+   */
+  fromBookmarksHtml(html) {
+    const projects = new Map();
+    const stack = [];
+    let pendingFolder = null;
+    const tokens = /<DL\b[^>]*>|<\/DL>|<H3\b([^>]*)>([\s\S]*?)<\/H3>|<A\b([^>]*)>([\s\S]*?)<\/A>/gi;
+    let match;
+
+    while ((match = tokens.exec(html)) !== null) {
+      const token = match[0].toUpperCase();
+
+      if (token.startsWith('<DL')) {
+        stack.push(pendingFolder);
+        pendingFolder = null;
+      } else if (token.startsWith('</DL')) {
+        stack.pop();
+      } else if (token.startsWith('<H3')) {
+        pendingFolder = this.decodeHtml(match[2].trim());
+      } else {
+        const href = /HREF="([^"]*)"/i.exec(match[3]);
+        if (!href) continue;
+
+        const path = stack.filter(Boolean).join(' / ') || this.UNFILED_BOOKMARKS;
+        const addDate = /ADD_DATE="(\d+)"/i.exec(match[3]);
+        if (!projects.has(path)) {
+          projects.set(path, { title: path, intent: path, tabs: [] });
+        }
+        projects.get(path).tabs.push({
+          title: this.decodeHtml(match[4].trim()),
+          url: this.decodeHtml(href[1]),
+          timestamp: addDate ? Number(addDate[1]) * 1000 : undefined
+        });
+      }
+    }
+
+    return [...projects.values()];
+  }
+
+  /**
+   * Each blank-line separated block becomes a numbered project
+   */
+  fromOneTab(text) {
+    return String(text)
+      .split(/\r?\n\s*\r?\n/)
+      .map(block => block.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+      .filter(lines => lines.length > 0)
+      .map((lines, index) => {
+        const name = `${this.ONETAB_GROUP} ${index + 1}`;
+        return {
+          title: name,
+          intent: name,
+          tabs: lines.map(line => {
+            const separator = line.indexOf(' | ');
+            return separator === -1
+              ? { title: line, url: line }
+              : { title: line.slice(separator + 3), url: line.slice(0, separator) };
+          })
+        };
+      });
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.ProjectFormats = ProjectFormats;
+}
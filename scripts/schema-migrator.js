@@ -0,0 +1,220 @@
+/**
+ * Tab Story - Schema Migrator
+ * Brings stored data up to the current schema after an install or update.
+ * Each migration runs once; the last applied version is kept in chrome.storage.local.
+ */
+
+class SchemaMigrator {
+  /**
+   * @param {Function} updateProjects - Serialized read-modify-write on the stored projects
+   * @param {TimelineStore|null} timelineStore - Owner of the timeline history, if any
+   * @param {StorageManager|null} storageManager - Owner of the records that refer to project and tab ids, if any
+   */
+  constructor(updateProjects, timelineStore = null, storageManager = null) {
+    this.updateProjects = updateProjects;
+    this.timelineStore = timelineStore;
+    this.storageManager = storageManager;
+    this.identity = new Identity();
+    this.VERSION_KEY = 'schema_version';
+    this.INITIAL_VERSION = '1.0.0';
+    this.CURRENT_VERSION = '2.1.0';
+
+    // Oldest first; a version is recorded as soon as its migration succeeds
+    this.MIGRATIONS = [
+      {
+        version: '1.2.0',
+        description: 'Move the single 100-entry history list into day buckets',
+        run: () => this.timelineStore?.migrateLegacyTimeline()
+      },
+      {
+        version: '2.0.0',
+        description: 'Normalize projects and tabs written by the side panel and older popups',
+        run: () => this.normalizeStoredProjects()
+      },
+      {
+        version: '2.1.0',
+        description: 'Re-key projects and tabs that still have timestamp or Chrome tab ids with UUIDs',
+        run: () => this.normalizeStoredProjects()
+      }
+    ];
+  }
+
+  /**
+   * Compare two "major.minor.patch" strings; negative when a is older
+   */
+  compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * Data stored before versions were recorded counts as the first schema
+   */
+  async getSchemaVersion() {
+    const result = await chrome.storage.local.get(this.VERSION_KEY);
+    return result[this.VERSION_KEY] || this.INITIAL_VERSION;
+  }
+
+  /**
+   * Run every migration newer than the stored version, in order.
+   * Stops at the first failure so the next run picks up from there.
+   */
+  async migrate() {
+    try {
+      let version = await this.getSchemaVersion();
+      const applied = [];
+
+      for (const migration of this.MIGRATIONS) {
+        if (this.compareVersions(migration.version, version) <= 0) continue;
+
+        await migration.run();
+        version = migration.version;
+        await chrome.storage.local.set({ [this.VERSION_KEY]: version });
+        applied.push(version);
+      }
+
+      return { success: true, version, applied };
+    } catch (error) {
+      console.error('Failed to migrate storage schema:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== 2.0.0: CANONICAL PROJECTS, 2.1.0: UUIDS ====================
+
+  /**
+   * Normalize every stored project. Records that refer to a re-keyed project
+   * or tab (summaries, active time, the undo history) follow it to its new id.
+   * Session snapshots keep the ids they were taken with.
+   */
+  async normalizeStoredProjects() {
+    const rekeyed = { projects: new Map(), tabs: new Map(), used: new Set() };
+
+    await this.updateProjects(projects => {
+      let changed = false;
+
+      projects.forEach((project, index) => {
+        const normalized = this.normalizeProject(project, rekeyed);
+        if (JSON.stringify(normalized) !== JSON.stringify(project)) {
+          projects[index] = normalized;
+          changed = true;
+        }
+      });
+
+      return changed;
+    }, { record: false });
+
+    if (this.storageManager && (rekeyed.projects.size > 0 || rekeyed.tabs.size > 0)) {
+      await this.storageManager.rekeyReferences(rekeyed);
+    }
+  }
+
+  /**
+   * Canonical project: { id, title, intent, tabs, section, createdAt, ...extra fields }.
+   * The side panel used to store name/icon/expanded; those were display state only.
+   *
+   * @param {Object} rekeyed - { projects: Map(old id -> new id), tabs: Map(new project id -> Map(old id -> new id)),
+   *   used: Set of new ids } to re-key older ids across all projects and collect what changed;
+   *   without it ids are kept as they are
+   */
+  normalizeProject(project, rekeyed = null) {
+    const { name, icon, expanded, ...rest } = project;
+    const title = project.title || name || project.intent || 'Untitled';
+    const createdAt = this.toISOString(project.createdAt) || new Date().toISOString();
+    const usedIds = rekeyed ? rekeyed.used : new Set();
+    const projectSeed = rekeyed && `project:${project.id}`;
+    const id = this.uniqueId(this.toId(project.id, projectSeed), projectSeed, usedIds);
+    if (rekeyed && project.id !== undefined && id !== String(project.id) && !rekeyed.projects.has(String(project.id))) {
+      rekeyed.projects.set(String(project.id), id);
+    }
+
+    const tabIds = new Map();
+    const tabs = (project.tabs || [])
+      .filter(tab => tab && tab.url)
+      .map(tab => {
+        const seed = rekeyed && `tab:${project.id}:${tab.id}`;
+        const normalized = this.normalizeTab(tab, createdAt, seed);
+        // Tab ids stay unique across projects, as summaries are keyed by tab id alone
+        normalized.id = this.uniqueId(normalized.id, seed, usedIds);
+        if (rekeyed && tab.id !== undefined && normalized.id !== String(tab.id) && !tabIds.has(String(tab.id))) {
+          tabIds.set(String(tab.id), normalized.id);
+        }
+        return normalized;
+      });
+    if (tabIds.size > 0) rekeyed.tabs.set(id, tabIds);
+
+    return {
+      ...rest,
+      id,
+      title,
+      intent: project.intent || title,
+      section: project.section || 'today',
+      createdAt,
+      tabs
+    };
+  }
+
+  /**
+   * Canonical tab: { id, title, url, favicon, timestamp (ISO), ...extra fields }.
+   * Tabs captured by the side panel carried a numeric timestamp, a stale
+   * chromeId and fields derived from the URL.
+   */
+  normalizeTab(tab, fallbackTimestamp, seed = null) {
+    const { chromeId, active, domain, ...rest } = tab;
+
+    return {
+      ...rest,
+      id: this.toId(tab.id, seed),
+      title: tab.title || 'Untitled',
+      url: tab.url,
+      favicon: tab.favicon || '🔗',
+      timestamp: this.toISOString(tab.timestamp) || fallbackTimestamp
+    };
+  }
+
+  /**
+   * A missing id gets a new one. With a seed, an id older than UUIDs is
+   * replaced by one derived from the seed, so the same record gets the same
+   * new id on every synced device.
+   */
+  toId(id, seed = null) {
+    if (id === undefined || id === null || id === '') return this.createId();
+    if (!seed || this.identity.isId(id)) return String(id);
+    return this.identity.deriveId(seed);
+  }
+
+  /**
+   * The same old id twice (e.g. a reused Chrome tab id, or two projects copied
+   * from one) gets a new id derived from the seed with a copy number
+   */
+  uniqueId(id, seed, usedIds) {
+    let unique = id;
+    for (let copy = 2; seed && usedIds.has(unique); copy++) {
+      unique = this.identity.deriveId(`${seed}:${copy}`);
+    }
+    usedIds.add(unique);
+    return unique;
+  }
+
+  createId() {
+    return this.identity.createId();
+  }
+
+  toISOString(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SchemaMigrator = SchemaMigrator;
+}
@@ -0,0 +1,310 @@
+/**
+ * Tab Story - Snapshot Deltas
+ * Session snapshots are stored as a full "base" copy plus deltas against it,
+ * so tabs that did not change between backups are stored once.
+ */
+
+class SnapshotDeltas {
+  constructor() {
+    this.KINDS = { FULL: 'full', DELTA: 'delta' };
+    // A delta larger than this share of a full copy starts a new base
+    this.MAX_DELTA_RATIO = 0.5;
+    this.HOUR = 60 * 60 * 1000;
+    this.DAY = 24 * this.HOUR;
+    this.WEEK = 7 * this.DAY;
+    this.MONTH = 30 * this.DAY;
+  }
+
+  /**
+   * Cheap content hash (FNV-1a) used to skip identical consecutive snapshots
+   */
+  fingerprint(projects) {
+    const text = JSON.stringify(projects);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${hash.toString(16)}-${text.length}`;
+  }
+
+  /**
+   * Describe projects as changes against a base. Unchanged projects are left
+   * out; for changed ones only new or edited tabs are stored, the rest are
+   * referenced by id.
+   *
+   * Shape: { order: [projectId], changed: { [projectId]: { fields, tabOrder, tabs } } }
+   */
+  createDelta(baseProjects, projects) {
+    const baseById = new Map(baseProjects.map(project => [project.id, project]));
+    const changed = {};
+
+    projects.forEach(project => {
+      const base = baseById.get(project.id);
+      if (base && JSON.stringify(base) === JSON.stringify(project)) return;
+
+      const { tabs = [], ...fields } = project;
+      const baseTabs = new Map((base?.tabs || []).map(tab => [tab.id, JSON.stringify(tab)]));
+      const changedTabs = {};
+
+      tabs.forEach(tab => {
+        if (baseTabs.get(tab.id) !== JSON.stringify(tab)) {
+          changedTabs[tab.id] = tab;
+        }
+      });
+
+      changed[project.id] = { fields, tabOrder: tabs.map(tab => tab.id), tabs: changedTabs };
+    });
+
+    return { order: projects.map(project => project.id), changed };
+  }
+
+  applyDelta(baseProjects, delta) {
+    const baseById = new Map(baseProjects.map(project => [project.id, project]));
+
+    return delta.order.map(projectId => {
+      const change = delta.changed[projectId];
+      const base = baseById.get(projectId);
+      if (!change) return base;
+
+      const baseTabs = new Map((base?.tabs || []).map(tab => [tab.id, tab]));
+      return {
+        ...change.fields,
+        tabs: change.tabOrder.map(tabId => change.tabs[tabId] || baseTabs.get(tabId)).filter(Boolean)
+      };
+    });
+  }
+
+  /**
+   * Build the record to store for the current projects, reusing the latest base when it is worth it
+   *
+   * @param {Object} snapshot - Metadata (id, timestamp, type, counts)
+   * @param {Object|null} base - The full snapshot deltas are made against, if any
+   */
+  createRecord(snapshot, projects, base) {
+    if (base) {
+      const delta = this.createDelta(base.projects, projects);
+      if (JSON.stringify(delta).length <= JSON.stringify(projects).length * this.MAX_DELTA_RATIO) {
+        return { ...snapshot, kind: this.KINDS.DELTA, baseId: base.id, delta };
+      }
+    }
+    return { ...snapshot, kind: this.KINDS.FULL, projects };
+  }
+
+  /**
+   * Snapshots written before deltas existed are full copies without a kind
+   */
+  isFull(snapshot) {
+    return snapshot.kind !== this.KINDS.DELTA;
+  }
+
+  /**
+   * Rebuild the projects a snapshot stands for
+   *
+   * @param {Array} snapshots - All stored snapshots, so the base can be found
+   */
+  materialize(snapshot, snapshots) {
+    if (this.isFull(snapshot)) return snapshot.projects;
+
+    const base = snapshots.find(s => s.id === snapshot.baseId);
+    if (!base) {
+      throw new Error('The backup this snapshot builds on is missing');
+    }
+    return this.applyDelta(base.projects, snapshot.delta);
+  }
+
+  // ==================== COMPARE & PARTIAL RESTORE ====================
+
+  getLabel(project) {
+    return project.intent || project.title || project.name || 'Untitled';
+  }
+
+  /**
+   * Tabs the user removed are kept for undo; for comparing they count as gone
+   */
+  getLiveTabs(project) {
+    return (project?.tabs || []).filter(tab => !tab.removed);
+  }
+
+  describeTab(tab) {
+    return { id: tab.id, title: tab.title, url: tab.url };
+  }
+
+  /**
+   * What changed between a snapshot and now. "removed" items exist only in the
+   * snapshot and can be restored; "added" ones are newer work.
+   *
+   * @returns {Array} One entry per project with changes:
+   *   { id, intent, status: 'added' | 'removed' | 'renamed' | 'changed', previousIntent,
+   *     tabs: { added, removed, renamed } }
+   */
+  compare(snapshotProjects, currentProjects) {
+    const currentById = new Map(currentProjects.map(project => [project.id, project]));
+    const snapshotIds = new Set(snapshotProjects.map(project => project.id));
+    const entries = [];
+
+    snapshotProjects.forEach(previous => {
+      const current = currentById.get(previous.id);
+      if (!current) {
+        entries.push({
+          id: previous.id,
+          intent: this.getLabel(previous),
+          status: 'removed',
+          tabs: { added: [], removed: this.getLiveTabs(previous).map(tab => this.describeTab(tab)), renamed: [] }
+        });
+        return;
+      }
+
+      const previousTabs = new Map(this.getLiveTabs(previous).map(tab => [tab.id, tab]));
+      const currentTabs = new Map(this.getLiveTabs(current).map(tab => [tab.id, tab]));
+      const tabs = {
+        added: [...currentTabs.values()].filter(tab => !previousTabs.has(tab.id)).map(tab => this.describeTab(tab)),
+        removed: [...previousTabs.values()].filter(tab => !currentTabs.has(tab.id)).map(tab => this.describeTab(tab)),
+        renamed: [...currentTabs.values()]
+          .filter(tab => previousTabs.has(tab.id) && previousTabs.get(tab.id).title !== tab.title)
+          .map(tab => ({ ...this.describeTab(tab), previousTitle: previousTabs.get(tab.id).title }))
+      };
+
+      const renamed = this.getLabel(previous) !== this.getLabel(current);
+      if (!renamed && tabs.added.length + tabs.removed.length + tabs.renamed.length === 0) return;
+
+      entries.push({
+        id: current.id,
+        intent: this.getLabel(current),
+        status: renamed ? 'renamed' : 'changed',
+        previousIntent: renamed ? this.getLabel(previous) : undefined,
+        tabs
+      });
+    });
+
+    currentProjects
+      .filter(project => !snapshotIds.has(project.id))
+      .forEach(project => entries.push({
+        id: project.id,
+        intent: this.getLabel(project),
+        status: 'added',
+        tabs: { added: this.getLiveTabs(project).map(tab => this.describeTab(tab)), removed: [], renamed: [] }
+      }));
+
+    return entries;
+  }
+
+  /**
+   * Copy selected projects or tabs from a snapshot into the current projects (in place).
+   * Newer work is kept: a restored project keeps tabs added since the snapshot.
+   *
+   * - a selected project that no longer exists comes back whole at its old position;
+   *   one that still exists gets its old name and its missing tabs back
+   * - a selected tab comes back (or gets its old title back); if its project is gone,
+   *   the project is recreated with just the selected tabs
+   *
+   * @param {Object} selection - { projectIds: [id], tabs: [{ projectId, tabId }] }
+   * @returns {number} How many projects and tabs were restored
+   */
+  restoreSelection(currentProjects, snapshotProjects, { projectIds = [], tabs = [] } = {}) {
+    let restored = 0;
+
+    const findOrCreate = previous => {
+      let current = currentProjects.find(project => project.id === previous.id);
+      if (!current) {
+        current = { ...previous, tabs: [] };
+        const position = snapshotProjects.indexOf(previous);
+        currentProjects.splice(Math.min(position, currentProjects.length), 0, current);
+      }
+      current.tabs = current.tabs || [];
+      return current;
+    };
+
+    const restoreTab = (current, tab) => {
+      const index = current.tabs.findIndex(t => t.id === tab.id);
+      if (index === -1) {
+        current.tabs.push({ ...tab });
+      } else if (current.tabs[index].removed || current.tabs[index].title !== tab.title) {
+        const { removed, removedAt, ...live } = current.tabs[index];
+        current.tabs[index] = { ...live, title: tab.title };
+      } else {
+        return;
+      }
+      restored++;
+    };
+
+    projectIds.forEach(projectId => {
+      const previous = snapshotProjects.find(project => project.id === projectId);
+      if (!previous) return;
+
+      const existed = currentProjects.some(project => project.id === projectId);
+      const current = findOrCreate(previous);
+      if (!existed || this.getLabel(current) !== this.getLabel(previous)) {
+        current.title = previous.title;
+        current.intent = previous.intent;
+        restored++;
+      }
+      this.getLiveTabs(previous).forEach(tab => restoreTab(current, tab));
+    });
+
+    tabs.forEach(({ projectId, tabId }) => {
+      const previous = snapshotProjects.find(project => project.id === projectId);
+      const tab = previous && this.getLiveTabs(previous).find(t => t.id === tabId);
+      if (!tab) return;
+
+      restoreTab(findOrCreate(previous), tab);
+    });
+
+    return restored;
+  }
+
+  /**
+   * Tiered retention: the newest snapshot per hour for a day, per day for a
+   * week and per week for a month. Snapshots the user took on purpose (manual,
+   * pre-import, ...) are kept for the whole month, the newest one is always kept,
+   * and a base stays as long as a kept delta needs it.
+   *
+   * @returns {Set} Ids of the snapshots to keep
+   */
+  selectRetained(snapshots, now = Date.now()) {
+    const keep = new Set();
+    const buckets = new Set();
+    const newestFirst = [...snapshots].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    newestFirst.forEach((snapshot, index) => {
+      const time = new Date(snapshot.timestamp).getTime();
+      const age = now - time;
+
+      let bucket;
+      if (age < this.DAY) {
+        bucket = `hour-${Math.floor(time / this.HOUR)}`;
+      } else if (age < this.WEEK) {
+        bucket = `day-${Math.floor(time / this.DAY)}`;
+      } else {
+        bucket = `week-${Math.floor(time / this.WEEK)}`;
+      }
+
+      if (index === 0) {
+        keep.add(snapshot.id);
+        buckets.add(bucket);
+        return;
+      }
+      if (age >= this.MONTH) return;
+      if (snapshot.type !== 'auto') {
+        keep.add(snapshot.id);
+        return;
+      }
+
+      if (!buckets.has(bucket)) {
+        buckets.add(bucket);
+        keep.add(snapshot.id);
+      }
+    });
+
+    snapshots.forEach(snapshot => {
+      if (keep.has(snapshot.id) && !this.isFull(snapshot)) keep.add(snapshot.baseId);
+    });
+
+    return keep;
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SnapshotDeltas = SnapshotDeltas;
+}
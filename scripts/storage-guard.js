@@ -0,0 +1,232 @@
+/**
+ * Tab Story - Storage Guard
+ * Watches storage usage after writes and, once it climbs past a threshold,
+ * frees space before writes start failing. Data is evicted in a fixed order,
+ * cheapest to lose first, and each step stops as soon as usage is back under
+ * the target:
+ *   1. old session snapshots (the most recent ones are kept)
+ *   2. the page text kept with summaries (the summaries stay)
+ *   3. timeline entries past the history retention period
+ *   4. the trash, emptied ahead of its retention period
+ * Older undo history (the most recent changes stay undoable) can be added as
+ * a last step; it is off unless the user turns it on.
+ * Every eviction is logged and the user is told what was removed.
+ */
+
+class StorageGuard {
+  /**
+   * @param {StorageManager} storageManager - Measures usage and owns snapshots, summaries, undo history and the trash
+   * @param {TimelineStore} timelineStore - Owns the timeline
+   */
+  constructor(storageManager, timelineStore) {
+    this.storageManager = storageManager;
+    this.timelineStore = timelineStore;
+    this.SETTINGS_KEY = 'storage_guard';
+    this.LOG_KEY = 'storage_guard_log';
+    this.ALARM = 'storage-guard';
+    this.NOTIFICATION_ID = 'storage-guard';
+    this.CHECK_DELAY_MINUTES = 1;
+    this.MAX_LOG = 20;
+    this.DEFAULTS = {
+      enabled: true,
+      // Percent of the quota: a warning at warnAt, eviction from evictAt down to targetAt
+      warnAt: 75,
+      evictAt: 90,
+      targetAt: 70,
+      keepSnapshots: 3,
+      keepHistory: 10,
+      steps: { snapshots: true, summaries: true, timeline: true, trash: true, history: false }
+    };
+    this.STEPS = [
+      { id: 'snapshots', label: 'Old backups' },
+      { id: 'summaries', label: 'Page text kept with summaries' },
+      { id: 'timeline', label: 'History past its retention period' },
+      { id: 'trash', label: 'Items in the trash' },
+      { id: 'history', label: 'Older undo history' }
+    ];
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Shape: { enabled, warnAt, evictAt, targetAt, keepSnapshots, keepHistory, steps: { [stepId]: boolean }, warnedAt }
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(this.SETTINGS_KEY);
+    const stored = result[this.SETTINGS_KEY] || {};
+    return { ...this.DEFAULTS, ...stored, steps: { ...this.DEFAULTS.steps, ...stored.steps } };
+  }
+
+  async saveSettings(changes) {
+    const current = await this.getSettings();
+    const settings = { ...current, ...changes, steps: { ...current.steps, ...changes.steps } };
+    await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Evictions, newest first: [{ at, step, label, removed, freedBytes, before, after }]
+   */
+  async getLog() {
+    const result = await chrome.storage.local.get(this.LOG_KEY);
+    return result[this.LOG_KEY] || [];
+  }
+
+  /**
+   * The guard's own keys change when it runs; they must not schedule another check
+   */
+  isOwnKey(key) {
+    return key === this.SETTINGS_KEY || key === this.LOG_KEY;
+  }
+
+  // ==================== CHECKS ====================
+
+  /**
+   * Check shortly after a write. Writes come in bursts, so a pending check is not pushed back.
+   */
+  async scheduleCheck() {
+    if (await chrome.alarms.get(this.ALARM)) return;
+    chrome.alarms.create(this.ALARM, { delayInMinutes: this.CHECK_DELAY_MINUTES });
+  }
+
+  /**
+   * Bytes in use as counted against the quota, not the size of the data itself
+   *
+   * @returns {Promise<Object>} { total, quota, percentage }
+   */
+  async measure() {
+    const result = await this.storageManager.getStorageUsage();
+    if (!result.success) {
+      throw new Error('Could not measure storage usage');
+    }
+    const { quotaUsed, quota, quotaPercentage } = result.usage;
+    return { total: quotaUsed, quota, percentage: quotaPercentage };
+  }
+
+  /**
+   * Warn once usage passes warnAt, and evict once it passes evictAt.
+   * Deletes projects from the trash directly, so callers hold the projects lock.
+   */
+  async check() {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        return { success: true, evicted: [] };
+      }
+
+      let usage = await this.measure();
+      if (usage.percentage < settings.evictAt) {
+        await this.warnIfNeeded(settings, usage);
+        return { success: true, evicted: [], percentage: usage.percentage };
+      }
+
+      const evicted = [];
+      for (const step of this.STEPS) {
+        if (usage.percentage < settings.targetAt) break;
+        if (!settings.steps[step.id]) continue;
+
+        const removed = await this.evict(step.id, settings);
+        const after = await this.measure();
+        if (removed > 0) {
+          evicted.push({
+            at: new Date().toISOString(),
+            step: step.id,
+            label: step.label,
+            removed,
+            freedBytes: Math.max(0, usage.total - after.total),
+            before: usage.percentage,
+            after: after.percentage
+          });
+        }
+        usage = after;
+      }
+
+      if (evicted.length > 0) {
+        const log = await this.getLog();
+        await chrome.storage.local.set({ [this.LOG_KEY]: [...[...evicted].reverse(), ...log].slice(0, this.MAX_LOG) });
+        await this.notifyEvicted(evicted, usage);
+      }
+      return { success: true, evicted, percentage: usage.percentage };
+    } catch (error) {
+      console.error('Failed to check storage usage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run one eviction step
+   *
+   * @returns {Promise<number>} How many items were removed
+   */
+  async evict(stepId, settings) {
+    if (stepId === 'snapshots') {
+      const result = await this.storageManager.cleanupOldSnapshots(settings.keepSnapshots);
+      return result.success ? result.deletedCount : 0;
+    }
+    if (stepId === 'summaries') {
+      return this.storageManager.dropSummaryContent();
+    }
+    if (stepId === 'timeline') {
+      return (await this.timelineStore.applyRetention()) || 0;
+    }
+    if (stepId === 'history') {
+      return this.storageManager.commandLog ? this.storageManager.commandLog.trim(settings.keepHistory) : 0;
+    }
+    if (stepId === 'trash') {
+      const trash = await this.storageManager.getTrash();
+      if (!trash.success || trash.items.length === 0) return 0;
+      // Freeing space is not an edit to undo; logging it would keep a copy of everything purged
+      const result = await this.storageManager.deleteFromTrash(trash.items, { record: false });
+      return result.success ? result.deleted : 0;
+    }
+    return 0;
+  }
+
+  // ==================== NOTIFICATIONS ====================
+
+  /**
+   * One warning per climb past warnAt; it can warn again once usage has dropped back below
+   */
+  async warnIfNeeded(settings, usage) {
+    if (usage.percentage < settings.warnAt) {
+      if (settings.warnedAt) await this.saveSettings({ warnedAt: null });
+      return;
+    }
+    if (settings.warnedAt) return;
+
+    await this.saveSettings({ warnedAt: new Date().toISOString() });
+    await chrome.notifications.create(this.NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Tab Story is running out of space',
+      message: `Storage is ${Math.round(usage.percentage)}% full. Old backups and cached data will be removed at ${settings.evictAt}%.`
+    });
+  }
+
+  notifyEvicted(evicted, usage) {
+    return chrome.notifications.create(this.NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: 'Tab Story freed up space',
+      message: `Removed ${evicted.map(entry => `${entry.label.toLowerCase()} (${entry.removed})`).join(', ')}. Storage is now ${Math.round(usage.percentage)}% full.`
+    });
+  }
+
+  /**
+   * Settings, current usage and the eviction log for the side panel
+   */
+  async getStatus() {
+    try {
+      const [settings, log, usage] = await Promise.all([this.getSettings(), this.getLog(), this.measure()]);
+      return { success: true, settings, log, usage, steps: this.STEPS };
+    } catch (error) {
+      console.error('Failed to get storage guard status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.StorageGuard = StorageGuard;
+}
@@ -1,32 +1,92 @@
 /**
  * Tab Story - Storage Manager
- * Handles Chrome Storage API interactions
+ * Handles Chrome Storage API interactions. Projects, snapshots and summaries
+ * live in IndexedDB where available (see idb-backend.js); settings and other
+ * small keys stay in chrome.storage.local.
  */
 
 class StorageManager {
-  constructor() {
+  /**
+   * @param {Object} options - { autoBackup: false } skips the 5-minute snapshot timer
+   */
+  constructor(options = {}) {
     this.storage = chrome.storage.local;
+    this.backend = this.createBackend();
     this.STORAGE_KEYS = {
       PROJECTS: 'tab_projects',
       TABS: 'tab_items',
       SETTINGS: 'user_settings',
       INTENTS: 'recent_intents',
-      TIMELINE: 'tab_timeline',
+      TIMELINE: 'timeline_index',
+      TIMELINE_DAY_PREFIX: 'timeline_day_',
+      DWELL: 'tab_dwell',
       SESSION_SNAPSHOTS: 'session_snapshots',
       LAST_SESSION: 'last_session',
-      SESSION_STATE: 'session_state'
+      SESSION_STATE: 'session_state',
+      PROJECTS_REVISION: 'projects_revision',
+      SUMMARIES: 'tab_summaries'
     };
 
+    // chrome.storage.local's own cap without unlimitedStorage
+    this.DEFAULT_QUOTA_BYTES = 5 * 1024 * 1024;
+    this.snapshotDeltas = new SnapshotDeltas();
+    this.identity = new Identity();
+    // Undo history for every change to the projects (see command-log.js)
+    this.commandLog = typeof CommandLog !== 'undefined' ? new CommandLog(this) : null;
+
     // Auto-backup every 5 minutes
-    this.setupAutoBackup();
+    if (options.autoBackup !== false) {
+      this.setupAutoBackup();
+    }
+  }
+
+  /**
+   * Pick the storage backend; both expose the same methods
+   */
+  createBackend() {
+    if (typeof IndexedDBBackend !== 'undefined' && IndexedDBBackend.isSupported()) {
+      return new IndexedDBBackend();
+    }
+    return new ChromeStorageBackend();
+  }
+
+  /**
+   * Run a write to the projects and log it for undo under this label
+   */
+  async recordChanges(label, task) {
+    if (!this.commandLog) return task();
+
+    const before = await this.getProjects();
+    const result = await task();
+    await this.commandLog.record(label, before, await this.getProjects());
+    return result;
+  }
+
+  /**
+   * IndexedDB has no change events, so bump a small key other pages can watch.
+   * It counts up on every write and doubles as the projects' version.
+   */
+  async touchProjects() {
+    const version = await this.getProjectsVersion();
+    await this.storage.set({ [this.STORAGE_KEYS.PROJECTS_REVISION]: version + 1 });
+  }
+
+  async getProjectsVersion() {
+    const result = await this.storage.get(this.STORAGE_KEYS.PROJECTS_REVISION);
+    return result[this.STORAGE_KEYS.PROJECTS_REVISION] || 0;
   }
 
   /**
    * Save project groups
+   * @param {Object} options - { label } names the change in the undo history; { record: false } leaves it out
    */
-  async saveProjects(projects) {
+  async saveProjects(projects, { label = 'Replace intents', record = true } = {}) {
     try {
-      await this.storage.set({ [this.STORAGE_KEYS.PROJECTS]: projects });
+      const save = async () => {
+        await this.backend.saveProjects(projects);
+        await this.touchProjects();
+      };
+      await (record ? this.recordChanges(label, save) : save());
       return { success: true };
     } catch (error) {
       console.error('Failed to save projects:', error);
@@ -39,8 +99,8 @@ class StorageManager {
    */
   async getProjects() {
     try {
-      const result = await this.storage.get(this.STORAGE_KEYS.PROJECTS);
-      return result[this.STORAGE_KEYS.PROJECTS] || this.getDefaultProjects();
+      const projects = await this.backend.getProjects();
+      return projects.length > 0 ? projects : this.getDefaultProjects();
     } catch (error) {
       console.error('Failed to get projects:', error);
       return this.getDefaultProjects();
@@ -55,19 +115,140 @@ class StorageManager {
   }
 
   /**
-   * Add new project
+   * Read-modify-write over all projects, writing back only the projects the
+   * mutator changed. The mutator edits the array in place and may return
+   * false to skip the write; whatever it returns is passed back.
+   *
+   * @param {Object} options - { label } names the change in the undo history; { record: false } leaves it out
+   */
+  async updateProjects(mutator, { label = 'Edit intents', record = true } = {}) {
+    const projects = await this.getProjects();
+    const before = new Map(projects.map(p => [p.id, JSON.stringify(p)]));
+    const original = record && this.commandLog ? JSON.parse(JSON.stringify(projects)) : null;
+
+    const outcome = await mutator(projects);
+    if (outcome === false) return false;
+
+    const afterIds = new Set(projects.map(p => p.id));
+    const keptOrder = projects.filter(p => before.has(p.id)).map(p => p.id);
+    const previousOrder = [...before.keys()].filter(id => afterIds.has(id));
+    const firstNew = projects.findIndex(p => !before.has(p.id));
+
+    // Reordering, or inserting ahead of existing projects, moves every position
+    const reordered = keptOrder.join('\n') !== previousOrder.join('\n') ||
+      (firstNew !== -1 && projects.slice(firstNew).some(p => before.has(p.id)));
+
+    if (reordered) {
+      await this.backend.saveProjects(projects);
+    } else {
+      for (const id of before.keys()) {
+        if (!afterIds.has(id)) await this.backend.deleteProject(id);
+      }
+      for (const [position, project] of projects.entries()) {
+        if (before.get(project.id) !== JSON.stringify(project)) {
+          await this.backend.putProject(project, position);
+        }
+      }
+    }
+
+    await this.touchProjects();
+    if (original) {
+      await this.commandLog.record(label, original, projects);
+    }
+    return outcome;
+  }
+
+  /**
+   * Apply changes sent by the side panel. Changes to single projects apply on
+   * top of whatever was saved in the meantime; replacing the whole list only
+   * applies when nothing was saved since the version it was based on.
+   * Callers hold the projects lock.
+   *
+   * @param {Array} changes - [{ type: 'addProject', project } | { type: 'addTab', projectId, tab }
+   *   | { type: 'updateProject', projectId, updates } | { type: 'updateTab', projectId, tabId, updates }
+   *   | { type: 'replace', projects }]; in updates a null value removes the field
+   * @param {Object} options - { baseVersion } the version the changes were made against, { label } for the undo history
+   * @returns {Promise<Object>} { success, version } or { success: false, conflict: true, version, projects }
+   */
+  async applyProjectChanges(changes, { baseVersion = null, label } = {}) {
+    try {
+      const version = await this.getProjectsVersion();
+      if (changes.some(change => change.type === 'replace') && baseVersion !== version) {
+        return { success: false, conflict: true, version, projects: await this.getProjects() };
+      }
+
+      let error = null;
+      await this.updateProjects(projects => {
+        for (const change of changes) {
+          error = this.applyProjectChange(projects, change);
+          if (error) return false;
+        }
+      }, { label });
+      if (error) {
+        return { success: false, error };
+      }
+      return { success: true, version: await this.getProjectsVersion() };
+    } catch (error) {
+      console.error('Failed to apply project changes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Apply one change to the projects in place
+   *
+   * @returns {string|null} Why the change can't be applied
+   */
+  applyProjectChange(projects, change) {
+    if (change.type === 'replace') {
+      projects.splice(0, projects.length, ...change.projects);
+      return null;
+    }
+    if (change.type === 'addProject') {
+      if (projects.some(p => p.id === change.project.id)) return 'This intent already exists';
+      projects.push({ tabs: [], ...change.project });
+      return null;
+    }
+
+    const project = projects.find(p => p.id === change.projectId && !p.removed);
+    if (!project) return 'Intent not found';
+
+    if (change.type === 'addTab') {
+      // The same page saved again is a duplicate; the project keeps the tab it has
+      if (!this.identity.findSavedTab(project, change.tab) && !(project.tabs || []).some(tab => tab.id === change.tab.id)) {
+        project.tabs = project.tabs || [];
+        project.tabs.push(change.tab);
+      }
+      return null;
+    }
+    if (change.type === 'updateProject') {
+      this.assignFields(project, change.updates);
+      return null;
+    }
+    if (change.type === 'updateTab') {
+      const tab = (project.tabs || []).find(t => t.id === change.tabId);
+      if (!tab) return 'Tab not found';
+      this.assignFields(tab, change.updates);
+      return null;
+    }
+    return `Unknown change: ${change.type}`;
+  }
+
+  /**
+   * Add new project. This and the writes below read and write through
+   * updateProjects in one go; callers hold the projects lock.
    */
   async addProject(projectData) {
     try {
-      const projects = await this.getProjects();
       const newProject = {
-        id: Date.now().toString(),
+        id: this.identity.createId(),
         ...projectData,
         createdAt: new Date().toISOString(),
         tabs: projectData.tabs || []
       };
-      projects.push(newProject);
-      await this.saveProjects(projects);
+      await this.updateProjects(projects => {
+        projects.push(newProject);
+      }, { label: `Create "${newProject.intent || newProject.title}"` });
       return { success: true, project: newProject };
     } catch (error) {
       console.error('Failed to add project:', error);
@@ -76,18 +257,21 @@ class StorageManager {
   }
 
   /**
-   * Update project
+   * Update project; a null value removes the field
    */
   async updateProject(projectId, updates) {
     try {
-      const projects = await this.getProjects();
-      const projectIndex = projects.findIndex(p => p.id === projectId);
-      if (projectIndex !== -1) {
-        projects[projectIndex] = { ...projects[projectIndex], ...updates };
-        await this.saveProjects(projects);
-        return { success: true, project: projects[projectIndex] };
+      const current = (await this.getProjects()).find(p => p.id === projectId);
+      if (!current) {
+        return { success: false, error: 'Project not found' };
       }
-      return { success: false, error: 'Project not found' };
+
+      let updated = null;
+      await this.updateProjects(projects => {
+        updated = projects.find(p => p.id === projectId);
+        this.assignFields(updated, updates);
+      }, { label: `Edit "${current.intent || current.title}"` });
+      return { success: true, project: updated };
     } catch (error) {
       console.error('Failed to update project:', error);
       return { success: false, error };
@@ -95,13 +279,19 @@ class StorageManager {
   }
 
   /**
-   * Delete project
+   * Move a project to the trash; it is purged once the retention period is over
    */
   async deleteProject(projectId) {
     try {
-      let projects = await this.getProjects();
-      projects = projects.filter(p => p.id !== projectId);
-      await this.saveProjects(projects);
+      const current = (await this.getProjects()).find(p => p.id === projectId);
+      if (!current) {
+        return { success: false, error: 'Project not found' };
+      }
+
+      await this.updateProjects(projects => {
+        // Its tab group stays open, no longer bound to anything
+        this.assignFields(projects.find(p => p.id === projectId), this.getTrashFields());
+      }, { label: `Delete "${current.intent || current.title || 'intent'}"` });
       return { success: true };
     } catch (error) {
       console.error('Failed to delete project:', error);
@@ -109,24 +299,37 @@ class StorageManager {
     }
   }
 
+  /**
+   * Fields that move a project to the trash, as updates for updateProject
+   */
+  getTrashFields() {
+    return { removed: true, removedAt: new Date().toISOString(), groupId: null };
+  }
+
   /**
    * Add tab to project
    */
   async addTabToProject(projectId, tabData) {
     try {
-      const projects = await this.getProjects();
-      const project = projects.find(p => p.id === projectId);
-      if (project) {
-        const newTab = {
-          id: Date.now().toString(),
-          ...tabData,
-          timestamp: new Date().toISOString()
-        };
-        project.tabs.push(newTab);
-        await this.saveProjects(projects);
-        return { success: true, tab: newTab };
+      const current = (await this.getProjects()).find(p => p.id === projectId);
+      if (!current) {
+        return { success: false, error: 'Project not found' };
+      }
+      const existing = this.identity.findSavedTab(current, tabData);
+      if (existing) {
+        return { success: true, tab: existing, duplicate: true };
       }
-      return { success: false, error: 'Project not found' };
+
+      const newTab = {
+        id: this.identity.createId(),
+        ...tabData,
+        timestamp: new Date().toISOString()
+      };
+      await this.updateProjects(projects => {
+        const project = projects.find(p => p.id === projectId);
+        project.tabs = [...(project.tabs || []), newTab];
+      }, { label: `Add "${newTab.title || newTab.url}" to "${current.intent || current.title}"` });
+      return { success: true, tab: newTab };
     } catch (error) {
       console.error('Failed to add tab:', error);
       return { success: false, error };
@@ -137,91 +340,439 @@ class StorageManager {
    * Remove tab from project (mark as removed for undo)
    */
   async removeTabFromProject(projectId, tabId) {
+    return this.updateTab(projectId, tabId, { removed: true, removedAt: new Date().toISOString() }, {
+      label: tab => `Remove "${tab.title || tab.url}"`,
+      error: 'Project or tab not found'
+    });
+  }
+
+  /**
+   * Undo remove tab
+   */
+  async undoRemoveTab(projectId, tabId) {
+    return this.updateTab(projectId, tabId, { removed: null, removedAt: null }, {
+      label: tab => `Restore "${tab.title || tab.url}"`,
+      error: 'Tab not found or not removed',
+      when: tab => tab.removed
+    });
+  }
+
+  /**
+   * Update one saved tab; a null value removes the field
+   *
+   * @param {Object} options - { label(tab), error } for the undo history and a missing tab, { when(tab) } to skip the write
+   */
+  async updateTab(projectId, tabId, updates, { label, error, when = () => true }) {
+    try {
+      const project = (await this.getProjects()).find(p => p.id === projectId);
+      const current = (project?.tabs || []).find(t => t.id === tabId);
+      if (!current || !when(current)) {
+        return { success: false, error };
+      }
+
+      let tab = null;
+      await this.updateProjects(projects => {
+        tab = projects.find(p => p.id === projectId).tabs.find(t => t.id === tabId);
+        this.assignFields(tab, updates);
+      }, { label: label(current) });
+      return { success: true, tab };
+    } catch (failure) {
+      console.error('Failed to update tab:', failure);
+      return { success: false, error: failure };
+    }
+  }
+
+  /**
+   * Copy updates onto a project or tab; a null value removes the field
+   */
+  assignFields(target, updates) {
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value === null) {
+        delete target[key];
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  }
+
+  // ==================== TRASH ====================
+
+  /**
+   * How long removed tabs and deleted projects stay in the trash, from user settings
+   */
+  async getTrashRetentionDays() {
+    const days = Number((await this.getSettings()).trashRetentionDays);
+    return days > 0 ? days : this.getDefaultSettings().trashRetentionDays;
+  }
+
+  /**
+   * Removed tabs and deleted projects, most recently removed first. A deleted
+   * project's tabCount counts the tabs it took to the trash with it, which are
+   * not listed; tabs removed on their own before it are listed as tabs.
+   *
+   * @returns {Object} { success, items: [{ type: 'project' | 'tab', projectId, tabId, title, url, favicon,
+   *   projectTitle, tabCount, removedAt, daysLeft }], retentionDays }
+   */
+  async getTrash() {
     try {
       const projects = await this.getProjects();
-      const project = projects.find(p => p.id === projectId);
-      if (project) {
-        const tab = project.tabs.find(t => t.id === tabId);
-        if (tab) {
-          // Mark as removed instead of deleting
-          tab.removed = true;
-          tab.removedAt = new Date().toISOString();
-          await this.saveProjects(projects);
-          return { success: true, tab };
+      const retentionDays = await this.getTrashRetentionDays();
+      const daysLeft = removedAt =>
+        Math.max(0, Math.ceil(retentionDays - (Date.now() - new Date(removedAt)) / (1000 * 60 * 60 * 24)));
+
+      const items = [];
+      projects.forEach(project => {
+        const projectTitle = project.intent || project.title || 'Untitled';
+        if (project.removed) {
+          items.push({
+            type: 'project',
+            projectId: project.id,
+            title: projectTitle,
+            tabCount: (project.tabs || []).filter(tab => !tab.removed).length,
+            removedAt: project.removedAt,
+            daysLeft: daysLeft(project.removedAt)
+          });
         }
-      }
-      return { success: false, error: 'Project or tab not found' };
+        (project.tabs || []).forEach(tab => {
+          if (!tab.removed) return;
+          items.push({
+            type: 'tab',
+            projectId: project.id,
+            tabId: tab.id,
+            title: tab.title || tab.url,
+            url: tab.url,
+            favicon: tab.favicon,
+            projectTitle,
+            removedAt: tab.removedAt,
+            daysLeft: daysLeft(tab.removedAt)
+          });
+        });
+      });
+
+      items.sort((a, b) => new Date(b.removedAt) - new Date(a.removedAt));
+      return { success: true, items, retentionDays };
+    } catch (error) {
+      console.error('Failed to get trash:', error);
+      return { success: false, error: error.message, items: [] };
+    }
+  }
+
+  /**
+   * Undo history label for a change to trash items
+   */
+  getTrashLabel(action, items) {
+    return items.length === 1 && items[0].title
+      ? `${action} "${items[0].title}"`
+      : `${action} ${items.length} items`;
+  }
+
+  /**
+   * Take items out of the trash. A tab from a deleted project brings the project back too.
+   *
+   * @param {Array} items - [{ projectId, tabId }], without tabId for a whole project
+   */
+  async restoreFromTrash(items) {
+    try {
+      const restored = await this.updateProjects(projects => {
+        let count = 0;
+        items.forEach(({ projectId, tabId }) => {
+          const project = projects.find(p => p.id === projectId);
+          const target = tabId ? (project?.tabs || []).find(t => t.id === tabId) : project;
+          if (!target?.removed) return;
+
+          delete target.removed;
+          delete target.removedAt;
+          if (project.removed) {
+            delete project.removed;
+            delete project.removedAt;
+          }
+          count++;
+        });
+        return count || false;
+      }, { label: this.getTrashLabel('Restore', items) });
+
+      return { success: true, restored: restored || 0 };
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete trash items for good, without waiting for the retention period
+   *
+   * @param {Array} items - [{ projectId, tabId }], without tabId for a whole project
+   * @param {Object} options - { record: false } to leave it out of the undo history, when freeing space
+   */
+  async deleteFromTrash(items, { record = true } = {}) {
+    try {
+      const deleted = await this.updateProjects(projects => {
+        let count = 0;
+        items.forEach(({ projectId, tabId }) => {
+          const index = projects.findIndex(p => p.id === projectId);
+          const project = projects[index];
+          if (!project) return;
+
+          if (!tabId) {
+            if (!project.removed) return;
+            projects.splice(index, 1);
+            count++;
+            return;
+          }
+          const current = project.tabs || [];
+          const kept = current.filter(tab => tab.id !== tabId || !tab.removed);
+          count += current.length - kept.length;
+          project.tabs = kept;
+        });
+        return count || false;
+      }, { label: this.getTrashLabel('Delete for good', items), record });
+
+      return { success: true, deleted: deleted || 0 };
+    } catch (error) {
+      console.error('Failed to delete from trash:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Purge trash items older than the retention period. Projects left with no
+   * tabs at all by the purge go too.
+   */
+  async cleanupRemovedTabs() {
+    try {
+      const cutoff = Date.now() - (await this.getTrashRetentionDays()) * 1000 * 60 * 60 * 24;
+      const expired = item => item.removed && new Date(item.removedAt).getTime() <= cutoff;
+
+      const purged = await this.updateProjects(projects => {
+        let count = 0;
+        const kept = projects.filter(project => {
+          if (expired(project)) {
+            count++;
+            return false;
+          }
+          const current = project.tabs || [];
+          const tabs = current.filter(tab => !expired(tab));
+          if (tabs.length === current.length) return true;
+
+          count += current.length - tabs.length;
+          project.tabs = tabs;
+          return tabs.length > 0;
+        });
+        if (count === 0) return false;
+
+        projects.splice(0, projects.length, ...kept);
+        return count;
+      }, { label: 'Clean up removed tabs' });
+
+      return { success: true, purged: purged || 0 };
     } catch (error) {
-      console.error('Failed to remove tab:', error);
+      console.error('Failed to cleanup removed tabs:', error);
       return { success: false, error };
     }
   }
 
+  // ==================== ARCHIVE ====================
+
   /**
-   * Undo remove tab
+   * An archived project keeps what is needed to browse and reopen it: no live
+   * ids, no tab group, and no favicons cached as data URLs
    */
-  async undoRemoveTab(projectId, tabId) {
+  compactForArchive(project) {
+    const { collapsed, ...compact } = this.withoutLiveBindings(project);
+    compact.tabs = compact.tabs.map(({ favicon, ...tab }) =>
+      (favicon && !String(favicon).startsWith('data:') ? { ...tab, favicon } : tab));
+    return compact;
+  }
+
+  /**
+   * When a project was last worked on: created, a tab saved or closed, or brought back from the archive
+   */
+  getLastActivity(project) {
+    const times = [project.createdAt, project.unarchivedAt, ...(project.tabs || []).flatMap(tab => [tab.timestamp, tab.closedAt])]
+      .map(time => new Date(time || 0).getTime())
+      .filter(time => !Number.isNaN(time));
+    return Math.max(0, ...times);
+  }
+
+  /**
+   * Archive projects: they leave the main list and are stored compactly, and
+   * their cached summaries are dropped
+   *
+   * @param {Array} projectIds - Projects to archive; ones already archived or in the trash are skipped
+   */
+  async archiveProjects(projectIds, { label = null } = {}) {
     try {
-      const projects = await this.getProjects();
-      const project = projects.find(p => p.id === projectId);
-      if (project) {
-        const tab = project.tabs.find(t => t.id === tabId);
-        if (tab && tab.removed) {
-          // Restore the tab
-          delete tab.removed;
-          delete tab.removedAt;
-          await this.saveProjects(projects);
-          return { success: true };
-        }
+      const archivedAt = new Date().toISOString();
+      const result = await this.updateProjects(projects => {
+        const archivedIds = [];
+        const tabIds = [];
+        projects.forEach((project, index) => {
+          if (!projectIds.includes(project.id) || project.archived || project.removed) return;
+          projects[index] = { ...this.compactForArchive(project), archived: true, archivedAt };
+          archivedIds.push(project.id);
+          tabIds.push(...(project.tabs || []).map(tab => tab.id));
+        });
+        return archivedIds.length > 0 ? { archivedIds, tabIds } : false;
+      }, { label: label || (projectIds.length === 1 ? 'Archive intent' : `Archive ${projectIds.length} intents`) });
+
+      if (result && result.tabIds.length > 0) {
+        await this.backend.deleteSummaries(result.tabIds);
       }
-      return { success: false, error: 'Tab not found or not removed' };
+      return { success: true, archived: result ? result.archivedIds.length : 0 };
     } catch (error) {
-      console.error('Failed to undo remove tab:', error);
-      return { success: false, error };
+      console.error('Failed to archive projects:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Permanently delete removed tabs older than 30 days and remove empty projects
+   * Bring projects back to the main list; they count as active again for auto-archive
    */
-  async cleanupRemovedTabs() {
+  async unarchiveProjects(projectIds) {
     try {
-      let projects = await this.getProjects();
-      let changed = false;
+      const unarchivedAt = new Date().toISOString();
+      const count = await this.updateProjects(projects => {
+        let changed = 0;
+        projects.forEach(project => {
+          if (!projectIds.includes(project.id) || !project.archived) return;
+          delete project.archived;
+          delete project.archivedAt;
+          project.unarchivedAt = unarchivedAt;
+          changed++;
+        });
+        return changed || false;
+      }, { label: projectIds.length === 1 ? 'Unarchive intent' : `Unarchive ${projectIds.length} intents` });
 
-      // Remove old deleted tabs (older than 30 days)
-      projects.forEach(project => {
-        const originalLength = project.tabs.length;
-        project.tabs = project.tabs.filter(tab => {
-          if (!tab.removed) return true;
-          const removedTime = new Date(tab.removedAt);
-          const now = new Date();
-          const diffDays = (now - removedTime) / (1000 * 60 * 60 * 24);
-          return diffDays < 30; // Keep removed tabs for 30 days (visible in timeline)
+      return { success: true, unarchived: count || 0 };
+    } catch (error) {
+      console.error('Failed to unarchive projects:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Archive projects untouched for the number of days in settings.autoArchiveDays
+   * (0 turns this off). Projects with tabs open right now are in use and stay.
+   */
+  async autoArchiveProjects() {
+    try {
+      const days = Number((await this.getSettings()).autoArchiveDays);
+      if (!(days > 0)) {
+        return { success: true, archived: 0 };
+      }
+
+      const cutoff = Date.now() - days * 1000 * 60 * 60 * 24;
+      const inactive = (await this.getProjects())
+        .filter(project => !project.archived && !project.removed)
+        .filter(project => !(project.tabs || []).some(tab => tab.liveStatus === 'open' && !tab.removed))
+        .filter(project => this.getLastActivity(project) < cutoff)
+        .map(project => project.id);
+
+      if (inactive.length === 0) {
+        return { success: true, archived: 0 };
+      }
+      return this.archiveProjects(inactive, { label: `Auto-archive ${inactive.length} inactive intents` });
+    } catch (error) {
+      console.error('Failed to auto-archive projects:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ==================== DUPLICATES ====================
+
+  /**
+   * Projects other than this one that already have the page, for the
+   * "also saved in" warning. Projects in the trash are left out.
+   *
+   * @param {Object} page - { url, canonicalUrl }
+   */
+  findProjectsWithPage(projects, page, exceptProjectId = null) {
+    return projects.filter(project =>
+      project.id !== exceptProjectId && !project.removed && this.identity.findSavedTab(project, page));
+  }
+
+  /**
+   * Saved tabs that are the same page, within one project or across several.
+   * Tabs and projects in the trash are left out.
+   *
+   * @returns {Promise<Object>} { success, groups: [{ key, title, tabs: [{ projectId, projectTitle, archived, tabId, title, url, timestamp }] }] }
+   */
+  async findDuplicates() {
+    try {
+      const byPage = new Map();
+      (await this.getProjects()).filter(project => !project.removed).forEach(project => {
+        (project.tabs || []).filter(tab => !tab.removed).forEach(tab => {
+          const key = this.identity.pageKey(tab);
+          if (!byPage.has(key)) byPage.set(key, []);
+          byPage.get(key).push({
+            projectId: project.id,
+            projectTitle: project.intent || project.title || 'Untitled',
+            archived: !!project.archived,
+            tabId: tab.id,
+            title: tab.title,
+            url: tab.url,
+            timestamp: tab.timestamp
+          });
         });
-        if (project.tabs.length !== originalLength) {
-          changed = true;
-        }
       });
 
-      // Remove empty projects (no tabs or all tabs removed)
-      const originalProjectCount = projects.length;
-      projects = projects.filter(project => {
-        const activeTabs = project.tabs.filter(tab => !tab.removed);
-        return activeTabs.length > 0; // Keep only projects with active tabs
-      });
+      const groups = [...byPage.entries()]
+        .filter(([, tabs]) => tabs.length > 1)
+        .map(([key, tabs]) => ({ key, title: tabs[0].title || tabs[0].url, tabs }));
+      return { success: true, groups };
+    } catch (error) {
+      console.error('Failed to find duplicates:', error);
+      return { success: false, error: error.message, groups: [] };
+    }
+  }
 
-      if (projects.length !== originalProjectCount) {
-        changed = true;
-      }
+  /**
+   * Merge copies of a page into the one to keep. The others go to the trash;
+   * their notes are added to the kept tab, and so is a live tab binding it lacks.
+   *
+   * @param {Object} keep - { projectId, tabId }
+   * @param {Array} others - [{ projectId, tabId }]; tabs that are not the same page are skipped
+   */
+  async mergeDuplicates(keep, others) {
+    try {
+      const findTab = (projects, { projectId, tabId }) =>
+        projects.find(p => p.id === projectId)?.tabs?.find(t => t.id === tabId && !t.removed) || null;
 
-      if (changed) {
-        await this.saveProjects(projects);
+      const kept = findTab(await this.getProjects(), keep);
+      if (!kept) {
+        return { success: false, error: 'The tab to keep is no longer saved' };
       }
-      return { success: true };
+
+      const removedAt = new Date().toISOString();
+      const merged = await this.updateProjects(projects => {
+        const target = findTab(projects, keep);
+        const key = this.identity.pageKey(target);
+        let count = 0;
+
+        others.forEach(item => {
+          const tab = findTab(projects, item);
+          if (!tab || tab === target || this.identity.pageKey(tab) !== key) return;
+
+          if (tab.notes && !(target.notes || '').includes(tab.notes)) {
+            target.notes = target.notes ? `${target.notes}\n\n${tab.notes}` : tab.notes;
+          }
+          if (tab.liveStatus === 'open' && target.liveStatus !== 'open') {
+            target.chromeTabId = tab.chromeTabId;
+            target.liveStatus = 'open';
+            delete target.closedAt;
+          }
+          tab.removed = true;
+          tab.removedAt = removedAt;
+          count++;
+        });
+        return count || false;
+      }, { label: `Merge copies of "${kept.title || kept.url}"` });
+
+      return { success: true, merged: merged || 0 };
     } catch (error) {
-      console.error('Failed to cleanup removed tabs:', error);
-      return { success: false, error };
+      console.error('Failed to merge duplicates:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -257,7 +808,13 @@ class StorageManager {
   getDefaultSettings() {
     return {
       darkMode: false,
-      compactView: false
+      compactView: false,
+      autoIntentPrompt: false,
+      intentPromptCooldownMinutes: 5,
+      domainRules: {},
+      timelineRetentionDays: 30,
+      trashRetentionDays: 30,
+      autoArchiveDays: 0
     };
   }
 
@@ -312,12 +869,22 @@ class StorageManager {
    */
   async clearAllData() {
     try {
-      // Clear only projects, tabs, and timeline - keep settings and intents
+      // Clear only projects, tabs, timeline and active time - keep settings and intents
+      const stored = await this.storage.get(null);
+      const timelineDays = Object.keys(stored)
+        .filter(key => key.startsWith(this.STORAGE_KEYS.TIMELINE_DAY_PREFIX));
+
+      await this.recordChanges('Clear all intents', () => this.backend.clearProjects());
+      if (this.backend.clearTimeline) {
+        await this.backend.clearTimeline();
+      }
       await this.storage.remove([
-        this.STORAGE_KEYS.PROJECTS,
         this.STORAGE_KEYS.TABS,
-        this.STORAGE_KEYS.TIMELINE
+        this.STORAGE_KEYS.TIMELINE,
+        this.STORAGE_KEYS.DWELL,
+        ...timelineDays
       ]);
+      await this.touchProjects();
       return { success: true };
     } catch (error) {
       console.error('Failed to clear data:', error);
@@ -326,14 +893,42 @@ class StorageManager {
   }
 
   /**
-   * Export all data
+   * A project without the ids that tie it to this browser's open tabs and groups
    */
-  async exportData() {
+  withoutLiveBindings(project) {
+    const { groupId, ...rest } = project;
+    return {
+      ...rest,
+      tabs: (project.tabs || []).map(({ chromeTabId, liveStatus, closedAt, ...tab }) => tab)
+    };
+  }
+
+  /**
+   * Export all data, in the chrome.storage key layout whichever backend holds it
+   *
+   * @param {Object} options - { passphrase } encrypts the data (see BackupCrypto);
+   *   { scope: 'projects' } exports only the projects, without this browser's live tab and group ids
+   */
+  async exportData({ passphrase = null, scope = 'all' } = {}) {
     try {
-      const result = await this.storage.get(null);
+      let data;
+      if (scope === 'projects') {
+        const projects = await this.getProjects();
+        data = { [this.STORAGE_KEYS.PROJECTS]: projects.map(project => this.withoutLiveBindings(project)) };
+      } else {
+        const result = await this.storage.get(null);
+        const summaries = await this.backend.getSummaries();
+        data = {
+          ...result,
+          [this.STORAGE_KEYS.PROJECTS]: await this.getProjects(),
+          [this.STORAGE_KEYS.SESSION_SNAPSHOTS]: await this.getSessionSnapshots(),
+          [this.STORAGE_KEYS.SUMMARIES]: Object.fromEntries(summaries.map(s => [s.tabId, s]))
+        };
+      }
       return {
         success: true,
-        data: result,
+        data: passphrase ? await new BackupCrypto().encrypt(data, passphrase) : data,
+        encrypted: !!passphrase,
         exportedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -343,18 +938,189 @@ class StorageManager {
   }
 
   /**
-   * Import data
+   * Export projects as bookmarks HTML, Markdown, CSV or OneTab text
+   *
+   * @param {Array|null} projectIds - Projects to include, in their stored order; null for all
+   * @param {string} format - One of ProjectFormats FORMATS
    */
-  async importData(data) {
+  async exportProjects(projectIds, format) {
     try {
-      await this.storage.set(data);
-      return { success: true };
+      const formats = new ProjectFormats();
+      const fileType = formats.FILE_TYPES[format];
+      if (!fileType) {
+        return { success: false, error: `Unknown export format: ${format}` };
+      }
+
+      const projects = (await this.getProjects())
+        .filter(project => !projectIds || projectIds.includes(project.id));
+      const summaries = await this.backend.getSummaries();
+      const content = formats.export(format, projects, Object.fromEntries(summaries.map(s => [s.tabId, s])));
+
+      return {
+        success: true,
+        content,
+        mimeType: fileType.mimeType,
+        filename: `tab-story-${new Date().toISOString().split('T')[0]}.${fileType.extension}`
+      };
+    } catch (error) {
+      console.error('Failed to export projects:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Import projects from an export file.
+   * The payload is validated first; with dryRun nothing is written and only the diff is returned.
+   * Otherwise a 'pre-import' snapshot is taken so undoImport() can put everything back.
+   *
+   * Encrypted exports need the passphrase; without it the result has needsPassphrase set.
+   *
+   * @param {Object|string} data - Export JSON, or file text when a format is given
+   * @param {Object} options - { strategy: 'replace' | 'merge' | 'keep-both', dryRun,
+   *   format: 'json' | 'bookmarks-html' | 'onetab', passphrase, label (for the undo history) }
+   */
+  async importData(data, { strategy = 'merge', dryRun = false, format = 'json', passphrase = null, label = null } = {}) {
+    try {
+      const backupCrypto = new BackupCrypto();
+      if (format === 'json' && backupCrypto.isEncrypted(data)) {
+        if (!passphrase) {
+          return { success: false, needsPassphrase: true, error: 'This file is encrypted. Enter its passphrase to import it.' };
+        }
+        try {
+          data = await backupCrypto.decrypt(data, passphrase);
+        } catch (error) {
+          return { success: false, needsPassphrase: error.code === 'wrong-passphrase', error: error.message };
+        }
+      }
+
+      const planner = new ImportPlanner(new SchemaMigrator(null));
+      const validation = planner.validate(format === 'json' ? data : new ProjectFormats().parse(format, data));
+      if (!validation.valid) {
+        return { success: false, error: validation.errors.join('; '), errors: validation.errors };
+      }
+
+      const plan = planner.plan(await this.getProjects(), validation.projects, strategy);
+      const diff = { ...plan.diff, dropped: validation.dropped };
+      if (dryRun) {
+        return { success: true, dryRun: true, diff };
+      }
+
+      const backup = await this.createSessionSnapshot('pre-import');
+      if (!backup.success) {
+        return { success: false, error: 'Could not back up current data before importing' };
+      }
+
+      const saved = await this.saveProjects(plan.projects, { label: label || `Import (${strategy})` });
+      if (!saved.success) {
+        return { success: false, error: 'Failed to save imported projects' };
+      }
+
+      const source = (format === 'json' && (data.data || data)) || {};
+      const tabIds = new Set(plan.projects.flatMap(project => project.tabs.map(tab => tab.id)));
+      for (const summary of Object.values(source[this.STORAGE_KEYS.SUMMARIES] || {})) {
+        if (summary && tabIds.has(summary.tabId)) {
+          await this.backend.putSummary(summary);
+        }
+      }
+
+      return { success: true, diff, snapshotId: backup.snapshot.id };
     } catch (error) {
       console.error('Failed to import data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Put projects back the way they were before an import
+   */
+  async undoImport(snapshotId) {
+    return this.restoreSession(snapshotId);
+  }
+
+  // ==================== SUMMARIES ====================
+
+  /**
+   * Get the stored summary record for a saved tab, or null
+   */
+  async getSummary(tabId) {
+    try {
+      return await this.backend.getSummary(tabId);
+    } catch (error) {
+      console.error('Failed to get summary:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a summary for a saved tab, outside the project record
+   */
+  async saveSummary(tabId, summary, details = {}) {
+    try {
+      const record = { tabId, summary, ...details, createdAt: new Date().toISOString() };
+      await this.backend.putSummary(record);
+      return { success: true, summary: record };
+    } catch (error) {
+      console.error('Failed to save summary:', error);
       return { success: false, error };
     }
   }
 
+  /**
+   * Drop the page text kept with summaries, keeping the summaries themselves.
+   * A closed tab can then be summarized again only once it is reopened.
+   *
+   * @returns {Promise<number>} How many summaries had page text
+   */
+  async dropSummaryContent() {
+    const summaries = (await this.backend.getSummaries()).filter(summary => summary.content);
+    for (const { content, ...summary } of summaries) {
+      await this.backend.putSummary(summary);
+    }
+    return summaries.length;
+  }
+
+  /**
+   * Move summaries and active time over to the new ids of re-keyed projects and tabs,
+   * and point the undo history at them
+   *
+   * @param {Object} rekeyed - { projects: Map(oldId -> newId), tabs: Map(newProjectId -> Map(oldId -> newId)) }
+   */
+  async rekeyReferences({ projects, tabs: tabsByProject }) {
+    // Summaries and active time are keyed by tab id alone; an old id shared by
+    // tabs of two projects stays with the first of them
+    const tabs = new Map();
+    tabsByProject.forEach(ids => ids.forEach((newId, oldId) => {
+      if (!tabs.has(oldId)) tabs.set(oldId, newId);
+    }));
+
+    const summaries = (await this.backend.getSummaries()).filter(summary => tabs.has(String(summary.tabId)));
+    for (const summary of summaries) {
+      await this.backend.putSummary({ ...summary, tabId: tabs.get(String(summary.tabId)) });
+    }
+    if (summaries.length > 0) {
+      await this.backend.deleteSummaries(summaries.map(summary => summary.tabId));
+    }
+
+    const result = await this.storage.get(this.STORAGE_KEYS.DWELL);
+    const dwell = result[this.STORAGE_KEYS.DWELL];
+    if (dwell) {
+      const rename = (totals, ids) => Object.fromEntries(
+        Object.entries(totals || {}).map(([id, seconds]) => [ids.get(id) || id, seconds])
+      );
+      await this.storage.set({
+        [this.STORAGE_KEYS.DWELL]: {
+          ...dwell,
+          tabs: rename(dwell.tabs, tabs),
+          days: Object.fromEntries(Object.entries(dwell.days || {}).map(([day, totals]) => [day, rename(totals, projects)]))
+        }
+      });
+    }
+
+    if (this.commandLog) {
+      await this.commandLog.rekey({ projects, tabs: tabsByProject });
+    }
+  }
+
   // ==================== SESSION BACKUP & RESTORE ====================
 
   /**
@@ -371,39 +1137,36 @@ class StorageManager {
   }
 
   /**
-   * Create a session snapshot
+   * Create a session snapshot, stored as a delta against the latest full copy when that is smaller.
+   * An auto snapshot identical to the previous one is skipped.
    */
   async createSessionSnapshot(type = 'manual') {
     try {
       const projects = await this.getProjects();
 
-      // Don't backup if there's no data
-      if (projects.length === 0) {
+      // Don't backup if there's no data, unless an import needs something to undo to
+      if (projects.length === 0 && type !== 'pre-import') {
         return { success: false, message: 'No data to backup' };
       }
 
-      const snapshot = {
-        id: Date.now().toString(),
+      const snapshots = await this.getSessionSnapshots();
+      const fingerprint = this.snapshotDeltas.fingerprint(projects);
+      if (type === 'auto' && snapshots[0]?.fingerprint === fingerprint) {
+        return { success: true, skipped: true, snapshot: snapshots[0] };
+      }
+
+      const base = snapshots.find(s => this.snapshotDeltas.isFull(s)) || null;
+      const snapshot = this.snapshotDeltas.createRecord({
+        id: this.identity.createId(),
         timestamp: new Date().toISOString(),
-        type, // 'manual', 'auto', or 'pre-close'
-        projects: JSON.parse(JSON.stringify(projects)), // Deep copy
+        type, // 'manual', 'auto', 'pre-close', 'pre-import' or 'pre-restore'
+        fingerprint,
         tabCount: projects.reduce((sum, p) => sum + (p.tabs?.filter(t => !t.removed).length || 0), 0),
         projectCount: projects.length
-      };
+      }, JSON.parse(JSON.stringify(projects)), base);
 
-      // Get existing snapshots
-      const snapshots = await this.getSessionSnapshots();
-
-      // Add new snapshot at the beginning
-      snapshots.unshift(snapshot);
-
-      // Keep only last 10 snapshots
-      const limitedSnapshots = snapshots.slice(0, 10);
-
-      await this.storage.set({
-        [this.STORAGE_KEYS.SESSION_SNAPSHOTS]: limitedSnapshots,
-        [this.STORAGE_KEYS.LAST_SESSION]: snapshot
-      });
+      await this.backend.putSnapshot(snapshot);
+      await this.pruneSnapshots([snapshot, ...snapshots]);
 
       return { success: true, snapshot };
     } catch (error) {
@@ -413,12 +1176,24 @@ class StorageManager {
   }
 
   /**
-   * Get all session snapshots
+   * Apply tiered retention (see SnapshotDeltas.selectRetained)
+   */
+  async pruneSnapshots(snapshots) {
+    const keep = this.snapshotDeltas.selectRetained(snapshots);
+    const expired = snapshots.filter(s => !keep.has(s.id)).map(s => s.id);
+    if (expired.length > 0) {
+      await this.backend.deleteSnapshots(expired);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Get all session snapshots, newest first. Delta snapshots carry no
+   * projects of their own; use getSnapshotProjects() to rebuild them.
    */
   async getSessionSnapshots() {
     try {
-      const result = await this.storage.get(this.STORAGE_KEYS.SESSION_SNAPSHOTS);
-      return result[this.STORAGE_KEYS.SESSION_SNAPSHOTS] || [];
+      return await this.backend.getSnapshots();
     } catch (error) {
       console.error('Failed to get session snapshots:', error);
       return [];
@@ -426,12 +1201,25 @@ class StorageManager {
   }
 
   /**
-   * Get last session (for crash recovery)
+   * Rebuild the projects of any stored snapshot
+   */
+  async getSnapshotProjects(snapshotId) {
+    const snapshots = await this.getSessionSnapshots();
+    const snapshot = snapshots.find(s => s.id === snapshotId);
+    if (!snapshot) return null;
+
+    return this.snapshotDeltas.materialize(snapshot, snapshots);
+  }
+
+  /**
+   * Get last session (for crash recovery), with its projects rebuilt
    */
   async getLastSession() {
     try {
-      const result = await this.storage.get(this.STORAGE_KEYS.LAST_SESSION);
-      return result[this.STORAGE_KEYS.LAST_SESSION] || null;
+      const snapshot = await this.backend.getLatestSnapshot();
+      if (!snapshot) return null;
+
+      return { ...snapshot, projects: await this.getSnapshotProjects(snapshot.id) };
     } catch (error) {
       console.error('Failed to get last session:', error);
       return null;
@@ -450,10 +1238,14 @@ class StorageManager {
         return { success: false, error: 'Snapshot not found' };
       }
 
-      // Restore the projects from snapshot
-      await this.saveProjects(snapshot.projects);
+      // Rebuild the projects from the snapshot and its base
+      const projects = this.snapshotDeltas.materialize(snapshot, snapshots);
+      const saved = await this.saveProjects(projects, { label: `Restore backup from ${new Date(snapshot.timestamp).toLocaleString()}` });
+      if (!saved.success) {
+        return { success: false, error: saved.error };
+      }
 
-      return { success: true, snapshot };
+      return { success: true, snapshot: { ...snapshot, projects } };
     } catch (error) {
       console.error('Failed to restore session:', error);
       return { success: false, error };
@@ -461,13 +1253,67 @@ class StorageManager {
   }
 
   /**
-   * Delete a specific snapshot
+   * Compare a snapshot with the current projects (see SnapshotDeltas.compare)
+   */
+  async compareSnapshot(snapshotId) {
+    try {
+      const snapshotProjects = await this.getSnapshotProjects(snapshotId);
+      if (!snapshotProjects) {
+        return { success: false, error: 'Snapshot not found' };
+      }
+
+      return { success: true, diff: this.snapshotDeltas.compare(snapshotProjects, await this.getProjects()) };
+    } catch (error) {
+      console.error('Failed to compare snapshot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restore only the selected projects or tabs of a snapshot, keeping newer work.
+   * A 'pre-restore' snapshot is taken first so this can be undone too.
+   *
+   * @param {Object} selection - { projectIds: [id], tabs: [{ projectId, tabId }] }
+   */
+  async restoreFromSnapshot(snapshotId, selection) {
+    try {
+      const snapshotProjects = await this.getSnapshotProjects(snapshotId);
+      if (!snapshotProjects) {
+        return { success: false, error: 'Snapshot not found' };
+      }
+
+      const backup = await this.createSessionSnapshot('pre-restore');
+      if (!backup.success) {
+        return { success: false, error: 'Could not back up current data before restoring' };
+      }
+
+      const restoredCount = await this.updateProjects(projects => {
+        const count = this.snapshotDeltas.restoreSelection(projects, snapshotProjects, selection);
+        return count === 0 ? false : count;
+      }, { label: 'Restore from backup' });
+
+      return { success: true, restoredCount: restoredCount || 0, snapshotId: backup.snapshot?.id };
+    } catch (error) {
+      console.error('Failed to restore from snapshot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a specific snapshot. Deltas built on it are turned into full copies first.
    */
   async deleteSnapshot(snapshotId) {
     try {
-      let snapshots = await this.getSessionSnapshots();
-      snapshots = snapshots.filter(s => s.id !== snapshotId);
-      await this.storage.set({ [this.STORAGE_KEYS.SESSION_SNAPSHOTS]: snapshots });
+      const snapshots = await this.getSessionSnapshots();
+      for (const dependent of snapshots.filter(s => s.baseId === snapshotId)) {
+        const { delta, baseId, ...snapshot } = dependent;
+        await this.backend.putSnapshot({
+          ...snapshot,
+          kind: this.snapshotDeltas.KINDS.FULL,
+          projects: this.snapshotDeltas.materialize(dependent, snapshots)
+        });
+      }
+      await this.backend.deleteSnapshots([snapshotId]);
       return { success: true };
     } catch (error) {
       console.error('Failed to delete snapshot:', error);
@@ -477,11 +1323,13 @@ class StorageManager {
 
   /**
    * Mark session as active (for crash detection)
+   * @param {Object} details - Extra state to keep, e.g. the open windows
    */
-  async markSessionActive() {
+  async markSessionActive(details = {}) {
     try {
       await this.storage.set({
         [this.STORAGE_KEYS.SESSION_STATE]: {
+          ...details,
           active: true,
           lastUpdate: new Date().toISOString()
         }
@@ -522,7 +1370,7 @@ class StorageManager {
 
       // If session was active but didn't close normally, it crashed
       if (sessionState && sessionState.active && !sessionState.closedNormally) {
-        return { crashed: true, lastUpdate: sessionState.lastUpdate };
+        return { crashed: true, lastUpdate: sessionState.lastUpdate, windows: sessionState.windows || [] };
       }
 
       return { crashed: false };
@@ -551,8 +1399,9 @@ class StorageManager {
       const allData = await this.storage.get(null);
 
       // Calculate size for each category
-      const projects = allData[this.STORAGE_KEYS.PROJECTS] || [];
-      const snapshots = allData[this.STORAGE_KEYS.SESSION_SNAPSHOTS] || [];
+      const projects = await this.getProjects();
+      const snapshots = await this.getSessionSnapshots();
+      const { used, quota } = await this.getStorageQuota(allData);
       const settings = allData[this.STORAGE_KEYS.SETTINGS] || {};
       const intents = allData[this.STORAGE_KEYS.INTENTS] || [];
 
@@ -571,14 +1420,13 @@ class StorageManager {
         tabCount: projects.reduce((sum, p) => sum + (p.tabs?.filter(t => !t.removed).length || 0), 0),
         totalTabCount: projects.reduce((sum, p) => sum + (p.tabs?.length || 0), 0),
 
-        // Chrome storage quota (5MB for local storage, but we'll be conservative)
-        quota: 5 * 1024 * 1024, // 5MB in bytes
+        quota,
         quotaUsed: 0,
         quotaPercentage: 0,
 
         // Human readable
         totalMB: 0,
-        quotaMB: 5
+        quotaMB: Math.round(quota / (1024 * 1024))
       };
 
       // Calculate other storage
@@ -595,8 +1443,8 @@ class StorageManager {
 
       // Calculate totals
       usage.total = usage.projects + usage.snapshots + usage.settings + usage.intents + usage.other;
-      usage.quotaUsed = usage.total;
-      usage.quotaPercentage = (usage.total / usage.quota) * 100;
+      usage.quotaUsed = used;
+      usage.quotaPercentage = (used / quota) * 100;
       usage.totalMB = (usage.total / (1024 * 1024)).toFixed(2);
 
       // Breakdown percentages
@@ -634,6 +1482,36 @@ class StorageManager {
     }
   }
 
+  /**
+   * Bytes in use and bytes available to the extension, counted the same way.
+   *
+   * Without unlimitedStorage, chrome.storage.local is capped at a few MB and
+   * IndexedDB is best-effort storage the browser may evict under disk
+   * pressure. With it (see manifest.json) chrome.storage.local has no cap and
+   * IndexedDB is never evicted, so the real ceiling is the disk space the
+   * browser reports through navigator.storage.estimate(). Its usage counts
+   * IndexedDB as stored on disk; chrome.storage.local is not part of it and is
+   * added on top. Without an estimate, only chrome.storage.local counts, against its cap.
+   *
+   * @param {Object} localData - Everything in chrome.storage.local
+   * @returns {Promise<Object>} { used, quota } in bytes
+   */
+  async getStorageQuota(localData) {
+    const localBytes = this.storage.getBytesInUse
+      ? await this.storage.getBytesInUse(null)
+      : this.calculateObjectSize(localData);
+
+    try {
+      if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        if (quota) return { used: (usage || 0) + localBytes, quota };
+      }
+    } catch (error) {
+      // Fall back to the chrome.storage.local cap below
+    }
+    return { used: localBytes, quota: this.DEFAULT_QUOTA_BYTES };
+  }
+
   /**
    * Get storage recommendations based on usage
    */
@@ -685,12 +1563,13 @@ class StorageManager {
       });
     }
 
-    // Too many projects
-    if (usage.projectCount > 50) {
+    // Too many projects in the main list
+    const activeCount = projects.filter(p => !p.archived && !p.removed).length;
+    if (activeCount > 50) {
       recommendations.push({
         type: 'info',
         category: 'projects',
-        message: `${usage.projectCount} tab groups saved`,
+        message: `${activeCount} tab groups saved`,
         action: 'Archive inactive groups',
         actionId: 'archive-projects',
         impact: 'Moderate'
@@ -714,11 +1593,15 @@ class StorageManager {
       // Sort by timestamp (newest first)
       snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-      // Keep only the most recent N
-      const keptSnapshots = snapshots.slice(0, keepCount);
-      const deletedCount = snapshots.length - keepCount;
+      // Keep the most recent N, plus the full copies their deltas build on
+      const keep = new Set(snapshots.slice(0, keepCount).map(s => s.id));
+      snapshots.slice(0, keepCount).forEach(s => {
+        if (!this.snapshotDeltas.isFull(s)) keep.add(s.baseId);
+      });
+      const expired = snapshots.filter(s => !keep.has(s.id)).map(s => s.id);
+      const deletedCount = expired.length;
 
-      await this.storage.set({ [this.STORAGE_KEYS.SESSION_SNAPSHOTS]: keptSnapshots });
+      await this.backend.deleteSnapshots(expired);
 
       return { success: true, deletedCount };
     } catch (error) {
@@ -744,7 +1627,7 @@ class StorageManager {
       // Remove empty projects
       projects = projects.filter(project => project.tabs.length > 0);
 
-      await this.saveProjects(projects);
+      await this.saveProjects(projects, { label: 'Delete removed tabs for good' });
 
       return { success: true, deletedCount };
     } catch (error) {
@@ -0,0 +1,434 @@
+/**
+ * Tab Story - Sync Manager
+ * Opt-in sync of projects, recent intents and settings between devices through
+ * chrome.storage.sync. Everything is kept as records with a last-modified time;
+ * on each sync the newer side of every record wins. The records are compressed
+ * and split into chunks to fit the sync quotas. Timeline, snapshots and summaries
+ * stay on this device.
+ */
+
+class SyncManager {
+  /**
+   * @param {StorageManager} storageManager - Source of the projects
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.SETTINGS_KEY = 'sync_settings';
+    this.STATE_KEY = 'sync_state';
+    this.DEFAULTS = { enabled: false, deviceName: null };
+    this.ALARM = 'storage-sync';
+    this.SOON_ALARM = 'storage-sync-soon';
+    this.INTERVAL_MINUTES = 5;
+    this.SOON_DELAY_MINUTES = 0.5;
+
+    this.FORMAT_VERSION = 1;
+    this.MANIFEST_KEY = 'sync_manifest';
+    this.CHUNK_PREFIX = 'sync_chunk_';
+    // chrome.storage.sync allows 8 KB per item (key included) and 100 KB in total
+    this.CHUNK_SIZE = 7800;
+    this.MAX_BYTES = 96 * 1024;
+    this.TOMBSTONE_DAYS = 30;
+
+    // Fields that describe this browser's tabs and groups, not the saved data
+    this.LOCAL_PROJECT_FIELDS = ['groupId'];
+    this.LOCAL_TAB_FIELDS = ['chromeTabId', 'liveStatus', 'closedAt'];
+    this.LOCAL_KEYS = { INTENTS: 'recent_intents', SETTINGS: 'user_settings' };
+  }
+
+  // ==================== SETTINGS & STATE ====================
+
+  /**
+   * Shape: { enabled, deviceName, lastSyncAt, status: 'ok' | 'error', error }
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(this.SETTINGS_KEY);
+    return { ...this.DEFAULTS, ...result[this.SETTINGS_KEY] };
+  }
+
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * What this device last agreed with the others on.
+   * Shape: { deviceId, devices, records: { [key]: { hash, updatedAt, deviceId, deleted } } }
+   */
+  async getState() {
+    const result = await chrome.storage.local.get(this.STATE_KEY);
+    const state = { records: {}, devices: {}, ...result[this.STATE_KEY] };
+    if (!state.deviceId) {
+      state.deviceId = crypto.randomUUID();
+      await chrome.storage.local.set({ [this.STATE_KEY]: state });
+    }
+    return state;
+  }
+
+  async getDefaultDeviceName() {
+    const labels = { win: 'Windows', mac: 'Mac', linux: 'Linux', cros: 'ChromeOS', android: 'Android' };
+    try {
+      const { os } = await chrome.runtime.getPlatformInfo();
+      return `Chrome on ${labels[os] || os}`;
+    } catch (error) {
+      return 'Chrome';
+    }
+  }
+
+  /**
+   * Re-creating an alarm restarts its period, so this only runs on install,
+   * startup and when sync is turned on or off
+   */
+  async schedule() {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      chrome.alarms.create(this.ALARM, { periodInMinutes: this.INTERVAL_MINUTES });
+    } else {
+      await chrome.alarms.clear(this.ALARM);
+    }
+  }
+
+  /**
+   * Sync shortly after a change here or on another device; repeated calls push it back
+   */
+  async scheduleSoon() {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      chrome.alarms.create(this.SOON_ALARM, { delayInMinutes: this.SOON_DELAY_MINUTES });
+    }
+  }
+
+  isSyncAlarm(alarm) {
+    return alarm.name === this.ALARM || alarm.name === this.SOON_ALARM;
+  }
+
+  // ==================== ENCODING ====================
+
+  /**
+   * JSON with sorted keys, so equal records hash equally whatever order their fields were set in
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * FNV-1a over a string
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${hash.toString(16)}-${text.length}`;
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  async compress(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return this.toBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+  }
+
+  async decompress(encoded) {
+    const stream = new Blob([this.fromBase64(encoded)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+
+  // ==================== REMOTE DATA ====================
+
+  /**
+   * The shared dataset: { version, records, devices: { [deviceId]: { name, lastChangeAt } } }
+   */
+  async readRemote() {
+    const items = await chrome.storage.sync.get(null);
+    const manifest = items[this.MANIFEST_KEY];
+    if (!manifest) {
+      return { dataset: { version: this.FORMAT_VERSION, records: {}, devices: {} }, chunkCount: 0 };
+    }
+    if (manifest.version > this.FORMAT_VERSION) {
+      throw new Error('Another device uses a newer version of Tab Story; update this one to keep syncing');
+    }
+
+    const encoded = Array.from({ length: manifest.chunkCount }, (_, i) => items[`${this.CHUNK_PREFIX}${i}`] || '').join('');
+    // Chunks written by another device can arrive one by one; try again on the next sync
+    if (this.hash(encoded) !== manifest.checksum) {
+      throw new Error('Sync data from another device is still arriving');
+    }
+
+    return { dataset: JSON.parse(await this.decompress(encoded)), chunkCount: manifest.chunkCount };
+  }
+
+  async writeRemote(dataset, previousChunkCount, deviceId) {
+    const encoded = await this.compress(JSON.stringify(dataset));
+    if (encoded.length > this.MAX_BYTES) {
+      throw new Error(`Too much to sync (${Math.ceil(encoded.length / 1024)} KB of ${this.MAX_BYTES / 1024} KB). Delete or archive some projects.`);
+    }
+
+    const items = {};
+    let chunkCount = 0;
+    for (let offset = 0; offset < encoded.length; offset += this.CHUNK_SIZE) {
+      items[`${this.CHUNK_PREFIX}${chunkCount++}`] = encoded.slice(offset, offset + this.CHUNK_SIZE);
+    }
+    items[this.MANIFEST_KEY] = {
+      version: this.FORMAT_VERSION,
+      chunkCount,
+      checksum: this.hash(encoded),
+      updatedAt: new Date().toISOString(),
+      deviceId
+    };
+
+    // One set() so the chunks and the manifest travel together
+    await chrome.storage.sync.set(items);
+
+    const stale = [];
+    for (let i = chunkCount; i < previousChunkCount; i++) stale.push(`${this.CHUNK_PREFIX}${i}`);
+    if (stale.length > 0) await chrome.storage.sync.remove(stale);
+
+    return { bytes: encoded.length, chunkCount };
+  }
+
+  // ==================== RECORDS ====================
+
+  omit(object, fields) {
+    const copy = { ...object };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  }
+
+  pick(object, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (object && object[field] !== undefined) picked[field] = object[field];
+    });
+    return picked;
+  }
+
+  /**
+   * Split the synced data into records: one per project, one per tab, the
+   * project order, recent intents and settings. Tabs remember the device they
+   * were first saved on (addedOn).
+   */
+  buildRecords(projects, intents, settings, deviceId) {
+    const records = { 'projects:order': projects.map(project => project.id) };
+
+    projects.forEach(project => {
+      const tabs = project.tabs || [];
+      records[`project:${project.id}`] = {
+        ...this.omit(project, ['tabs', ...this.LOCAL_PROJECT_FIELDS]),
+        tabOrder: tabs.map(tab => tab.id)
+      };
+      tabs.forEach(tab => {
+        records[`tab:${project.id}:${tab.id}`] = { ...this.omit(tab, this.LOCAL_TAB_FIELDS), addedOn: tab.addedOn || deviceId };
+      });
+    });
+
+    records.intents = intents;
+    records.settings = settings;
+    return records;
+  }
+
+  /**
+   * Date local records against the last sync: anything that differs from what
+   * was last agreed on changed here just now, anything missing was deleted here.
+   * A sync follows every local change within a minute, so "now" stands in for
+   * the edit time; edits made offline count from the first sync after.
+   */
+  trackLocalChanges(localRecords, previous, now, deviceId) {
+    const tracked = {};
+
+    Object.entries(localRecords).forEach(([key, data]) => {
+      const hash = this.hash(this.stableStringify(data));
+      const known = previous[key];
+      const unchanged = known && !known.deleted && known.hash === hash;
+      tracked[key] = {
+        data,
+        updatedAt: unchanged ? known.updatedAt : now,
+        deviceId: unchanged ? known.deviceId : deviceId
+      };
+    });
+
+    Object.entries(previous).forEach(([key, known]) => {
+      if (tracked[key]) return;
+      tracked[key] = known.deleted
+        ? { deleted: true, updatedAt: known.updatedAt, deviceId: known.deviceId }
+        : { deleted: true, updatedAt: now, deviceId };
+    });
+
+    return tracked;
+  }
+
+  /**
+   * Last write wins per record; ties go to the higher device id so every device agrees
+   */
+  mergeRecords(local, remote) {
+    const merged = { ...remote };
+    Object.entries(local).forEach(([key, record]) => {
+      const other = remote[key];
+      if (!other || record.updatedAt > other.updatedAt ||
+          (record.updatedAt === other.updatedAt && record.deviceId > other.deviceId)) {
+        merged[key] = record;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Deleted records are kept for a while so devices that were offline learn about the deletion
+   */
+  pruneTombstones(records, now) {
+    const cutoff = new Date(new Date(now).getTime() - this.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    Object.keys(records).forEach(key => {
+      if (records[key].deleted && records[key].updatedAt < cutoff) delete records[key];
+    });
+    return records;
+  }
+
+  /**
+   * Rebuild the projects (in place) from merged records, keeping this browser's
+   * tab and group bindings
+   *
+   * @returns {boolean} Whether anything changed
+   */
+  applyProjects(projects, records) {
+    const live = key => records[key] && !records[key].deleted;
+    const existing = new Map(projects.map(project => [project.id, project]));
+    const projectIds = Object.keys(records).filter(key => key.startsWith('project:') && live(key)).map(key => key.slice(8));
+    const order = live('projects:order') ? records['projects:order'].data : [];
+    const orderedIds = [...order.filter(id => projectIds.includes(id)), ...projectIds.filter(id => !order.includes(id))];
+
+    const next = orderedIds.map(projectId => {
+      const { tabOrder = [], ...fields } = records[`project:${projectId}`].data;
+      const local = existing.get(projectId);
+      const localTabs = new Map((local?.tabs || []).map(tab => [tab.id, tab]));
+
+      const prefix = `tab:${projectId}:`;
+      const tabIds = Object.keys(records).filter(key => key.startsWith(prefix) && live(key)).map(key => key.slice(prefix.length));
+      const orderedTabIds = [...tabOrder.filter(id => tabIds.includes(id)), ...tabIds.filter(id => !tabOrder.includes(id))];
+
+      return {
+        ...this.pick(local, this.LOCAL_PROJECT_FIELDS),
+        ...fields,
+        tabs: orderedTabIds.map(tabId => ({
+          ...this.pick(localTabs.get(tabId), this.LOCAL_TAB_FIELDS),
+          ...records[`${prefix}${tabId}`].data
+        }))
+      };
+    });
+
+    if (this.stableStringify(next) === this.stableStringify(projects)) return false;
+    projects.splice(0, projects.length, ...next);
+    return true;
+  }
+
+  // ==================== SYNC ====================
+
+  /**
+   * Merge this device's data with the shared copy and write back whichever side changed.
+   * Reads and writes the projects directly, so callers hold the projects lock.
+   */
+  async sync() {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        return { success: false, error: 'Sync is off' };
+      }
+
+      const state = await this.getState();
+      const { deviceId } = state;
+      const now = new Date().toISOString();
+      const { dataset, chunkCount } = await this.readRemote();
+
+      const stored = await chrome.storage.local.get([this.LOCAL_KEYS.INTENTS, this.LOCAL_KEYS.SETTINGS]);
+      const localRecords = this.buildRecords(
+        await this.storageManager.getProjects(),
+        stored[this.LOCAL_KEYS.INTENTS] || [],
+        stored[this.LOCAL_KEYS.SETTINGS] || {},
+        deviceId
+      );
+      const local = this.trackLocalChanges(localRecords, state.records, now, deviceId);
+      const merged = this.pruneTombstones(this.mergeRecords(local, dataset.records || {}), now);
+
+      // Bring this device up to date
+      await this.storageManager.updateProjects(
+        projects => this.applyProjects(projects, merged) ? undefined : false,
+        { label: 'Sync from other devices' }
+      );
+      const localUpdates = {};
+      if (merged.intents && !merged.intents.deleted) localUpdates[this.LOCAL_KEYS.INTENTS] = merged.intents.data;
+      if (merged.settings && !merged.settings.deleted) localUpdates[this.LOCAL_KEYS.SETTINGS] = merged.settings.data;
+      if (this.stableStringify(localUpdates) !== this.stableStringify(this.pick(stored, Object.keys(localUpdates)))) {
+        await chrome.storage.local.set(localUpdates);
+      }
+
+      // Share what changed here, if anything
+      const deviceName = settings.deviceName || await this.getDefaultDeviceName();
+      const devices = { ...(dataset.devices || {}) };
+      const recordsChanged = this.stableStringify(merged) !== this.stableStringify(dataset.records || {});
+      let written = null;
+      if (recordsChanged || devices[deviceId]?.name !== deviceName) {
+        devices[deviceId] = { name: deviceName, lastChangeAt: recordsChanged ? now : devices[deviceId]?.lastChangeAt || now };
+        written = await this.writeRemote({ version: this.FORMAT_VERSION, records: merged, devices }, chunkCount, deviceId);
+      }
+
+      const records = {};
+      Object.entries(merged).forEach(([key, record]) => {
+        records[key] = record.deleted
+          ? { deleted: true, updatedAt: record.updatedAt, deviceId: record.deviceId }
+          : { hash: this.hash(this.stableStringify(record.data)), updatedAt: record.updatedAt, deviceId: record.deviceId };
+      });
+      await chrome.storage.local.set({ [this.STATE_KEY]: { ...state, records, devices } });
+      await this.saveSettings({ lastSyncAt: now, status: 'ok', error: null, bytes: written?.bytes ?? settings.bytes });
+
+      return { success: true, pushed: !!written };
+    } catch (error) {
+      console.error('Failed to sync:', error);
+      await this.saveSettings({ status: 'error', error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Settings plus the devices that share data, for the settings screen and tab labels
+   *
+   * @returns {Object} { success, settings, deviceId, devices: { [deviceId]: { name, lastChangeAt } } }
+   */
+  async getStatus() {
+    try {
+      const [settings, state] = await Promise.all([this.getSettings(), this.getState()]);
+      return {
+        success: true,
+        settings: { ...settings, deviceName: settings.deviceName || await this.getDefaultDeviceName() },
+        deviceId: state.deviceId,
+        devices: state.devices
+      };
+    } catch (error) {
+      console.error('Failed to get sync status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.SyncManager = SyncManager;
+}
@@ -0,0 +1,274 @@
+/**
+ * Tab Story - Tab Group Sync
+ * Mirrors projects to native Chrome tab groups and keeps both sides in sync
+ */
+
+class TabGroupSync {
+  /**
+   * @param {Function} updateProjects - Serialized read-modify-write on the stored projects
+   *   (the mutator edits the array in place and may return false to skip the write)
+   * @param {Function} getProjects - Resolves to the stored projects
+   */
+  constructor(updateProjects, getProjects) {
+    this.updateProjects = updateProjects;
+    this.getProjects = getProjects;
+    this.identity = new Identity();
+    this.COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+    this.NO_GROUP = -1;
+  }
+
+  /**
+   * Get the display name of a project regardless of which UI created it
+   */
+  getProjectLabel(project) {
+    return project.intent || project.title || project.name || 'Untitled';
+  }
+
+  /**
+   * Get the group color for a project: the user's choice if any, otherwise
+   * derived from the project id so it stays the same across restores
+   */
+  getProjectColor(project) {
+    if (project.color && this.COLORS.includes(project.color)) {
+      return project.color;
+    }
+
+    let hash = 0;
+    for (const char of String(project.id)) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return this.COLORS[hash % this.COLORS.length];
+  }
+
+  /**
+   * Create a saved tab record bound to a live Chrome tab
+   */
+  createTabRecord(tab) {
+    return {
+      id: this.identity.createId(),
+      title: tab.title || 'Untitled',
+      url: tab.pendingUrl || tab.url,
+      favicon: tab.favIconUrl || '🔗',
+      timestamp: new Date().toISOString(),
+      chromeTabId: tab.id,
+      liveStatus: 'open'
+    };
+  }
+
+  /**
+   * Open a project's tabs inside a tab group named after its intent.
+   * Tabs that are still open are pulled into the group instead of duplicated.
+   */
+  async openProjectInGroup(projectId) {
+    try {
+      const projects = await this.getProjects();
+      const project = projects.find(p => p.id === projectId);
+      if (!project) {
+        return { success: false, error: 'Project not found' };
+      }
+
+      const records = (project.tabs || []).filter(tab => !tab.removed);
+      if (records.length === 0) {
+        return { success: false, error: 'No tabs to restore' };
+      }
+
+      const boundTabIds = {};
+      for (const record of records) {
+        boundTabIds[record.id] = await this.resolveLiveTab(record);
+      }
+
+      const tabIds = Object.values(boundTabIds);
+      const groupOptions = { tabIds };
+      if (await this.groupExists(project.groupId)) {
+        groupOptions.groupId = project.groupId;
+      }
+
+      const groupId = await chrome.tabs.group(groupOptions);
+      const color = this.getProjectColor(project);
+      await chrome.tabGroups.update(groupId, {
+        title: this.getProjectLabel(project),
+        color,
+        collapsed: false
+      });
+
+      await this.updateProjects(projects => {
+        const stored = projects.find(p => p.id === projectId);
+        if (!stored) return false;
+
+        stored.groupId = groupId;
+        stored.color = color;
+        stored.collapsed = false;
+        (stored.tabs || []).forEach(record => {
+          if (boundTabIds[record.id] !== undefined) {
+            record.chromeTabId = boundTabIds[record.id];
+            record.liveStatus = 'open';
+          }
+        });
+      });
+
+      return { success: true, groupId, tabCount: tabIds.length };
+    } catch (error) {
+      console.error('Failed to open project in group:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Return the id of the live tab for a record, opening the URL if it is closed
+   */
+  async resolveLiveTab(record) {
+    if (record.liveStatus === 'open' && typeof record.chromeTabId === 'number') {
+      try {
+        const liveTab = await chrome.tabs.get(record.chromeTabId);
+        return liveTab.id;
+      } catch (error) {
+        // Closed without us noticing; open it again below
+      }
+    }
+
+    const created = await chrome.tabs.create({ url: record.url, active: false });
+    return created.id;
+  }
+
+  /**
+   * Check whether a stored group id still refers to an open group
+   */
+  async groupExists(groupId) {
+    if (typeof groupId !== 'number' || groupId === this.NO_GROUP) return false;
+
+    try {
+      await chrome.tabGroups.get(groupId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Renaming, recoloring or collapsing a bound group updates its project
+   */
+  handleGroupUpdated(group) {
+    return this.updateProjects(projects => {
+      const project = projects.find(p => p.groupId === group.id);
+      if (!project) return false;
+
+      let changed = false;
+      const title = (group.title || '').trim();
+
+      // An empty title is what Chrome shows while the user is still typing; ignore it
+      if (title && title !== this.getProjectLabel(project)) {
+        project.intent = title;
+        project.title = title;
+        if (project.name !== undefined) project.name = title;
+        changed = true;
+      }
+      if (group.color && group.color !== project.color) {
+        project.color = group.color;
+        changed = true;
+      }
+      if (group.collapsed !== project.collapsed) {
+        project.collapsed = group.collapsed;
+        changed = true;
+      }
+
+      return changed;
+    }, { label: `Edit tab group "${(group.title || '').trim()}"` });
+  }
+
+  /**
+   * Closing a group unbinds it; the project itself is kept
+   */
+  handleGroupRemoved(group) {
+    return this.updateProjects(projects => {
+      const project = projects.find(p => p.groupId === group.id);
+      if (!project) return false;
+
+      delete project.groupId;
+    });
+  }
+
+  /**
+   * A tab moved into or out of a group: add it to the project bound to the new
+   * group and remove it from the project whose group it left
+   */
+  handleTabGroupChanged(tab) {
+    const groupId = tab.groupId;
+
+    return this.updateProjects(projects => {
+      let changed = false;
+
+      projects.forEach(project => {
+        if (typeof project.groupId !== 'number' || project.groupId === groupId) return;
+
+        (project.tabs || []).forEach(record => {
+          if (record.chromeTabId === tab.id && record.liveStatus === 'open' && !record.removed) {
+            record.removed = true;
+            record.removedAt = new Date().toISOString();
+            changed = true;
+          }
+        });
+      });
+
+      if (groupId !== this.NO_GROUP) {
+        const project = projects.find(p => p.groupId === groupId);
+        const alreadyBound = project?.tabs?.some(
+          record => record.chromeTabId === tab.id && record.liveStatus === 'open' && !record.removed
+        );
+
+        if (project && !alreadyBound) {
+          // A page the project already has (same canonical URL, or the URL it was saved from) is
+          // bound to this tab instead of saved again, even when another tab has it open
+          const url = tab.pendingUrl || tab.url;
+          const saved = this.identity.findSavedTab(project, { url }) || (project.tabs || []).find(
+            record => !record.removed && this.identity.isSamePage(record.url, url)
+          );
+          if (saved) {
+            saved.chromeTabId = tab.id;
+            saved.liveStatus = 'open';
+            delete saved.closedAt;
+          } else {
+            project.tabs = project.tabs || [];
+            project.tabs.push(this.createTabRecord(tab));
+          }
+          changed = true;
+        }
+      }
+
+      return changed;
+    }, { label: `Move "${tab.title || tab.url}" between tab groups` });
+  }
+
+  /**
+   * Group ids change across browser restarts: rebind projects to the open
+   * group with the same title, or drop the stale id
+   */
+  async reconcileGroups() {
+    const groups = await chrome.tabGroups.query({});
+
+    return this.updateProjects(projects => {
+      let changed = false;
+
+      projects.forEach(project => {
+        if (typeof project.groupId !== 'number') return;
+
+        const match = groups.find(group => group.title === this.getProjectLabel(project));
+        if (match) {
+          if (match.id !== project.groupId) {
+            project.groupId = match.id;
+            changed = true;
+          }
+        } else {
+          delete project.groupId;
+          changed = true;
+        }
+      });
+
+      return changed;
+    });
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.TabGroupSync = TabGroupSync;
+}
@@ -6,6 +6,7 @@
 class TabManager {
   constructor(storageManager) {
     this.storageManager = storageManager;
+    this.pageSummarizer = new PageSummarizer(storageManager);
     this.currentView = 'main';
     this.projects = [];
     this.filteredProjects = [];
@@ -484,8 +485,19 @@ class TabManager {
     const tab = project.tabs.find(t => t.id === tabId);
     if (!tab) return;
 
-    // Open URL in new tab
     if (typeof chrome !== 'undefined' && chrome.tabs) {
+      // Switch to the live tab if it is still open instead of opening a duplicate
+      if (tab.liveStatus === 'open' && typeof tab.chromeTabId === 'number') {
+        try {
+          const liveTab = await chrome.tabs.get(tab.chromeTabId);
+          await chrome.tabs.update(liveTab.id, { active: true });
+          await chrome.windows.update(liveTab.windowId, { focused: true });
+          return;
+        } catch (error) {
+          // Tab is gone; open the URL instead
+        }
+      }
+
       chrome.tabs.create({ url: tab.url });
     } else {
       window.open(tab.url, '_blank');
@@ -496,7 +508,9 @@ class TabManager {
    * Remove tab from project with undo option
    */
   async removeTab(projectId, tabId) {
-    const result = await this.storageManager.removeTabFromProject(projectId, tabId);
+    const result = await this.changeProjects([
+      { type: 'updateTab', projectId, tabId, updates: { removed: true, removedAt: new Date().toISOString() } }
+    ], `Remove "${this.findTab(projectId, tabId)?.title || 'tab'}"`);
 
     if (result.success) {
       await this.loadProjects();
@@ -536,12 +550,13 @@ class TabManager {
 
     // Open all tabs
     try {
-      if (typeof chrome !== 'undefined' && chrome.tabs) {
-        // Use Chrome API to open tabs
-        for (const tab of activeTabs) {
-          await chrome.tabs.create({ url: tab.url, active: false });
+      if (typeof chrome !== 'undefined' && chrome.runtime && chrome.tabs) {
+        // The background worker opens them inside a tab group named after the intent
+        const result = await chrome.runtime.sendMessage({ action: 'openProjectInGroup', projectId });
+        if (!result?.success) {
+          throw new Error(result?.error || 'Failed to open tab group');
         }
-        this.showToast(`Restored ${activeTabs.length} tabs`, 'success');
+        this.showToast(`Restored ${result.tabCount} tabs`, 'success');
       } else {
         // Fallback for non-Chrome environment
         activeTabs.forEach(tab => {
@@ -576,7 +591,9 @@ class TabManager {
     // Undo button handler
     const undoBtn = toast.querySelector('.toast-undo-btn');
     undoBtn.addEventListener('click', async () => {
-      const result = await this.storageManager.undoRemoveTab(projectId, tabId);
+      const result = await this.changeProjects([
+        { type: 'updateTab', projectId, tabId, updates: { removed: null, removedAt: null } }
+      ], `Restore "${this.findTab(projectId, tabId)?.title || 'tab'}"`);
       if (result.success) {
         await this.loadProjects();
         this.renderProjects();
@@ -596,7 +613,7 @@ class TabManager {
   /**
    * Show tab details view
    */
-  showTabDetails(projectId, tabId) {
+  async showTabDetails(projectId, tabId) {
     const project = this.projects.find(p => p.id === projectId);
     if (!project) return;
 
@@ -626,11 +643,11 @@ class TabManager {
       detailIntent.textContent = smartIntent;
     }
 
-    // Populate summary with description and timestamp
+    // Populate summary, labelled with its type and date
     const detailSummary = document.getElementById('detail-summary');
     if (detailSummary) {
-      const summary = tab.summary || this.generateSmartSummary(tab, project);
-      detailSummary.textContent = summary;
+      const stored = await this.storageManager.getSummary(tab.id);
+      this.showSummary(detailSummary, stored || (tab.summary ? { summary: tab.summary } : null));
     }
 
     // Update timestamp - find the span inside detail-time
@@ -651,35 +668,16 @@ class TabManager {
 
 
   /**
-   * Generate smart summary based on tab and project context
+   * Show a stored summary record, or a hint to create one
    */
-  generateSmartSummary(tab, project) {
-    const domain = this.extractDomain(tab.url);
-    const intent = project.intent.toLowerCase();
-
-    // Smart summaries based on domain and intent
-    const summaries = {
-      'linkedin.com': `Professional networking and ${intent} platform for career opportunities.`,
-      'indeed.com': `Job search engine for finding ${intent} opportunities and career resources.`,
-      'github.com': `Open source development platform for ${intent} projects and collaboration.`,
-      'amazon.com': `Online shopping for ${intent} with fast delivery and customer reviews.`,
-      'phaser.io': `HTML5 game framework for ${intent} with JavaScript and WebGL support.`,
-      'webglfundamentals.org': `Interactive tutorials and guides for ${intent} with WebGL graphics.`
-    };
-
-    return summaries[domain] || `${tab.title} - ${intent} related content and resources.`;
-  }
-
-  /**
-   * Extract domain from URL
-   */
-  extractDomain(url) {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.replace('www.', '');
-    } catch {
-      return '';
+  showSummary(element, record) {
+    if (!record?.summary) {
+      element.textContent = 'No summary yet. Use AI Summary to summarize this page.';
+      element.title = '';
+      return;
     }
+    element.textContent = record.summary;
+    element.title = this.pageSummarizer.describe(record);
   }
 
   /**
@@ -706,43 +704,28 @@ class TabManager {
       try {
         // Show loading state
         summarizeBtnNew.disabled = true;
-        summaryElement.textContent = 'Generating AI summary...';
+        summaryElement.textContent = 'Reading the page...';
         summaryElement.style.fontStyle = 'italic';
 
-        // Try to use Chrome AI Summarizer API
-        if (window.ai && window.ai.summarizer) {
-          const summarizer = await window.ai.summarizer.create({
-            type: 'tl;dr',
-            format: 'plain-text',
-            length: 'short'
-          });
-
-          const aiSummary = await summarizer.summarize(tab.title + ' - ' + tab.url + ' - Intent: ' + project.intent);
-
-          // Update summary
-          summaryElement.textContent = aiSummary;
-          summaryElement.style.fontStyle = 'normal';
-
-          // Save AI summary to tab
-          tab.summary = aiSummary;
-          await this.storageManager.saveProjects(this.projects);
+        // Summarize the page text, from the open tab or the copy kept with the last summary
+        const result = await this.pageSummarizer.summarize(tab, project);
+        summaryElement.style.fontStyle = 'normal';
 
+        if (result.success && result.summary.type === 'ai') {
+          this.showSummary(summaryElement, result.summary);
           this.showToast('AI summary generated!', 'success');
+        } else if (result.success) {
+          this.showSummary(summaryElement, result.summary);
+          this.showToast('AI is not available here. Showing the opening of the page.', 'warning');
         } else {
-          // Fallback: Generate enhanced summary
-          const enhancedSummary = this.generateEnhancedSummary(tab, project);
-          summaryElement.textContent = enhancedSummary;
-          summaryElement.style.fontStyle = 'normal';
-
-          tab.summary = enhancedSummary;
-          await this.storageManager.saveProjects(this.projects);
-
-          this.showToast('Enhanced summary generated!', 'success');
+          summaryElement.textContent = originalText;
+          this.showToast(result.error, 'warning');
         }
       } catch (error) {
+        console.error('Failed to summarize page:', error);
         summaryElement.textContent = originalText;
         summaryElement.style.fontStyle = 'normal';
-        this.showToast('AI summary not available. Using smart summary.', 'warning');
+        this.showToast('Could not summarize this page.', 'error');
       } finally {
         summarizeBtnNew.disabled = false;
       }
@@ -762,24 +745,6 @@ class TabManager {
     }
   }
 
-  /**
-   * Generate enhanced summary with more details
-   */
-  generateEnhancedSummary(tab, project) {
-    const domain = this.extractDomain(tab.url);
-
-    const enhancedSummaries = {
-      'linkedin.com': `LinkedIn professional network helps with ${project.intent} by connecting you with recruiters, industry leaders, and relevant job postings.`,
-      'indeed.com': `Indeed aggregates job listings from across the web, making it easier for ${project.intent} by providing filters and salary information.`,
-      'github.com': `GitHub hosts open-source ${project.intent} projects, allowing developers to collaborate, learn from code, and contribute to the community.`,
-      'amazon.com': `Amazon e-commerce platform offers extensive ${project.intent} options with customer reviews, competitive pricing, and fast shipping.`,
-      'phaser.io': `Phaser is a robust HTML5 game framework perfect for ${project.intent}, supporting both Canvas and WebGL rendering for 2D games.`,
-      'webglfundamentals.org': `WebGL Fundamentals provides comprehensive tutorials for ${project.intent}, covering 3D graphics programming from basics to advanced techniques.`
-    };
-
-    return enhancedSummaries[domain] || `${tab.title} provides valuable resources and tools for ${project.intent}, helping you achieve your goals efficiently.`;
-  }
-
   /**
    * Switch between views
    */
@@ -946,20 +911,12 @@ class TabManager {
    * Add new project
    */
   async addProject(title, intent) {
-    const result = await this.storageManager.addProject({
+    return this.createProject({
       title,
       subtitle: intent,
       intent,
       section: 'today'
     });
-
-    if (result.success) {
-      await this.loadProjects();
-      this.renderProjects();
-      return result.project;
-    }
-
-    return null;
   }
 
   /**
@@ -968,7 +925,7 @@ class TabManager {
   async addProjectWithTab(title, intent, tabInfo) {
     // Create the tab object
     const newTab = {
-      id: Date.now().toString() + Math.random(),
+      id: this.storageManager.identity.createId(),
       title: tabInfo.title || 'Untitled',
       url: tabInfo.url,
       favicon: tabInfo.favicon || '🔗',
@@ -976,23 +933,56 @@ class TabManager {
     };
 
     // Create project with the tab
-    const result = await this.storageManager.addProject({
+    return this.createProject({
       title,
       subtitle: intent,
       intent,
       section: 'today',
       tabs: [newTab]
     });
+  }
+
+  /**
+   * Save a new project through the background, which writes projects one change at a time
+   */
+  async createProject(projectData) {
+    const project = {
+      id: this.storageManager.identity.createId(),
+      ...projectData,
+      createdAt: new Date().toISOString(),
+      tabs: projectData.tabs || []
+    };
+    const result = await this.changeProjects([{ type: 'addProject', project }], `Create "${project.intent}"`);
 
     if (result.success) {
       await this.loadProjects();
       this.renderProjects();
-      return result.project;
+      return project;
     }
 
     return null;
   }
 
+  /**
+   * Send project changes to the background, which applies them under the projects lock
+   */
+  async changeProjects(changes, label) {
+    try {
+      return await chrome.runtime.sendMessage({ action: 'changeProjects', changes, options: { label } });
+    } catch (error) {
+      console.error('Failed to save project changes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * A saved tab as last loaded
+   */
+  findTab(projectId, tabId) {
+    const project = this.projects.find(p => p.id === projectId);
+    return (project?.tabs || []).find(t => t.id === tabId);
+  }
+
   /**
    * Clear all projects
    */
@@ -0,0 +1,330 @@
+/**
+ * Tab Story - Timeline Store
+ * Browsing history bucketed by day, indexed by domain, kept for a number of days.
+ * Events go to the IndexedDB timeline store when given one, otherwise to
+ * per-day chrome.storage.local keys with a small index.
+ */
+
+class TimelineStore {
+  /**
+   * @param {IndexedDBBackend|null} db - Backend with the timeline object store
+   */
+  constructor(db = null) {
+    this.db = db;
+    this.REVISION_KEY = 'timeline_revision';
+    this.INDEX_KEY = 'timeline_index';
+    this.DAY_KEY_PREFIX = 'timeline_day_';
+    this.LEGACY_KEY = 'tab_timeline';
+    this.DEFAULT_RETENTION_DAYS = 30;
+    this.PAGE_SIZE = 50;
+    this.FLUSH_DELAY_MS = 1000;
+    this.EVENT_TYPES = {
+      OPENED: 'opened',
+      NAVIGATED: 'navigated',
+      CLOSED: 'closed',
+      ACTIVATED: 'activated'
+    };
+
+    // Events are batched so a burst of tab activity costs one write
+    this.pending = [];
+    this.flushTimer = null;
+    this.queue = Promise.resolve();
+
+    // Kept in memory only: closed events need the page a tab showed last,
+    // which Chrome no longer reports once the tab is gone
+    this.lastPageByTab = new Map();
+    this.newTabs = new Set();
+  }
+
+  /**
+   * Run storage steps one at a time so index updates never overlap
+   */
+  run(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('Failed to update timeline:', error));
+    return this.queue;
+  }
+
+  /**
+   * Local calendar day used to bucket events, e.g. "2024-03-09"
+   */
+  getDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  getStorageKey(dayKey) {
+    return this.DAY_KEY_PREFIX + dayKey;
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Only real pages belong in history, not new tab or settings pages
+   */
+  isRecordable(url) {
+    return /^(https?|file):/.test(url || '');
+  }
+
+  createEvent(type, tab, timestamp = Date.now()) {
+    return {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || 'Untitled',
+      domain: this.getDomain(tab.url),
+      favicon: tab.favIconUrl || '',
+      timestamp
+    };
+  }
+
+  /**
+   * Queue an event; it is written on the next flush
+   */
+  record(type, tab, timestamp) {
+    if (!tab || !this.isRecordable(tab.url)) return;
+
+    this.pending.push(this.createEvent(type, tab, timestamp));
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.FLUSH_DELAY_MS);
+  }
+
+  // ==================== TAB EVENTS ====================
+
+  handleTabCreated(tab) {
+    this.newTabs.add(tab.id);
+  }
+
+  /**
+   * A finished load is "opened" for a new tab and "navigated" afterwards.
+   * Reloads of the same URL are not recorded again.
+   */
+  handleTabUpdated(tabId, changeInfo, tab) {
+    if (changeInfo.status !== 'complete') return;
+
+    const previous = this.lastPageByTab.get(tabId);
+    this.lastPageByTab.set(tabId, { url: tab.url, title: tab.title, favIconUrl: tab.favIconUrl });
+    if (previous?.url === tab.url) return;
+
+    const type = this.newTabs.delete(tabId) ? this.EVENT_TYPES.OPENED : this.EVENT_TYPES.NAVIGATED;
+    this.record(type, tab);
+  }
+
+  async handleTabActivated(activeInfo) {
+    try {
+      const tab = await chrome.tabs.get(activeInfo.tabId);
+      this.record(this.EVENT_TYPES.ACTIVATED, tab);
+    } catch (error) {
+      // The tab was closed before it could be read; there is nothing to record
+    }
+  }
+
+  handleTabRemoved(tabId) {
+    const page = this.lastPageByTab.get(tabId);
+    this.lastPageByTab.delete(tabId);
+    this.newTabs.delete(tabId);
+
+    if (page) {
+      this.record(this.EVENT_TYPES.CLOSED, { id: tabId, ...page });
+    }
+  }
+
+  // ==================== STORAGE ====================
+
+  /**
+   * Retention from user settings, in days
+   */
+  async getRetentionDays() {
+    const result = await chrome.storage.local.get('user_settings');
+    const days = Number(result.user_settings?.timelineRetentionDays);
+    return days > 0 ? days : this.DEFAULT_RETENTION_DAYS;
+  }
+
+  async getIndex() {
+    const result = await chrome.storage.local.get(this.INDEX_KEY);
+    return result[this.INDEX_KEY] || { days: {}, domains: {} };
+  }
+
+  /**
+   * Write pending events into their day buckets and update the index.
+   *
+   * Index shape: { days: { [day]: eventCount }, domains: { [domain]: [day, ...] } }
+   */
+  flush() {
+    return this.run(async () => {
+      const events = this.pending.splice(0);
+      if (events.length === 0) return;
+
+      if (this.db) {
+        await this.db.addTimelineEvents(
+          events.map(event => ({ ...event, day: this.getDayKey(new Date(event.timestamp)) }))
+        );
+        await this.db.deleteTimelineBefore(this.getCutoffKey(await this.getRetentionDays()));
+        await chrome.storage.local.set({ [this.REVISION_KEY]: Date.now() });
+        return;
+      }
+
+      const index = await this.getIndex();
+      const eventsByDay = {};
+      events.forEach(event => {
+        const dayKey = this.getDayKey(new Date(event.timestamp));
+        (eventsByDay[dayKey] = eventsByDay[dayKey] || []).push(event);
+      });
+
+      const dayKeys = Object.keys(eventsByDay);
+      const stored = await chrome.storage.local.get(dayKeys.map(dayKey => this.getStorageKey(dayKey)));
+      const updates = {};
+
+      dayKeys.forEach(dayKey => {
+        // Events are appended in time order; queries read them back newest first
+        const dayEvents = (stored[this.getStorageKey(dayKey)] || [])
+          .concat(eventsByDay[dayKey])
+          .sort((a, b) => a.timestamp - b.timestamp);
+        updates[this.getStorageKey(dayKey)] = dayEvents;
+        index.days[dayKey] = dayEvents.length;
+
+        eventsByDay[dayKey].forEach(event => {
+          if (!event.domain) return;
+          const days = index.domains[event.domain] = index.domains[event.domain] || [];
+          if (!days.includes(dayKey)) days.push(dayKey);
+        });
+      });
+
+      const expired = this.pruneIndex(index, await this.getRetentionDays());
+      expired.forEach(dayKey => delete updates[this.getStorageKey(dayKey)]);
+
+      await chrome.storage.local.set({ ...updates, [this.INDEX_KEY]: index, [this.REVISION_KEY]: Date.now() });
+      if (expired.length > 0) {
+        await chrome.storage.local.remove(expired.map(dayKey => this.getStorageKey(dayKey)));
+      }
+    });
+  }
+
+  /**
+   * Remove days older than the retention window from the index.
+   * Returns the removed day keys so their buckets can be deleted.
+   */
+  pruneIndex(index, retentionDays, now = new Date()) {
+    const cutoffKey = this.getCutoffKey(retentionDays, now);
+
+    const expired = Object.keys(index.days).filter(dayKey => dayKey < cutoffKey);
+    expired.forEach(dayKey => delete index.days[dayKey]);
+
+    Object.keys(index.domains).forEach(domain => {
+      index.domains[domain] = index.domains[domain].filter(dayKey => dayKey >= cutoffKey);
+      if (index.domains[domain].length === 0) delete index.domains[domain];
+    });
+
+    return expired;
+  }
+
+  /**
+   * First day still inside the retention window
+   */
+  getCutoffKey(retentionDays, now = new Date()) {
+    const cutoff = new Date(now);
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    return this.getDayKey(cutoff);
+  }
+
+  /**
+   * Apply the retention setting without waiting for new events, e.g. on startup.
+   * Resolves to the number of events deleted.
+   */
+  applyRetention() {
+    return this.run(async () => {
+      if (this.db) {
+        return this.db.deleteTimelineBefore(this.getCutoffKey(await this.getRetentionDays()));
+      }
+
+      const index = await this.getIndex();
+      const counts = { ...index.days };
+      const expired = this.pruneIndex(index, await this.getRetentionDays());
+      if (expired.length === 0) return 0;
+
+      await chrome.storage.local.set({ [this.INDEX_KEY]: index });
+      await chrome.storage.local.remove(expired.map(dayKey => this.getStorageKey(dayKey)));
+      return expired.reduce((sum, dayKey) => sum + (counts[dayKey] || 0), 0);
+    });
+  }
+
+  /**
+   * Read events newest first (one day bucket at a time without IndexedDB).
+   * Pass the returned cursor back in as is to get the next page; it is null at the end.
+   *
+   * @param {Object} options - { cursor, limit, domain, types }
+   */
+  async query({ cursor = null, limit = this.PAGE_SIZE, domain = null, types = null } = {}) {
+    await this.flush();
+
+    if (this.db) {
+      return this.db.queryTimeline({ cursor, limit, domain, types });
+    }
+
+    const index = await this.getIndex();
+    const dayKeys = (domain ? index.domains[domain] || [] : Object.keys(index.days))
+      .filter(dayKey => !cursor || dayKey <= cursor.day)
+      .sort()
+      .reverse();
+
+    const events = [];
+    for (const dayKey of dayKeys) {
+      const result = await chrome.storage.local.get(this.getStorageKey(dayKey));
+      const dayEvents = result[this.getStorageKey(dayKey)] || [];
+      const start = cursor && dayKey === cursor.day ? cursor.index : dayEvents.length;
+
+      for (let i = start - 1; i >= 0; i--) {
+        const event = dayEvents[i];
+        if (domain && event.domain !== domain) continue;
+        if (types && !types.includes(event.type)) continue;
+
+        events.push(event);
+        if (events.length === limit) {
+          return { events, cursor: { day: dayKey, index: i } };
+        }
+      }
+    }
+
+    return { events, cursor: null };
+  }
+
+  /**
+   * Move entries from the old 100-item tab_timeline list into day buckets
+   */
+  async migrateLegacyTimeline() {
+    const result = await chrome.storage.local.get(this.LEGACY_KEY);
+    const legacy = result[this.LEGACY_KEY];
+    if (!Array.isArray(legacy)) return;
+
+    legacy.forEach(entry => {
+      const timestamp = new Date(entry.timestamp).getTime();
+      if (Number.isNaN(timestamp)) return;
+      this.record(this.EVENT_TYPES.NAVIGATED, { id: entry.tabId, url: entry.url, title: entry.title }, timestamp);
+    });
+
+    await this.flush();
+    await chrome.storage.local.remove(this.LEGACY_KEY);
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.TimelineStore = TimelineStore;
+}
@@ -0,0 +1,343 @@
+/**
+ * Tab Story - WebDAV Sync
+ * Opt-in sync of the projects with a self-hosted WebDAV server, or any HTTP
+ * endpoint that answers GET and PUT with ETags. The projects travel as one
+ * export file (StorageManager.exportData / importData). ETags catch edits made
+ * elsewhere in the meantime; changes made while the server is unreachable wait
+ * in a queue and are pushed when it answers again.
+ */
+
+class WebDavSync {
+  /**
+   * @param {StorageManager} storageManager - Exports and imports the projects
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.SETTINGS_KEY = 'webdav_sync';
+    this.QUEUE_KEY = 'webdav_queue';
+    this.DEFAULTS = { enabled: false, url: '', username: '', password: '' };
+    this.ALARM = 'webdav-sync';
+    this.SOON_ALARM = 'webdav-sync-soon';
+    this.INTERVAL_MINUTES = 15;
+    this.SOON_DELAY_MINUTES = 0.5;
+    this.RETRY_MINUTES = 2;
+    this.MAX_QUEUE = 200;
+    // Another device can push between our GET and PUT; give up after this many rounds
+    this.MAX_ATTEMPTS = 3;
+  }
+
+  // ==================== SETTINGS ====================
+
+  /**
+   * Shape: { enabled, url, username, password, etag, fingerprint, lastSyncAt,
+   *   status: 'ok' | 'offline' | 'error', error, conflicts, lastConflictAt }
+   * etag and fingerprint describe the copy this device and the server last agreed on.
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(this.SETTINGS_KEY);
+    return { ...this.DEFAULTS, ...result[this.SETTINGS_KEY] };
+  }
+
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await chrome.storage.local.set({ [this.SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Point at a server; a new address or account starts over with no agreed copy
+   */
+  async configure({ url, username = '', password = '' }) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw new Error('The sync address must start with https:// or http://');
+    }
+    return this.saveSettings({
+      enabled: true,
+      url: parsed.href,
+      username,
+      password,
+      etag: null,
+      fingerprint: null,
+      status: null,
+      error: null
+    });
+  }
+
+  async disconnect() {
+    await chrome.storage.local.remove(this.QUEUE_KEY);
+    await this.saveSettings({ ...this.DEFAULTS, etag: null, fingerprint: null, status: null, error: null });
+    await this.schedule();
+  }
+
+  /**
+   * Re-creating an alarm restarts its period, so this only runs on install,
+   * startup and when sync is turned on or off
+   */
+  async schedule() {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      chrome.alarms.create(this.ALARM, { periodInMinutes: this.INTERVAL_MINUTES });
+    } else {
+      await chrome.alarms.clear(this.ALARM);
+      await chrome.alarms.clear(this.SOON_ALARM);
+    }
+  }
+
+  async scheduleSoon(delayInMinutes = this.SOON_DELAY_MINUTES) {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      chrome.alarms.create(this.SOON_ALARM, { delayInMinutes });
+    }
+  }
+
+  isSyncAlarm(alarm) {
+    return alarm.name === this.ALARM || alarm.name === this.SOON_ALARM;
+  }
+
+  // ==================== OFFLINE QUEUE ====================
+
+  /**
+   * Local changes not yet on the server, oldest first: [{ at, reason }]
+   */
+  async getQueue() {
+    const result = await chrome.storage.local.get(this.QUEUE_KEY);
+    return result[this.QUEUE_KEY] || [];
+  }
+
+  async enqueue(reason) {
+    const settings = await this.getSettings();
+    if (!settings.enabled) return;
+
+    const queue = await this.getQueue();
+    queue.push({ at: new Date().toISOString(), reason });
+    await chrome.storage.local.set({ [this.QUEUE_KEY]: queue.slice(-this.MAX_QUEUE) });
+  }
+
+  // ==================== SERVER ====================
+
+  /**
+   * @returns {Promise<Response>}
+   * @throws {Error} With offline set when the server can't be reached or is down
+   */
+  async request(settings, method, { headers = {}, body } = {}) {
+    const allHeaders = { ...headers };
+    if (settings.username) {
+      allHeaders.Authorization = `Basic ${btoa(unescape(encodeURIComponent(`${settings.username}:${settings.password}`)))}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(settings.url, { method, headers: allHeaders, body, cache: 'no-store' });
+    } catch (error) {
+      const offline = new Error('The sync server can\'t be reached');
+      offline.offline = true;
+      throw offline;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('The sync server did not accept the username or password');
+    }
+    if (response.status >= 500) {
+      const offline = new Error(`The sync server is unavailable (${response.status})`);
+      offline.offline = true;
+      throw offline;
+    }
+    return response;
+  }
+
+  /**
+   * The server's copy, unless it still matches the ETag we have
+   *
+   * @returns {Promise<Object>} { changed: false } | { missing: true } | { data, etag }
+   */
+  async pull(settings, etag) {
+    const response = await this.request(settings, 'GET', {
+      headers: etag ? { 'If-None-Match': etag } : {}
+    });
+
+    if (response.status === 304) return { changed: false };
+    if (response.status === 404) return { missing: true };
+    if (!response.ok) {
+      throw new Error(`The sync server answered ${response.status} to GET`);
+    }
+    return { data: await response.json(), etag: response.headers.get('ETag') };
+  }
+
+  /**
+   * Write our copy, only if the server's is still the one with this ETag
+   * (or, without an ETag, only if the server has none yet)
+   *
+   * @returns {Promise<Object>} { etag } | { conflict: true }
+   */
+  async push(settings, data, etag) {
+    const response = await this.request(settings, 'PUT', {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+      },
+      body: JSON.stringify(data)
+    });
+
+    if (response.status === 412) return { conflict: true };
+    if (!response.ok) {
+      throw new Error(`The sync server answered ${response.status} to PUT`);
+    }
+
+    // Some servers leave the ETag out of PUT responses
+    const written = response.headers.get('ETag') ||
+      (await this.request(settings, 'HEAD')).headers.get('ETag');
+    if (!written) {
+      throw new Error('The sync server does not send ETags, so edits from other devices could be lost');
+    }
+    return { etag: written };
+  }
+
+  // ==================== SYNC ====================
+
+  async getLocalCopy() {
+    const exported = await this.storageManager.exportData({ scope: 'projects' });
+    if (!exported.success) {
+      throw new Error('Could not export the projects');
+    }
+    const projects = exported.data[this.storageManager.STORAGE_KEYS.PROJECTS];
+    return {
+      data: { format: 'tab-story-sync', exportedAt: exported.exportedAt, data: exported.data },
+      fingerprint: this.storageManager.snapshotDeltas.fingerprint(projects)
+    };
+  }
+
+  /**
+   * Take the server's copy as ours, keeping this browser's live tab and group ids
+   */
+  async replaceWithRemote(data) {
+    const live = new Map((await this.storageManager.getProjects()).map(project => [project.id, project]));
+
+    const imported = await this.storageManager.importData(data, { strategy: 'replace', label: 'Sync from server' });
+    if (!imported.success) {
+      throw new Error(imported.error || 'Could not apply the server\'s copy');
+    }
+
+    await this.storageManager.updateProjects(projects => {
+      let changed = false;
+      projects.forEach(project => {
+        const local = live.get(project.id);
+        if (!local) return;
+        if (local.groupId !== undefined && project.groupId === undefined) {
+          project.groupId = local.groupId;
+          changed = true;
+        }
+        const localTabs = new Map((local.tabs || []).map(tab => [tab.id, tab]));
+        project.tabs.forEach(tab => {
+          const { chromeTabId, liveStatus, closedAt } = localTabs.get(tab.id) || {};
+          if (chromeTabId === undefined && liveStatus === undefined) return;
+          Object.assign(tab, { chromeTabId, liveStatus, closedAt });
+          changed = true;
+        });
+      });
+      return changed;
+    }, { record: false });
+  }
+
+  /**
+   * Bring this device and the server level:
+   * - only the server changed: take its copy
+   * - only this device changed: push, guarded by the ETag
+   * - both changed: merge the server's projects into ours (nothing is dropped) and push that
+   * Reads and writes the projects directly, so callers hold the projects lock.
+   */
+  async sync() {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      return { success: false, error: 'WebDAV sync is off' };
+    }
+
+    const queue = await this.getQueue();
+    try {
+      let { etag, fingerprint } = settings;
+      let conflicts = 0;
+      let pushed = false;
+      let pulled = false;
+
+      for (let attempt = 1; ; attempt++) {
+        const local = await this.getLocalCopy();
+        const localChanged = local.fingerprint !== fingerprint;
+        const remote = await this.pull(settings, etag);
+
+        if (remote.data) {
+          if (!localChanged) {
+            await this.replaceWithRemote(remote.data);
+            etag = remote.etag;
+            fingerprint = (await this.getLocalCopy()).fingerprint;
+            pulled = true;
+            break;
+          }
+          // Edited on both sides since the copy we agreed on (or connecting for the first time)
+          const merged = await this.storageManager.importData(remote.data, { strategy: 'merge', label: 'Merge with server' });
+          if (!merged.success) {
+            throw new Error(merged.error || 'Could not merge the server\'s copy');
+          }
+          if (etag) conflicts++;
+          etag = remote.etag;
+          pulled = true;
+        } else if (remote.missing) {
+          etag = null;
+        } else if (!localChanged) {
+          break;
+        }
+
+        const current = remote.data ? await this.getLocalCopy() : local;
+        const written = await this.push(settings, current.data, etag);
+        if (!written.conflict) {
+          etag = written.etag;
+          fingerprint = current.fingerprint;
+          pushed = true;
+          break;
+        }
+        if (attempt >= this.MAX_ATTEMPTS) {
+          throw new Error('The sync server\'s copy keeps changing; try again in a moment');
+        }
+      }
+
+      // Changes queued while this sync ran stay for the next one
+      const remaining = (await this.getQueue()).slice(queue.length);
+      await chrome.storage.local.set({ [this.QUEUE_KEY]: remaining });
+      await this.saveSettings({
+        etag,
+        fingerprint,
+        lastSyncAt: new Date().toISOString(),
+        status: 'ok',
+        error: null,
+        ...(conflicts > 0 && { conflicts: (settings.conflicts || 0) + conflicts, lastConflictAt: new Date().toISOString() })
+      });
+
+      return { success: true, pushed, pulled, merged: conflicts > 0 };
+    } catch (error) {
+      console.error('Failed to sync with WebDAV server:', error);
+      await this.saveSettings({ status: error.offline ? 'offline' : 'error', error: error.message });
+      if (error.offline) {
+        await this.scheduleSoon(this.RETRY_MINUTES);
+      }
+      return { success: false, offline: !!error.offline, error: error.message, queued: queue.length };
+    }
+  }
+
+  /**
+   * Settings without the password, plus how many changes wait for the server
+   */
+  async getStatus() {
+    try {
+      const { password, ...settings } = await this.getSettings();
+      const queue = await this.getQueue();
+      return { success: true, settings: { ...settings, hasPassword: !!password }, queued: queue.length };
+    } catch (error) {
+      console.error('Failed to get WebDAV sync status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.WebDavSync = WebDavSync;
+}
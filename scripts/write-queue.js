@@ -0,0 +1,29 @@
+/**
+ * Tab Story - Write Queue
+ * The single writer for the projects. Every read-modify-write of the projects
+ * runs through one queue in the service worker, one task at a time, so two
+ * saves arriving together can't both read the same list and drop each other's
+ * tabs. The side panel and content scripts never write the projects
+ * themselves; they send the change to the worker, which queues it here.
+ */
+
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run a task once the tasks queued before it are done. A failing task
+   * rejects its own promise but does not stop the queue.
+   */
+  run(task) {
+    const result = this.tail.then(task);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.WriteQueue = WriteQueue;
+}
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { X, Undo2, Redo2 } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { runHistoryCommand } from '../../lib/history';
+
+// "2 intents changed · 1 added" style summary of an entry
+const describeEntry = (entry) => {
+  const parts = [];
+  if (entry.added) parts.push(`${entry.added} added`);
+  if (entry.removed) parts.push(`${entry.removed} removed`);
+  if (entry.updated) parts.push(`${entry.updated} changed`);
+  if (entry.reordered) parts.push('reordered');
+  return [entry.projects.slice(0, 3).join(', ') + (entry.projects.length > 3 ? '…' : ''), parts.join(' · ')]
+    .filter(Boolean)
+    .join(' — ');
+};
+
+export default function ActivityDialog() {
+  const isActivityOpen = useTabStore((state) => state.isActivityOpen);
+  const setActivityOpen = useTabStore((state) => state.setActivityOpen);
+  const fetchActivity = useTabStore((state) => state.fetchActivity);
+  // Any change to the projects, including an undo from the keyboard, refreshes the list
+  const folders = useTabStore((state) => state.folders);
+  const [activity, setActivity] = useState({ entries: [], canUndo: false, canRedo: false });
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    if (!isActivityOpen) return;
+    fetchActivity().then((result) => {
+      if (result?.success) setActivity(result);
+    });
+  }, [isActivityOpen, folders]);
+
+  const run = async (command, options) => {
+    setIsBusy(true);
+    await runHistoryCommand(command, options);
+    const result = await fetchActivity();
+    if (result?.success) setActivity(result);
+    setIsBusy(false);
+  };
+
+  return (
+    <Dialog.Root open={isActivityOpen} onOpenChange={setActivityOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/60" />
+        <Dialog.Content className="fixed left-1/2 top-16 z-50 flex max-h-[80vh] w-[560px] -translate-x-1/2 flex-col rounded-2xl bg-background-popup border border-white/12 shadow-popup outline-none">
+          {/* Header */}
+          <div className="flex items-center justify-between border-b border-white/6 px-5 py-4">
+            <Dialog.Title className="text-[15px] font-semibold text-white">Activity</Dialog.Title>
+            <div className="flex items-center gap-2">
+              <Button variant="default" size="sm" onClick={() => run('undo')} disabled={isBusy || !activity.canUndo} title="Ctrl+Z" className="gap-1.5">
+                <Undo2 className="h-3.5 w-3.5" strokeWidth={2} /> Undo
+              </Button>
+              <Button variant="default" size="sm" onClick={() => run('redo')} disabled={isBusy || !activity.canRedo} title="Ctrl+Shift+Z" className="gap-1.5">
+                <Redo2 className="h-3.5 w-3.5" strokeWidth={2} /> Redo
+              </Button>
+              <Dialog.Close asChild>
+                <button className="ml-2 text-white/40 hover:text-white/80 transition-colors" aria-label="Close activity">
+                  <X className="h-4 w-4" strokeWidth={2} />
+                </button>
+              </Dialog.Close>
+            </div>
+          </div>
+
+          {/* Entries */}
+          <div className="flex flex-col gap-1.5 overflow-y-auto px-5 py-4">
+            {activity.entries.length === 0 && (
+              <p className="text-[12px] text-[#808090]">Changes to your intents and tabs will show up here.</p>
+            )}
+            {activity.entries.map((entry) => (
+              <div key={entry.id} className="flex items-center gap-3 rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+                <div className="flex min-w-0 flex-1 flex-col">
+                  <span className={entry.undone ? 'truncate text-white/40 line-through' : 'truncate text-white'}>
+                    {entry.label}
+                  </span>
+                  <span className="truncate text-[11px] text-[#808090]">
+                    {new Date(entry.timestamp).toLocaleString()} · {describeEntry(entry)}
+                  </span>
+                </div>
+                {entry.undone ? (
+                  <Button variant="default" size="sm" onClick={() => run('redo', { entryId: entry.id })} disabled={isBusy}>
+                    Reapply
+                  </Button>
+                ) : (
+                  <Button variant="default" size="sm" onClick={() => run('undo', { entryId: entry.id })} disabled={isBusy}>
+                    Revert
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { useTabStore } from '../../store/useTabStore';
+
+// Confirms an undo or redo for a few seconds, with a way into the full history
+export default function HistoryNotice() {
+  const historyNotice = useTabStore((state) => state.historyNotice);
+  const setHistoryNotice = useTabStore((state) => state.setHistoryNotice);
+  const setActivityOpen = useTabStore((state) => state.setActivityOpen);
+
+  useEffect(() => {
+    if (!historyNotice) return undefined;
+    const timer = setTimeout(() => setHistoryNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [historyNotice]);
+
+  return (
+    <AnimatePresence>
+      {historyNotice && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 10 }}
+          transition={{ duration: 0.15 }}
+          className="fixed bottom-4 left-1/2 z-50 flex -translate-x-1/2 items-center gap-3 rounded-lg border border-white/12 bg-background-popup px-4 py-2 text-[12px] text-white shadow-popup"
+        >
+          <span className="max-w-[360px] truncate">{historyNotice}</span>
+          <button
+            className="text-accent-purple hover:text-white transition-colors"
+            onClick={() => {
+              setHistoryNotice(null);
+              setActivityOpen(true);
+            }}
+          >
+            Activity
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -1,10 +1,13 @@
-import { Search, Clock, Settings, LayoutGrid, Filter } from 'lucide-react';
+import { Search, Clock, Settings, LayoutGrid, Filter, Trash2 } from 'lucide-react';
 import { Button } from '../ui/Button';
 import { useTabStore } from '../../store/useTabStore';
 
 export default function Header() {
   const searchQuery = useTabStore((state) => state.searchQuery);
   const activeFilter = useTabStore((state) => state.activeFilter);
+  const setSettingsOpen = useTabStore((state) => state.setSettingsOpen);
+  const setActivityOpen = useTabStore((state) => state.setActivityOpen);
+  const setTrashOpen = useTabStore((state) => state.setTrashOpen);
 
   const toggleSearchFocus = () => {
     // Focus on the search input in the main panel
@@ -48,11 +51,14 @@ export default function Header() {
         >
           <Filter className="h-4 w-4" strokeWidth={2} />
         </Button>
-        <Button variant="icon" size="icon" aria-label="History">
+        <Button variant="icon" size="icon" aria-label="Activity" title="Activity (undo history)" onClick={() => setActivityOpen(true)}>
           <Clock className="h-4 w-4" strokeWidth={2} />
         </Button>
+        <Button variant="icon" size="icon" aria-label="Trash" title="Trash" onClick={() => setTrashOpen(true)}>
+          <Trash2 className="h-4 w-4" strokeWidth={2} />
+        </Button>
         <div className="mx-2 h-5 w-px bg-white/10" />
-        <Button variant="icon" size="icon" aria-label="Settings">
+        <Button variant="icon" size="icon" aria-label="Settings" onClick={() => setSettingsOpen(true)}>
           <Settings className="h-4 w-4" strokeWidth={2} />
         </Button>
       </div>
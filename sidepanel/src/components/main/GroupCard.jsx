@@ -4,7 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useState } from 'react';
 import TabRow from './TabRow';
 
-export default function GroupCard({ group, tabs = [] }) {
+export default function GroupCard({ group, tabs = [], openCount = 0 }) {
   const [isOpen, setIsOpen] = useState(true);
 
   return (
@@ -27,6 +27,14 @@ export default function GroupCard({ group, tabs = [] }) {
               {group.name}
             </span>
 
+            {/* Live tabs */}
+            {openCount > 0 && (
+              <span className="flex items-center gap-1.5 rounded-full bg-[rgba(80,200,120,0.18)] border border-[rgba(80,200,120,0.35)] px-2 py-0.5 text-[10px] font-semibold text-accent-green">
+                <span className="h-1.5 w-1.5 rounded-full bg-accent-green" />
+                {openCount} open
+              </span>
+            )}
+
             {/* Menu Button */}
             <button
               onClick={(e) => {
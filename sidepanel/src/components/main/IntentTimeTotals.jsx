@@ -0,0 +1,37 @@
+import { Timer } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { formatDuration, getIntentTotals } from '../../lib/dwell';
+import { withoutTrashed } from '../../lib/trash';
+
+export default function IntentTimeTotals() {
+  const dwell = useTabStore((state) => state.dwell);
+  const folders = useTabStore((state) => state.folders);
+
+  const totals = getIntentTotals(dwell, withoutTrashed(folders));
+  if (totals.length === 0) return null;
+
+  return (
+    <div className="mt-4 rounded-xl bg-background-elevated border border-white/6 p-4">
+      <div className="mb-3 flex items-center gap-2">
+        <Timer className="h-3.5 w-3.5 text-accent-purple" strokeWidth={2} />
+        <h2 className="flex-1 text-[11px] font-bold tracking-widest uppercase text-white/60">
+          Time by intent
+        </h2>
+        <span className="w-14 text-right text-[10px] font-semibold uppercase text-white/35">Today</span>
+        <span className="w-16 text-right text-[10px] font-semibold uppercase text-white/35">This week</span>
+      </div>
+
+      <div className="flex flex-col gap-1.5">
+        {totals.slice(0, 5).map(({ intent, today, week }) => (
+          <div key={intent} className="flex items-center gap-2 text-[12px]">
+            <span className="flex-1 truncate text-white/85">{intent}</span>
+            <span className="w-14 text-right tabular-nums text-white/60">
+              {today > 0 ? formatDuration(today) : '—'}
+            </span>
+            <span className="w-16 text-right tabular-nums text-white/85">{formatDuration(week)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
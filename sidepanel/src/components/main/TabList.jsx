@@ -1,14 +1,28 @@
 import { useVirtualizer } from '@tanstack/react-virtual';
 import { useRef } from 'react';
 import { useTabStore } from '../../store/useTabStore';
-import { FolderOpen } from 'lucide-react';
+import { FolderOpen, Layers, History, ArchiveRestore, CopyX } from 'lucide-react';
 import TimeSectionHeader from './TimeSectionHeader';
 import GroupCard from './GroupCard';
+import TimeSpentControls from './TimeSpentControls';
+import { isLiveTab } from '../../lib/chromeTabs';
+import { sortAndFilterByTimeSpent } from '../../lib/dwell';
+import { duplicatesInFolder } from '../../lib/duplicates';
 
 export default function TabList() {
   const containerRef = useRef(null);
   const timeSections = useTabStore((state) => state.timeSections);
   const folders = useTabStore((state) => state.folders);
+  const selectedFolder = useTabStore((state) => state.selectedFolder);
+  const openFolderInGroup = useTabStore((state) => state.openFolderInGroup);
+  const unarchiveFolder = useTabStore((state) => state.unarchiveFolder);
+  const dwell = useTabStore((state) => state.dwell);
+  const timeSort = useTabStore((state) => state.timeSort);
+  const minTimeSpent = useTabStore((state) => state.minTimeSpent);
+  const timelineCursor = useTabStore((state) => state.timelineCursor);
+  const loadMoreTimeline = useTabStore((state) => state.loadMoreTimeline);
+  const duplicates = useTabStore((state) => state.duplicates);
+  const mergeDuplicates = useTabStore((state) => state.mergeDuplicates);
 
   // Combine time sections with folders for virtual scrolling
   const allItems = Object.values(timeSections).filter(section =>
@@ -24,6 +38,69 @@ export default function TabList() {
 
   const virtualRows = virtualizer.getVirtualItems();
 
+  // A selected folder shows its saved tabs, with the ones open right now marked live
+  const folder = selectedFolder ? folders.find((f) => f.id === selectedFolder) : null;
+  if (folder) {
+    const folderTabs = (folder.tabs || []).filter((tab) => !tab.removed);
+    const visibleTabs = sortAndFilterByTimeSpent(folderTabs, dwell, { sort: timeSort, minSeconds: minTimeSpent });
+    const folderDuplicates = folder.archived ? [] : duplicatesInFolder(duplicates, folder.id);
+
+    // Keep this folder's copy of each page; the others (elsewhere, or repeated here) go to the trash
+    const keepOnlyHere = async () => {
+      for (const group of folderDuplicates) {
+        const [keep, ...others] = [
+          ...group.tabs.filter((tab) => tab.projectId === folder.id),
+          ...group.tabs.filter((tab) => tab.projectId !== folder.id),
+        ];
+        await mergeDuplicates(keep, others);
+      }
+    };
+
+    return (
+      <div className="flex flex-col">
+        <TimeSectionHeader label={folder.name} count={folderTabs.length} />
+        {folder.archived && (
+          <button
+            onClick={() => unarchiveFolder(folder.id)}
+            className="my-3 flex h-8 w-fit items-center gap-1.5 rounded-lg bg-white/8 px-3 text-[11px] font-medium text-white/80 hover:bg-white/14 hover:text-white transition-colors"
+          >
+            <ArchiveRestore className="h-3.5 w-3.5" strokeWidth={2} />
+            <span>Unarchive</span>
+          </button>
+        )}
+        {!folder.archived && folderTabs.length > 0 && (
+          <button
+            onClick={() => openFolderInGroup(folder.id)}
+            className="my-3 flex h-8 w-fit items-center gap-1.5 rounded-lg bg-white/8 px-3 text-[11px] font-medium text-white/80 hover:bg-white/14 hover:text-white transition-colors"
+          >
+            <Layers className="h-3.5 w-3.5" strokeWidth={2} />
+            <span>Open as tab group</span>
+          </button>
+        )}
+        {folderDuplicates.length > 0 && (
+          <div className="mb-3 flex items-center justify-between gap-2 rounded-lg bg-accent-amber/10 px-3 py-2">
+            <span className="text-[11px] text-white/70">
+              {folderDuplicates.length === 1 ? '1 page here is' : `${folderDuplicates.length} pages here are`} saved more than once
+            </span>
+            <button
+              onClick={keepOnlyHere}
+              className="flex h-7 shrink-0 items-center gap-1.5 rounded-lg bg-white/8 px-2.5 text-[11px] font-medium text-white/80 hover:bg-white/14 hover:text-white transition-colors"
+            >
+              <CopyX className="h-3.5 w-3.5" strokeWidth={2} />
+              <span>Keep only here</span>
+            </button>
+          </div>
+        )}
+        {folderTabs.length > 0 && <TimeSpentControls />}
+        <GroupCard
+          group={{ id: folder.id, name: folder.name }}
+          tabs={visibleTabs}
+          openCount={folderTabs.filter(isLiveTab).length}
+        />
+      </div>
+    );
+  }
+
   if (allItems.length === 0) {
     return (
       <div className="flex h-full flex-col items-center justify-center text-center p-8">
@@ -84,6 +161,17 @@ export default function TabList() {
           );
         })}
       </div>
+
+      {/* Older history is fetched a page at a time */}
+      {timelineCursor && (
+        <button
+          onClick={loadMoreTimeline}
+          className="mx-auto my-4 flex h-8 items-center gap-1.5 rounded-lg bg-white/8 px-3 text-[11px] font-medium text-white/80 hover:bg-white/14 hover:text-white transition-colors"
+        >
+          <History className="h-3.5 w-3.5" strokeWidth={2} />
+          <span>Load earlier history</span>
+        </button>
+      )}
     </div>
   );
 }
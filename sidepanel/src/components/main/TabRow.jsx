@@ -4,10 +4,25 @@ import { useTabStore } from '../../store/useTabStore';
 import { Badge } from '../ui/Badge';
 import { Chip } from '../ui/Chip';
 import { getStatusVariant } from '../../constants';
+import { focusOrOpenTab, isLiveTab } from '../../lib/chromeTabs';
+import { formatDuration, getTimeSpent } from '../../lib/dwell';
+import { findDuplicateGroup, describeDuplicate } from '../../lib/duplicates';
 import { ExternalLink, Share2, FolderPlus, MoreHorizontal } from 'lucide-react';
 
 export default function TabRow({ tab, onClick }) {
   const setPopupOpen = useTabStore((state) => state.setPopupOpen);
+  const timeSpent = useTabStore((state) => getTimeSpent(state.dwell, tab.id));
+  // Name of the synced device this tab was saved on, when it wasn't this one
+  const addedOnDevice = useTabStore((state) =>
+    state.sync.enabled && tab.addedOn && tab.addedOn !== state.sync.deviceId
+      ? state.sync.devices[tab.addedOn]?.name
+      : null,
+  );
+  // Other saved copies of the same page, in this folder or another
+  const duplicateFlag = useTabStore((state) => {
+    const group = findDuplicateGroup(state.duplicates, tab.id);
+    return group ? describeDuplicate(group, tab.id) : null;
+  });
   const [isHovered, setIsHovered] = useState(false);
 
   const handleClick = (e) => {
@@ -26,8 +41,10 @@ export default function TabRow({ tab, onClick }) {
 
   const getRelativeTime = (timestamp) => {
     if (!timestamp) return '';
+    // Project tabs store ISO strings, captured tabs store epoch milliseconds
+    const time = new Date(timestamp).getTime();
     const now = Date.now();
-    const diff = now - timestamp;
+    const diff = now - time;
     const minutes = Math.floor(diff / 60000);
     const hours = Math.floor(diff / 3600000);
     const days = Math.floor(diff / 86400000);
@@ -37,7 +54,7 @@ export default function TabRow({ tab, onClick }) {
     if (hours < 24) return `${hours}h ago`;
     if (days < 7) return `${days}d ago`;
 
-    return new Date(timestamp).toLocaleDateString('en-US', {
+    return new Date(time).toLocaleDateString('en-US', {
       month: 'short',
       day: 'numeric',
     });
@@ -45,11 +62,7 @@ export default function TabRow({ tab, onClick }) {
 
   const handleOpenTab = (e) => {
     e.stopPropagation();
-    if (typeof chrome !== 'undefined' && chrome.tabs && tab.url) {
-      chrome.tabs.create({ url: tab.url });
-    } else if (tab.url) {
-      window.open(tab.url, '_blank');
-    }
+    focusOrOpenTab(tab);
   };
 
   return (
@@ -82,6 +95,13 @@ export default function TabRow({ tab, onClick }) {
           <div className="hidden h-6 w-6 items-center justify-center rounded-md bg-white/10 text-[10px] font-medium text-white">
             {getDomain().charAt(0).toUpperCase()}
           </div>
+          {/* Open in the browser right now */}
+          {isLiveTab(tab) && (
+            <div
+              className="absolute -bottom-0.5 -right-0.5 h-2 w-2 rounded-full bg-accent-green ring-2 ring-background-elevated"
+              title="Open now"
+            />
+          )}
           {/* Hover glow */}
           <div className="absolute inset-0 rounded-md bg-accent-purple/20 scale-0 group-hover:scale-100 transition-transform duration-200" />
         </div>
@@ -93,6 +113,9 @@ export default function TabRow({ tab, onClick }) {
           </span>
           <span className="text-[11px] text-[#808090] group-hover:text-[#A0A0B0] transition-colors">
             {tab.domain || getDomain()}
+            {timeSpent > 0 && <span className="text-white/40"> · {formatDuration(timeSpent)} spent</span>}
+            {addedOnDevice && <span className="text-white/40"> · from {addedOnDevice}</span>}
+            {duplicateFlag && <span className="text-accent-amber/80"> · {duplicateFlag}</span>}
           </span>
         </div>
 
@@ -132,7 +155,7 @@ export default function TabRow({ tab, onClick }) {
               <button
                 onClick={handleOpenTab}
                 className="flex h-7 w-7 items-center justify-center rounded-lg bg-white/10 text-white/60 hover:bg-accent-purple hover:text-white transition-all"
-                aria-label="Open tab"
+                aria-label={isLiveTab(tab) ? 'Switch to tab' : 'Open tab'}
               >
                 <ExternalLink className="h-3.5 w-3.5" strokeWidth={2} />
               </button>
@@ -0,0 +1,49 @@
+import { Timer, ArrowDownWideNarrow } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { Chip } from '../ui/Chip';
+import { TIME_SORT, TIME_SPENT_FILTER_ARRAY } from '../../constants';
+
+export default function TimeSpentControls() {
+  const timeSort = useTabStore((state) => state.timeSort);
+  const minTimeSpent = useTabStore((state) => state.minTimeSpent);
+  const setTimeSort = useTabStore((state) => state.setTimeSort);
+  const setMinTimeSpent = useTabStore((state) => state.setMinTimeSpent);
+
+  const sortingByTime = timeSort === TIME_SORT.TIME_SPENT;
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2">
+      <span className="text-[10px] font-semibold tracking-wider text-white/35 uppercase mr-1">
+        Time spent:
+      </span>
+      {TIME_SPENT_FILTER_ARRAY.map((filter) => {
+        const isActive = filter.minSeconds === minTimeSpent;
+
+        return (
+          <Chip
+            key={filter.id}
+            variant={isActive ? 'active' : 'default'}
+            size="sm"
+            onClick={() => setMinTimeSpent(filter.minSeconds)}
+            className="cursor-pointer"
+          >
+            {filter.label}
+          </Chip>
+        );
+      })}
+      <Chip
+        variant={sortingByTime ? 'active' : 'default'}
+        size="sm"
+        onClick={() => setTimeSort(sortingByTime ? TIME_SORT.RECENT : TIME_SORT.TIME_SPENT)}
+        className="ml-auto cursor-pointer"
+      >
+        {sortingByTime ? (
+          <Timer className="h-3 w-3" strokeWidth={2} />
+        ) : (
+          <ArrowDownWideNarrow className="h-3 w-3" strokeWidth={2} />
+        )}
+        {sortingByTime ? 'Most time first' : 'Sort by time'}
+      </Chip>
+    </div>
+  );
+}
@@ -5,6 +5,8 @@ import { Play, Share, Move, Circle, ArrowRight, ExternalLink } from 'lucide-reac
 import { useTabStore } from '../../store/useTabStore';
 import { Chip } from '../ui/Chip';
 import { Button } from '../ui/Button';
+import { focusOrOpenTab, isLiveTab } from '../../lib/chromeTabs';
+import TabSummary from './TabSummary';
 
 export default function TabDetailPopup() {
   const isPopupOpen = useTabStore((state) => state.isPopupOpen);
@@ -18,9 +20,7 @@ export default function TabDetailPopup() {
   if (!selectedTab || !isPopupOpen) return null;
 
   const handleOpen = () => {
-    if (selectedTab.url) {
-      chrome.tabs.create({ url: selectedTab.url });
-    }
+    focusOrOpenTab(selectedTab);
     handleClose();
   };
 
@@ -117,6 +117,9 @@ export default function TabDetailPopup() {
                   </div>
                 </div>
 
+                {/* Summary */}
+                <TabSummary tab={selectedTab} />
+
                 {/* Action Buttons */}
                 <div className="flex gap-2 p-2.5 px-3.5 border-t border-white/6">
                   <Button
@@ -125,7 +128,7 @@ export default function TabDetailPopup() {
                     onClick={handleOpen}
                   >
                     <Play className="h-3 w-3" strokeWidth={2} />
-                    <span>Open</span>
+                    <span>{isLiveTab(selectedTab) ? 'Switch to' : 'Open'}</span>
                   </Button>
                   <Button
                     variant="ghost"
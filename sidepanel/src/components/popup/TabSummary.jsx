@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { Sparkles } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { requestPageAccess } from '../../lib/summarizer';
+
+// Summary of a saved tab's page, labelled with its type and date; tabs not saved to an intent show nothing
+export default function TabSummary({ tab }) {
+  const isSaved = useTabStore((state) => state.folders.some((folder) => (folder.tabs || []).some((t) => t.id === tab.id)));
+  const fetchSummary = useTabStore((state) => state.fetchSummary);
+  const summarizeTab = useTabStore((state) => state.summarizeTab);
+  const [summary, setSummary] = useState(null);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isSaved) return undefined;
+
+    let cancelled = false;
+    setSummary(null);
+    setError(null);
+    fetchSummary(tab.id).then((result) => {
+      if (!cancelled && result?.success) setSummary(result.summary);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [tab.id, isSaved, fetchSummary]);
+
+  if (!isSaved) return null;
+
+  const handleSummarize = async () => {
+    // Asked first, while the click still counts as one; without access a cached copy may still do
+    await requestPageAccess(tab).catch(() => false);
+    setIsSummarizing(true);
+    setError(null);
+    const result = await summarizeTab(tab.id);
+    setIsSummarizing(false);
+
+    if (result?.success) {
+      setSummary(result.summary);
+    } else {
+      setError(result?.error || 'Could not summarize this page');
+    }
+  };
+
+  return (
+    <div className="mx-3.5 mb-2.5 flex flex-col gap-1.5">
+      {summary ? (
+        <>
+          <p className="text-[11px] leading-snug text-white/80">{summary.summary}</p>
+          <span className="text-[10px] text-gray-500">{summary.label}</span>
+        </>
+      ) : (
+        <p className="text-[11px] text-gray-400">No summary yet.</p>
+      )}
+      {error && <p className="text-[11px] text-accent-amber">{error}</p>}
+      <Button
+        variant="ghost"
+        className="h-7 gap-1.5 self-start bg-white/8 hover:bg-white/14 rounded-lg px-2.5 text-[11px]"
+        onClick={handleSummarize}
+        disabled={isSummarizing}
+      >
+        <Sparkles className="h-3 w-3" strokeWidth={2} />
+        <span>{isSummarizing ? 'Reading the page...' : summary ? 'Summarize again' : 'Summarize'}</span>
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import { useTabStore } from '../../store/useTabStore';
+import SettingsSection from './SettingsSection';
+
+export default function ArchiveSettings() {
+  const settings = useTabStore((state) => state.settings);
+  const updateSettings = useTabStore((state) => state.updateSettings);
+  const isOn = settings.autoArchiveDays > 0;
+
+  return (
+    <SettingsSection
+      title="Archive"
+      description="Archived intents leave the main list and are kept without cached summaries. Find them under Archived in the sidebar."
+    >
+      <label className="flex items-center justify-between text-[13px] text-white">
+        <span>Archive intents untouched for a while</span>
+        <input
+          type="checkbox"
+          checked={isOn}
+          onChange={(e) => updateSettings({ autoArchiveDays: e.target.checked ? 60 : 0 })}
+        />
+      </label>
+
+      {isOn && (
+        <label className="flex items-center justify-between text-[13px] text-white">
+          <span>Days without new or closed tabs</span>
+          <input
+            type="number"
+            min="1"
+            value={settings.autoArchiveDays}
+            onChange={(e) => updateSettings({ autoArchiveDays: Math.max(1, Number(e.target.value) || 1) })}
+            className="w-16 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-right text-white outline-none"
+          />
+        </label>
+      )}
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import SettingsSection from './SettingsSection';
+
+const STATUS_LABELS = {
+  added: 'Added since',
+  removed: 'Removed since',
+  renamed: 'Renamed',
+  changed: 'Changed',
+};
+
+const projectKey = (projectId) => `project:${projectId}`;
+const tabKey = (projectId, tabId) => `tab:${projectId}:${tabId}`;
+
+function DiffTab({ label, tab, checked, onToggle }) {
+  return (
+    <label className="flex items-center gap-2 pl-5 text-[12px] text-white/80">
+      {onToggle && <input type="checkbox" checked={checked} onChange={onToggle} />}
+      <span className="truncate">
+        {label}: {tab.previousTitle ? `${tab.previousTitle} → ${tab.title}` : tab.title || tab.url}
+      </span>
+    </label>
+  );
+}
+
+export default function BackupSettings() {
+  const fetchSnapshots = useTabStore((state) => state.fetchSnapshots);
+  const compareSnapshot = useTabStore((state) => state.compareSnapshot);
+  const restoreFromSnapshot = useTabStore((state) => state.restoreFromSnapshot);
+  const [snapshots, setSnapshots] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [diff, setDiff] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSnapshots().then(setSnapshots);
+  }, [fetchSnapshots]);
+
+  const handleCompare = async (snapshotId) => {
+    setMessage('');
+    setSelected({});
+    if (openId === snapshotId) {
+      setOpenId(null);
+      return;
+    }
+
+    const result = await compareSnapshot(snapshotId);
+    if (result?.success) {
+      setDiff(result.diff);
+      setOpenId(snapshotId);
+    } else {
+      setMessage(result?.error || 'Could not compare this backup');
+    }
+  };
+
+  const toggle = (key) => setSelected((current) => ({ ...current, [key]: !current[key] }));
+
+  const handleRestore = async () => {
+    const selection = { projectIds: [], tabs: [] };
+    Object.entries(selected).forEach(([key, isSelected]) => {
+      if (!isSelected) return;
+      const [kind, projectId, tabId] = key.split(':');
+      if (kind === 'project') selection.projectIds.push(projectId);
+      else selection.tabs.push({ projectId, tabId });
+    });
+
+    const result = await restoreFromSnapshot(openId, selection);
+    if (result?.success) {
+      setMessage(`Restored ${result.restoredCount} item${result.restoredCount === 1 ? '' : 's'}`);
+      setOpenId(null);
+      setSelected({});
+      setSnapshots(await fetchSnapshots());
+    } else {
+      setMessage(result?.error || 'Restore failed');
+    }
+  };
+
+  const hasSelection = Object.values(selected).some(Boolean);
+
+  return (
+    <SettingsSection
+      title="Backups"
+      description="Compare a backup with your intents now and bring back only the intents or tabs you pick."
+    >
+      {snapshots.length === 0 && <p className="text-[12px] text-[#505060]">No backups yet</p>}
+
+      <div className="flex max-h-72 flex-col gap-1.5 overflow-y-auto">
+        {snapshots.map((snapshot) => (
+          <div key={snapshot.id} className="flex flex-col gap-2 rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+            <div className="flex items-center justify-between">
+              <span className="text-white">{new Date(snapshot.timestamp).toLocaleString()}</span>
+              <span className="flex-1 px-3 text-[#808090]">
+                {snapshot.projectCount} intents · {snapshot.tabCount} tabs
+              </span>
+              <Button variant="default" size="sm" onClick={() => handleCompare(snapshot.id)}>
+                {openId === snapshot.id ? 'Hide' : 'Compare'}
+              </Button>
+            </div>
+
+            {openId === snapshot.id && (
+              <div className="flex flex-col gap-1.5">
+                {diff.length === 0 && <p className="text-[#808090]">Same as now</p>}
+                {diff.map((project) => (
+                  <div key={project.id} className="flex flex-col gap-1">
+                    <label className="flex items-center gap-2 text-white">
+                      {project.status !== 'added' && (
+                        <input
+                          type="checkbox"
+                          checked={!!selected[projectKey(project.id)]}
+                          onChange={() => toggle(projectKey(project.id))}
+                        />
+                      )}
+                      <span className="text-[#A0A0B0]">{STATUS_LABELS[project.status]}</span>
+                      <span className="truncate">
+                        {project.previousIntent ? `${project.previousIntent} → ${project.intent}` : project.intent}
+                      </span>
+                    </label>
+                    {[...project.tabs.removed.map((tab) => ['Removed', tab]), ...project.tabs.renamed.map((tab) => ['Renamed', tab])].map(
+                      ([label, tab]) => (
+                        <DiffTab
+                          key={`${label}-${tab.id}`}
+                          label={label}
+                          tab={tab}
+                          checked={!!selected[tabKey(project.id, tab.id)]}
+                          onToggle={() => toggle(tabKey(project.id, tab.id))}
+                        />
+                      ),
+                    )}
+                    {project.tabs.added.map((tab) => (
+                      <DiffTab key={`Added-${tab.id}`} label="Added" tab={tab} />
+                    ))}
+                  </div>
+                ))}
+                {diff.length > 0 && (
+                  <div>
+                    <Button variant="primary" size="sm" onClick={handleRestore} disabled={!hasSelection}>
+                      Restore selected
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {message && <p className="text-[12px] text-[#808090]">{message}</p>}
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { withoutTrashed } from '../../lib/trash';
+import { Button } from '../ui/Button';
+import { EXPORT_FORMAT, EXPORT_FORMAT_ARRAY } from '../../constants';
+import SettingsSection from './SettingsSection';
+
+const downloadFile = ({ content, mimeType, filename }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function ExportSettings() {
+  const folders = withoutTrashed(useTabStore((state) => state.folders));
+  const exportFolders = useTabStore((state) => state.exportFolders);
+  const [format, setFormat] = useState(EXPORT_FORMAT.BOOKMARKS_HTML.id);
+  const [excluded, setExcluded] = useState([]);
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+
+  const isBackup = format === EXPORT_FORMAT.JSON.id;
+  const isEncrypted = isBackup && encrypt;
+  const selectedIds = folders.map((folder) => folder.id).filter((id) => !excluded.includes(id));
+
+  const toggleFolder = (folderId) =>
+    setExcluded((ids) => (ids.includes(folderId) ? ids.filter((id) => id !== folderId) : [...ids, folderId]));
+
+  const handleExport = async () => {
+    setError('');
+    if (isEncrypted && passphrase !== confirmation) {
+      setError('The passphrases do not match');
+      return;
+    }
+
+    const result = await exportFolders(selectedIds, format, isEncrypted ? passphrase : null);
+    if (result?.success) {
+      downloadFile(result);
+      setPassphrase('');
+      setConfirmation('');
+    } else {
+      setError(result?.error || 'Export failed');
+    }
+  };
+
+  return (
+    <SettingsSection
+      title="Export"
+      description="Share a reading list as bookmarks, Markdown, CSV or OneTab text, or save a full backup."
+    >
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-[12px] text-white outline-none"
+      >
+        {EXPORT_FORMAT_ARRAY.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {!isBackup && (
+        <div className="flex max-h-40 flex-col gap-1.5 overflow-y-auto">
+          {folders.length === 0 && <p className="text-[12px] text-[#505060]">No intents to export yet</p>}
+          {folders.map((folder) => (
+            <label key={folder.id} className="flex items-center gap-2 text-[12px] text-white">
+              <input
+                type="checkbox"
+                checked={!excluded.includes(folder.id)}
+                onChange={() => toggleFolder(folder.id)}
+              />
+              <span className="truncate">{folder.name}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {isBackup && (
+        <div className="flex flex-col gap-1.5 text-[12px]">
+          <label className="flex items-center gap-2 text-white">
+            <input type="checkbox" checked={encrypt} onChange={(e) => setEncrypt(e.target.checked)} />
+            <span>Encrypt with a passphrase</span>
+          </label>
+          {encrypt && (
+            <>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Passphrase"
+                className="rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+              />
+              <input
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                placeholder="Repeat passphrase"
+                className="rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+              />
+              <p className="text-[#707080]">Without the passphrase the backup can't be opened, not even by Tab Story.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-[12px] text-red-400">{error}</p>}
+
+      <div>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={handleExport}
+          disabled={(!isBackup && selectedIds.length === 0) || (isEncrypted && !passphrase)}
+        >
+          Export
+        </Button>
+      </div>
+    </SettingsSection>
+  );
+}
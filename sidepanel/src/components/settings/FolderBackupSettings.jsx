@@ -0,0 +1,230 @@
+import { useEffect, useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { FOLDER_BACKUP_INTERVAL, FOLDER_BACKUP_KEEP } from '../../constants';
+import { isFolderBackupSupported, pickBackupFolder, allowBackupFolder } from '../../lib/backupFolder';
+import SettingsSection from './SettingsSection';
+
+const selectClassName = 'rounded-md bg-white/5 border border-white/10 px-2 py-1 text-white outline-none';
+
+export default function FolderBackupSettings() {
+  const fetchFolderBackup = useTabStore((state) => state.fetchFolderBackup);
+  const configureFolderBackup = useTabStore((state) => state.configureFolderBackup);
+  const runFolderBackup = useTabStore((state) => state.runFolderBackup);
+  const disconnectFolderBackup = useTabStore((state) => state.disconnectFolderBackup);
+  const listFolderBackups = useTabStore((state) => state.listFolderBackups);
+  const restoreFolderBackup = useTabStore((state) => state.restoreFolderBackup);
+  const setFolderBackupPassphrase = useTabStore((state) => state.setFolderBackupPassphrase);
+  const [settings, setSettings] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [passphrase, setPassphrase] = useState('');
+  // Backup file waiting for its passphrase before it can be restored
+  const [lockedFile, setLockedFile] = useState(null);
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = async () => {
+    const next = await fetchFolderBackup();
+    setSettings(next);
+    setFiles(next?.enabled && next.status !== 'permission-needed' ? await listFolderBackups() : []);
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  if (!isFolderBackupSupported()) return null;
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setMessage('');
+    try {
+      await task();
+    } catch (error) {
+      setMessage(error.message);
+    }
+    await refresh();
+    setIsBusy(false);
+  };
+
+  const handleChoose = () =>
+    run(async () => {
+      const folderName = await pickBackupFolder();
+      if (!folderName) return;
+      const result = await configureFolderBackup({ enabled: true, folderName, status: 'ok', error: null });
+      if (!result?.success) setMessage(result?.error || 'Could not use this folder');
+    });
+
+  // Access lapses after a browser restart until it is allowed again here
+  const handleAllow = () =>
+    run(async () => {
+      if (!(await allowBackupFolder())) {
+        setMessage('Access to the folder was not allowed');
+        return;
+      }
+      const result = await runFolderBackup();
+      if (!result?.success) setMessage(result?.error || 'Backup failed');
+    });
+
+  const handleBackupNow = () =>
+    run(async () => {
+      const result = await runFolderBackup();
+      if (!result?.success) setMessage(result?.error || 'Backup failed');
+      else if (result.skipped) setMessage('Nothing changed since the last backup');
+    });
+
+  const handleRestore = (name, filePassphrase = null) =>
+    run(async () => {
+      const result = await restoreFolderBackup(name, filePassphrase);
+      setLockedFile(result?.needsPassphrase ? name : null);
+      setPassphrase('');
+      setMessage(
+        result?.success
+          ? `Restored ${result.projectCount} intents · ${result.tabCount} tabs`
+          : result?.error || 'Restore failed',
+      );
+    });
+
+  const handleEncrypt = (nextPassphrase) =>
+    run(async () => {
+      const result = await setFolderBackupPassphrase(nextPassphrase);
+      setPassphrase('');
+      if (!result?.success) setMessage(result?.error || 'Could not change encryption');
+      else if (nextPassphrase) await runFolderBackup();
+    });
+
+  const handleChange = (changes) => run(() => configureFolderBackup(changes));
+
+  return (
+    <SettingsSection
+      title="Backup folder"
+      description="Also write backups as files into a folder on this computer, so they survive removing the extension or clearing its data."
+    >
+      {!settings?.enabled ? (
+        <div>
+          <Button variant="primary" size="sm" onClick={handleChoose} disabled={isBusy}>
+            Choose folder…
+          </Button>
+        </div>
+      ) : (
+        <>
+          <div className="flex items-center justify-between text-[12px]">
+            <span className="truncate text-white">{settings.folderName}</span>
+            <span className="text-[#808090]">
+              {settings.lastBackupAt ? `Last backup ${new Date(settings.lastBackupAt).toLocaleString()}` : 'No backup yet'}
+            </span>
+          </div>
+
+          <div className="flex items-center gap-2 text-[12px]">
+            <select
+              value={settings.intervalMinutes}
+              onChange={(e) => handleChange({ intervalMinutes: Number(e.target.value) })}
+              className={selectClassName}
+            >
+              {FOLDER_BACKUP_INTERVAL.map((option) => (
+                <option key={option.minutes} value={option.minutes}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={settings.keep}
+              onChange={(e) => handleChange({ keep: Number(e.target.value) })}
+              className={selectClassName}
+            >
+              {FOLDER_BACKUP_KEEP.map((keep) => (
+                <option key={keep} value={keep}>
+                  Keep {keep} files
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {settings.encrypted ? (
+            <div className="flex items-center justify-between text-[12px]">
+              <span className="text-[#808090]">Backup files are encrypted with your passphrase</span>
+              <Button variant="default" size="sm" onClick={() => handleEncrypt(null)} disabled={isBusy}>
+                Stop encrypting
+              </Button>
+            </div>
+          ) : (
+            !lockedFile && (
+              <div className="flex items-center gap-2 text-[12px]">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder="Passphrase to encrypt backup files"
+                  className="flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-white outline-none"
+                />
+                <Button variant="default" size="sm" onClick={() => handleEncrypt(passphrase)} disabled={isBusy || !passphrase}>
+                  Encrypt
+                </Button>
+              </div>
+            )
+          )}
+
+          {settings.status === 'permission-needed' && (
+            <p className="text-[12px] text-amber-400">Chrome needs your permission again to write to this folder.</p>
+          )}
+          {settings.status === 'error' && <p className="text-[12px] text-red-400">{settings.error}</p>}
+
+          <div className="flex items-center gap-2">
+            {settings.status === 'permission-needed' ? (
+              <Button variant="primary" size="sm" onClick={handleAllow} disabled={isBusy}>
+                Allow access
+              </Button>
+            ) : (
+              <Button variant="primary" size="sm" onClick={handleBackupNow} disabled={isBusy}>
+                Back up now
+              </Button>
+            )}
+            <Button variant="default" size="sm" onClick={handleChoose} disabled={isBusy}>
+              Change folder
+            </Button>
+            <Button variant="default" size="sm" onClick={() => run(disconnectFolderBackup)} disabled={isBusy}>
+              Turn off
+            </Button>
+          </div>
+
+          {lockedFile && (
+            <form
+              className="flex items-center gap-2 text-[12px]"
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleRestore(lockedFile, passphrase);
+              }}
+            >
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Passphrase of this backup"
+                className="flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-white outline-none"
+              />
+              <Button variant="primary" size="sm" type="submit" disabled={isBusy || !passphrase}>
+                Restore
+              </Button>
+            </form>
+          )}
+
+          {files.length > 0 && (
+            <div className="flex max-h-48 flex-col gap-1.5 overflow-y-auto">
+              {files.map((file) => (
+                <div key={file.name} className="flex items-center justify-between rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+                  <span className="text-white">{new Date(file.timestamp).toLocaleString()}</span>
+                  <span className="flex-1 px-3 text-[#808090]">{Math.ceil(file.size / 1024)} KB</span>
+                  <Button variant="default" size="sm" onClick={() => handleRestore(file.name)} disabled={isBusy}>
+                    Restore
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {message && <p className="text-[12px] text-[#808090]">{message}</p>}
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,27 @@
+import { useTabStore } from '../../store/useTabStore';
+import SettingsSection from './SettingsSection';
+
+export default function HistorySettings() {
+  const settings = useTabStore((state) => state.settings);
+  const updateSettings = useTabStore((state) => state.updateSettings);
+
+  return (
+    <SettingsSection
+      title="History"
+      description="Pages you open, visit, switch to and close are kept on this device for the timeline."
+    >
+      <label className="flex items-center justify-between text-[13px] text-white">
+        <span>Keep history for (days)</span>
+        <input
+          type="number"
+          min="1"
+          value={settings.timelineRetentionDays}
+          onChange={(e) =>
+            updateSettings({ timelineRetentionDays: Math.max(1, Number(e.target.value) || 1) })
+          }
+          className="w-16 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-right text-white outline-none"
+        />
+      </label>
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { IMPORT_STRATEGY, IMPORT_STRATEGY_ARRAY, EXPORT_FORMAT, getImportFormat } from '../../constants';
+import SettingsSection from './SettingsSection';
+
+function DiffList({ label, items, describe }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="flex flex-col gap-1">
+      <span className="text-[11px] font-semibold text-[#A0A0B0]">
+        {label} ({items.length})
+      </span>
+      {items.map((item, index) => (
+        <span key={`${label}-${index}`} className="truncate text-[12px] text-white/80">
+          {describe(item)}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function ImportSettings() {
+  const previewImport = useTabStore((state) => state.previewImport);
+  const applyImport = useTabStore((state) => state.applyImport);
+  const undoImport = useTabStore((state) => state.undoImport);
+  const [data, setData] = useState(null);
+  const [format, setFormat] = useState(EXPORT_FORMAT.JSON.id);
+  const [strategy, setStrategy] = useState(IMPORT_STRATEGY.MERGE.id);
+  const [preview, setPreview] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [needsPassphrase, setNeedsPassphrase] = useState(false);
+  const [error, setError] = useState('');
+  const [undoSnapshotId, setUndoSnapshotId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const runPreview = async (fileData, nextStrategy, fileFormat, filePassphrase = passphrase) => {
+    setPreview(null);
+    setError('');
+    const result = await previewImport(fileData, nextStrategy, fileFormat, filePassphrase || null);
+    setNeedsPassphrase(!!result?.needsPassphrase);
+    if (result?.success) {
+      setPreview(result.diff);
+    } else if (!result?.needsPassphrase || filePassphrase) {
+      setError(result?.error || 'Could not read the file');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      // Bookmarks and OneTab files are parsed by the background worker
+      const fileFormat = getImportFormat(file.name);
+      const text = await file.text();
+      const parsed = fileFormat === EXPORT_FORMAT.JSON.id ? JSON.parse(text) : text;
+      setData(parsed);
+      setFormat(fileFormat);
+      setPassphrase('');
+      setUndoSnapshotId(null);
+      await runPreview(parsed, strategy, fileFormat, '');
+    } catch (parseError) {
+      setData(null);
+      setPreview(null);
+      setError('Could not read this file');
+    }
+  };
+
+  const handleStrategyChange = (e) => {
+    setStrategy(e.target.value);
+    if (data) runPreview(data, e.target.value, format);
+  };
+
+  const handleImport = async () => {
+    setIsBusy(true);
+    const result = await applyImport(data, strategy, format, passphrase || null);
+    setIsBusy(false);
+
+    if (result?.success) {
+      setUndoSnapshotId(result.snapshotId);
+      setData(null);
+      setPreview(null);
+      setPassphrase('');
+    } else {
+      setError(result?.error || 'Import failed');
+    }
+  };
+
+  const handleUndo = async () => {
+    setIsBusy(true);
+    const result = await undoImport(undoSnapshotId);
+    setIsBusy(false);
+
+    if (result?.success) {
+      setUndoSnapshotId(null);
+    } else {
+      setError(result?.error || 'Could not undo the import');
+    }
+  };
+
+  const selected = IMPORT_STRATEGY_ARRAY.find((option) => option.id === strategy);
+  const hasChanges = preview && (preview.added.length + preview.updated.length + preview.removed.length > 0);
+
+  return (
+    <SettingsSection
+      title="Import"
+      description="Bring in intents from a Tab Story backup, a browser bookmarks file (.html) or a OneTab list (.txt). Encrypted backups ask for their passphrase. Your current data is backed up first so an import can be undone."
+    >
+      <div className="flex items-center gap-2 text-[12px]">
+        <label className="flex-1 cursor-pointer rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white/80">
+          Choose file…
+          <input type="file" accept=".json,.html,.htm,.txt" onChange={handleFile} className="hidden" />
+        </label>
+        <select
+          value={strategy}
+          onChange={handleStrategyChange}
+          className="rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+        >
+          {IMPORT_STRATEGY_ARRAY.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-[12px] text-[#707080]">{selected.description}</p>
+
+      {needsPassphrase && (
+        <form
+          className="flex items-center gap-2 text-[12px]"
+          onSubmit={(e) => {
+            e.preventDefault();
+            runPreview(data, strategy, format);
+          }}
+        >
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="This backup is encrypted. Passphrase"
+            className="flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+          />
+          <Button variant="default" size="sm" type="submit" disabled={!passphrase}>
+            Unlock
+          </Button>
+        </form>
+      )}
+
+      {error && <p className="text-[12px] text-red-400">{error}</p>}
+
+      {preview && (
+        <div className="flex max-h-48 flex-col gap-2 overflow-y-auto rounded-lg bg-white/5 px-3 py-2">
+          {!hasChanges && <p className="text-[12px] text-[#808090]">Nothing new to import</p>}
+          <DiffList label="Added" items={preview.added} describe={(p) => `${p.intent} · ${p.tabCount} tabs`} />
+          <DiffList
+            label="Updated"
+            items={preview.updated}
+            describe={(p) => (p.addedTabs !== undefined ? `${p.intent} · +${p.addedTabs} tabs` : `${p.intent} · ${p.tabCount} tabs`)}
+          />
+          <DiffList label="Removed" items={preview.removed} describe={(p) => `${p.intent} · ${p.tabCount} tabs`} />
+          <DiffList label="Duplicates merged" items={preview.merged} describe={(intent) => intent} />
+          <DiffList
+            label="Skipped (invalid)"
+            items={preview.dropped}
+            describe={(item) => `${item.label}: ${item.reason}`}
+          />
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Button variant="primary" size="sm" onClick={handleImport} disabled={!hasChanges || isBusy}>
+          Import
+        </Button>
+        {undoSnapshotId && (
+          <Button variant="default" size="sm" onClick={handleUndo} disabled={isBusy}>
+            Undo import
+          </Button>
+        )}
+      </div>
+    </SettingsSection>
+  );
+}
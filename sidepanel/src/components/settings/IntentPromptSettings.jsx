@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { AUTO_PROMPT_ORIGINS, DOMAIN_RULE_MODE } from '../../constants';
+import SettingsSection from './SettingsSection';
+
+export default function IntentPromptSettings() {
+  const settings = useTabStore((state) => state.settings);
+  const updateSettings = useTabStore((state) => state.updateSettings);
+  const setDomainRule = useTabStore((state) => state.setDomainRule);
+  const [domain, setDomain] = useState('');
+  const [mode, setMode] = useState(DOMAIN_RULE_MODE.NEVER);
+  const [intent, setIntent] = useState('');
+
+  const handleToggle = async (e) => {
+    const enabled = e.target.checked;
+
+    // Prompting on pages the user has not clicked needs host access, asked for only when opting in
+    if (enabled && typeof chrome !== 'undefined' && chrome.permissions) {
+      const granted = await chrome.permissions.request({ origins: [...AUTO_PROMPT_ORIGINS] });
+      if (!granted) return;
+    }
+
+    updateSettings({ autoIntentPrompt: enabled });
+  };
+
+  const handleAddRule = () => {
+    const cleanDomain = domain.trim().toLowerCase().replace(/^www\./, '');
+    if (!cleanDomain) return;
+    if (mode === DOMAIN_RULE_MODE.ALWAYS && !intent.trim()) return;
+
+    setDomainRule(
+      cleanDomain,
+      mode === DOMAIN_RULE_MODE.ALWAYS ? { mode, intent: intent.trim() } : { mode }
+    );
+    setDomain('');
+    setIntent('');
+  };
+
+  const rules = Object.entries(settings.domainRules || {});
+
+  return (
+    <SettingsSection
+      title="Intent prompts"
+      description="Ask what you are working on when a new tab opens. Tabs opened from a tagged tab inherit its intent."
+    >
+      <label className="flex items-center justify-between text-[13px] text-white">
+        <span>Prompt for intent on new tabs</span>
+        <input type="checkbox" checked={settings.autoIntentPrompt} onChange={handleToggle} />
+      </label>
+
+      <label className="flex items-center justify-between text-[13px] text-white">
+        <span>Minutes between prompts</span>
+        <input
+          type="number"
+          min="0"
+          value={settings.intentPromptCooldownMinutes}
+          onChange={(e) =>
+            updateSettings({ intentPromptCooldownMinutes: Math.max(0, Number(e.target.value) || 0) })
+          }
+          className="w-16 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-right text-white outline-none"
+        />
+      </label>
+
+      {/* Domain rules */}
+      <div className="flex flex-col gap-1.5">
+        {rules.length === 0 && (
+          <p className="text-[12px] text-[#505060]">No domain rules yet</p>
+        )}
+        {rules.map(([ruleDomain, rule]) => (
+          <div
+            key={ruleDomain}
+            className="flex items-center justify-between rounded-lg bg-white/5 px-3 py-2 text-[12px]"
+          >
+            <span className="text-white">{ruleDomain}</span>
+            <span className="flex-1 px-3 text-[#808090]">
+              {rule.mode === DOMAIN_RULE_MODE.ALWAYS ? `Always file into ${rule.intent}` : 'Never ask'}
+            </span>
+            <button
+              onClick={() => setDomainRule(ruleDomain, null)}
+              className="text-white/40 hover:text-white/80 transition-colors"
+              aria-label={`Remove rule for ${ruleDomain}`}
+            >
+              <Trash2 className="h-3.5 w-3.5" strokeWidth={2} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-[12px]">
+        <input
+          type="text"
+          placeholder="example.com"
+          value={domain}
+          onChange={(e) => setDomain(e.target.value)}
+          className="flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+        />
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+        >
+          <option value={DOMAIN_RULE_MODE.NEVER}>Never ask</option>
+          <option value={DOMAIN_RULE_MODE.ALWAYS}>Always file into</option>
+        </select>
+        {mode === DOMAIN_RULE_MODE.ALWAYS && (
+          <input
+            type="text"
+            placeholder="Intent"
+            value={intent}
+            onChange={(e) => setIntent(e.target.value)}
+            className="w-32 rounded-md bg-white/5 border border-white/10 px-2 py-1.5 text-white outline-none"
+          />
+        )}
+        <Button variant="default" size="sm" onClick={handleAddRule}>
+          Add rule
+        </Button>
+      </div>
+    </SettingsSection>
+  );
+}
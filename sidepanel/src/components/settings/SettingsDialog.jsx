@@ -0,0 +1,54 @@
+import * as Dialog from '@radix-ui/react-dialog';
+import { X } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import IntentPromptSettings from './IntentPromptSettings';
+import HistorySettings from './HistorySettings';
+import ArchiveSettings from './ArchiveSettings';
+import StorageSettings from './StorageSettings';
+import ImportSettings from './ImportSettings';
+import ExportSettings from './ExportSettings';
+import BackupSettings from './BackupSettings';
+import FolderBackupSettings from './FolderBackupSettings';
+import SyncSettings from './SyncSettings';
+import WebDavSettings from './WebDavSettings';
+
+export default function SettingsDialog() {
+  const isSettingsOpen = useTabStore((state) => state.isSettingsOpen);
+  const setSettingsOpen = useTabStore((state) => state.setSettingsOpen);
+
+  return (
+    <Dialog.Root open={isSettingsOpen} onOpenChange={setSettingsOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/60" />
+        <Dialog.Content className="fixed left-1/2 top-16 z-50 flex max-h-[80vh] w-[560px] -translate-x-1/2 flex-col rounded-2xl bg-background-popup border border-white/12 shadow-popup outline-none">
+          {/* Header */}
+          <div className="flex items-center justify-between border-b border-white/6 px-5 py-4">
+            <Dialog.Title className="text-[15px] font-semibold text-white">Settings</Dialog.Title>
+            <Dialog.Close asChild>
+              <button
+                className="text-white/40 hover:text-white/80 transition-colors"
+                aria-label="Close settings"
+              >
+                <X className="h-4 w-4" strokeWidth={2} />
+              </button>
+            </Dialog.Close>
+          </div>
+
+          {/* Sections */}
+          <div className="flex flex-col gap-6 overflow-y-auto px-5 py-4">
+            <IntentPromptSettings />
+            <HistorySettings />
+            <ArchiveSettings />
+            <StorageSettings />
+            <ImportSettings />
+            <ExportSettings />
+            <BackupSettings />
+            <FolderBackupSettings />
+            <SyncSettings />
+            <WebDavSettings />
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
@@ -0,0 +1,11 @@
+export default function SettingsSection({ title, description, children }) {
+  return (
+    <section className="flex flex-col gap-3">
+      <div>
+        <h3 className="text-[11px] font-bold tracking-widest uppercase text-[#A0A0B0]">{title}</h3>
+        {description && <p className="mt-1 text-[12px] text-[#707080]">{description}</p>}
+      </div>
+      {children}
+    </section>
+  );
+}
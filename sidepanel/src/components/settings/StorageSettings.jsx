@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import SettingsSection from './SettingsSection';
+
+const numberClassName = 'w-16 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-right text-white outline-none';
+
+const formatBytes = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+export default function StorageSettings() {
+  const fetchStorageGuard = useTabStore((state) => state.fetchStorageGuard);
+  const configureStorageGuard = useTabStore((state) => state.configureStorageGuard);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    fetchStorageGuard().then((next) => {
+      if (next?.success) setStatus(next);
+    });
+  }, []);
+
+  const save = async (changes) => {
+    setStatus((current) => ({
+      ...current,
+      settings: { ...current.settings, ...changes, steps: { ...current.settings.steps, ...changes.steps } },
+    }));
+    const next = await configureStorageGuard(changes);
+    if (next?.success) setStatus(next);
+  };
+
+  if (!status) return null;
+  const { settings, usage, log, steps } = status;
+
+  return (
+    <SettingsSection
+      title="Storage"
+      description={`Using ${formatBytes(usage.total)} of ${formatBytes(usage.quota)} (${Math.round(usage.percentage)}%). When space runs low, the oldest and easiest to replace data is removed first.`}
+    >
+      <label className="flex items-center justify-between text-[13px] text-white">
+        <span>Free up space automatically</span>
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => save({ enabled: e.target.checked })} />
+      </label>
+
+      {settings.enabled && (
+        <>
+          <label className="flex items-center justify-between text-[13px] text-white">
+            <span>Warn when storage is this full (%)</span>
+            <input
+              type="number"
+              min="10"
+              max="100"
+              value={settings.warnAt}
+              onChange={(e) => save({ warnAt: Math.min(100, Math.max(10, Number(e.target.value) || 10)) })}
+              className={numberClassName}
+            />
+          </label>
+          <label className="flex items-center justify-between text-[13px] text-white">
+            <span>Start when storage is this full (%)</span>
+            <input
+              type="number"
+              min="10"
+              max="100"
+              value={settings.evictAt}
+              onChange={(e) => save({ evictAt: Math.min(100, Math.max(10, Number(e.target.value) || 10)) })}
+              className={numberClassName}
+            />
+          </label>
+          <label className="flex items-center justify-between text-[13px] text-white">
+            <span>Stop once it is down to (%)</span>
+            <input
+              type="number"
+              min="5"
+              max={settings.evictAt}
+              value={settings.targetAt}
+              onChange={(e) => save({ targetAt: Math.min(settings.evictAt, Math.max(5, Number(e.target.value) || 5)) })}
+              className={numberClassName}
+            />
+          </label>
+          <label className="flex items-center justify-between text-[13px] text-white">
+            <span>Backups to always keep</span>
+            <input
+              type="number"
+              min="1"
+              value={settings.keepSnapshots}
+              onChange={(e) => save({ keepSnapshots: Math.max(1, Number(e.target.value) || 1) })}
+              className={numberClassName}
+            />
+          </label>
+
+          <div className="flex flex-col gap-1.5 text-[12px] text-white">
+            <span className="text-[#808090]">Remove, in this order:</span>
+            {steps.map((step) => (
+              <label key={step.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.steps[step.id]}
+                  onChange={(e) => save({ steps: { [step.id]: e.target.checked } })}
+                />
+                {step.label}
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+
+      {log.length > 0 && (
+        <div className="flex flex-col gap-1.5">
+          {log.map((entry) => (
+            <div key={`${entry.at}-${entry.step}`} className="flex items-center justify-between rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+              <span className="text-white">
+                {entry.label} · {entry.removed} removed
+              </span>
+              <span className="text-[#808090]">
+                {new Date(entry.at).toLocaleString()} · {formatBytes(entry.freedBytes)} freed
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </SettingsSection>
+  );
+}
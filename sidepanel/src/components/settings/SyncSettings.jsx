@@ -0,0 +1,121 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { withoutTrashed } from '../../lib/trash';
+import SettingsSection from './SettingsSection';
+
+export default function SyncSettings() {
+  const fetchSyncStatus = useTabStore((state) => state.fetchSyncStatus);
+  const configureSync = useTabStore((state) => state.configureSync);
+  const syncNow = useTabStore((state) => state.syncNow);
+  const folders = useTabStore((state) => state.folders);
+  const [status, setStatus] = useState(null);
+  const [deviceName, setDeviceName] = useState('');
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = async () => {
+    const next = await fetchSyncStatus();
+    if (!next?.success) return;
+    setStatus(next);
+    setDeviceName(next.settings.deviceName);
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Saved tabs per device they were first saved on
+  const tabCounts = useMemo(() => {
+    const counts = {};
+    withoutTrashed(folders).forEach((folder) =>
+      (folder.tabs || []).forEach((tab) => {
+        if (tab.addedOn && !tab.removed) counts[tab.addedOn] = (counts[tab.addedOn] || 0) + 1;
+      }),
+    );
+    return counts;
+  }, [folders]);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setMessage('');
+    const result = await task();
+    if (result && !result.success && result.error) setMessage(result.error);
+    await refresh();
+    setIsBusy(false);
+  };
+
+  const settings = status?.settings;
+  const devices = Object.entries(status?.devices || {});
+
+  return (
+    <SettingsSection
+      title="Sync between devices"
+      description="Keep intents, saved tabs and settings in step on every Chrome signed in to your Google account. Timeline, snapshots and summaries stay on this device."
+    >
+      <label className="flex items-center gap-2 text-[12px] text-white">
+        <input
+          type="checkbox"
+          checked={!!settings?.enabled}
+          onChange={(e) => run(() => configureSync({ enabled: e.target.checked }))}
+          disabled={isBusy || !settings}
+        />
+        Sync with Chrome sync
+      </label>
+
+      {settings?.enabled && (
+        <>
+          <form
+            className="flex items-center gap-2 text-[12px]"
+            onSubmit={(e) => {
+              e.preventDefault();
+              run(() => configureSync({ deviceName: deviceName.trim() || null }));
+            }}
+          >
+            <input
+              type="text"
+              value={deviceName}
+              onChange={(e) => setDeviceName(e.target.value)}
+              placeholder="Name of this device"
+              className="flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-white outline-none"
+            />
+            <Button variant="default" size="sm" type="submit" disabled={isBusy || deviceName === settings.deviceName}>
+              Rename
+            </Button>
+          </form>
+
+          <div className="flex items-center justify-between text-[12px]">
+            <span className="text-[#808090]">
+              {settings.lastSyncAt ? `Last synced ${new Date(settings.lastSyncAt).toLocaleString()}` : 'Not synced yet'}
+              {settings.bytes ? ` · ${Math.ceil(settings.bytes / 1024)} of 96 KB used` : ''}
+            </span>
+            <Button variant="primary" size="sm" onClick={() => run(syncNow)} disabled={isBusy}>
+              Sync now
+            </Button>
+          </div>
+
+          {settings.status === 'error' && <p className="text-[12px] text-red-400">{settings.error}</p>}
+
+          {devices.length > 0 && (
+            <div className="flex flex-col gap-1.5">
+              {devices.map(([id, device]) => (
+                <div key={id} className="flex items-center justify-between rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+                  <span className="text-white">
+                    {device.name}
+                    {id === status.deviceId && <span className="text-[#808090]"> (this device)</span>}
+                  </span>
+                  <span className="text-[#808090]">
+                    {tabCounts[id] || 0} tabs
+                    {device.lastChangeAt && ` · changed ${new Date(device.lastChangeAt).toLocaleString()}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {message && <p className="text-[12px] text-[#808090]">{message}</p>}
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { requestServerAccess } from '../../lib/serverAccess';
+import SettingsSection from './SettingsSection';
+
+const inputClassName = 'flex-1 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-white outline-none';
+
+export default function WebDavSettings() {
+  const fetchWebDavSync = useTabStore((state) => state.fetchWebDavSync);
+  const configureWebDavSync = useTabStore((state) => state.configureWebDavSync);
+  const webDavSyncNow = useTabStore((state) => state.webDavSyncNow);
+  const disconnectWebDavSync = useTabStore((state) => state.disconnectWebDavSync);
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState({ url: '', username: '', password: '' });
+  const [message, setMessage] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = async () => {
+    const next = await fetchWebDavSync();
+    if (next?.success) setStatus(next);
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setMessage('');
+    try {
+      const result = await task();
+      if (result && !result.success && result.error) setMessage(result.error);
+    } catch (error) {
+      setMessage(error.message);
+    }
+    await refresh();
+    setIsBusy(false);
+  };
+
+  const handleConnect = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!(await requestServerAccess(form.url))) {
+        return { success: false, error: 'Access to the server was not allowed' };
+      }
+      const result = await configureWebDavSync(form);
+      if (result?.success || result?.offline) setForm((current) => ({ ...current, password: '' }));
+      return result;
+    });
+  };
+
+  const settings = status?.settings;
+
+  return (
+    <SettingsSection
+      title="Sync with your own server"
+      description="Keep your intents and saved tabs in a file on a WebDAV server, or any server that supports GET and PUT with ETags. Changes made while the server is out of reach are sent when it is back."
+    >
+      {!settings?.enabled ? (
+        <form className="flex flex-col gap-2 text-[12px]" onSubmit={handleConnect}>
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://dav.example.com/tab-story.json"
+            className={inputClassName}
+            required
+          />
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => setForm({ ...form, username: e.target.value })}
+              placeholder="Username (optional)"
+              autoComplete="username"
+              className={inputClassName}
+            />
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              placeholder="Password"
+              autoComplete="current-password"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <Button variant="primary" size="sm" type="submit" disabled={isBusy || !form.url}>
+              Connect
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <div className="flex items-center justify-between gap-3 text-[12px]">
+            <span className="truncate text-white">{settings.url}</span>
+            <span className="shrink-0 text-[#808090]">
+              {settings.lastSyncAt ? `Last synced ${new Date(settings.lastSyncAt).toLocaleString()}` : 'Not synced yet'}
+            </span>
+          </div>
+
+          {settings.status === 'offline' && (
+            <p className="text-[12px] text-amber-400">
+              {settings.error}. {status.queued > 0 && `${status.queued} changes are waiting and will be sent when it is back.`}
+            </p>
+          )}
+          {settings.status === 'error' && <p className="text-[12px] text-red-400">{settings.error}</p>}
+          {settings.conflicts > 0 && (
+            <p className="text-[12px] text-[#808090]">
+              Edited here and elsewhere at the same time {settings.conflicts} times; both sides were merged, last on{' '}
+              {new Date(settings.lastConflictAt).toLocaleString()}.
+            </p>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Button variant="primary" size="sm" onClick={() => run(webDavSyncNow)} disabled={isBusy}>
+              Sync now
+            </Button>
+            <Button variant="default" size="sm" onClick={() => run(disconnectWebDavSync)} disabled={isBusy}>
+              Disconnect
+            </Button>
+          </div>
+        </>
+      )}
+
+      {message && <p className="text-[12px] text-[#808090]">{message}</p>}
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,28 @@
+import { Archive } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { archivedFolders } from '../../lib/archive';
+import { cn } from '../../lib/cn';
+
+// Switches the folder list between the main list and archived intents
+export default function ArchivedFilter() {
+  const folders = useTabStore((state) => state.folders);
+  const showArchived = useTabStore((state) => state.showArchived);
+  const setShowArchived = useTabStore((state) => state.setShowArchived);
+
+  const count = archivedFolders(folders).length;
+  if (count === 0 && !showArchived) return null;
+
+  return (
+    <button
+      className={cn(
+        'flex h-10 items-center gap-2 px-3 text-xs font-medium rounded-lg hover:bg-white/5 transition-colors',
+        showArchived ? 'bg-white/7 text-white' : 'text-[#A0A0B0]',
+      )}
+      onClick={() => setShowArchived(!showArchived)}
+    >
+      <Archive className="h-4 w-4" strokeWidth={2} />
+      <span className="flex-1 text-left">Archived</span>
+      <span className="text-[10px] text-[#707080]">{count}</span>
+    </button>
+  );
+}
@@ -1,5 +1,6 @@
 import { Folder, ChevronDown, MoreHorizontal } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
 import { tv } from 'tailwind-variants';
 import { cn } from '../../lib/cn';
 
@@ -37,6 +38,7 @@ export default function FolderItem({
   onToggle,
   onSelect,
   onMenuClick,
+  menuItems,
 }) {
   const handleToggle = (e) => {
     e.stopPropagation();
@@ -89,7 +91,39 @@ export default function FolderItem({
 
       <span className="flex-1 truncate">{name}</span>
 
-      {showMenu && (
+      {showMenu && menuItems && (
+        <DropdownMenu.Root>
+          <DropdownMenu.Trigger asChild>
+            <button
+              onClick={(e) => e.stopPropagation()}
+              className="text-white/40 hover:text-white/70 transition-colors"
+              aria-label="More options"
+            >
+              <MoreHorizontal className="h-4 w-4" strokeWidth={2} />
+            </button>
+          </DropdownMenu.Trigger>
+          <DropdownMenu.Portal>
+            <DropdownMenu.Content
+              align="end"
+              sideOffset={4}
+              onClick={(e) => e.stopPropagation()}
+              className="z-50 min-w-36 rounded-lg bg-background-popup border border-white/12 p-1 shadow-popup outline-none"
+            >
+              {menuItems.map((item) => (
+                <DropdownMenu.Item
+                  key={item.label}
+                  onSelect={item.onSelect}
+                  className="cursor-pointer rounded-md px-2.5 py-1.5 text-[12px] text-white/80 outline-none data-[highlighted]:bg-white/8 data-[highlighted]:text-white"
+                >
+                  {item.label}
+                </DropdownMenu.Item>
+              ))}
+            </DropdownMenu.Content>
+          </DropdownMenu.Portal>
+        </DropdownMenu.Root>
+      )}
+
+      {showMenu && !menuItems && (
         <button
           onClick={handleMenuClick}
           className="text-white/40 hover:text-white/70 transition-colors"
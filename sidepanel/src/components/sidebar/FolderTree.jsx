@@ -1,13 +1,19 @@
 import { Plus } from 'lucide-react';
 import { useTabStore } from '../../store/useTabStore';
+import { activeFolders, archivedFolders } from '../../lib/archive';
 import FolderItem from './FolderItem';
 
 export default function FolderTree() {
-  const folders = useTabStore((state) => state.folders);
+  const allFolders = useTabStore((state) => state.folders);
+  const showArchived = useTabStore((state) => state.showArchived);
   const selectedFolder = useTabStore((state) => state.selectedFolder);
   const toggleFolder = useTabStore((state) => state.toggleFolder);
   const setSelectedFolder = useTabStore((state) => state.setSelectedFolder);
   const addFolder = useTabStore((state) => state.addFolder);
+  const deleteFolder = useTabStore((state) => state.deleteFolder);
+  const archiveFolder = useTabStore((state) => state.archiveFolder);
+  const unarchiveFolder = useTabStore((state) => state.unarchiveFolder);
+  const folders = showArchived ? archivedFolders(allFolders) : activeFolders(allFolders);
 
   const handleFolderToggle = (folderId) => {
     toggleFolder(folderId);
@@ -17,6 +23,13 @@ export default function FolderTree() {
     setSelectedFolder(folderId === selectedFolder ? null : folderId);
   };
 
+  const getMenuItems = (folder) => [
+    showArchived
+      ? { label: 'Unarchive', onSelect: () => unarchiveFolder(folder.id) }
+      : { label: 'Archive', onSelect: () => archiveFolder(folder.id) },
+    { label: 'Move to trash', onSelect: () => deleteFolder(folder.id) },
+  ];
+
   const renderFolder = (folder, level = 1) => {
     const hasChildren = folder.children && folder.children.length > 0;
     const isSelected = selectedFolder === folder.id;
@@ -33,6 +46,7 @@ export default function FolderTree() {
           showMenu={true}
           onToggle={handleFolderToggle}
           onSelect={handleFolderSelect}
+          menuItems={getMenuItems(folder)}
         />
 
         {hasChildren && folder.expanded && (
@@ -48,19 +62,25 @@ export default function FolderTree() {
     <div className="flex flex-col gap-0.5">
       {folders.map((folder) => renderFolder(folder))}
 
+      {showArchived && folders.length === 0 && (
+        <p className="px-3 py-2 text-[11px] text-[#707080]">No archived intents</p>
+      )}
+
       {/* Add Tab row */}
-      <button
-        className="flex h-10 items-center gap-2 pl-7 text-[10px] font-medium text-[#707080] hover:bg-white/5 rounded-lg transition-colors"
-        onClick={() => {
-          const folderName = prompt('Enter folder name:');
-          if (folderName && folderName.trim()) {
-            addFolder(folderName.trim());
-          }
-        }}
-      >
-        <Plus className="h-3 w-3" strokeWidth={2} />
-        <span>New Folder</span>
-      </button>
+      {!showArchived && (
+        <button
+          className="flex h-10 items-center gap-2 pl-7 text-[10px] font-medium text-[#707080] hover:bg-white/5 rounded-lg transition-colors"
+          onClick={() => {
+            const folderName = prompt('Enter folder name:');
+            if (folderName && folderName.trim()) {
+              addFolder(folderName.trim());
+            }
+          }}
+        >
+          <Plus className="h-3 w-3" strokeWidth={2} />
+          <span>New Folder</span>
+        </button>
+      )}
     </div>
   );
 }
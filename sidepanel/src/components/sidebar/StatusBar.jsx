@@ -1,5 +1,6 @@
 import { Folder, Clock, HardDrive, Database, Zap } from 'lucide-react';
 import { useTabStore } from '../../store/useTabStore';
+import { activeFolders } from '../../lib/archive';
 import { Button } from '../ui/Button';
 import { useState, useEffect } from 'react';
 
@@ -54,7 +55,7 @@ export default function StatusBar() {
     };
   }, []);
 
-  const totalFolders = countFolders(folders);
+  const totalFolders = countFolders(activeFolders(folders));
   const totalTabs = tabs.length;
   const activeCount = countActive();
 
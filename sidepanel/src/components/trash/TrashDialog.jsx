@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { X, Folder, Link2 } from 'lucide-react';
+import { useTabStore } from '../../store/useTabStore';
+import { Button } from '../ui/Button';
+import { describeDaysLeft } from '../../lib/trash';
+
+// Which folder a trash item was in, or what a deleted folder held
+const describeSource = (item) =>
+  item.type === 'project'
+    ? `Intent · ${item.tabCount === 1 ? '1 tab' : `${item.tabCount} tabs`}`
+    : `From "${item.projectTitle}"`;
+
+export default function TrashDialog() {
+  const isTrashOpen = useTabStore((state) => state.isTrashOpen);
+  const setTrashOpen = useTabStore((state) => state.setTrashOpen);
+  const fetchTrash = useTabStore((state) => state.fetchTrash);
+  const restoreFromTrash = useTabStore((state) => state.restoreFromTrash);
+  const deleteFromTrash = useTabStore((state) => state.deleteFromTrash);
+  const settings = useTabStore((state) => state.settings);
+  const updateSettings = useTabStore((state) => state.updateSettings);
+  // Deleting or removing anything elsewhere refreshes the list, as does a new retention period
+  const folders = useTabStore((state) => state.folders);
+  const [trash, setTrash] = useState({ items: [] });
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = async () => {
+    const result = await fetchTrash();
+    if (result?.success) setTrash(result);
+  };
+
+  useEffect(() => {
+    if (isTrashOpen) refresh();
+  }, [isTrashOpen, folders, settings.trashRetentionDays]);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    await task();
+    await refresh();
+    setIsBusy(false);
+  };
+
+  const toItems = (items) => items.map(({ projectId, tabId, title }) => ({ projectId, tabId, title }));
+
+  const handleEmpty = () => {
+    if (window.confirm(`Delete all ${trash.items.length} items in the trash for good?`)) {
+      run(() => deleteFromTrash(toItems(trash.items)));
+    }
+  };
+
+  return (
+    <Dialog.Root open={isTrashOpen} onOpenChange={setTrashOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/60" />
+        <Dialog.Content className="fixed left-1/2 top-16 z-50 flex max-h-[80vh] w-[560px] -translate-x-1/2 flex-col rounded-2xl bg-background-popup border border-white/12 shadow-popup outline-none">
+          {/* Header */}
+          <div className="flex items-center justify-between border-b border-white/6 px-5 py-4">
+            <Dialog.Title className="text-[15px] font-semibold text-white">Trash</Dialog.Title>
+            <div className="flex items-center gap-2">
+              <Button variant="default" size="sm" onClick={handleEmpty} disabled={isBusy || trash.items.length === 0}>
+                Empty trash
+              </Button>
+              <Dialog.Close asChild>
+                <button className="ml-2 text-white/40 hover:text-white/80 transition-colors" aria-label="Close trash">
+                  <X className="h-4 w-4" strokeWidth={2} />
+                </button>
+              </Dialog.Close>
+            </div>
+          </div>
+
+          <label className="flex items-center justify-between border-b border-white/6 px-5 py-3 text-[13px] text-white">
+            <span>Keep removed items for (days)</span>
+            <input
+              type="number"
+              min="1"
+              value={settings.trashRetentionDays}
+              onChange={(e) => updateSettings({ trashRetentionDays: Math.max(1, Number(e.target.value) || 1) })}
+              className="w-16 rounded-md bg-white/5 border border-white/10 px-2 py-1 text-right text-white outline-none"
+            />
+          </label>
+
+          {/* Items */}
+          <div className="flex flex-col gap-1.5 overflow-y-auto px-5 py-4">
+            {trash.items.length === 0 && (
+              <p className="text-[12px] text-[#808090]">Removed tabs and deleted intents wait here until they are purged.</p>
+            )}
+            {trash.items.map((item) => (
+              <div key={`${item.projectId}:${item.tabId || ''}`} className="flex items-center gap-3 rounded-lg bg-white/5 px-3 py-2 text-[12px]">
+                {item.type === 'project' ? (
+                  <Folder className="h-4 w-4 shrink-0 text-amber-500/70" strokeWidth={2} />
+                ) : (
+                  <Link2 className="h-4 w-4 shrink-0 text-white/40" strokeWidth={2} />
+                )}
+                <div className="flex min-w-0 flex-1 flex-col">
+                  <span className="truncate text-white" title={item.url}>{item.title}</span>
+                  <span className="truncate text-[11px] text-[#808090]">
+                    {describeSource(item)} · Removed {new Date(item.removedAt).toLocaleDateString()} · {describeDaysLeft(item.daysLeft)}
+                  </span>
+                </div>
+                <Button variant="default" size="sm" onClick={() => run(() => restoreFromTrash(toItems([item])))} disabled={isBusy}>
+                  Restore
+                </Button>
+                <Button variant="default" size="sm" onClick={() => run(() => deleteFromTrash(toItems([item])))} disabled={isBusy}>
+                  Delete
+                </Button>
+              </div>
+            ))}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * Backup Constants - Import strategies and file formats
+ * @version 1.0
+ *
+ * Usage:
+ *   import { IMPORT_STRATEGY, EXPORT_FORMAT } from '../constants/backup'
+ *
+ * Example:
+ *   importData(data, { strategy: IMPORT_STRATEGY.MERGE.id })
+ */
+
+export const IMPORT_STRATEGY = Object.freeze({
+  MERGE: {
+    id: 'merge',
+    label: 'Merge by URL',
+    description: 'Add new tabs to intents you already have and add new intents'
+  },
+  KEEP_BOTH: {
+    id: 'keep-both',
+    label: 'Keep both',
+    description: 'Add every imported intent alongside yours, renaming clashes'
+  },
+  REPLACE: {
+    id: 'replace',
+    label: 'Replace',
+    description: 'Replace all intents with the ones in the file'
+  }
+});
+
+export const IMPORT_STRATEGY_ARRAY = Object.freeze(Object.values(IMPORT_STRATEGY));
+
+// Ids match ProjectFormats in scripts/project-formats.js; JSON is the full Tab Story backup
+export const EXPORT_FORMAT = Object.freeze({
+  JSON: { id: 'json', label: 'Tab Story backup (JSON)' },
+  BOOKMARKS_HTML: { id: 'bookmarks-html', label: 'Browser bookmarks (HTML)' },
+  MARKDOWN: { id: 'markdown', label: 'Markdown' },
+  CSV: { id: 'csv', label: 'CSV' },
+  ONETAB: { id: 'onetab', label: 'OneTab' }
+});
+
+export const EXPORT_FORMAT_ARRAY = Object.freeze(Object.values(EXPORT_FORMAT));
+
+// Import format by file extension; anything else is read as a Tab Story backup
+export function getImportFormat(fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  if (extension === 'html' || extension === 'htm') return EXPORT_FORMAT.BOOKMARKS_HTML.id;
+  if (extension === 'txt') return EXPORT_FORMAT.ONETAB.id;
+  return EXPORT_FORMAT.JSON.id;
+}
+
+// How often the background worker writes a backup file into the chosen folder
+export const FOLDER_BACKUP_INTERVAL = Object.freeze([
+  { minutes: 30, label: 'Every 30 minutes' },
+  { minutes: 60, label: 'Every hour' },
+  { minutes: 360, label: 'Every 6 hours' },
+  { minutes: 1440, label: 'Every day' }
+]);
+
+// How many backup files are kept in the folder before the oldest are deleted
+export const FOLDER_BACKUP_KEEP = Object.freeze([5, 10, 20, 50]);
@@ -0,0 +1,45 @@
+/**
+ * Dwell Constants - Sorting and filtering saved tabs by active time
+ * @version 1.0
+ *
+ * Usage:
+ *   import { TIME_SORT, TIME_SPENT_FILTER } from '../constants/dwell'
+ *
+ * Example:
+ *   const sorted = sortByTimeSpent(tabs, dwell, TIME_SORT.TIME_SPENT);
+ *   const minSeconds = TIME_SPENT_FILTER.TEN_MINUTES.minSeconds;
+ */
+
+export const TIME_SORT = Object.freeze({
+  RECENT: 'recent',
+  TIME_SPENT: 'time_spent'
+});
+
+export const TIME_SPENT_FILTER = Object.freeze({
+  ANY: {
+    id: 'any',
+    label: 'Any time',
+    minSeconds: 0
+  },
+  ONE_MINUTE: {
+    id: '1m',
+    label: '1m+',
+    minSeconds: 60
+  },
+  TEN_MINUTES: {
+    id: '10m',
+    label: '10m+',
+    minSeconds: 10 * 60
+  },
+  ONE_HOUR: {
+    id: '1h',
+    label: '1h+',
+    minSeconds: 60 * 60
+  }
+});
+
+// Export as array if needed elsewhere
+export const TIME_SPENT_FILTER_ARRAY = Object.values(TIME_SPENT_FILTER);
+
+// Written by the background worker; see scripts/dwell-tracker.js for the shape
+export const EMPTY_DWELL = Object.freeze({ tabs: {}, days: {} });
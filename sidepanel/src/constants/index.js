@@ -17,5 +17,14 @@ export { FILTER, getFilterByName, getFilterVariant, FILTER_ARRAY, FILTER_NAMES }
 // Storage constants
 export { STORAGE, getStorageKey, STORAGE_KEYS, STORAGE_VERSION } from './storage';
 
+// Settings constants
+export { DEFAULT_SETTINGS, DOMAIN_RULE_MODE, AUTO_PROMPT_ORIGINS } from './settings';
+
+// Backup constants
+export { IMPORT_STRATEGY, IMPORT_STRATEGY_ARRAY, EXPORT_FORMAT, EXPORT_FORMAT_ARRAY, getImportFormat, FOLDER_BACKUP_INTERVAL, FOLDER_BACKUP_KEEP } from './backup';
+
+// Dwell constants
+export { TIME_SORT, TIME_SPENT_FILTER, TIME_SPENT_FILTER_ARRAY, EMPTY_DWELL } from './dwell';
+
 // Time section constants
-export { TIME_SECTION, getTimeSectionById, getTimeSectionForTimestamp, TIME_SECTION_ARRAY, DEFAULT_TIME_SECTIONS } from './time';
+export { TIME_SECTION, getTimeSectionById, getTimeSectionForTimestamp, TIME_SECTION_ARRAY, DEFAULT_TIME_SECTIONS, TIMELINE_PAGE_SIZE, TIMELINE_SECTION_EVENTS } from './time';
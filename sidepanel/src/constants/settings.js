@@ -0,0 +1,30 @@
+/**
+ * Settings Constants - Default user settings and rule modes
+ * @version 1.0
+ *
+ * Usage:
+ *   import { DEFAULT_SETTINGS, DOMAIN_RULE_MODE } from '../constants/settings'
+ *
+ * Example:
+ *   const settings = { ...DEFAULT_SETTINGS, ...storedSettings };
+ *   if (rule.mode === DOMAIN_RULE_MODE.NEVER) return;
+ */
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  darkMode: false,
+  compactView: false,
+  autoIntentPrompt: false,
+  intentPromptCooldownMinutes: 5,
+  domainRules: {},
+  timelineRetentionDays: 30,
+  trashRetentionDays: 30,
+  autoArchiveDays: 0
+});
+
+export const DOMAIN_RULE_MODE = Object.freeze({
+  NEVER: 'never',
+  ALWAYS: 'always'
+});
+
+// Host permissions needed to show the intent prompt on pages the user did not click
+export const AUTO_PROMPT_ORIGINS = Object.freeze(['http://*/*', 'https://*/*']);
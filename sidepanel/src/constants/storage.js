@@ -17,9 +17,9 @@ export const STORAGE = Object.freeze({
     version: '1.0.0'
   },
   PROJECTS: {
-    key: 'tab_projects',
-    description: 'User projects/intents',
-    version: '1.0.0'
+    key: 'projects_revision',
+    description: 'Changes whenever projects/intents change; the projects themselves live in IndexedDB and are read through the background worker',
+    version: '2.0.0'
   },
   TAGS: {
     key: 'recent_intents',
@@ -27,14 +27,29 @@ export const STORAGE = Object.freeze({
     version: '1.0.0'
   },
   TIMELINE: {
-    key: 'tab_timeline',
-    description: 'Tab timeline history',
-    version: '1.0.0'
+    key: 'timeline_revision',
+    description: 'Changes whenever timeline history is recorded; events are read through the background worker',
+    version: '2.0.0'
   },
   SETTINGS: {
     key: 'user_settings',
     description: 'User preferences and settings',
     version: '1.0.0'
+  },
+  DWELL: {
+    key: 'tab_dwell',
+    description: 'Active time per saved tab and per project per day',
+    version: '1.0.0'
+  },
+  SYNC_STATE: {
+    key: 'sync_state',
+    description: 'This device\'s sync id and the devices that share data with it (scripts/sync-manager.js)',
+    version: '1.0.0'
+  },
+  SYNC_SETTINGS: {
+    key: 'sync_settings',
+    description: 'Whether sync is on, this device\'s name and the last sync result',
+    version: '1.0.0'
   }
 });
 
@@ -49,8 +64,11 @@ export const STORAGE_KEYS = Object.freeze({
   PROJECTS: STORAGE.PROJECTS.key,
   TAGS: STORAGE.TAGS.key,
   TIMELINE: STORAGE.TIMELINE.key,
-  SETTINGS: STORAGE.SETTINGS.key
+  SETTINGS: STORAGE.SETTINGS.key,
+  DWELL: STORAGE.DWELL.key,
+  SYNC_STATE: STORAGE.SYNC_STATE.key,
+  SYNC_SETTINGS: STORAGE.SYNC_SETTINGS.key
 });
 
-// Current storage version for migrations
-export const STORAGE_VERSION = '1.2.0';
+// Current storage schema; migrations live in scripts/schema-migrator.js
+export const STORAGE_VERSION = '2.1.0';
@@ -75,3 +75,9 @@ export const DEFAULT_TIME_SECTIONS = Object.freeze({
   week: { id: TIME_SECTION.WEEK.id, label: TIME_SECTION.WEEK.label, tabs: [] },
   older: { id: TIME_SECTION.OLDER.id, label: TIME_SECTION.OLDER.label, tabs: [] }
 });
+
+// Timeline events are fetched from the background worker a page at a time
+export const TIMELINE_PAGE_SIZE = 50;
+
+// Event types shown in the time sections; switches and closes stay out of the list
+export const TIMELINE_SECTION_EVENTS = Object.freeze(['opened', 'navigated']);
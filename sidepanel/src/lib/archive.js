@@ -0,0 +1,8 @@
+// The main list leaves out archived folders as well as the trash
+export function activeFolders(folders) {
+  return folders.filter((folder) => !folder.removed && !folder.archived);
+}
+
+export function archivedFolders(folders) {
+  return folders.filter((folder) => !folder.removed && folder.archived);
+}
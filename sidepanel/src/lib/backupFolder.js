@@ -0,0 +1,52 @@
+// The backup folder handle lives in IndexedDB, shared with the background worker
+// (see scripts/folder-backup.js). Picking a folder or allowing access again needs
+// a click, so those steps run here and not in the worker.
+const HANDLE_DB = 'tab_story_files';
+const HANDLE_STORE = 'handles';
+const HANDLE_KEY = 'backup-directory';
+
+export function isFolderBackupSupported() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+function handleRequest(mode, run) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(HANDLE_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(HANDLE_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const request = run(db.transaction(HANDLE_STORE, mode).objectStore(HANDLE_STORE));
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        db.close();
+        reject(request.error);
+      };
+    };
+  });
+}
+
+// Returns the folder name, or null if the picker was cancelled
+export async function pickBackupFolder() {
+  try {
+    const handle = await window.showDirectoryPicker({ id: 'tab-story-backups', mode: 'readwrite' });
+    await handleRequest('readwrite', (store) => store.put(handle, HANDLE_KEY));
+    return handle.name;
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+}
+
+// Access to the folder lapses when the browser restarts; asking again needs a click
+export async function allowBackupFolder() {
+  const handle = await handleRequest('readonly', (store) => store.get(HANDLE_KEY));
+  if (!handle) return false;
+
+  const options = { mode: 'readwrite' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  return (await handle.requestPermission(options)) === 'granted';
+}
@@ -0,0 +1,27 @@
+// A saved tab is "live" while the browser tab it was saved from is still open
+export function isLiveTab(tab) {
+  return tab?.liveStatus === 'open' && typeof tab.chromeTabId === 'number';
+}
+
+// Jump to the live browser tab if it is still open, otherwise open the URL in a new tab
+export async function focusOrOpenTab(tab) {
+  if (!tab?.url) return;
+
+  if (typeof chrome === 'undefined' || !chrome.tabs) {
+    window.open(tab.url, '_blank');
+    return;
+  }
+
+  if (isLiveTab(tab)) {
+    try {
+      const liveTab = await chrome.tabs.get(tab.chromeTabId);
+      await chrome.tabs.update(liveTab.id, { active: true });
+      await chrome.windows.update(liveTab.windowId, { focused: true });
+      return;
+    } catch (error) {
+      // The tab closed before the background worker noticed; fall through and reopen it
+    }
+  }
+
+  await chrome.tabs.create({ url: tab.url });
+}
@@ -0,0 +1,29 @@
+// The duplicate group a saved tab belongs to (see StorageManager.findDuplicates), if any
+export function findDuplicateGroup(duplicates, tabId) {
+  return duplicates.find((group) => group.tabs.some((tab) => tab.tabId === tabId)) || null;
+}
+
+// The other copies of a saved tab, split into those in its own folder and those elsewhere
+export function otherCopies(group, tabId) {
+  const self = group.tabs.find((tab) => tab.tabId === tabId);
+  const others = group.tabs.filter((tab) => tab.tabId !== tabId);
+  return {
+    here: others.filter((tab) => tab.projectId === self?.projectId),
+    elsewhere: others.filter((tab) => tab.projectId !== self?.projectId),
+  };
+}
+
+// 'Also in "Trip"' or 'Saved 2 times here' style flag for a tab with other copies
+export function describeDuplicate(group, tabId) {
+  const { here, elsewhere } = otherCopies(group, tabId);
+  if (elsewhere.length > 0) {
+    const folders = [...new Set(elsewhere.map((tab) => tab.projectTitle))];
+    return folders.length === 1 ? `Also in "${folders[0]}"` : `Also in ${folders.length} intents`;
+  }
+  return `Saved ${here.length + 1} times here`;
+}
+
+// Groups with at least one copy in this folder
+export function duplicatesInFolder(duplicates, folderId) {
+  return duplicates.filter((group) => group.tabs.some((tab) => tab.projectId === folderId));
+}
@@ -0,0 +1,69 @@
+import { TIME_SORT } from '../constants/dwell';
+
+// Same local-day keys the background worker buckets time by, e.g. "2024-03-09"
+export function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Day keys from Monday of the current week up to today
+export function getWeekDayKeys(now = new Date()) {
+  const daysSinceMonday = (now.getDay() + 6) % 7;
+  const keys = [];
+  for (let offset = daysSinceMonday; offset >= 0; offset -= 1) {
+    const date = new Date(now);
+    date.setDate(now.getDate() - offset);
+    keys.push(getDayKey(date));
+  }
+  return keys;
+}
+
+// 45s, 12m, 1h 05m
+export function formatDuration(seconds) {
+  if (!seconds || seconds < 60) return `${Math.max(0, Math.round(seconds || 0))}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+export function getTimeSpent(dwell, tabId) {
+  return dwell?.tabs?.[tabId] || 0;
+}
+
+// Drop tabs below the minimum active time, then order by time spent if asked
+export function sortAndFilterByTimeSpent(tabs, dwell, { sort = TIME_SORT.RECENT, minSeconds = 0 } = {}) {
+  const filtered = minSeconds > 0
+    ? tabs.filter((tab) => getTimeSpent(dwell, tab.id) >= minSeconds)
+    : tabs;
+
+  if (sort !== TIME_SORT.TIME_SPENT) return filtered;
+  return [...filtered].sort((a, b) => getTimeSpent(dwell, b.id) - getTimeSpent(dwell, a.id));
+}
+
+// Seconds per intent for today and this week, busiest first.
+// Projects sharing an intent are added together.
+export function getIntentTotals(dwell, folders, now = new Date()) {
+  const todayKey = getDayKey(now);
+  const weekKeys = getWeekDayKeys(now);
+  const intentByFolder = Object.fromEntries(
+    folders.map((folder) => [folder.id, folder.intent || folder.name || 'Untitled']),
+  );
+
+  const totals = {};
+  weekKeys.forEach((dayKey) => {
+    Object.entries(dwell?.days?.[dayKey] || {}).forEach(([folderId, seconds]) => {
+      const intent = intentByFolder[folderId];
+      if (!intent) return;
+
+      totals[intent] = totals[intent] || { intent, today: 0, week: 0 };
+      totals[intent].week += seconds;
+      if (dayKey === todayKey) totals[intent].today += seconds;
+    });
+  });
+
+  return Object.values(totals).sort((a, b) => b.week - a.week);
+}
@@ -0,0 +1,49 @@
+import { useEffect } from 'react';
+import { useTabStore } from '../store/useTabStore';
+
+// Undo or redo through the background worker's command log (scripts/command-log.js).
+// Reverting an older action over later edits of the same intents asks first.
+export async function runHistoryCommand(command, options = {}) {
+  const { undo, redo, setHistoryNotice } = useTabStore.getState();
+  const run = command === 'redo' ? redo : undo;
+
+  let result = await run(options);
+  if (result?.needsConfirm) {
+    const confirmed = window.confirm(
+      `${result.conflicts.join(', ')} changed since. ${command === 'redo' ? 'Redoing' : 'Undoing'} this will lose those changes. Continue?`,
+    );
+    if (!confirmed) return result;
+    result = await run({ ...options, force: true });
+  }
+
+  if (result?.success) {
+    setHistoryNotice(`${command === 'redo' ? 'Redid' : 'Undid'}: ${result.entry.label}`);
+  } else if (result?.error) {
+    setHistoryNotice(result.error);
+  }
+  return result;
+}
+
+const isTextField = (element) =>
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName);
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); text fields keep their own undo
+export function useHistoryShortcuts() {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        runHistoryCommand(e.shiftKey ? 'redo' : 'undo');
+      } else if (key === 'y' && !e.shiftKey) {
+        e.preventDefault();
+        runHistoryCommand('redo');
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
@@ -0,0 +1,4 @@
+// Ids for new folders and tabs: UUIDs, like the ones the background worker gives (scripts/identity.js)
+export function createId() {
+  return crypto.randomUUID();
+}
@@ -0,0 +1,13 @@
+// The background worker can only reach a sync server once the user has allowed
+// its address (optional_host_permissions in manifest.json). Asking needs a
+// click, so it happens here before the address is saved.
+export function getOriginPattern(url) {
+  return `${new URL(url).origin}/*`;
+}
+
+export async function requestServerAccess(url) {
+  if (typeof chrome === 'undefined' || !chrome.permissions) return true;
+  const origins = [getOriginPattern(url)];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
@@ -0,0 +1,62 @@
+import { getOriginPattern } from './serverAccess';
+import { isLiveTab } from './chromeTabs';
+
+// Chrome's built-in Summarizer is exposed to pages, not to the background worker. The worker
+// reads the page and stores the summary (scripts/page-summarizer.js); the model runs here.
+
+// Characters per summarizer call, as in PageSummarizer.CHUNK_SIZE
+const CHUNK_SIZE = 4000;
+
+// Reading an open tab needs access to its site (optional_host_permissions in manifest.json).
+// Asking needs a click, so this runs first in the click handler.
+export async function requestPageAccess(tab) {
+  if (typeof chrome === 'undefined' || !chrome.permissions || !isLiveTab(tab)) return true;
+  if (!/^https?:/.test(tab.url || '')) return false;
+  const origins = [getOriginPattern(tab.url)];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// The Summarizer, under its current or its earlier name, or null where there is none
+async function createSummarizer(context) {
+  const options = { type: 'tldr', format: 'plain-text', length: 'short', sharedContext: context };
+  if (typeof Summarizer !== 'undefined') {
+    if ((await Summarizer.availability()) === 'unavailable') return null;
+    return Summarizer.create(options);
+  }
+  if (window.ai?.summarizer) {
+    return window.ai.summarizer.create({ ...options, type: 'tl;dr' });
+  }
+  return null;
+}
+
+// Summarize each chunk, then the chunk summaries a batch at a time, until a single summary is
+// left; null without a Summarizer, for the background worker to store the opening of the page
+export async function summarizeChunks(chunks, context) {
+  const summarizer = await createSummarizer(context);
+  if (!summarizer) return null;
+
+  try {
+    let parts = chunks;
+    while (parts.length > 1) {
+      const summaries = [];
+      for (const part of parts) {
+        summaries.push(await summarizer.summarize(part));
+      }
+      const batches = summaries.reduce((joined, summary) => {
+        const last = joined[joined.length - 1];
+        if (last !== undefined && last.length + summary.length < CHUNK_SIZE) {
+          joined[joined.length - 1] = `${last} ${summary}`;
+        } else {
+          joined.push(summary);
+        }
+        return joined;
+      }, []);
+      // Summaries too long to batch are summarized together rather than over and over
+      parts = batches.length < parts.length ? batches : [batches.join(' ')];
+    }
+    return await summarizer.summarize(parts[0]);
+  } finally {
+    summarizer.destroy?.();
+  }
+}
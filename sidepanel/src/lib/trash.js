@@ -0,0 +1,10 @@
+// Deleted folders stay in the list with removed set until the trash is purged
+export function withoutTrashed(folders) {
+  return folders.filter((folder) => !folder.removed);
+}
+
+// "3 days left" style countdown until a trash item is purged
+export function describeDaysLeft(daysLeft) {
+  if (daysLeft <= 0) return 'Deleted at next cleanup';
+  return daysLeft === 1 ? '1 day left' : `${daysLeft} days left`;
+}
@@ -6,15 +6,23 @@ import Sidebar from '../components/layout/Sidebar';
 import MainPanel from '../components/layout/MainPanel';
 import NewIntentButton from '../components/sidebar/NewIntentButton';
 import FolderTree from '../components/sidebar/FolderTree';
+import ArchivedFilter from '../components/sidebar/ArchivedFilter';
 import StatusBar from '../components/sidebar/StatusBar';
 import SearchBar from '../components/main/SearchBar';
 import FilterChips from '../components/main/FilterChips';
+import IntentTimeTotals from '../components/main/IntentTimeTotals';
 import TabList from '../components/main/TabList';
 import TabDetailPopup from '../components/popup/TabDetailPopup';
+import SettingsDialog from '../components/settings/SettingsDialog';
+import ActivityDialog from '../components/activity/ActivityDialog';
+import HistoryNotice from '../components/activity/HistoryNotice';
+import TrashDialog from '../components/trash/TrashDialog';
+import { useHistoryShortcuts } from '../lib/history';
 
 export default function App() {
   // Initialize store on mount
   useInitializeStore();
+  useHistoryShortcuts();
   const isLoading = useTabStore((state) => state.isLoading);
 
   useEffect(() => {
@@ -51,6 +59,9 @@ export default function App() {
               <List className="h-4 w-4" strokeWidth={2} />
               <span>Everything</span>
             </button>
+
+            {/* Archived intents */}
+            <ArchivedFilter />
           </div>
 
           {/* Folder Tree */}
@@ -73,6 +84,9 @@ export default function App() {
           {/* Filter Chips */}
           <FilterChips />
 
+          {/* Active time per intent */}
+          <IntentTimeTotals />
+
           {/* Tab List */}
           <div className="mt-6">
             <TabList />
@@ -82,6 +96,16 @@ export default function App() {
 
       {/* Tab Detail Popup */}
       <TabDetailPopup />
+
+      {/* Settings */}
+      <SettingsDialog />
+
+      {/* Undo history */}
+      <ActivityDialog />
+      <HistoryNotice />
+
+      {/* Removed tabs and deleted intents */}
+      <TrashDialog />
     </div>
   );
 }
@@ -1,12 +1,18 @@
 import { create } from 'zustand';
 import { useEffect } from 'react';
 import { STORAGE_KEYS } from '../constants/storage';
-import { DEFAULT_TIME_SECTIONS } from '../constants/time';
+import { DEFAULT_TIME_SECTIONS, TIMELINE_PAGE_SIZE, TIMELINE_SECTION_EVENTS } from '../constants/time';
+import { DEFAULT_SETTINGS } from '../constants/settings';
+import { TIME_SORT, EMPTY_DWELL } from '../constants/dwell';
+import { createId } from '../lib/ids';
+import { summarizeChunks } from '../lib/summarizer';
 
 // Initial empty state
 const initialState = {
   tabs: [],
-  folders: [], // Will be populated from tab_projects
+  timeline: [],
+  timelineCursor: null,
+  folders: [], // Will be populated from the stored projects
   tags: [],
   timeSections: DEFAULT_TIME_SECTIONS,
   selectedFolder: null,
@@ -15,6 +21,23 @@ const initialState = {
   activeFilter: null,
   isPopupOpen: false,
   popupPosition: { x: 0, y: 0 },
+  settings: DEFAULT_SETTINGS,
+  isSettingsOpen: false,
+  isActivityOpen: false,
+  isTrashOpen: false,
+  // The "Archived" filter: the folder list shows archived folders instead of the main list
+  showArchived: false,
+  // Short message after an undo or redo, e.g. 'Undid: Delete "Work"'
+  historyNotice: null,
+  dwell: EMPTY_DWELL,
+  timeSort: TIME_SORT.RECENT,
+  minTimeSpent: 0,
+  // Devices sharing data through sync, used to label tabs saved elsewhere
+  sync: { enabled: false, deviceId: null, devices: {} },
+  // Version of the projects the folders were loaded from; changes are sent against it
+  projectsVersion: null,
+  // Saved tabs that are the same page: [{ key, title, tabs: [{ projectId, projectTitle, tabId, title, url }] }]
+  duplicates: [],
   isLoading: true,
 };
 
@@ -43,12 +66,80 @@ const saveToStorage = async (key, value) => {
   }
 };
 
+// Helper to fetch projects, and the version they are at, from the background worker, which owns them
+const fetchProjects = async () => {
+  if (typeof chrome === 'undefined' || !chrome.runtime) {
+    return { projects: [], version: null };
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getProjects' });
+    return { projects: response?.projects || [], version: response?.version ?? null };
+  } catch (error) {
+    return { projects: [], version: null };
+  }
+};
+
+// Helper to ask the background worker, the only writer of the projects, to apply changes
+// (see StorageManager.applyProjectChanges); label names the change in the undo history
+const requestProjectChanges = async (changes, baseVersion, label) => {
+  if (typeof chrome === 'undefined' || !chrome.runtime) {
+    return null;
+  }
+  try {
+    return await chrome.runtime.sendMessage({ action: 'changeProjects', changes, options: { baseVersion, label } });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Helper to fetch the groups of saved tabs that are the same page, across all folders
+const fetchDuplicates = async () => {
+  if (typeof chrome === 'undefined' || !chrome.runtime) {
+    return [];
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getDuplicates' });
+    return response?.groups || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Helper to fetch a page of timeline events from the background worker
+const fetchTimelinePage = async ({ cursor = null, limit = TIMELINE_PAGE_SIZE } = {}) => {
+  if (typeof chrome === 'undefined' || !chrome.runtime) {
+    return { events: [], cursor: null };
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getTimeline',
+      options: { cursor, limit, types: [...TIMELINE_SECTION_EVENTS] },
+    });
+    return response?.success ? response : { events: [], cursor: null };
+  } catch (error) {
+    return { events: [], cursor: null };
+  }
+};
+
+// Helper to show timeline events as tabs in the time sections
+const eventsToTabs = (events) =>
+  events.map((event) => ({
+    id: event.id,
+    title: event.title,
+    url: event.url,
+    domain: event.domain,
+    favicon: event.favicon,
+    timestamp: event.timestamp,
+  }));
+
 // Helper to convert projects to folder structure
 const projectsToFolders = (projects) => {
   if (!Array.isArray(projects)) return [];
 
+  // Fields the side panel does not use (tab group, color, ...) are kept for the round trip
   return projects.map((project) => ({
-    id: project.id || `folder-${Date.now()}`,
+    ...project,
+    id: project.id || createId(),
     name: project.title || project.intent || 'Untitled',
     icon: 'folder',
     expanded: false,
@@ -59,6 +150,19 @@ const projectsToFolders = (projects) => {
   }));
 };
 
+// Helper to convert folders back to the stored project schema (see scripts/schema-migrator.js);
+// name, icon and expanded are display state and are not stored
+const foldersToProjects = (folders) =>
+  folders.map(({ name, icon, expanded, ...folder }) => ({
+    ...folder,
+    title: folder.title || name,
+    intent: folder.intent || name,
+    tabs: (folder.tabs || []).map(({ chromeId, active, domain, ...tab }) => ({
+      ...tab,
+      timestamp: new Date(tab.timestamp || Date.now()).toISOString(),
+    })),
+  }));
+
 // Helper to group tabs by time
 const groupTabsByTime = (tabs) => {
   const groups = {
@@ -68,13 +172,14 @@ const groupTabsByTime = (tabs) => {
     older: { id: 'older', label: 'OLDER', tabs: [] },
   };
 
-  const now = Date.now();
+  const now = new Date();
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
   const yesterday = today - (24 * 60 * 60 * 1000);
   const week = today - (7 * 24 * 60 * 60 * 1000);
 
   tabs.forEach((tab) => {
-    const tabTimestamp = tab.timestamp || tab.createdAt || Date.now();
+    // Captured tabs and timeline events store epoch milliseconds, project tabs ISO strings
+    const tabTimestamp = new Date(tab.timestamp || tab.createdAt || Date.now()).getTime();
 
     if (tabTimestamp >= today) {
       groups.today.tabs.push(tab);
@@ -94,28 +199,82 @@ export const useTabStore = create((set, get) => ({
   ...initialState,
 
   // Initialize store with data from Chrome Storage
+  // isLoading starts true and is only cleared here, so re-syncs do not flash the loading state
   initialize: async () => {
-    set({ isLoading: true });
-
-    const [projects, tabs, tags, timeline] = await Promise.all([
-      loadFromStorage(STORAGE_KEYS.PROJECTS),
+    const [{ projects, version }, duplicates, tabs, tags, timelinePage, settings, dwell] = await Promise.all([
+      fetchProjects(),
+      fetchDuplicates(),
       loadFromStorage(STORAGE_KEYS.TABS),
       loadFromStorage(STORAGE_KEYS.TAGS),
-      loadFromStorage(STORAGE_KEYS.TIMELINE),
+      fetchTimelinePage({ limit: Math.max(TIMELINE_PAGE_SIZE, get().timeline.length) }),
+      loadFromStorage(STORAGE_KEYS.SETTINGS),
+      loadFromStorage(STORAGE_KEYS.DWELL),
     ]);
 
     const folders = projectsToFolders(projects || []);
-    const allTabs = [...(tabs || []), ...(timeline || [])];
+    const timeline = eventsToTabs(timelinePage.events);
 
     set({
       folders,
-      tabs: allTabs,
+      projectsVersion: version,
+      duplicates,
+      tabs: tabs || [],
+      timeline,
+      timelineCursor: timelinePage.cursor,
       tags: tags || [],
-      timeSections: groupTabsByTime(allTabs),
+      timeSections: groupTabsByTime([...(tabs || []), ...timeline]),
+      settings: { ...DEFAULT_SETTINGS, ...(settings || {}) },
+      dwell: dwell || EMPTY_DWELL,
       isLoading: false,
     });
   },
 
+  // Reload settings only, without the full re-initialize
+  loadSettings: async () => {
+    const settings = await loadFromStorage(STORAGE_KEYS.SETTINGS);
+    set({ settings: { ...DEFAULT_SETTINGS, ...(settings || {}) } });
+  },
+
+  // Reload the timeline pages already shown, e.g. after new events were recorded
+  refreshTimeline: async () => {
+    const page = await fetchTimelinePage({ limit: Math.max(TIMELINE_PAGE_SIZE, get().timeline.length) });
+    const timeline = eventsToTabs(page.events);
+
+    set((state) => ({
+      timeline,
+      timelineCursor: page.cursor,
+      timeSections: groupTabsByTime([...state.tabs, ...timeline]),
+    }));
+  },
+
+  // Append the next page of older timeline events
+  loadMoreTimeline: async () => {
+    const { timelineCursor } = get();
+    if (!timelineCursor) return;
+
+    const page = await fetchTimelinePage({ cursor: timelineCursor });
+    set((state) => {
+      const timeline = [...state.timeline, ...eventsToTabs(page.events)];
+      return {
+        timeline,
+        timelineCursor: page.cursor,
+        timeSections: groupTabsByTime([...state.tabs, ...timeline]),
+      };
+    });
+  },
+
+  // Active time changes on every tab switch, so it reloads on its own
+  loadDwell: async () => {
+    const dwell = await loadFromStorage(STORAGE_KEYS.DWELL);
+    set({ dwell: dwell || EMPTY_DWELL });
+  },
+
+  loadSync: async () => {
+    const status = await get().fetchSyncStatus();
+    if (!status?.success) return;
+    set({ sync: { enabled: status.settings.enabled, deviceId: status.deviceId, devices: status.devices || {} } });
+  },
+
   // Actions
   setSelectedFolder: (folderId) => set({ selectedFolder: folderId }),
 
@@ -132,14 +291,61 @@ export const useTabStore = create((set, get) => ({
       popupPosition: position,
     }),
 
+  setSettingsOpen: (isOpen) => set({ isSettingsOpen: isOpen }),
+
+  setActivityOpen: (isOpen) => set({ isActivityOpen: isOpen }),
+
+  setHistoryNotice: (historyNotice) => set({ historyNotice }),
+
+  setTrashOpen: (isOpen) => set({ isTrashOpen: isOpen }),
+
+  setShowArchived: (showArchived) => set({ showArchived, selectedFolder: null }),
+
+  setTimeSort: (timeSort) => set({ timeSort }),
+
+  setMinTimeSpent: (minTimeSpent) => set({ minTimeSpent }),
+
+  // The background worker merges the changes into the stored settings, which it, sync and
+  // content scripts also write; merging a copy held here could drop their changes
+  updateSettings: async (updates) => {
+    set((state) => ({ settings: { ...state.settings, ...updates } }));
+    return get().sendSettingsChange({ action: 'updateSettings', changes: updates });
+  },
+
+  // rule is { mode: 'never' } or { mode: 'always', intent }; null removes the rule
+  setDomainRule: async (domain, rule) => {
+    set((state) => {
+      const domainRules = { ...state.settings.domainRules };
+      if (rule) {
+        domainRules[domain] = rule;
+      } else {
+        delete domainRules[domain];
+      }
+      return { settings: { ...state.settings, domainRules } };
+    });
+    return get().sendSettingsChange({ action: 'setDomainRule', domain, rule });
+  },
+
+  // Show the settings as saved, or as they were when the change was not saved
+  sendSettingsChange: async (message) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage(message);
+      if (!result?.success) await get().loadSettings();
+      return result;
+    } catch (error) {
+      await get().loadSettings();
+      return { success: false, error: error.message };
+    }
+  },
+
   toggleFolder: (folderId) =>
     set((state) => {
       const toggleRecursive = (folders) =>
         folders.map((folder) => {
           if (folder.id === folderId) {
             const newExpanded = !folder.expanded;
-            // Save expanded state to storage
-            saveToStorage(STORAGE_KEYS.PROJECTS, folders);
             return { ...folder, expanded: newExpanded };
           }
           if (folder.children && folder.children.length > 0) {
@@ -151,67 +357,541 @@ export const useTabStore = create((set, get) => ({
       return { folders: toggleRecursive(state.folders) };
     }),
 
-  addFolder: (name, intent = '') =>
-    set((state) => {
-      const newFolder = {
-        id: `folder-${Date.now()}`,
-        name,
-        intent,
-        icon: 'folder',
-        expanded: false,
-        tabs: [],
-        createdAt: new Date().toISOString(),
-        section: 'today',
-      };
+  // Every project write goes through here: apply shows it at once, then the background worker saves
+  // the changes against the version the folders were loaded at. changes may be a function of the
+  // folders, for a 'replace' built from them. On a conflict the folders are reloaded from the
+  // worker's copy and the write is applied and sent again; any other failure reloads what was saved
+  commitProjectChanges: async (apply, changes, label) => {
+    const build = typeof changes === 'function' ? changes : () => changes;
+    set((state) => ({ folders: apply(state.folders) }));
 
-      const newFolders = [...state.folders, newFolder];
-      saveToStorage(STORAGE_KEYS.PROJECTS, newFolders);
+    let result = await requestProjectChanges(build(get().folders), get().projectsVersion, label);
+    if (result?.conflict) {
+      set({ folders: apply(projectsToFolders(result.projects)), projectsVersion: result.version });
+      result = await requestProjectChanges(build(get().folders), result.version, label);
+    }
+    await get().settleProjectWrite(result);
+    return result;
+  },
 
-      return { folders: newFolders };
-    }),
+  // Base the next write on the version a saved write left the projects at, or undo the optimistic
+  // update by reloading when the write failed
+  settleProjectWrite: async (result) => {
+    if (!result) return;
+    if (result.success) {
+      set({ projectsVersion: result.version ?? get().projectsVersion });
+    } else {
+      await get().initialize();
+    }
+  },
 
-  deleteFolder: (folderId) =>
-    set((state) => {
-      const newFolders = state.folders.filter((folder) => folder.id !== folderId);
-      saveToStorage(STORAGE_KEYS.PROJECTS, newFolders);
+  addFolder: async (name, intent = '') => {
+    const newFolder = {
+      id: createId(),
+      name,
+      intent,
+      icon: 'folder',
+      expanded: false,
+      tabs: [],
+      createdAt: new Date().toISOString(),
+      section: 'today',
+    };
 
-      return {
-        folders: newFolders,
-        selectedFolder: state.selectedFolder === folderId ? null : state.selectedFolder,
-      };
-    }),
+    return get().commitProjectChanges(
+      (folders) => [...folders.filter((folder) => folder.id !== newFolder.id), newFolder],
+      [{ type: 'addProject', project: foldersToProjects([newFolder])[0] }],
+      `Create "${name}"`
+    );
+  },
 
-  addTabToFolder: (folderId, tab) =>
-    set((state) => {
-      const addToFolderRecursive = (folders) =>
-        folders.map((folder) => {
-          if (folder.id === folderId) {
-            return {
-              ...folder,
-              tabs: [...(folder.tabs || []), tab],
-            };
-          }
-          if (folder.children && folder.children.length > 0) {
-            return {
-              ...folder,
-              children: addToFolderRecursive(folder.children),
-            };
+  // Moves the folder to the trash, unbound from its tab group; the background worker purges it later
+  deleteFolder: async (folderId) => {
+    const folder = get().folders.find((f) => f.id === folderId);
+    set((state) => ({
+      selectedFolder: state.selectedFolder === folderId ? null : state.selectedFolder,
+    }));
+
+    const updates = { removed: true, removedAt: new Date().toISOString(), groupId: null };
+    return get().commitProjectChanges(
+      (folders) => folders.map((f) => (f.id === folderId ? { ...f, removed: true, removedAt: updates.removedAt } : f)),
+      [{ type: 'updateProject', projectId: folderId, updates }],
+      `Delete "${folder?.name || 'intent'}"`
+    );
+  },
+
+  // Archived folders leave the main list and are stored compactly, without cached summaries
+  archiveFolder: async (folderId) => {
+    set((state) => ({
+      folders: state.folders.map((folder) => (folder.id === folderId ? { ...folder, archived: true } : folder)),
+      selectedFolder: state.selectedFolder === folderId ? null : state.selectedFolder,
+    }));
+
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'archiveProjects', projectIds: [folderId] });
+      await get().settleProjectWrite(result);
+      return result;
+    } catch (error) {
+      await get().initialize();
+      return { success: false, error: error.message };
+    }
+  },
+
+  unarchiveFolder: async (folderId) => {
+    set((state) => ({
+      folders: state.folders.map(({ archived, archivedAt, ...folder }) =>
+        (folder.id === folderId ? folder : { ...folder, archived, archivedAt })),
+    }));
+
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'unarchiveProjects', projectIds: [folderId] });
+      await get().settleProjectWrite(result);
+      return result;
+    } catch (error) {
+      await get().initialize();
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Restore a folder's tabs into a native tab group; the background worker keeps them in sync
+  openFolderInGroup: async (folderId) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'openProjectInGroup', projectId: folderId });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Export the given folders as file content; format 'json' is the full backup
+  exportFolders: async (folderIds, format, passphrase = null) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      if (format === 'json') {
+        const result = await chrome.runtime.sendMessage({ action: 'exportData', options: { passphrase } });
+        return result?.success
+          ? {
+            success: true,
+            content: JSON.stringify(result.data, null, 2),
+            mimeType: 'application/json',
+            filename: `tab-story-backup-${new Date().toISOString().split('T')[0]}${result.encrypted ? '.encrypted' : ''}.json`,
           }
-          return folder;
-        });
+          : result;
+      }
+      return await chrome.runtime.sendMessage({ action: 'exportProjects', projectIds: folderIds, format });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
 
-      const newFolders = addToFolderRecursive(state.folders);
-      const newTabs = [...state.tabs, tab];
+  // Session backups, newest first (metadata only)
+  fetchSnapshots: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return [];
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'getSnapshots' });
+      return result?.snapshots || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  // What was added, removed or renamed between a backup and now
+  compareSnapshot: async (snapshotId) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'compareSnapshot', snapshotId });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // selection is { projectIds: [id], tabs: [{ projectId, tabId }] }
+  restoreFromSnapshot: async (snapshotId, selection) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'restoreFromSnapshot', snapshotId, selection });
+      if (result?.success) await get().initialize();
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Undo history, newest first: { success, entries: [{ id, timestamp, label, undone, projects, added, removed, updated }], canUndo, canRedo }
+  fetchActivity: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getActivity' });
+    } catch (error) {
+      return { success: false, error: error.message, entries: [] };
+    }
+  },
+
+  // options: { entryId } reverts that entry instead of the newest, { force } also over later edits.
+  // Without force, a result with needsConfirm lists the intents edited since.
+  undo: async (options = {}) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'undo', options });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Same options as undo; re-applies the most recently undone entry by default
+  redo: async (options = {}) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'redo', options });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // The folder a saved tab belongs to, or undefined for tabs that are not saved (timeline, captured)
+  findTabFolder: (tabId) => get().folders.find((folder) => (folder.tabs || []).some((tab) => tab.id === tabId)),
+
+  // A saved tab's stored summary: { success, summary: { summary, type, source, label, createdAt } | null }
+  fetchSummary: async (tabId) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getSummary', tabId });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Summarize a saved tab's page, from the open tab or the page text kept with its last summary.
+  // The background worker reads and stores the page; the Summarizer runs here, where Chrome exposes it
+  summarizeTab: async (tabId) => {
+    const folder = get().findTabFolder(tabId);
+    if (!folder) return { success: false, error: 'Only tabs saved to an intent can be summarized' };
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
 
-      saveToStorage(STORAGE_KEYS.PROJECTS, newFolders);
+    try {
+      const prepared = await chrome.runtime.sendMessage({ action: 'prepareSummary', projectId: folder.id, tabId });
+      if (!prepared?.success) return prepared;
+
+      const { text, source, chunks, context } = prepared;
+      const summary = await summarizeChunks(chunks, context);
+      return await chrome.runtime.sendMessage({
+        action: 'saveSummary',
+        projectId: folder.id,
+        tabId,
+        prepared: { text, source, chunks: chunks.length },
+        summary,
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Removed tabs and deleted folders, newest first:
+  // { success, items: [{ type, projectId, tabId, title, projectTitle, tabCount, removedAt, daysLeft }], retentionDays }
+  fetchTrash: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getTrash' });
+    } catch (error) {
+      return { success: false, error: error.message, items: [] };
+    }
+  },
+
+  // items: [{ projectId, tabId }], without tabId for a whole folder
+  restoreFromTrash: async (items) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'restoreFromTrash', items });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Same items as restoreFromTrash; deleted for good
+  deleteFromTrash: async (items) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'deleteFromTrash', items });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Keep one copy of a page and move the others to the trash, their notes added to the kept one.
+  // keep and others are { projectId, tabId }
+  mergeDuplicates: async (keep, others) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'mergeDuplicates', keep, others });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Storage guard: { success, settings: { enabled, warnAt, evictAt, targetAt, keepSnapshots, keepHistory, steps },
+  // usage: { total, quota, percentage }, log: [{ at, label, removed, freedBytes, before, after }], steps }
+  fetchStorageGuard: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getStorageGuard' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Saving also checks usage right away against the new thresholds
+  configureStorageGuard: async (settings) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'configureStorageGuard', settings });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Folder backup settings and status: { enabled, folderName, intervalMinutes, keep, lastBackupAt, status, error }
+  fetchFolderBackup: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'getFolderBackup' });
+      return result?.settings || null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Saving with enabled: true also writes a first backup
+  configureFolderBackup: async (settings) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'configureFolderBackup', settings });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  runFolderBackup: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'runFolderBackup' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  disconnectFolderBackup: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'disconnectFolderBackup' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // null stops encrypting new backup files
+  setFolderBackupPassphrase: async (passphrase) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'setFolderBackupPassphrase', passphrase });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Sync settings and devices: { success, settings: { enabled, deviceName, lastSyncAt, status, error, bytes }, deviceId, devices }
+  fetchSyncStatus: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getSyncStatus' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Turning sync on also syncs right away
+  configureSync: async (settings) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'configureSync', settings });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  syncNow: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'syncNow' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // WebDAV sync status: { success, settings: { enabled, url, username, hasPassword, lastSyncAt, status, error, conflicts }, queued }
+  fetchWebDavSync: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'getWebDavSync' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // { url, username, password }; connecting also syncs right away
+  configureWebDavSync: async (settings) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'configureWebDavSync', settings });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  webDavSyncNow: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'webDavSyncNow' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  disconnectWebDavSync: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'disconnectWebDavSync' });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Backup files in the folder, newest first
+  listFolderBackups: async () => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return [];
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'listFolderBackups' });
+      return result?.files || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  // Replaces all intents with the file's; a backup of the current ones is taken first
+  restoreFolderBackup: async (name, passphrase = null) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'restoreFolderBackup', name, passphrase });
+      if (result?.success) await get().initialize();
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Validate an import file and describe what it would change, without writing anything
+  // Encrypted backups answer with needsPassphrase until the right passphrase is given
+  previewImport: async (data, strategy, format, passphrase = null) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      return await chrome.runtime.sendMessage({ action: 'importData', data, options: { strategy, format, passphrase, dryRun: true } });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Apply an import; the result carries the snapshot id that undoImport restores
+  applyImport: async (data, strategy, format, passphrase = null) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'importData', data, options: { strategy, format, passphrase } });
+      if (result?.success) await get().initialize();
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  undoImport: async (snapshotId) => {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'undoImport', snapshotId });
+      if (result?.success) await get().initialize();
+      return result;
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  addTabToFolder: async (folderId, tab) => {
+    const addToFolderRecursive = (folders) =>
+      folders.map((folder) => {
+        if (folder.id === folderId) {
+          return {
+            ...folder,
+            tabs: [...(folder.tabs || []).filter((t) => t.id !== tab.id), tab],
+          };
+        }
+        if (folder.children && folder.children.length > 0) {
+          return {
+            ...folder,
+            children: addToFolderRecursive(folder.children),
+          };
+        }
+        return folder;
+      });
+
+    const folder = get().folders.find((f) => f.id === folderId);
+    set((state) => {
+      const newTabs = [...state.tabs, tab];
       saveToStorage(STORAGE_KEYS.TABS, newTabs);
 
       return {
-        folders: newFolders,
         tabs: newTabs,
-        timeSections: groupTabsByTime(newTabs),
+        timeSections: groupTabsByTime([...newTabs, ...state.timeline]),
       };
-    }),
+    });
+
+    return get().commitProjectChanges(
+      addToFolderRecursive,
+      [{ type: 'addTab', projectId: folderId, tab }],
+      `Add "${tab.title || tab.url}" to "${folder?.name || 'intent'}"`
+    );
+  },
 
   updateTabStatus: (tabId, status) =>
     set((state) => {
@@ -223,7 +903,7 @@ export const useTabStore = create((set, get) => ({
 
       return {
         tabs: newTabs,
-        timeSections: groupTabsByTime(newTabs),
+        timeSections: groupTabsByTime([...newTabs, ...state.timeline]),
       };
     }),
 
@@ -261,7 +941,7 @@ export const useTabStore = create((set, get) => ({
       const savedTabs = chromeTabs
         .filter(tab => tab.url && !tab.url.startsWith('chrome://'))
         .map(tab => ({
-          id: `tab-${tab.id}`,
+          id: createId(),
           chromeId: tab.id,
           title: tab.title || 'Untitled',
           url: tab.url,
@@ -277,10 +957,10 @@ export const useTabStore = create((set, get) => ({
       await saveToStorage(STORAGE_KEYS.TABS, savedTabs);
 
       // Update store
-      set({
+      set((state) => ({
         tabs: savedTabs,
-        timeSections: groupTabsByTime(savedTabs),
-      });
+        timeSections: groupTabsByTime([...savedTabs, ...state.timeline]),
+      }));
 
       return savedTabs;
     } catch (error) {
@@ -291,7 +971,7 @@ export const useTabStore = create((set, get) => ({
   // Add a single tab from Chrome
   addTabFromChrome: async (chromeTab) => {
     const newTab = {
-      id: `tab-${chromeTab.id}`,
+      id: createId(),
       chromeId: chromeTab.id,
       title: chromeTab.title || 'Untitled',
       url: chromeTab.url,
@@ -308,10 +988,10 @@ export const useTabStore = create((set, get) => ({
 
     await saveToStorage(STORAGE_KEYS.TABS, updatedTabs);
 
-    set({
+    set((state) => ({
       tabs: updatedTabs,
-      timeSections: groupTabsByTime(updatedTabs),
-    });
+      timeSections: groupTabsByTime([...updatedTabs, ...state.timeline]),
+    }));
 
     return newTab;
   },
@@ -324,7 +1004,7 @@ export const useTabStore = create((set, get) => ({
 
       return {
         tabs: newTabs,
-        timeSections: groupTabsByTime(newTabs),
+        timeSections: groupTabsByTime([...newTabs, ...state.timeline]),
       };
     }),
 }));
@@ -332,16 +1012,29 @@ export const useTabStore = create((set, get) => ({
 // Hook to initialize store on mount
 export const useInitializeStore = () => {
   const initialize = useTabStore((state) => state.initialize);
+  const loadSettings = useTabStore((state) => state.loadSettings);
+  const loadDwell = useTabStore((state) => state.loadDwell);
+  const refreshTimeline = useTabStore((state) => state.refreshTimeline);
+  const loadSync = useTabStore((state) => state.loadSync);
 
   useEffect(() => {
     initialize();
+    loadSync();
 
     // Listen for storage changes from other parts of the extension
     if (typeof chrome !== 'undefined' && chrome.storage) {
       const handleStorageChange = (changes, areaName) => {
         if (areaName === 'local') {
           Object.keys(changes).forEach((key) => {
-            if (Object.values(STORAGE_KEYS).includes(key)) {
+            if (key === STORAGE_KEYS.SETTINGS) {
+              loadSettings();
+            } else if (key === STORAGE_KEYS.DWELL) {
+              loadDwell();
+            } else if (key === STORAGE_KEYS.TIMELINE) {
+              refreshTimeline();
+            } else if (key === STORAGE_KEYS.SYNC_STATE || key === STORAGE_KEYS.SYNC_SETTINGS) {
+              loadSync();
+            } else if (Object.values(STORAGE_KEYS).includes(key)) {
               initialize(); // Re-sync when storage changes
             }
           });
@@ -354,5 +1047,5 @@ export const useInitializeStore = () => {
         chrome.storage.onChanged.removeListener(handleStorageChange);
       };
     }
-  }, [initialize]);
+  }, [initialize, loadSettings, loadDwell, refreshTimeline, loadSync]);
 };
@@ -87,6 +87,147 @@ global.chrome = {
 };
 
 
+// ─── Extension scripts ─────────────────────────────────────────────────────
+
+// StorageManager and the scripts it needs; most suites start from these
+const STORAGE_SCRIPTS = ["chrome-storage-backend", "snapshot-deltas", "identity", "storage-manager"];
+
+// Classes the scripts look each other up by, as the worker has them after importScripts.
+// CommandLog is left out: StorageManager records undo history when it finds one, so suites opt in.
+const SHARED_CLASSES = ["ChromeStorageBackend", "SnapshotDeltas", "Identity", "SchemaMigrator", "ImportPlanner", "ProjectFormats", "BackupCrypto"];
+
+// Load scripts from scripts/ the way the extension does; each exports its class on window
+function loadScripts(...names) {
+  global.window = global.window || {};
+  names.forEach((name) => require(`../scripts/${name}.js`));
+  SHARED_CLASSES.filter((name) => global.window[name]).forEach((name) => {
+    global[name] = global.window[name];
+  });
+}
+
+// Run scripts/background.js in a context of its own, the way Chrome runs the worker:
+// importScripts loads the other scripts into it, local storage is mockStorage, and
+// every chrome event keeps its listeners so a test can fire it.
+// openTabs are the browser's tabs; chrome.tabs.get rejects for any other id.
+function loadBackground({ openTabs = [] } = {}) {
+  const fs = require("fs");
+  const path = require("path");
+  const vm = require("vm");
+
+  const listeners = {};
+  const event = (name) => ({
+    addListener: (listener) => {
+      listeners[name] = [...(listeners[name] || []), listener];
+    },
+    removeListener: () => {},
+  });
+  const area = () => {
+    const data = {};
+    return {
+      data,
+      get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+      set: jest.fn(async (items) => Object.assign(data, items)),
+      remove: jest.fn(async (key) => delete data[key]),
+    };
+  };
+
+  // Like Chrome, removeAll takes effect in call order and reports back later
+  const menus = new Map();
+  const menuErrors = [];
+  const contextMenus = {
+    removeAll: jest.fn((callback) => {
+      menus.clear();
+      setTimeout(() => callback && callback(), 0);
+    }),
+    create: jest.fn((item) => {
+      if (menus.has(item.id)) {
+        menuErrors.push(`Cannot create item with duplicate id ${item.id}`);
+        return;
+      }
+      menus.set(item.id, item);
+    }),
+    onClicked: event("contextMenus.onClicked"),
+  };
+
+  const tabs = [...openTabs];
+  const api = {
+    storage: { local: chrome.storage.local, session: area(), sync: area(), onChanged: event("storage.onChanged") },
+    runtime: {
+      lastError: null,
+      onInstalled: event("runtime.onInstalled"),
+      onStartup: event("runtime.onStartup"),
+      onMessage: event("runtime.onMessage"),
+      getURL: (file) => `chrome-extension://tab-story/${file}`,
+      getPlatformInfo: async () => ({ os: "linux" }),
+    },
+    tabs: {
+      onCreated: event("tabs.onCreated"),
+      onUpdated: event("tabs.onUpdated"),
+      onRemoved: event("tabs.onRemoved"),
+      onReplaced: event("tabs.onReplaced"),
+      onActivated: event("tabs.onActivated"),
+      get: jest.fn(async (tabId) => {
+        const tab = tabs.find((t) => t.id === tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+      }),
+      query: jest.fn(async () => tabs),
+      sendMessage: jest.fn(async () => ({ success: true })),
+    },
+    windows: {
+      WINDOW_ID_NONE: -1,
+      onFocusChanged: event("windows.onFocusChanged"),
+      onRemoved: event("windows.onRemoved"),
+      getAll: jest.fn(async () => []),
+    },
+    tabGroups: { onUpdated: event("tabGroups.onUpdated"), onRemoved: event("tabGroups.onRemoved"), query: jest.fn(async () => []) },
+    idle: { setDetectionInterval: jest.fn(), onStateChanged: event("idle.onStateChanged") },
+    alarms: { create: jest.fn(), get: jest.fn(async () => undefined), clear: jest.fn(async () => true), onAlarm: event("alarms.onAlarm") },
+    notifications: {
+      create: jest.fn(async (id) => id),
+      clear: jest.fn(async () => true),
+      onClicked: event("notifications.onClicked"),
+      onButtonClicked: event("notifications.onButtonClicked"),
+    },
+    contextMenus,
+    sidePanel: { setPanelBehavior: jest.fn(async () => {}), open: jest.fn(async () => {}) },
+    action: { onClicked: event("action.onClicked") },
+    scripting: { executeScript: jest.fn(async () => [{ result: null }]) },
+  };
+
+  const context = vm.createContext({ chrome: api, console, crypto, URL, setTimeout, clearTimeout, structuredClone, TextEncoder, TextDecoder });
+  const runScript = (file) => {
+    const filename = path.join(__dirname, "../scripts", file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  };
+  context.importScripts = (...files) => files.forEach(runScript);
+  runScript("background.js");
+
+  return {
+    chrome: api,
+    tabs,
+    menus,
+    menuErrors,
+    // Values the worker keeps in its own top-level bindings, e.g. run("storageManager")
+    run: (code) => vm.runInContext(code, context),
+    // Call every listener of an event and wait for what they started
+    fire: (name, ...args) => Promise.all((listeners[name] || []).map((listener) => listener(...args))),
+    // Wait until what the listeners started has reached storage
+    settle: async () => {
+      for (let i = 0; i < 5; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+        await vm.runInContext("withProjectsLock(() => {})", context);
+      }
+    },
+    // Send a message as a page would and wait for the reply
+    send: (message, sender = {}) => new Promise((resolve) => {
+      (listeners["runtime.onMessage"] || []).forEach((listener) => listener(message, sender, resolve));
+    }),
+  };
+}
+
+
+
 // ─── Helper functions used by unit tests ───────────────────────────────────
 
 let _groupIdCounter = 0;
@@ -156,8 +297,8 @@ describe("StorageManager integration", () => {
   let storageManager;
 
   beforeAll(() => {
-    global.window = global.window || {};
-    require("../scripts/storage-manager.js");
+    // Jest has no IndexedDB, so StorageManager falls back to chrome.storage
+    loadScripts(...STORAGE_SCRIPTS);
     StorageManager = global.window.StorageManager;
   });
 
@@ -228,6 +369,12 @@ describe("StorageManager integration", () => {
     expect(finalProjects).toHaveLength(0);
   });
 
+  test("getSettings defaults keep the automatic intent prompt opt-in", async () => {
+    const settings = await storageManager.getSettings();
+    expect(settings.autoIntentPrompt).toBe(false);
+    expect(settings.domainRules).toEqual({});
+  });
+
   test("getStorageUsage returns structured usage object", async () => {
     await storageManager.addProject({ title: "Usage1", intent: "Usage" });
     const usage = await storageManager.getStorageUsage();
@@ -235,8 +382,2278 @@ describe("StorageManager integration", () => {
     expect(usage.usage).toBeDefined();
     expect(typeof usage.usage.total).toBe("number");
   });
+
+  test("measures usage against the quota the same way, and can drop page text but keep summaries", async () => {
+    const navigator = Object.getOwnPropertyDescriptor(global, "navigator");
+    Object.defineProperty(global, "navigator", {
+      value: { storage: { estimate: async () => ({ usage: 3 * 1024 * 1024, quota: 100 * 1024 * 1024 }) } },
+      configurable: true,
+    });
+    chrome.storage.local.getBytesInUse = jest.fn(async () => 1024 * 1024);
+
+    try {
+      const { usage } = await storageManager.getStorageUsage();
+      // IndexedDB as the browser counts it, plus chrome.storage.local, out of the disk-sized quota
+      expect(usage.quotaUsed).toBe(4 * 1024 * 1024);
+      expect(usage.quotaPercentage).toBe(4);
+    } finally {
+      delete chrome.storage.local.getBytesInUse;
+      if (navigator) Object.defineProperty(global, "navigator", navigator);
+      else delete global.navigator;
+    }
+
+    await storageManager.saveSummary("t1", "Short", { type: "ai", content: "The whole page" });
+    await storageManager.saveSummary("t2", "Other", { type: "extract" });
+    expect(await storageManager.dropSummaryContent()).toBe(1);
+    expect(await storageManager.getSummary("t1")).toMatchObject({ summary: "Short", type: "ai" });
+    expect((await storageManager.getSummary("t1")).content).toBeUndefined();
+  });
+
+  test("summaries are stored apart from projects and still exported", async () => {
+    const { project } = await storageManager.addProject({ title: "Docs", intent: "Docs" });
+    const { tab } = await storageManager.addTabToProject(project.id, { title: "Guide", url: "https://example.com/guide" });
+
+    await storageManager.saveSummary(tab.id, "How to get started", { type: "ai" });
+
+    const projects = await storageManager.getProjects();
+    expect(projects[0].tabs[0].summary).toBeUndefined();
+    expect((await storageManager.getSummary(tab.id)).summary).toBe("How to get started");
+
+    const exported = await storageManager.exportData();
+    expect(exported.data.tab_projects).toHaveLength(1);
+    expect(exported.data.tab_summaries[tab.id].type).toBe("ai");
+  });
+
+  test("updateProjects returns the mutator result and skips the write on false", async () => {
+    await storageManager.addProject({ title: "Keep", intent: "Keep" });
+    chrome.storage.local.set.mockClear();
+
+    const skipped = await storageManager.updateProjects(() => false);
+    expect(skipped).toBe(false);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+    const renamed = await storageManager.updateProjects(projects => {
+      projects[0].intent = "Renamed";
+      return { id: projects[0].id };
+    });
+    expect(renamed.id).toBeDefined();
+    expect((await storageManager.getProjects())[0].intent).toBe("Renamed");
+  });
+
+  test("deleteProject moves the project to the trash until it is restored", async () => {
+    const { project } = await storageManager.addProject({ title: "Work", intent: "Work" });
+    jest.setSystemTime(new Date("2020-01-01T00:01:00.000Z"));
+    await storageManager.addTabToProject(project.id, { title: "Docs", url: "https://docs.example.com" });
+    jest.setSystemTime(new Date("2020-01-01T00:02:00.000Z"));
+    const { tab } = await storageManager.addTabToProject(project.id, { title: "Old", url: "https://old.example.com" });
+    await storageManager.updateProject(project.id, { groupId: 3 });
+
+    await storageManager.removeTabFromProject(project.id, tab.id);
+    jest.setSystemTime(new Date("2020-01-03T00:00:00.000Z"));
+    expect((await storageManager.deleteProject(project.id)).success).toBe(true);
+
+    const [deleted] = await storageManager.getProjects();
+    expect(deleted).toMatchObject({ removed: true, removedAt: "2020-01-03T00:00:00.000Z" });
+    expect(deleted.groupId).toBeUndefined();
+
+    const trash = await storageManager.getTrash();
+    expect(trash.retentionDays).toBe(30);
+    expect(trash.items).toEqual([
+      expect.objectContaining({ type: "project", title: "Work", tabCount: 1, daysLeft: 30 }),
+      expect.objectContaining({ type: "tab", tabId: tab.id, title: "Old", projectTitle: "Work", daysLeft: 29 }),
+    ]);
+
+    // Restoring a tab of a deleted project brings the project back with it
+    const restored = await storageManager.restoreFromTrash([{ projectId: project.id, tabId: tab.id }]);
+    expect(restored).toEqual({ success: true, restored: 1 });
+    const [back] = await storageManager.getProjects();
+    expect(back.removed).toBeUndefined();
+    expect(back.tabs.every((t) => !t.removed)).toBe(true);
+    expect((await storageManager.getTrash()).items).toHaveLength(0);
+  });
+
+  test("trash retention comes from settings, and deleteFromTrash purges right away", async () => {
+    mockStorage.user_settings = { trashRetentionDays: 7 };
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Gone", removed: true, removedAt: "2019-12-20T00:00:00.000Z", tabs: [{ id: "t1", url: "https://a.com" }] },
+      {
+        id: "p2",
+        intent: "Kept",
+        tabs: [
+          { id: "t2", url: "https://b.com", removed: true, removedAt: "2019-12-30T00:00:00.000Z" },
+          { id: "t3", url: "https://c.com", removed: true, removedAt: "2019-12-31T00:00:00.000Z" },
+          { id: "t4", url: "https://d.com" },
+        ],
+      },
+      // Written by an older version without a tabs list
+      { id: "p3", intent: "Bare" },
+    ];
+
+    expect((await storageManager.getTrash()).items.map((item) => item.daysLeft)).toEqual([6, 5, 0]);
+
+    const cleanup = await storageManager.cleanupRemovedTabs();
+    expect(cleanup).toEqual({ success: true, purged: 1 });
+    expect(mockStorage.tab_projects.map((p) => p.id)).toEqual(["p2", "p3"]);
+
+    // Only items already in the trash can be deleted for good
+    const deleted = await storageManager.deleteFromTrash([
+      { projectId: "p2", tabId: "t2" },
+      { projectId: "p2", tabId: "t4" },
+      { projectId: "p2" },
+    ]);
+    expect(deleted).toEqual({ success: true, deleted: 1 });
+    expect(mockStorage.tab_projects[0].tabs.map((t) => t.id)).toEqual(["t3", "t4"]);
+
+    // Emptying the trash to free space leaves no copy of it in the undo history
+    loadScripts("command-log", "storage-guard");
+    storageManager.commandLog = new global.window.CommandLog(storageManager);
+    const guard = new global.window.StorageGuard(storageManager, null);
+    expect(await guard.evict("trash", await guard.getSettings())).toBe(1);
+    expect(mockStorage.tab_projects[0].tabs.map((t) => t.id)).toEqual(["t4"]);
+    expect(mockStorage.command_log).toBeUndefined();
+  });
+
+  test("archiveProjects stores projects compactly and drops their summaries", async () => {
+    mockStorage.tab_projects = [
+      {
+        id: "p1",
+        intent: "Trip",
+        groupId: 5,
+        collapsed: true,
+        tabs: [
+          { id: "t1", url: "https://a.com", favicon: "data:image/png;base64,AAAA", chromeTabId: 9, liveStatus: "open" },
+          { id: "t2", url: "https://b.com", favicon: "https://b.com/favicon.ico" },
+        ],
+      },
+    ];
+    await storageManager.saveSummary("t1", "Flights");
+
+    const result = await storageManager.archiveProjects(["p1"]);
+    expect(result).toEqual({ success: true, archived: 1 });
+
+    const [project] = mockStorage.tab_projects;
+    expect(project).toMatchObject({ archived: true, archivedAt: "2020-01-01T00:00:00.000Z" });
+    expect(project.groupId).toBeUndefined();
+    expect(project.collapsed).toBeUndefined();
+    expect(project.tabs).toEqual([
+      { id: "t1", url: "https://a.com" },
+      { id: "t2", url: "https://b.com", favicon: "https://b.com/favicon.ico" },
+    ]);
+    expect(await storageManager.getSummary("t1")).toBeNull();
+
+    jest.setSystemTime(new Date("2020-02-01T00:00:00.000Z"));
+    await storageManager.unarchiveProjects(["p1"]);
+    expect(mockStorage.tab_projects[0].archived).toBeUndefined();
+    expect(mockStorage.tab_projects[0].unarchivedAt).toBe("2020-02-01T00:00:00.000Z");
+  });
+
+  test("autoArchiveProjects archives projects untouched for the configured days", async () => {
+    const old = "2019-10-01T00:00:00.000Z";
+    mockStorage.tab_projects = [
+      { id: "idle", intent: "Idle", createdAt: old, tabs: [{ id: "t1", url: "https://a.com", timestamp: old }] },
+      { id: "recent", intent: "Recent", createdAt: old, tabs: [{ id: "t2", url: "https://b.com", timestamp: "2019-12-20T00:00:00.000Z" }] },
+      { id: "open", intent: "Open", createdAt: old, tabs: [{ id: "t3", url: "https://c.com", timestamp: old, liveStatus: "open" }] },
+      { id: "back", intent: "Back", createdAt: old, unarchivedAt: "2019-12-25T00:00:00.000Z", tabs: [] },
+    ];
+
+    expect(await storageManager.autoArchiveProjects()).toEqual({ success: true, archived: 0 });
+
+    mockStorage.user_settings = { autoArchiveDays: 30 };
+    expect(await storageManager.autoArchiveProjects()).toEqual({ success: true, archived: 1 });
+    expect(mockStorage.tab_projects.filter((p) => p.archived).map((p) => p.id)).toEqual(["idle"]);
+  });
+});
+
+
+describe("IndexedDB migration", () => {
+  let backend;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "idb-backend");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    backend = new global.window.IndexedDBBackend();
+  });
+
+  // Just enough of IndexedDB for one transaction: puts replace by key, count() sees them
+  // and nothing reaches `data` unless the transaction commits. Like IndexedDB, it commits
+  // once a task ends with no request left pending
+  function fakeDatabase({ dropTabs = false } = {}) {
+    const keyPaths = { projects: ["id"], tabs: ["projectId", "id"], snapshots: ["id"], timeline: ["id"], summaries: ["tabId"] };
+    const data = Object.fromEntries(Object.keys(keyPaths).map((name) => [name, new Map()]));
+    const transaction = () => {
+      const pending = Object.fromEntries(Object.keys(data).map((name) => [name, new Map(data[name])]));
+      let aborted = false;
+      let requests = 0;
+      const commitWhenIdle = () => setTimeout(() => {
+        if (aborted || requests > 0) return;
+        Object.assign(data, pending);
+        tx.oncomplete();
+      });
+      const tx = {
+        abort: () => {
+          aborted = true;
+          setTimeout(() => tx.onabort());
+        },
+        objectStore: (name) => ({
+          put: (record) => {
+            if (dropTabs && name === "tabs") return;
+            const key = keyPaths[name].map((path) => record[path]);
+            if (key.some((part) => part === undefined)) throw new Error("DataError");
+            pending[name].set(JSON.stringify(key), record);
+          },
+          count: () => {
+            const request = {};
+            requests++;
+            setTimeout(() => {
+              requests--;
+              request.result = pending[name].size;
+              request.onsuccess();
+              commitWhenIdle();
+            });
+            return request;
+          },
+        }),
+      };
+      commitWhenIdle();
+      return tx;
+    };
+    return { data, transaction };
+  }
+
+  test("copies every record, giving repeated and missing ids their own", async () => {
+    mockStorage.tab_projects = [
+      { id: "1", intent: "Work", tabs: [{ id: 5, url: "https://a.com", summary: "A" }, { id: 5, url: "https://b.com" }] },
+      { id: "1", intent: "Trip", tabs: [{ id: 5, url: "https://c.com", summary: "C" }, { url: "https://d.com" }] },
+      { intent: "No id", tabs: [] },
+    ];
+    mockStorage.session_snapshots = [{ id: "s1", timestamp: 1 }, { id: "s1", timestamp: 2 }];
+    mockStorage.last_session = { id: "s1", timestamp: 2 };
+    mockStorage.timeline_day_2024_01_01 = [{ id: "e1", url: "https://a.com" }, { url: "https://b.com" }];
+    const db = fakeDatabase();
+
+    await backend.migrateFromChromeStorage(db);
+
+    const projectIds = [...db.data.projects.values()].map((p) => p.id);
+    expect(projectIds.slice(0, 2)).toEqual(["1", "1:copy"]);
+    expect(new global.window.Identity().isId(projectIds[2])).toBe(true);
+    const tabs = [...db.data.tabs.values()];
+    expect(tabs.map((t) => [t.projectId, t.id, t.url]).slice(0, 3)).toEqual([
+      ["1", 5, "https://a.com"],
+      ["1", "5:copy", "https://b.com"],
+      ["1:copy", "5:copy2", "https://c.com"],
+    ]);
+    expect(tabs).toHaveLength(4);
+    expect([...db.data.summaries.values()].map((s) => [s.tabId, s.summary])).toEqual([[5, "A"], ["5:copy2", "C"]]);
+    expect(db.data.snapshots.size).toBe(2);
+    expect(db.data.timeline.size).toBe(2);
+    expect(mockStorage.storage_backend).toBe("indexeddb");
+    expect(mockStorage.tab_projects).toBeUndefined();
+    expect(mockStorage.timeline_day_2024_01_01).toBeUndefined();
+  });
+
+  test("keeps the chrome.storage data when fewer records were written than read", async () => {
+    mockStorage.tab_projects = [{ id: "p1", intent: "Work", tabs: [{ id: "t1", url: "https://a.com" }] }];
+    const db = fakeDatabase({ dropTabs: true });
+
+    await expect(backend.migrateFromChromeStorage(db)).rejects.toThrow("(tabs)");
+    expect(db.data.projects.size).toBe(0);
+    expect(mockStorage.storage_backend).toBeUndefined();
+    expect(mockStorage.tab_projects).toHaveLength(1);
+  });
+});
+
+describe("TabGroupSync", () => {
+  let tabGroupSync;
+
+  // Minimal stand-in for the background worker's serialized project writer
+  const updateProjects = async (mutator) => {
+    const result = await chrome.storage.local.get("tab_projects");
+    const projects = result.tab_projects || [];
+    if (mutator(projects) === false) return;
+    await chrome.storage.local.set({ tab_projects: projects });
+  };
+
+  beforeAll(() => {
+    loadScripts("identity", "tab-group-sync");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    tabGroupSync = new global.window.TabGroupSync(updateProjects);
+  });
+
+  test("derives a stable color from the project id", () => {
+    const color = tabGroupSync.getProjectColor({ id: "project-1" });
+    expect(tabGroupSync.COLORS).toContain(color);
+    expect(tabGroupSync.getProjectColor({ id: "project-1" })).toBe(color);
+    expect(tabGroupSync.getProjectColor({ id: "project-1", color: "pink" })).toBe("pink");
+  });
+
+  test("renaming, recoloring and collapsing a group updates its project", async () => {
+    mockStorage.tab_projects = [{ id: "p1", name: "Research", intent: "Research", groupId: 7, tabs: [] }];
+
+    await tabGroupSync.handleGroupUpdated({ id: 7, title: "Thesis", color: "green", collapsed: true });
+
+    const [project] = mockStorage.tab_projects;
+    expect(project.intent).toBe("Thesis");
+    expect(project.name).toBe("Thesis");
+    expect(project.color).toBe("green");
+    expect(project.collapsed).toBe(true);
+  });
+
+  test("moving a tab between groups moves it between projects", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", groupId: 1, tabs: [{ id: "t1", url: "https://a.com", chromeTabId: 42, liveStatus: "open" }] },
+      { id: "p2", intent: "Home", groupId: 2, tabs: [] },
+    ];
+
+    await tabGroupSync.handleTabGroupChanged({ id: 42, groupId: 2, url: "https://a.com", title: "A" });
+
+    const [work, home] = mockStorage.tab_projects;
+    expect(work.tabs[0].removed).toBe(true);
+    expect(home.tabs).toHaveLength(1);
+    expect(home.tabs[0].chromeTabId).toBe(42);
+    expect(home.tabs[0].url).toBe("https://a.com");
+
+    // The same page, already saved and open in another tab, is bound rather than saved twice
+    await tabGroupSync.handleTabGroupChanged({ id: 43, groupId: 2, url: "https://www.a.com/?utm_source=x", title: "A" });
+    expect(mockStorage.tab_projects[1].tabs).toHaveLength(1);
+    expect(mockStorage.tab_projects[1].tabs[0]).toMatchObject({ id: home.tabs[0].id, chromeTabId: 43, liveStatus: "open" });
+
+    // A page saved with the canonical URL it declares is recognised from the URL it was saved at
+    mockStorage.tab_projects[1].tabs[0].canonicalUrl = "https://a.com/article";
+    await tabGroupSync.handleTabGroupChanged({ id: 44, groupId: 2, url: "https://a.com", title: "A" });
+    expect(mockStorage.tab_projects[1].tabs).toHaveLength(1);
+    expect(mockStorage.tab_projects[1].tabs[0].chromeTabId).toBe(44);
+  });
+});
+
+
+describe("DwellTracker", () => {
+  let dwellTracker;
+
+  const projects = [
+    {
+      id: "p1",
+      intent: "Research",
+      tabs: [
+        { id: "t1", url: "https://a.com", chromeTabId: 5, liveStatus: "open" },
+        { id: "t2", url: "https://b.com", chromeTabId: null, liveStatus: "closed" },
+      ],
+    },
+  ];
+
+  beforeAll(() => {
+    loadScripts("dwell-tracker");
+  });
+
+  beforeEach(() => {
+    dwellTracker = new global.window.DwellTracker();
+  });
+
+  test("credits active time to the saved tab and its project for the day", () => {
+    const dwell = { tabs: {}, days: {} };
+    const date = new Date(2024, 2, 9, 12);
+
+    expect(dwellTracker.recordActiveTime(dwell, projects, 5, 90, date)).toBe(true);
+    dwellTracker.recordActiveTime(dwell, projects, 5, 30, date);
+
+    expect(dwell.tabs).toEqual({ t1: 120 });
+    expect(dwell.days["2024-03-09"]).toEqual({ p1: 120 });
+  });
+
+  test("ignores tabs that are not saved and drops days past retention", () => {
+    const date = new Date(2024, 2, 20, 12);
+    const dwell = { tabs: { gone: 10 }, days: { "2024-03-01": { p1: 60 } } };
+
+    expect(dwellTracker.recordActiveTime(dwell, projects, 99, 60, date)).toBe(false);
+
+    dwellTracker.recordActiveTime(dwell, projects, 5, 60, date);
+    expect(Object.keys(dwell.days)).toEqual(["2024-03-20"]);
+    expect(dwell.tabs).toEqual({ t1: 60 });
+  });
+});
+
+
+describe("TimelineStore", () => {
+  let timelineStore;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeAll(() => {
+    loadScripts("timeline-store");
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 2, 20, 12));
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    timelineStore = new global.window.TimelineStore();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("pages through events newest first across days", async () => {
+    const now = Date.now();
+    for (let i = 0; i < 5; i++) {
+      timelineStore.record("navigated", { id: 1, url: `https://a.com/${i}`, title: `A${i}` }, now - i * DAY);
+    }
+    await timelineStore.flush();
+
+    const first = await timelineStore.query({ limit: 2 });
+    expect(first.events.map((e) => e.title)).toEqual(["A0", "A1"]);
+
+    const second = await timelineStore.query({ limit: 2, cursor: first.cursor });
+    expect(second.events.map((e) => e.title)).toEqual(["A2", "A3"]);
+
+    const last = await timelineStore.query({ limit: 2, cursor: second.cursor });
+    expect(last.events.map((e) => e.title)).toEqual(["A4"]);
+    expect(last.cursor).toBeNull();
+  });
+
+  test("filters by domain and event type", async () => {
+    timelineStore.record("opened", { id: 1, url: "https://www.a.com/", title: "A" });
+    timelineStore.record("activated", { id: 1, url: "https://www.a.com/", title: "A" });
+    timelineStore.record("opened", { id: 2, url: "https://b.com/", title: "B" });
+    timelineStore.record("opened", { id: 3, url: "chrome://newtab/", title: "New Tab" });
+    await timelineStore.flush();
+
+    const { events } = await timelineStore.query({ domain: "a.com", types: ["opened"] });
+    expect(events).toHaveLength(1);
+    expect(events[0].title).toBe("A");
+    expect(mockStorage.timeline_index.domains["b.com"]).toEqual(["2024-03-20"]);
+  });
+
+  test("drops days older than the retention setting", async () => {
+    mockStorage.user_settings = { timelineRetentionDays: 7 };
+    timelineStore.record("navigated", { id: 1, url: "https://old.com/", title: "Old" }, Date.now() - 10 * DAY);
+    timelineStore.record("navigated", { id: 1, url: "https://new.com/", title: "New" });
+    await timelineStore.flush();
+
+    expect(Object.keys(mockStorage.timeline_index.days)).toEqual(["2024-03-20"]);
+    expect(mockStorage.timeline_index.domains["old.com"]).toBeUndefined();
+    expect(mockStorage["timeline_day_2024-03-10"]).toBeUndefined();
+  });
+});
+
+
+describe("SchemaMigrator", () => {
+  let migrator;
+  let storageManager;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "command-log", "timeline-store", "schema-migrator");
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 2, 20, 12));
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+    migrator = new global.window.SchemaMigrator(
+      (mutator, options) => storageManager.updateProjects(mutator, options),
+      new global.window.TimelineStore(),
+      storageManager
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("normalizes side panel and popup records into one schema", async () => {
+    mockStorage.tab_projects = [
+      {
+        id: "folder-1",
+        name: "Trip planning",
+        icon: "folder",
+        expanded: true,
+        tabs: [{ id: "tab-7", chromeId: 7, title: "Flights", url: "https://flights.example", timestamp: 1710936000000, active: true }],
+      },
+      { id: 42, title: "Research", intent: "Research", tabs: [{ id: "1", title: "", url: "https://a.example" }, { id: "2", title: "Broken" }] },
+    ];
+    mockStorage.tab_timeline = [{ tabId: 3, url: "https://old.example", title: "Old", timestamp: new Date(2024, 2, 19).toISOString() }];
+
+    const result = await migrator.migrate();
+    expect(result).toEqual({ success: true, version: "2.1.0", applied: ["1.2.0", "2.0.0", "2.1.0"] });
+    expect(mockStorage.schema_version).toBe("2.1.0");
+    expect(mockStorage.tab_timeline).toBeUndefined();
+
+    const identity = new global.window.Identity();
+    const [trip, research] = await storageManager.getProjects();
+    expect(trip).toMatchObject({ id: identity.deriveId("project:folder-1"), title: "Trip planning", intent: "Trip planning", section: "today" });
+    expect(trip.name).toBeUndefined();
+    expect(trip.expanded).toBeUndefined();
+    expect(trip.tabs[0]).toEqual({
+      id: identity.deriveId("tab:folder-1:tab-7"),
+      title: "Flights",
+      url: "https://flights.example",
+      favicon: "🔗",
+      timestamp: new Date(1710936000000).toISOString(),
+    });
+
+    expect(research.id).toBe(identity.deriveId("project:42"));
+    expect(research.tabs).toHaveLength(1);
+    expect(research.tabs[0].title).toBe("Untitled");
+  });
+
+  test("re-keys old ids the same way every time and carries what refers to them along", async () => {
+    const kept = "0b6b7f1e-2c4d-4e8a-9f10-3a5b6c7d8e9f";
+    mockStorage.tab_projects = [
+      {
+        id: "1710936000000",
+        title: "Work",
+        intent: "Work",
+        section: "today",
+        createdAt: "2024-03-20T12:00:00.000Z",
+        tabs: [
+          { id: "tab-7", title: "Docs", url: "https://a.com", favicon: "🔗", timestamp: "2024-03-20T12:00:00.000Z" },
+          { id: "tab-7", title: "Mail", url: "https://b.com", favicon: "🔗", timestamp: "2024-03-20T12:00:00.000Z" },
+          { id: kept, title: "Kept", url: "https://c.com", favicon: "🔗", timestamp: "2024-03-20T12:00:00.000Z" },
+        ],
+      },
+    ];
+    mockStorage.schema_version = "2.0.0";
+    mockStorage.tab_summaries = { "tab-7": { tabId: "tab-7", summary: "Docs in short" } };
+    mockStorage.tab_dwell = { tabs: { "tab-7": 30, [kept]: 5 }, days: { "2024-03-20": { "1710936000000": 35 } } };
+    mockStorage.command_log = {
+      entries: [{
+        id: "e1", label: "Create", undone: false, order: null,
+        changes: [{ projectId: "1710936000000", title: "Work", before: null, after: { id: "1710936000000", tabs: [{ id: "tab-7" }] } }],
+      }],
+      redo: [],
+    };
+    storageManager.commandLog = new global.window.CommandLog(storageManager);
+
+    expect((await migrator.migrate()).applied).toEqual(["2.1.0"]);
+
+    const identity = new global.window.Identity();
+    const projectId = identity.deriveId("project:1710936000000");
+    const docsId = identity.deriveId("tab:1710936000000:tab-7");
+    const [work] = await storageManager.getProjects();
+    expect(work.id).toBe(projectId);
+    expect(work.tabs.map((t) => t.id)).toEqual([docsId, identity.deriveId("tab:1710936000000:tab-7:2"), kept]);
+    work.tabs.forEach((t) => expect(identity.isId(t.id)).toBe(true));
+
+    expect(mockStorage.tab_summaries).toEqual({ [docsId]: { tabId: docsId, summary: "Docs in short" } });
+    expect(mockStorage.tab_dwell).toEqual({ tabs: { [docsId]: 30, [kept]: 5 }, days: { "2024-03-20": { [projectId]: 35 } } });
+    const [change] = mockStorage.command_log.entries[0].changes;
+    expect(change.projectId).toBe(projectId);
+    expect(change.after).toEqual({ id: projectId, tabs: [{ id: docsId }] });
+    // The migration itself is not an edit to undo
+    expect(mockStorage.command_log.entries).toHaveLength(1);
+  });
+
+  test("gives projects that share an old id, and their tabs, ids of their own", async () => {
+    const tab = (url) => ({ id: "tab-7", title: "Docs", url, favicon: "🔗", timestamp: "2024-03-20T12:00:00.000Z" });
+    mockStorage.tab_projects = [
+      { id: "1", title: "Work", intent: "Work", section: "today", createdAt: "2024-03-20T12:00:00.000Z", tabs: [tab("https://a.com")] },
+      { id: "1", title: "Trip", intent: "Trip", section: "today", createdAt: "2024-03-20T12:00:00.000Z", tabs: [tab("https://b.com")] },
+    ];
+    mockStorage.schema_version = "2.0.0";
+    mockStorage.command_log = {
+      entries: [{
+        id: "e1", label: "Create", undone: false, order: null,
+        changes: [{ projectId: "1", title: "Work", before: null, after: { id: "1", tabs: [{ id: "tab-7" }] } }],
+      }],
+      redo: [],
+    };
+    storageManager.commandLog = new global.window.CommandLog(storageManager);
+
+    await migrator.migrate();
+
+    const identity = new global.window.Identity();
+    const [work, trip] = await storageManager.getProjects();
+    expect(work.id).toBe(identity.deriveId("project:1"));
+    expect(trip.id).toBe(identity.deriveId("project:1:2"));
+    expect(work.tabs[0].id).toBe(identity.deriveId("tab:1:tab-7"));
+    expect(trip.tabs[0].id).toBe(identity.deriveId("tab:1:tab-7:2"));
+    // The undo history follows the tab of the project it was logged for
+    const [change] = mockStorage.command_log.entries[0].changes;
+    expect(change.after).toEqual({ id: work.id, tabs: [{ id: work.tabs[0].id }] });
+  });
+
+  test("only runs migrations newer than the recorded version", async () => {
+    mockStorage.schema_version = "2.1.0";
+    mockStorage.tab_projects = [{ id: "1", name: "Left alone", tabs: [] }];
+
+    const result = await migrator.migrate();
+    expect(result.applied).toEqual([]);
+    expect((await storageManager.getProjects())[0].name).toBe("Left alone");
+  });
+
+  test("stops at a failing migration and keeps the last good version", async () => {
+    migrator.MIGRATIONS[1].run = () => Promise.reject(new Error("disk full"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await migrator.migrate();
+    expect(result).toEqual({ success: false, error: "disk full" });
+    expect(mockStorage.schema_version).toBe("1.2.0");
+
+    console.error.mockRestore();
+  });
+});
+
+describe("Import", () => {
+  let storageManager;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "schema-migrator", "import-planner", "project-formats", "backup-crypto");
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2024-03-20T12:00:00.000Z"));
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+    mockStorage.tab_projects = [
+      { id: "1", title: "Research", intent: "Research", tabs: [{ id: "a", title: "A", url: "https://a.example" }] },
+    ];
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  const file = {
+    data: {
+      tab_projects: [
+        { id: "1", title: "Research", intent: "research", tabs: [{ id: "a", url: "https://a.example" }, { id: "b", url: "https://b.example" }] },
+        { id: "9", name: "Travel", tabs: [{ id: "t", url: "https://t.example" }, { id: "x", url: "javascript:alert(1)" }] },
+        { id: "10", intent: "Travel", tabs: [{ id: "u", url: "https://u.example" }] },
+        "not a project",
+      ],
+    },
+  };
+
+  test("rejects files without projects and writes nothing", async () => {
+    const result = await storageManager.importData({ user_settings: {} });
+    expect(result.success).toBe(false);
+    expect(mockStorage.tab_projects).toHaveLength(1);
+  });
+
+  test("dry run reports the diff without writing", async () => {
+    const result = await storageManager.importData(file, { strategy: "merge", dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.diff.updated).toEqual([{ intent: "Research", addedTabs: 1, tabCount: 2 }]);
+    expect(result.diff.added).toEqual([{ intent: "Travel", tabCount: 2 }]);
+    expect(result.diff.merged).toEqual(["Travel"]);
+    expect(result.diff.dropped.map((d) => d.kind)).toEqual(["tab", "project"]);
+    expect(mockStorage.tab_projects[0].tabs).toHaveLength(1);
+  });
+
+  test("keep-both renames clashing intents and replace drops the rest", async () => {
+    const keepBoth = await storageManager.importData(file, { strategy: "keep-both", dryRun: true });
+    expect(keepBoth.diff.added.map((p) => p.intent)).toEqual(["research (imported)", "Travel"]);
+
+    const replace = await storageManager.importData(
+      { tab_projects: [{ id: "5", intent: "Other", tabs: [] }] },
+      { strategy: "replace", dryRun: true }
+    );
+    expect(replace.diff.removed).toEqual([{ intent: "Research", tabCount: 1 }]);
+  });
+
+  test("OneTab text is parsed into projects before planning", async () => {
+    const result = await storageManager.importData("https://a.example | A\nhttps://c.example | C\n", {
+      format: "onetab",
+      dryRun: true,
+    });
+    expect(result.diff.added).toEqual([{ intent: "OneTab 1", tabCount: 2 }]);
+  });
+
+  test("applying snapshots first so the import can be undone", async () => {
+    const result = await storageManager.importData(file, { strategy: "replace" });
+    expect(result.success).toBe(true);
+    expect((await storageManager.getProjects()).map((p) => p.intent)).toEqual(["research", "Travel"]);
+
+    const undo = await storageManager.undoImport(result.snapshotId);
+    expect(undo.success).toBe(true);
+    const restored = await storageManager.getProjects();
+    expect(restored.map((p) => p.intent)).toEqual(["Research"]);
+    expect(restored[0].tabs).toHaveLength(1);
+  });
+});
+
+describe("ProjectFormats", () => {
+  let formats;
+  const projects = [
+    {
+      id: "1",
+      intent: "Read <later>",
+      createdAt: "2024-03-20T12:00:00.000Z",
+      tabs: [
+        { id: "a", title: "Post, with \"quotes\"", url: "https://a.example/?x=1&y=2", timestamp: "2024-03-20T12:00:00.000Z", notes: "=SUM(1)" },
+        { id: "b", title: "Gone", url: "https://b.example", removed: true },
+      ],
+    },
+    { id: "2", intent: "Travel", tabs: [{ id: "t", title: "Flights", url: "https://t.example" }] },
+  ];
+
+  beforeAll(() => {
+    loadScripts("project-formats");
+  });
+
+  beforeEach(() => {
+    formats = new global.window.ProjectFormats();
+  });
+
+  test("bookmarks HTML round-trips one folder per intent", () => {
+    const html = formats.export("bookmarks-html", projects);
+    expect(html).toContain("<H3 ADD_DATE=\"1710936000\">Read &lt;later&gt;</H3>");
+    expect(html).not.toContain("Gone");
+
+    const parsed = formats.parse("bookmarks-html", html);
+    expect(parsed.map((p) => p.intent)).toEqual(["Read <later>", "Travel"]);
+    expect(parsed[0].tabs[0]).toEqual({
+      title: "Post, with \"quotes\"",
+      url: "https://a.example/?x=1&y=2",
+      timestamp: 1710936000000,
+    });
+  });
+
+  test("nested bookmark folders are named by path", () => {
+    const html = `<DL><p>
+      <DT><A HREF="https://loose.example">Loose</A>
+      <DT><H3>Work</H3>
+      <DL><p>
+        <DT><H3>Reading</H3>
+        <DL><p><DT><A HREF="https://r.example">R</A></DL><p>
+      </DL><p>
+    </DL><p>`;
+    expect(formats.fromBookmarksHtml(html).map((p) => [p.intent, p.tabs.length])).toEqual([
+      ["Imported bookmarks", 1],
+      ["Work / Reading", 1],
+    ]);
+  });
+
+  test("CSV has one row per tab and neutralizes formulas", () => {
+    const csv = formats.export("csv", projects, { a: { summary: "Short" } }).trim().split("\r\n");
+    expect(csv[0]).toBe("intent,title,url,saved_at,notes,summary");
+    expect(csv).toHaveLength(3);
+    expect(csv[1]).toBe('Read <later>,"Post, with ""quotes""",https://a.example/?x=1&y=2,2024-03-20T12:00:00.000Z,\'=SUM(1),Short');
+  });
+
+  test("Markdown lists tabs with summaries and notes", () => {
+    const markdown = formats.export("markdown", projects, { a: { summary: "Short" } });
+    expect(markdown).toContain("## Travel");
+    expect(markdown).toContain("- [Flights](<https://t.example>)");
+    expect(markdown).toContain("  - Summary: Short");
+    expect(markdown).toContain("  - Notes: =SUM(1)");
+  });
+
+  test("OneTab text round-trips groups", () => {
+    const text = formats.export("onetab", projects);
+    expect(text).toBe("https://a.example/?x=1&y=2 | Post, with \"quotes\"\n\nhttps://t.example | Flights\n");
+
+    const parsed = formats.parse("onetab", text);
+    expect(parsed.map((p) => p.intent)).toEqual(["OneTab 1", "OneTab 2"]);
+    expect(parsed[1].tabs).toEqual([{ title: "Flights", url: "https://t.example" }]);
+  });
 });
 
+describe("Session snapshots", () => {
+  let storageManager;
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS);
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2024-03-20T12:00:00.000Z"));
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  const manyTabs = (prefix) =>
+    Array.from({ length: 20 }, (_, i) => ({ id: `${prefix}${i}`, title: `Tab ${i}`, url: `https://${prefix}.example/${i}` }));
+
+  test("points the last session at the newest snapshot left after deleting snapshots", async () => {
+    const backend = storageManager.backend;
+    await backend.putSnapshot({ id: "s1", timestamp: "2024-03-18T12:00:00.000Z" });
+    await backend.putSnapshot({ id: "s2", timestamp: "2024-03-19T12:00:00.000Z" });
+    expect(mockStorage.last_session.id).toBe("s2");
+
+    await backend.deleteSnapshots(["s2"]);
+    expect(mockStorage.last_session.id).toBe("s1");
+    await backend.deleteSnapshots(["s1"]);
+    expect(mockStorage.last_session).toBeUndefined();
+    expect(await backend.getLatestSnapshot()).toBeNull();
+  });
+
+  test("stores later snapshots as deltas and restores any point", async () => {
+    mockStorage.tab_projects = [
+      { id: "1", intent: "Work", tabs: manyTabs("w") },
+      { id: "2", intent: "Home", tabs: manyTabs("h") },
+    ];
+    const first = await storageManager.createSessionSnapshot("auto");
+    expect(first.snapshot.kind).toBe("full");
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    mockStorage.tab_projects[0].tabs[3].title = "Edited";
+    mockStorage.tab_projects.pop();
+    const second = await storageManager.createSessionSnapshot("auto");
+
+    expect(second.snapshot.kind).toBe("delta");
+    expect(second.snapshot.baseId).toBe(first.snapshot.id);
+    expect(Object.keys(second.snapshot.delta.changed["1"].tabs)).toEqual(["w3"]);
+
+    await storageManager.restoreSession(first.snapshot.id);
+    expect((await storageManager.getProjects()).map((p) => p.intent)).toEqual(["Work", "Home"]);
+
+    await storageManager.restoreSession(second.snapshot.id);
+    const restored = await storageManager.getProjects();
+    expect(restored).toHaveLength(1);
+    expect(restored[0].tabs[3].title).toBe("Edited");
+    expect(restored[0].tabs).toHaveLength(20);
+  });
+
+  test("skips an auto snapshot identical to the previous one", async () => {
+    mockStorage.tab_projects = [{ id: "1", intent: "Work", tabs: manyTabs("w") }];
+    await storageManager.createSessionSnapshot("auto");
+    jest.advanceTimersByTime(5 * 60 * 1000);
+
+    const again = await storageManager.createSessionSnapshot("auto");
+    expect(again.skipped).toBe(true);
+    expect(await storageManager.getSessionSnapshots()).toHaveLength(1);
+  });
+
+  test("compares a snapshot with now and restores only the picked items", async () => {
+    mockStorage.tab_projects = [
+      { id: "1", intent: "Work", tabs: [{ id: "a", title: "A", url: "https://a.example" }, { id: "b", title: "B", url: "https://b.example" }] },
+      { id: "2", intent: "Home", tabs: [{ id: "h", title: "H", url: "https://h.example" }] },
+    ];
+    const { snapshot } = await storageManager.createSessionSnapshot("manual");
+
+    mockStorage.tab_projects = [
+      {
+        id: "1",
+        intent: "Job",
+        tabs: [
+          { id: "a", title: "A2", url: "https://a.example" },
+          { id: "b", title: "B", url: "https://b.example", removed: true },
+          { id: "n", title: "New", url: "https://n.example" },
+        ],
+      },
+    ];
+
+    const { diff } = await storageManager.compareSnapshot(snapshot.id);
+    expect(diff.map((p) => [p.id, p.status])).toEqual([["1", "renamed"], ["2", "removed"]]);
+    expect(diff[0].previousIntent).toBe("Work");
+    expect(diff[0].tabs.removed.map((t) => t.id)).toEqual(["b"]);
+    expect(diff[0].tabs.renamed).toEqual([{ id: "a", title: "A2", url: "https://a.example", previousTitle: "A" }]);
+    expect(diff[0].tabs.added.map((t) => t.id)).toEqual(["n"]);
+
+    const result = await storageManager.restoreFromSnapshot(snapshot.id, {
+      projectIds: ["2"],
+      tabs: [{ projectId: "1", tabId: "b" }],
+    });
+    expect(result.restoredCount).toBe(3);
+
+    const projects = await storageManager.getProjects();
+    expect(projects.map((p) => p.intent)).toEqual(["Job", "Home"]);
+    expect(projects[0].tabs.map((t) => [t.id, t.title, !!t.removed])).toEqual([
+      ["a", "A2", false],
+      ["b", "B", false],
+      ["n", "New", false],
+    ]);
+    expect(projects[1].tabs).toHaveLength(1);
+  });
+
+  test("stops a restore whose backup fails and reports a restore that was not saved", async () => {
+    mockStorage.tab_projects = [{ id: "1", intent: "Work", tabs: [{ id: "a", title: "A", url: "https://a.example" }] }];
+    const { snapshot } = await storageManager.createSessionSnapshot("manual");
+    mockStorage.tab_projects = [{ id: "1", intent: "Job", tabs: [] }];
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const createSnapshot = jest.spyOn(storageManager, "createSessionSnapshot").mockResolvedValue({ success: false });
+    expect(await storageManager.restoreFromSnapshot(snapshot.id, { projectIds: ["1"] }))
+      .toEqual({ success: false, error: "Could not back up current data before restoring" });
+    expect(mockStorage.tab_projects[0].intent).toBe("Job");
+    createSnapshot.mockRestore();
+
+    jest.spyOn(storageManager.backend, "saveProjects").mockRejectedValueOnce(new Error("Quota exceeded"));
+    const result = await storageManager.restoreSession(snapshot.id);
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe("Quota exceeded");
+    expect(mockStorage.tab_projects[0].intent).toBe("Job");
+    error.mockRestore();
+  });
+
+  test("keeps hourly for a day, daily for a week and weekly for a month", () => {
+    const deltas = new global.window.SnapshotDeltas();
+    const now = new Date("2024-03-20T12:30:00.000Z").getTime();
+    const at = (id, ago, extra = {}) => ({ id, timestamp: new Date(now - ago).toISOString(), type: "auto", ...extra });
+
+    const snapshots = [
+      at("latest", 0, { kind: "delta", baseId: "base" }),
+      at("same-hour", 10 * 60 * 1000),
+      at("hours-ago", 5 * HOUR),
+      at("day-2a", 2 * DAY),
+      at("day-2b", 2 * DAY + 60 * 1000),
+      at("week-2", 14 * DAY),
+      at("import", 20 * DAY, { type: "pre-import" }),
+      at("base", 40 * DAY, { kind: "full" }),
+      at("too-old", 45 * DAY),
+    ];
+
+    const kept = deltas.selectRetained(snapshots, now);
+    expect([...kept].sort()).toEqual(["base", "day-2a", "hours-ago", "import", "latest", "week-2"]);
+  });
+});
+
+describe("CrashRecovery", () => {
+  let storageManager;
+  let crashRecovery;
+  let sessionStorage;
+
+  const updateProjects = async (mutator) => {
+    const result = await chrome.storage.local.get("tab_projects");
+    const projects = result.tab_projects || [];
+    if (mutator(projects) === false) return;
+    await chrome.storage.local.set({ tab_projects: projects });
+  };
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "crash-recovery");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    sessionStorage = {};
+    chrome.storage.session = {
+      get: jest.fn(async (key) => ({ [key]: sessionStorage[key] })),
+      set: jest.fn(async (items) => Object.assign(sessionStorage, items)),
+    };
+    chrome.windows = {
+      getAll: jest.fn(async () => [{
+        focused: true,
+        state: "normal",
+        tabs: [
+          { id: 42, url: "https://a.com", title: "A", groupId: 3, pinned: false, active: true },
+          { id: 43, url: "chrome://settings", title: "Settings", groupId: -1 },
+        ],
+      }]),
+    };
+    chrome.tabGroups = { query: jest.fn(async () => [{ id: 3, title: "Work", color: "blue", collapsed: false }]) };
+    chrome.alarms = { create: jest.fn() };
+    chrome.notifications = { create: jest.fn(async () => "crash-recovery") };
+    chrome.runtime.getURL = jest.fn((path) => path);
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+    crashRecovery = new global.window.CrashRecovery(storageManager, updateProjects);
+  });
+
+  afterAll(() => {
+    delete chrome.storage.session;
+    delete chrome.windows;
+    delete chrome.tabGroups;
+    delete chrome.alarms;
+    delete chrome.notifications;
+    delete chrome.runtime.getURL;
+  });
+
+  test("heartbeats record the open windows with groups and saved tabs", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", tabs: [{ id: "t1", url: "https://a.com", chromeTabId: 42, liveStatus: "open" }] },
+    ];
+
+    await crashRecovery.heartbeat();
+    expect(mockStorage.session_state).toBeUndefined();
+
+    await crashRecovery.start();
+    const state = mockStorage.session_state;
+    expect(state.active).toBe(true);
+    expect(state.windows).toHaveLength(1);
+    expect(state.windows[0].tabs).toEqual([{
+      url: "https://a.com",
+      title: "A",
+      pinned: false,
+      active: true,
+      group: { title: "Work", color: "blue", collapsed: false },
+      saved: [{ projectId: "p1", tabId: "t1" }],
+    }]);
+  });
+
+  test("offers to reopen a session that never closed its last window", async () => {
+    mockStorage.session_state = {
+      active: true,
+      lastUpdate: "2024-03-20T12:00:00.000Z",
+      windows: [{ focused: true, tabs: [{ url: "https://a.com", saved: [] }, { url: "https://b.com", saved: [] }] }],
+    };
+
+    await crashRecovery.handleStartup();
+
+    expect(mockStorage.crash_recovery.windows).toHaveLength(1);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      "crash-recovery",
+      expect.objectContaining({ message: expect.stringContaining("2 tabs from 1 window") })
+    );
+  });
+
+  test("does not prompt after a clean shutdown", async () => {
+    mockStorage.tab_projects = [];
+    await crashRecovery.start();
+    expect(mockStorage.session_state.active).toBe(true);
+
+    chrome.windows.getAll.mockResolvedValueOnce([]);
+    await crashRecovery.handleWindowRemoved();
+    expect(mockStorage.session_state.closedNormally).toBe(true);
+
+    sessionStorage = {};
+    await crashRecovery.handleStartup();
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    expect(mockStorage.crash_recovery).toBeUndefined();
+  });
+});
+
+
+describe("BackupCrypto", () => {
+  let backupCrypto;
+  let storageManager;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "schema-migrator", "import-planner", "backup-crypto");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    // Keep key derivation quick in tests
+    global.BackupCrypto = class extends global.window.BackupCrypto {
+      constructor() {
+        super();
+        this.KDF.iterations = 1000;
+      }
+    };
+    backupCrypto = new global.BackupCrypto();
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+  });
+
+  afterAll(() => {
+    global.BackupCrypto = global.window.BackupCrypto;
+  });
+
+  test("round-trips data and rejects a wrong passphrase or edited header", async () => {
+    const envelope = await backupCrypto.encrypt({ secret: "notes" }, "correct horse");
+
+    expect(envelope.format).toBe("tab-story-encrypted");
+    expect(envelope.version).toBe(1);
+    expect(JSON.stringify(envelope)).not.toContain("notes");
+    expect(await backupCrypto.decrypt(envelope, "correct horse")).toEqual({ secret: "notes" });
+
+    await expect(backupCrypto.decrypt(envelope, "wrong")).rejects.toMatchObject({ code: "wrong-passphrase" });
+    const edited = { ...envelope, kdf: { ...envelope.kdf, iterations: 999 } };
+    await expect(backupCrypto.decrypt(edited, "correct horse")).rejects.toMatchObject({ code: "wrong-passphrase" });
+  });
+
+  test("encrypted exports import only with the right passphrase", async () => {
+    mockStorage.tab_projects = [{ id: "1", title: "Work", intent: "Work", tabs: [{ id: "t1", title: "A", url: "https://a.com" }] }];
+    const exported = await storageManager.exportData({ passphrase: "pass" });
+    expect(exported.encrypted).toBe(true);
+    expect(JSON.stringify(exported.data)).not.toContain("https://a.com");
+
+    mockStorage.tab_projects = [];
+    const locked = await storageManager.importData(exported.data, { strategy: "replace" });
+    expect(locked.success).toBe(false);
+    expect(locked.needsPassphrase).toBe(true);
+
+    const wrong = await storageManager.importData(exported.data, { strategy: "replace", passphrase: "nope" });
+    expect(wrong.error).toMatch(/Wrong passphrase/);
+
+    const result = await storageManager.importData(exported.data, { strategy: "replace", passphrase: "pass" });
+    expect(result.success).toBe(true);
+    expect((await storageManager.getProjects())[0].tabs[0].url).toBe("https://a.com");
+  });
+});
+
+
+describe("FolderBackup", () => {
+  let storageManager;
+  let folderBackup;
+  let directory;
+
+  // In-memory stand-in for a FileSystemDirectoryHandle
+  const createDirectory = (permission = "granted") => {
+    const files = new Map();
+    return {
+      files,
+      name: "Backups",
+      queryPermission: jest.fn(async () => permission),
+      getFileHandle: jest.fn(async (name, { create } = {}) => {
+        if (!files.has(name) && !create) throw new Error("NotFoundError");
+        const file = {
+          kind: "file",
+          getFile: async () => ({ text: async () => files.get(name), lastModified: Date.now(), size: files.get(name).length }),
+          createWritable: async () => ({ write: async (text) => files.set(name, text), close: async () => {} }),
+        };
+        return file;
+      }),
+      removeEntry: jest.fn(async (name) => files.delete(name)),
+      async *entries() {
+        for (const name of files.keys()) yield [name, await this.getFileHandle(name)];
+      },
+    };
+  };
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "schema-migrator", "import-planner", "folder-backup");
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2024-03-20T12:00:00.000Z"));
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.folder_backup = { enabled: true, folderName: "Backups", keep: 2 };
+    mockStorage.tab_projects = [{ id: "1", title: "Work", intent: "Work", tabs: [{ id: "t1", title: "A", url: "https://a.com" }] }];
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+    folderBackup = new global.window.FolderBackup(storageManager);
+    directory = createDirectory();
+    folderBackup.getHandle = jest.fn(async () => directory);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test("writes snapshots to the folder and keeps only the newest files", async () => {
+    for (const title of ["B", "C", "D"]) {
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      mockStorage.tab_projects[0].tabs.push({ id: `t-${title}`, title, url: `https://${title}.com` });
+      expect((await folderBackup.runBackup()).success).toBe(true);
+    }
+
+    const names = [...directory.files.keys()].sort();
+    expect(names).toEqual([
+      "tab-story-backup-2024-03-20T14-00-00-000Z.json",
+      "tab-story-backup-2024-03-20T15-00-00-000Z.json",
+    ]);
+    const file = JSON.parse(directory.files.get(names[1]));
+    expect(file.format).toBe("tab-story-snapshot");
+    expect(file.snapshot.projects[0].tabs).toHaveLength(4);
+    expect(file.snapshot.delta).toBeUndefined();
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect((await folderBackup.runBackup()).skipped).toBe(true);
+    expect(directory.files.size).toBe(2);
+  });
+
+  test("restores projects from a backup file after backing up the current ones", async () => {
+    await folderBackup.runBackup();
+    const [name] = directory.files.keys();
+    mockStorage.tab_projects = [{ id: "2", title: "Home", intent: "Home", tabs: [] }];
+
+    jest.advanceTimersByTime(1000);
+    const result = await folderBackup.restore(name);
+
+    expect(result.success).toBe(true);
+    expect(result.tabCount).toBe(1);
+    expect((await storageManager.getProjects()).map((p) => p.intent)).toEqual(["Work"]);
+    expect((await storageManager.getSessionSnapshots())[0].type).toBe("pre-restore");
+  });
+
+  test("reports when the folder needs permission again", async () => {
+    directory = createDirectory("prompt");
+
+    const result = await folderBackup.runBackup();
+
+    expect(result.success).toBe(false);
+    expect(mockStorage.folder_backup.status).toBe("permission-needed");
+    expect(directory.files.size).toBe(0);
+  });
+});
+
+
+describe("SyncManager", () => {
+  let syncStorage;
+  let devices;
+
+  // Each device keeps its own local storage; chrome.storage.sync is shared
+  const createDevice = (id, projects) => ({
+    storage: {
+      tab_projects: projects,
+      sync_settings: { enabled: true, deviceName: `Chrome ${id}` },
+      sync_state: { deviceId: id },
+    },
+    manager: new global.window.SyncManager(new global.window.StorageManager({ autoBackup: false })),
+  });
+
+  const onDevice = async (device, task) => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    Object.assign(mockStorage, device.storage);
+    try {
+      return await task(device.manager);
+    } finally {
+      device.storage = { ...mockStorage };
+    }
+  };
+
+  const syncOn = (device) => onDevice(device, (manager) => manager.sync());
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "sync-manager");
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+    jest.setSystemTime(new Date("2024-03-20T12:00:00.000Z"));
+    syncStorage = {};
+    chrome.storage.sync = {
+      get: jest.fn(async () => JSON.parse(JSON.stringify(syncStorage))),
+      set: jest.fn(async (items) => Object.assign(syncStorage, JSON.parse(JSON.stringify(items)))),
+      remove: jest.fn(async (keys) => keys.forEach((key) => delete syncStorage[key])),
+    };
+    devices = {
+      a: createDevice("device-a", [{ id: "p1", intent: "Work", groupId: 7, tabs: [{ id: "t1", title: "Docs", url: "https://a.com", chromeTabId: 42 }] }]),
+      b: createDevice("device-b", [{ id: "p2", intent: "Home", tabs: [{ id: "t2", title: "Recipes", url: "https://b.com" }] }]),
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    delete chrome.storage.sync;
+  });
+
+  test("merges projects from both devices and remembers where each tab was saved", async () => {
+    devices.a.storage.timeline_index = { days: ["2024-03-20"] };
+    devices.a.storage.tab_summaries = { t1: { tabId: "t1", summary: "Private summary" } };
+
+    expect((await syncOn(devices.a)).success).toBe(true);
+    expect((await syncOn(devices.b)).success).toBe(true);
+    await syncOn(devices.a);
+
+    for (const device of [devices.a, devices.b]) {
+      const projects = device.storage.tab_projects;
+      expect(projects.map((p) => p.intent).sort()).toEqual(["Home", "Work"]);
+      expect(projects.find((p) => p.id === "p2").tabs[0].addedOn).toBe("device-b");
+      expect(projects.find((p) => p.id === "p1").tabs[0].addedOn).toBe("device-a");
+    }
+    // This browser's own tab and group bindings stay put and are not shared
+    const work = devices.a.storage.tab_projects.find((p) => p.id === "p1");
+    expect(work.groupId).toBe(7);
+    expect(work.tabs[0].chromeTabId).toBe(42);
+    expect(devices.b.storage.tab_projects.find((p) => p.id === "p1").groupId).toBeUndefined();
+
+    const { dataset } = await devices.a.manager.readRemote();
+    expect(Object.keys(dataset.devices).sort()).toEqual(["device-a", "device-b"]);
+    expect(dataset.devices["device-b"].name).toBe("Chrome device-b");
+    expect(Object.keys(dataset.records).every((key) => /^(project|tab|projects:order|intents|settings)/.test(key))).toBe(true);
+    expect(JSON.stringify(dataset)).not.toMatch(/Private summary|2024-03-20"\]|session_snapshots/);
+  });
+
+  test("the later edit of the same tab wins, and deletions reach the other device", async () => {
+    await syncOn(devices.a);
+    await syncOn(devices.b);
+    await syncOn(devices.a);
+
+    devices.a.storage.tab_projects.find((p) => p.id === "p1").tabs[0].title = "Old edit";
+    devices.a.storage.tab_projects = devices.a.storage.tab_projects.filter((p) => p.id !== "p2");
+    devices.b.storage.tab_projects.find((p) => p.id === "p1").tabs[0].title = "New edit";
+
+    jest.advanceTimersByTime(60 * 1000);
+    await syncOn(devices.a);
+    jest.advanceTimersByTime(60 * 1000);
+    await syncOn(devices.b);
+    await syncOn(devices.a);
+
+    for (const device of [devices.a, devices.b]) {
+      expect(device.storage.tab_projects.map((p) => p.id)).toEqual(["p1"]);
+      expect(device.storage.tab_projects[0].tabs[0].title).toBe("New edit");
+    }
+  });
+
+  test("splits the shared data into chunks within the per-item limit", async () => {
+    devices.a.storage.tab_projects[0].tabs = Array.from({ length: 300 }, (_, i) => ({
+      id: `t${i}`,
+      title: `Tab ${i} ${(i * 7919).toString(36)}`,
+      url: `https://example.com/${(i * 104729).toString(36)}/${i}`,
+    }));
+
+    expect((await syncOn(devices.a)).success).toBe(true);
+
+    const manifest = syncStorage.sync_manifest;
+    expect(manifest.chunkCount).toBeGreaterThan(1);
+    Object.entries(syncStorage).forEach(([key, value]) => {
+      expect(key.length + JSON.stringify(value).length).toBeLessThanOrEqual(8192);
+    });
+    await syncOn(devices.b);
+    expect(devices.b.storage.tab_projects.find((p) => p.id === "p1").tabs).toHaveLength(300);
+  });
+
+  test("reports when the data no longer fits in sync storage", async () => {
+    devices.a.manager.MAX_BYTES = 100;
+
+    const result = await syncOn(devices.a);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Too much to sync/);
+    expect(devices.a.storage.sync_settings.status).toBe("error");
+    expect(syncStorage).toEqual({});
+  });
+});
+
+
+describe("WebDavSync", () => {
+  let server;
+  let devices;
+
+  // Stand-in for a WebDAV server holding one file, with ETags and conditional requests
+  const createServer = () => {
+    const stand = { file: null, etag: null, version: 0, online: true, beforePut: null };
+    stand.write = (body) => {
+      stand.file = body;
+      stand.etag = `"v${++stand.version}"`;
+    };
+    stand.fetch = jest.fn(async (url, { method, headers = {}, body }) => {
+      if (!stand.online) throw new TypeError("Failed to fetch");
+      if (method === "GET" || method === "HEAD") {
+        if (!stand.file) return new Response(null, { status: 404 });
+        if (headers["If-None-Match"] === stand.etag) return new Response(null, { status: 304, headers: { ETag: stand.etag } });
+        return new Response(method === "HEAD" ? null : stand.file, { status: 200, headers: { ETag: stand.etag } });
+      }
+      if (stand.beforePut) {
+        const hook = stand.beforePut;
+        stand.beforePut = null;
+        hook();
+      }
+      if ((headers["If-Match"] && headers["If-Match"] !== stand.etag) || (headers["If-None-Match"] === "*" && stand.file)) {
+        return new Response(null, { status: 412 });
+      }
+      stand.write(body);
+      return new Response(null, { status: 201, headers: { ETag: stand.etag } });
+    });
+    return stand;
+  };
+
+  const createDevice = (projects) => ({
+    storage: {
+      tab_projects: projects,
+      webdav_sync: { enabled: true, url: "https://dav.example.com/tab-story.json", username: "me", password: "secret" },
+    },
+    sync: new global.window.WebDavSync(new global.window.StorageManager({ autoBackup: false })),
+  });
+
+  // Each device keeps its own local storage; the server is shared
+  const onDevice = async (device, task) => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    Object.assign(mockStorage, device.storage);
+    try {
+      return await task(device.sync);
+    } finally {
+      device.storage = { ...mockStorage };
+    }
+  };
+
+  const syncOn = (device) => onDevice(device, (sync) => sync.sync());
+  const intents = (device) => device.storage.tab_projects.map((p) => p.intent).sort();
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "schema-migrator", "import-planner", "backup-crypto", "webdav-sync");
+  });
+
+  beforeEach(() => {
+    server = createServer();
+    global.fetch = server.fetch;
+    chrome.alarms = { create: jest.fn(), clear: jest.fn(async () => true) };
+    devices = {
+      a: createDevice([{ id: "p1", intent: "Work", groupId: 7, tabs: [{ id: "t1", title: "Docs", url: "https://a.com", chromeTabId: 42, liveStatus: "open" }] }]),
+      b: createDevice([{ id: "p2", intent: "Home", tabs: [{ id: "t2", title: "Recipes", url: "https://b.com" }] }]),
+    };
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+    delete chrome.alarms;
+  });
+
+  test("shares projects through the server and keeps this browser's live tab ids", async () => {
+    expect((await syncOn(devices.a)).pushed).toBe(true);
+    const uploaded = JSON.parse(server.file);
+    expect(uploaded.data.tab_projects[0].tabs[0].chromeTabId).toBeUndefined();
+    expect(uploaded.data.tab_projects[0].groupId).toBeUndefined();
+    expect(server.fetch.mock.calls[1][1].headers).toMatchObject({ "If-None-Match": "*", Authorization: `Basic ${btoa("me:secret")}` });
+
+    // B connects with projects of its own: both sides are kept
+    await syncOn(devices.b);
+    expect(intents(devices.b)).toEqual(["Home", "Work"]);
+
+    const result = await syncOn(devices.a);
+    expect(result.pulled).toBe(true);
+    expect(result.pushed).toBe(false);
+    expect(intents(devices.a)).toEqual(["Home", "Work"]);
+    const work = devices.a.storage.tab_projects.find((p) => p.id === "p1");
+    expect(work.groupId).toBe(7);
+    expect(work.tabs[0]).toMatchObject({ chromeTabId: 42, liveStatus: "open" });
+
+    // Nothing new on either side: a conditional GET and no upload
+    const calls = server.fetch.mock.calls.length;
+    expect((await syncOn(devices.a)).pulled).toBe(false);
+    expect(server.fetch.mock.calls.slice(calls).map(([, options]) => options.method)).toEqual(["GET"]);
+  });
+
+  test("detects edits made elsewhere through ETags and merges instead of overwriting", async () => {
+    await syncOn(devices.a);
+    await syncOn(devices.b);
+    await syncOn(devices.a);
+
+    devices.a.storage.tab_projects.find((p) => p.id === "p1").tabs.push({ id: "t3", title: "From A", url: "https://from-a.com" });
+    await syncOn(devices.a);
+    devices.b.storage.tab_projects.find((p) => p.id === "p1").tabs.push({ id: "t4", title: "From B", url: "https://from-b.com" });
+
+    // Another device writes between B's GET and PUT: the PUT is refused and B tries again
+    server.beforePut = () => {
+      const file = JSON.parse(server.file);
+      file.data.tab_projects.push({ id: "p9", intent: "Travel", title: "Travel", tabs: [] });
+      server.write(JSON.stringify(file));
+    };
+    const result = await syncOn(devices.b);
+
+    expect(result).toMatchObject({ success: true, pushed: true, merged: true });
+    expect(server.fetch.mock.calls.filter(([, options]) => options.method === "PUT").slice(-2).map(([, o]) => o.headers["If-Match"]))
+      .toEqual(['"v3"', '"v4"']);
+    const urls = JSON.parse(server.file).data.tab_projects.find((p) => p.id === "p1").tabs.map((t) => t.url);
+    expect(urls).toEqual(expect.arrayContaining(["https://from-a.com", "https://from-b.com"]));
+    expect(JSON.parse(server.file).data.tab_projects.map((p) => p.intent)).toContain("Travel");
+    expect(devices.b.storage.webdav_sync.conflicts).toBe(2);
+  });
+
+  test("queues changes while the server is unreachable and sends them when it is back", async () => {
+    await syncOn(devices.a);
+    server.online = false;
+
+    await onDevice(devices.a, async (sync) => {
+      mockStorage.tab_projects[0].tabs.push({ id: "t5", title: "Offline", url: "https://offline.com" });
+      await sync.enqueue("projects");
+    });
+    const offline = await syncOn(devices.a);
+
+    expect(offline).toMatchObject({ success: false, offline: true, queued: 1 });
+    expect(devices.a.storage.webdav_sync.status).toBe("offline");
+    expect(devices.a.storage.webdav_queue).toHaveLength(1);
+    expect(chrome.alarms.create).toHaveBeenCalledWith("webdav-sync-soon", { delayInMinutes: 2 });
+
+    server.online = true;
+    expect((await syncOn(devices.a)).pushed).toBe(true);
+    expect(devices.a.storage.webdav_queue).toEqual([]);
+    expect(devices.a.storage.webdav_sync.status).toBe("ok");
+    expect(server.file).toContain("https://offline.com");
+  });
+});
+
+
+describe("CommandLog", () => {
+  let storageManager;
+
+  const projects = () => mockStorage.tab_projects;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "command-log");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", groupId: 4, tabs: [{ id: "t1", title: "Docs", url: "https://a.com", chromeTabId: 42, liveStatus: "open" }] },
+      { id: "p2", intent: "Home", tabs: [{ id: "t2", title: "Recipes", url: "https://b.com" }] },
+    ];
+    global.CommandLog = global.window.CommandLog;
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+  });
+
+  afterAll(() => {
+    delete global.CommandLog;
+  });
+
+  test("undoes and redoes a deletion, keeping live tab ids and skipping live-only changes", async () => {
+    await storageManager.updateProjects((list) => {
+      list[0].tabs[0].liveStatus = "closed";
+    });
+    expect((await storageManager.commandLog.getActivity()).entries).toHaveLength(0);
+
+    await storageManager.updateProjects((list) => {
+      list.splice(0, 1);
+    }, { label: 'Delete "Work"' });
+    expect(projects().map((p) => p.id)).toEqual(["p2"]);
+
+    const activity = await storageManager.commandLog.getActivity();
+    expect(activity.entries[0]).toMatchObject({ label: 'Delete "Work"', removed: 1, projects: ["Work"], undone: false });
+
+    const undone = await storageManager.commandLog.undo();
+    expect(undone.success).toBe(true);
+    expect(projects().map((p) => p.id)).toEqual(["p1", "p2"]);
+    expect(projects()[0].tabs[0]).toMatchObject({ id: "t1", url: "https://a.com" });
+    expect((await storageManager.commandLog.getActivity()).canRedo).toBe(true);
+
+    await storageManager.commandLog.redo();
+    expect(projects().map((p) => p.id)).toEqual(["p2"]);
+    expect((await storageManager.commandLog.getActivity()).entries).toHaveLength(1);
+  });
+
+  test("logs only the tabs an edit touched and undoes it around later edits to other tabs", async () => {
+    const ids = Array.from({ length: 50 }, (_, i) => `w${i}`);
+    mockStorage.tab_projects[1].tabs = ids.map((id, i) => ({ id, title: `Page ${i}`, url: `https://${id}.com` }));
+
+    await storageManager.updateProjects((list) => {
+      list[1].tabs[3].title = "Renamed";
+      list[1].tabs.splice(10, 0, { id: "new", title: "New", url: "https://new.com" });
+    }, { label: "Edit Home" });
+    await storageManager.updateProjects((list) => {
+      list[1].tabs.reverse();
+    }, { label: "Reverse Home" });
+
+    const [edit, reverse] = mockStorage.command_log.entries;
+    expect(edit.changes[0].before).toEqual({ id: "p2", intent: "Home" });
+    expect(edit.changes[0].tabs.changes.map((c) => [c.tabId, c.before?.title ?? null, c.after.title])).toEqual([
+      ["w3", "Page 3", "Renamed"],
+      ["new", null, "New"],
+    ]);
+    expect(edit.changes[0].tabs.order).toBeNull();
+    expect(reverse.changes[0].tabs.changes).toEqual([]);
+    expect(reverse.changes[0].tabs.order.after[0]).toBe("w49");
+
+    // A later edit to another tab does not stand in the way
+    await storageManager.updateProjects((list) => {
+      list[1].tabs.find((t) => t.id === "w20").title = "Later";
+      list[1].tabs.find((t) => t.id === "w20").chromeTabId = 8;
+    });
+    expect((await storageManager.commandLog.undo({ entryId: edit.id })).success).toBe(true);
+
+    const home = projects()[1].tabs;
+    expect(home).toHaveLength(50);
+    expect(home.map((t) => t.id)).toEqual([...ids].reverse());
+    expect(home.find((t) => t.id === "w3").title).toBe("Page 3");
+    expect(home.find((t) => t.id === "w20")).toMatchObject({ title: "Later", chromeTabId: 8 });
+
+    await storageManager.commandLog.redo({ entryId: edit.id });
+    expect(projects()[1].tabs.find((t) => t.id === "w3").title).toBe("Renamed");
+    expect(projects()[1].tabs.map((t) => t.id).indexOf("new")).toBe(10);
+  });
+
+  test("reverting an older action asks before overwriting later edits", async () => {
+    await storageManager.updateProjects((list) => {
+      list[1].tabs.push({ id: "t3", title: "Garden", url: "https://c.com" });
+    }, { label: "Add Garden" });
+    await storageManager.saveProjects(
+      [projects()[0], { ...projects()[1], intent: "House" }],
+      { label: "Rename Home" }
+    );
+    const [rename, add] = (await storageManager.commandLog.getActivity()).entries;
+
+    const blocked = await storageManager.commandLog.undo({ entryId: add.id });
+    expect(blocked).toMatchObject({ success: false, needsConfirm: true, conflicts: ["Home"] });
+    expect(projects()[1].intent).toBe("House");
+
+    const forced = await storageManager.commandLog.undo({ entryId: add.id, force: true });
+    expect(forced.success).toBe(true);
+    expect(projects()[1].tabs.map((t) => t.id)).toEqual(["t2"]);
+    expect(projects()[1].intent).toBe("Home");
+    // Live ids on untouched projects stay put
+    expect(projects()[0]).toMatchObject({ groupId: 4 });
+
+    // A new change ends what can be redone
+    await storageManager.updateProjects((list) => {
+      list[1].intent = "Cottage";
+    });
+    const activity = await storageManager.commandLog.getActivity();
+    expect(activity.canRedo).toBe(false);
+    expect(activity.entries.map((e) => e.id)).toContain(rename.id);
+  });
+});
+
+
+describe("StorageGuard", () => {
+  let storageManager;
+  let timelineStore;
+  let guard;
+  let usage;
+
+  // Each eviction step frees a fixed share of the quota
+  const frees = { snapshots: 10, summaries: 5, timeline: 8, history: 2, trash: 4 };
+
+  beforeAll(() => {
+    loadScripts("storage-guard");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    usage = 95;
+    const free = (step) => { usage -= frees[step]; };
+    storageManager = {
+      getStorageUsage: jest.fn(async () => ({
+        success: true,
+        usage: { total: 1, quotaUsed: usage * 1000, quota: 100000, quotaPercentage: usage },
+      })),
+      cleanupOldSnapshots: jest.fn(async () => { free("snapshots"); return { success: true, deletedCount: 6 }; }),
+      dropSummaryContent: jest.fn(async () => { free("summaries"); return 2; }),
+      getTrash: jest.fn(async () => ({ success: true, items: [{ type: "tab", projectId: "p1", tabId: "t3" }] })),
+      deleteFromTrash: jest.fn(async () => { free("trash"); return { success: true, deleted: 1 }; }),
+      commandLog: { trim: jest.fn(async () => { free("history"); return 40; }) },
+    };
+    timelineStore = { applyRetention: jest.fn(async () => { free("timeline"); return 12; }) };
+    chrome.alarms = { create: jest.fn(), get: jest.fn(async () => undefined) };
+    chrome.notifications = { create: jest.fn(async () => "storage-guard") };
+    chrome.runtime.getURL = jest.fn((path) => path);
+    guard = new global.window.StorageGuard(storageManager, timelineStore);
+  });
+
+  afterAll(() => {
+    delete chrome.alarms;
+    delete chrome.notifications;
+    delete chrome.runtime.getURL;
+  });
+
+  test("evicts in order until usage is under the target, skipping disabled steps", async () => {
+    // Undo history is only trimmed once the user allows it
+    expect((await guard.getSettings()).steps.history).toBe(false);
+    await guard.saveSettings({ steps: { summaries: false, history: true } });
+
+    const result = await guard.check();
+
+    expect(result.success).toBe(true);
+    // 95% - snapshots (10) = 85%, - timeline (8) = 77%, - trash (4) = 73%, - history (2) = 71%, still above 70%
+    expect(result.evicted.map((e) => e.step)).toEqual(["snapshots", "timeline", "trash", "history"]);
+    expect(storageManager.cleanupOldSnapshots).toHaveBeenCalledWith(3);
+    expect(storageManager.deleteFromTrash).toHaveBeenCalledWith([{ type: "tab", projectId: "p1", tabId: "t3" }], { record: false });
+    expect(storageManager.commandLog.trim).toHaveBeenCalledWith(10);
+    expect(storageManager.dropSummaryContent).not.toHaveBeenCalled();
+    expect(result.evicted[0]).toMatchObject({ removed: 6, freedBytes: 10000, before: 95, after: 85 });
+
+    const log = await guard.getLog();
+    expect(log.map((e) => e.step)).toEqual(["history", "trash", "timeline", "snapshots"]);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      "storage-guard",
+      expect.objectContaining({ message: expect.stringContaining("old backups (6)") })
+    );
+
+    // Stops as soon as it is under the target
+    usage = 95;
+    await guard.saveSettings({ steps: { summaries: true }, targetAt: 85 });
+    const second = await guard.check();
+    expect(second.evicted.map((e) => e.step)).toEqual(["snapshots", "summaries"]);
+    expect(timelineStore.applyRetention).toHaveBeenCalledTimes(1);
+  });
+
+  test("warns once above the warning level and leaves data alone below the eviction level", async () => {
+    usage = 80;
+    await guard.check();
+    await guard.check();
+
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    expect(chrome.notifications.create.mock.calls[0][1].title).toBe("Tab Story is running out of space");
+    expect(storageManager.cleanupOldSnapshots).not.toHaveBeenCalled();
+    expect(await guard.getLog()).toEqual([]);
+
+    // Dropping back below re-arms the warning
+    usage = 50;
+    await guard.check();
+    usage = 80;
+    await guard.check();
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(2);
+
+    // A pending check is not pushed back by later writes
+    await guard.scheduleCheck();
+    chrome.alarms.get.mockResolvedValueOnce({ name: "storage-guard" });
+    await guard.scheduleCheck();
+    expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Single writer", () => {
+  const realGet = chrome.storage.local.get.getMockImplementation();
+
+  const tabIds = () => mockStorage.tab_projects[0].tabs.map((t) => t.id);
+  const changeProjects = (bg, changes, options = {}) => bg.send({ action: "changeProjects", changes, options });
+  const addTab = (bg, id) => changeProjects(bg,
+    [{ type: "addTab", projectId: "p1", tab: { id, url: `https://${id}.com` } }],
+    { label: `Save ${id}` }
+  );
+
+  beforeAll(() => {
+    // Like Chrome, hand out copies so two writers can hold diverging lists
+    chrome.storage.local.get.mockImplementation(async (keys) => JSON.parse(JSON.stringify(await realGet(keys))));
+  });
+
+  afterAll(() => {
+    chrome.storage.local.get.mockImplementation(realGet);
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.schema_version = "2.1.0";
+    mockStorage.tab_projects = [{ id: "p1", intent: "Work", tabs: [{ id: "t0", url: "https://a.com" }] }];
+  });
+
+  test("interleaved saves from the side panel all land", async () => {
+    const bg = loadBackground();
+    await bg.settle();
+
+    const results = await Promise.all(["t1", "t2", "t3", "t4"].map((id) => addTab(bg, id)));
+    expect(results.every((r) => r.success)).toBe(true);
+    expect(tabIds()).toEqual(["t0", "t1", "t2", "t3", "t4"]);
+
+    // A failing write does not stop the ones queued after it
+    const failed = bg.run("withProjectsLock(async () => { throw new Error('boom'); })");
+    const after = addTab(bg, "t5");
+    await expect(failed).rejects.toMatchObject({ message: "boom" });
+    expect((await after).success).toBe(true);
+    expect(tabIds()).toContain("t5");
+  });
+
+  test("replacing the list only applies against the current version", async () => {
+    const bg = loadBackground();
+    await bg.settle();
+
+    const { version } = await changeProjects(bg,
+      [{ type: "addProject", project: { id: "p2", intent: "Home" } }],
+      { label: 'Create "Home"' }
+    );
+    expect(mockStorage.tab_projects.map((p) => p.id)).toEqual(["p1", "p2"]);
+
+    // Another save lands after the side panel loaded `version`
+    await addTab(bg, "t1");
+    const stale = await changeProjects(bg, [{ type: "replace", projects: [] }], { baseVersion: version });
+    expect(stale).toMatchObject({ success: false, conflict: true, version: version + 1 });
+    expect(stale.projects).toHaveLength(2);
+    expect(tabIds()).toEqual(["t0", "t1"]);
+
+    // The side panel re-applies its change to the list it was sent back
+    const current = await changeProjects(bg,
+      [{ type: "replace", projects: stale.projects.filter((p) => p.id === "p2") }],
+      { baseVersion: stale.version }
+    );
+    expect(current).toEqual({ success: true, version: stale.version + 1 });
+    expect(mockStorage.tab_projects.map((p) => p.id)).toEqual(["p2"]);
+
+    // Trashed intents take no new tabs; nothing is written
+    mockStorage.tab_projects[0].removed = true;
+    expect(await changeProjects(bg, [{ type: "addTab", projectId: "p2", tab: { id: "t9" } }]))
+      .toEqual({ success: false, error: "Intent not found" });
+    expect((await bg.send({ action: "getProjects" })).version).toBe(current.version);
+  });
+
+  test("settings changes from the side panel merge with the worker's own", async () => {
+    mockStorage.user_settings = { trashRetentionDays: 7, domainRules: { "a.com": { mode: "never" } } };
+    const bg = loadBackground();
+    await bg.settle();
+
+    const [updated, ruled] = await Promise.all([
+      bg.send({ action: "updateSettings", changes: { trashRetentionDays: 14 } }),
+      bg.send({ action: "setDomainRule", domain: "b.com", rule: { mode: "always", intent: "Work" } }),
+    ]);
+    expect(updated.success && ruled.success).toBe(true);
+    expect(mockStorage.user_settings).toEqual({
+      trashRetentionDays: 14,
+      domainRules: { "a.com": { mode: "never" }, "b.com": { mode: "always", intent: "Work" } },
+    });
+  });
+
+  test("project and tab edits remove the fields they set to null", async () => {
+    mockStorage.tab_projects[0].groupId = 4;
+    const bg = loadBackground();
+    await bg.settle();
+
+    const removedAt = new Date().toISOString();
+    await changeProjects(bg, [{ type: "updateTab", projectId: "p1", tabId: "t0", updates: { removed: true, removedAt } }]);
+    expect(mockStorage.tab_projects[0].tabs[0]).toMatchObject({ removed: true, removedAt });
+    await changeProjects(bg, [{ type: "updateTab", projectId: "p1", tabId: "t0", updates: { removed: null, removedAt: null } }]);
+    expect(mockStorage.tab_projects[0].tabs[0]).toEqual({ id: "t0", url: "https://a.com" });
+
+    const result = await changeProjects(bg,
+      [{ type: "updateProject", projectId: "p1", updates: { removed: true, removedAt, groupId: null } }],
+      { label: 'Delete "Work"' }
+    );
+    expect(result.success).toBe(true);
+    expect(mockStorage.tab_projects[0]).toMatchObject({ removed: true, removedAt });
+    expect(mockStorage.tab_projects[0]).not.toHaveProperty("groupId");
+  });
+});
+
+describe("Identity", () => {
+  let identity;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS);
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    identity = new global.window.Identity();
+  });
+
+  test("creates UUIDs and derives the same id from the same old one", () => {
+    const ids = new Set(Array.from({ length: 100 }, () => identity.createId()));
+    expect(ids.size).toBe(100);
+    ids.forEach((id) => expect(identity.isId(id)).toBe(true));
+
+    expect(identity.deriveId("project:42")).toBe(identity.deriveId("project:42"));
+    expect(identity.deriveId("project:42")).not.toBe(identity.deriveId("project:43"));
+    expect(identity.isId(identity.deriveId("project:42"))).toBe(true);
+    expect(identity.isId("1710936000000")).toBe(false);
+  });
+
+  test("recognises the same page saved twice into a project", async () => {
+    expect(identity.normalizeUrl("HTTPS://Example.com:443/docs/?b=2&a=1#intro"))
+      .toBe("https://example.com/docs?a=1&b=2");
+    expect(identity.isSamePage("https://mail.example.com/#/inbox", "https://mail.example.com/#/sent")).toBe(false);
+    expect(identity.isSamePage("https://a.com/x", "https://a.com/y")).toBe(false);
+
+    mockStorage.tab_projects = [{ id: "p1", intent: "Work", tabs: [{ id: "t1", url: "https://example.com/docs?a=1&b=2" }] }];
+    const storageManager = new global.window.StorageManager({ autoBackup: false });
+    const result = await storageManager.applyProjectChanges([
+      { type: "addTab", projectId: "p1", tab: { id: "t2", url: "https://EXAMPLE.com/docs/?b=2&a=1#intro" } },
+      { type: "addTab", projectId: "p1", tab: { id: "t3", url: "https://example.com/other" } },
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(mockStorage.tab_projects[0].tabs.map((t) => t.id)).toEqual(["t1", "t3"]);
+    // A page in the trash can be saved again
+    mockStorage.tab_projects[0].tabs[0].removed = true;
+    expect(identity.findSavedTab(mockStorage.tab_projects[0], { url: "https://example.com/docs?b=2&a=1" })).toBeNull();
+  });
+});
+
+describe("Duplicates", () => {
+  let identity;
+  let storageManager;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS);
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    identity = new global.window.Identity();
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+  });
+
+  test("drops tracking parameters and www., and trusts only a canonical URL on the same site", () => {
+    expect(identity.normalizeUrl("https://www.example.com/post?utm_source=news&id=3&fbclid=abc&UTM_Medium=x"))
+      .toBe("https://example.com/post?id=3");
+    expect(identity.isSamePage("https://example.com/post?gclid=1", "http://example.com/post")).toBe(false);
+
+    expect(identity.canonicalFor("https://example.com/post?ref=x", "/post")).toBe("https://example.com/post");
+    expect(identity.canonicalFor("https://m.example.com/a", "https://www.m.example.com/a")).toBe("https://www.m.example.com/a");
+    expect(identity.canonicalFor("https://example.com/a", "https://other.com/a")).toBeNull();
+    expect(identity.canonicalFor("https://example.com/deep/page", "https://example.com/")).toBeNull();
+    expect(identity.canonicalFor("https://example.com/a", "")).toBeNull();
+
+    const saved = { url: "https://example.com/a?session=1", canonicalUrl: "https://example.com/a" };
+    expect(identity.findSavedTab({ tabs: [saved] }, { url: "https://www.example.com/a?utm_campaign=z" })).toBe(saved);
+  });
+
+  test("finds the same page saved in one project or across several, leaving out the trash", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", tabs: [
+        { id: "t1", title: "Docs", url: "https://example.com/docs" },
+        { id: "t2", title: "Docs again", url: "https://www.example.com/docs?utm_source=x" },
+        { id: "t3", title: "Only here", url: "https://a.com" },
+      ] },
+      { id: "p2", intent: "Trip", tabs: [{ id: "t4", title: "Docs", url: "https://example.com/docs#top" }] },
+      { id: "p3", intent: "Old", removed: true, tabs: [{ id: "t5", url: "https://a.com" }] },
+      { id: "p4", intent: "Misc", tabs: [{ id: "t6", url: "https://a.com", removed: true }] },
+    ];
+
+    const result = await storageManager.findDuplicates();
+    expect(result.success).toBe(true);
+    expect(result.groups).toHaveLength(1);
+    expect(result.groups[0].tabs.map((t) => [t.projectTitle, t.tabId])).toEqual([["Work", "t1"], ["Work", "t2"], ["Trip", "t4"]]);
+
+    const projects = await storageManager.getProjects();
+    expect(storageManager.findProjectsWithPage(projects, { url: "https://a.com/" }, "p1")).toEqual([]);
+    expect(storageManager.findProjectsWithPage(projects, { url: "https://example.com/docs" }, "p1").map((p) => p.id)).toEqual(["p2"]);
+  });
+
+  test("merges copies into the kept tab, trashing the others and keeping their notes", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", tabs: [{ id: "t1", title: "Docs", url: "https://example.com/docs", notes: "Read first" }] },
+      { id: "p2", intent: "Trip", tabs: [
+        { id: "t2", title: "Docs", url: "https://example.com/docs?fbclid=1", notes: "Check prices", chromeTabId: 9, liveStatus: "open" },
+        { id: "t3", title: "Other", url: "https://example.com/other" },
+      ] },
+    ];
+
+    const result = await storageManager.mergeDuplicates(
+      { projectId: "p1", tabId: "t1" },
+      [{ projectId: "p2", tabId: "t2" }, { projectId: "p2", tabId: "t3" }]
+    );
+
+    expect(result).toEqual({ success: true, merged: 1 });
+    const [work, trip] = mockStorage.tab_projects;
+    expect(work.tabs[0]).toMatchObject({ notes: "Read first\n\nCheck prices", chromeTabId: 9, liveStatus: "open" });
+    expect(trip.tabs[0]).toMatchObject({ removed: true });
+    // Not the same page, so left alone
+    expect(trip.tabs[1].removed).toBeUndefined();
+    expect((await storageManager.findDuplicates()).groups).toEqual([]);
+  });
+});
+
+describe("Context menus", () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    // Up to date, so installing does not re-key the test ids
+    mockStorage.schema_version = "2.1.0";
+  });
+
+  test("overlapping rebuilds leave one entry per active project", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", tabs: [] },
+      { id: "p2", intent: "Old", archived: true, tabs: [] },
+    ];
+    const bg = loadBackground();
+
+    // An update rebuilds the menu while a save changes the projects
+    const installed = bg.fire("runtime.onInstalled", { reason: "update" });
+    mockStorage.tab_projects.push({ id: "p3", intent: "Trip", tabs: [] });
+    await bg.fire("storage.onChanged", { projects_revision: { newValue: 2 } }, "local");
+    await installed;
+    await bg.run("contextMenuBuild");
+
+    expect(bg.menuErrors).toEqual([]);
+    expect([...bg.menus.keys()]).toEqual(["save-to-intent", "add-to-project", "add-to-project:p1", "add-to-project:p3"]);
+    expect(bg.menus.get("add-to-project:p3")).toMatchObject({ parentId: "add-to-project", title: "Trip" });
+  });
+
+  test("Add to Project saves the link or the page, and Save to Intent shows the overlay", async () => {
+    mockStorage.tab_projects = [
+      { id: "p1", intent: "Work", tabs: [] },
+      { id: "p2", intent: "Reading", tabs: [{ id: "t1", url: "https://docs.com/guide" }] },
+    ];
+    const page = { id: 5, url: "https://news.com/story", title: "Story", windowId: 1 };
+    const bg = loadBackground({ openTabs: [page] });
+
+    await bg.fire("contextMenus.onClicked", { menuItemId: "add-to-project:p1", linkUrl: "https://docs.com/guide", pageUrl: page.url }, page);
+    await bg.fire("contextMenus.onClicked", { menuItemId: "add-to-project:p1", pageUrl: page.url, selectionText: "Key quote" }, page);
+
+    const [work] = mockStorage.tab_projects;
+    expect(work.tabs.map((t) => [t.url, t.title, t.notes, t.liveStatus])).toEqual([
+      ["https://docs.com/guide", "https://docs.com/guide", undefined, undefined],
+      ["https://news.com/story", "Story", "Key quote", "open"],
+    ]);
+    // The link was already saved elsewhere, and there is no overlay to say so
+    expect(bg.chrome.notifications.create).toHaveBeenCalledTimes(1);
+    expect(bg.chrome.notifications.create.mock.calls[0][1].message).toBe('This page is also saved in "Reading".');
+
+    await bg.fire("contextMenus.onClicked", { menuItemId: "save-to-intent", pageUrl: page.url, selectionText: "Quote" }, page);
+    await bg.settle();
+    expect(bg.chrome.scripting.executeScript).toHaveBeenLastCalledWith({ target: { tabId: 5 }, files: ["scripts/content-intent-capture.js"] });
+    expect(bg.chrome.tabs.sendMessage).toHaveBeenCalledWith(5, { action: "showIntentCapture", url: page.url, title: "Story", notes: "Quote" });
+  });
+});
+
+describe("Intent prompt", () => {
+  const MINUTE = 60 * 1000;
+  let bg;
+
+  // A tab the browser just opened, through its first finished load
+  const openTab = async (tab) => {
+    bg.tabs.push(tab);
+    await bg.fire("tabs.onCreated", { id: tab.id, openerTabId: tab.openerTabId });
+    await bg.fire("tabs.onUpdated", tab.id, { status: "complete" }, tab);
+    await bg.settle();
+  };
+  const prompted = () => bg.chrome.tabs.sendMessage.mock.calls
+    .filter(([, message]) => message.action === "showIntentCapture")
+    .map(([tabId]) => tabId);
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.schema_version = "2.1.0";
+    mockStorage.user_settings = {
+      autoIntentPrompt: true,
+      intentPromptCooldownMinutes: 5,
+      domainRules: { "example.com": { mode: "never" }, "docs.dev": { mode: "always", intent: "Work" } },
+    };
+    bg = loadBackground();
+  });
+
+  test("a domain rule also covers its subdomains, but not lookalike domains", () => {
+    const findDomainRule = bg.run("findDomainRule");
+    const rules = mockStorage.user_settings.domainRules;
+
+    expect(findDomainRule(rules, "example.com")).toEqual({ mode: "never" });
+    expect(findDomainRule(rules, "mail.example.com")).toEqual({ mode: "never" });
+    expect(findDomainRule(rules, "api.v2.docs.dev")).toEqual({ mode: "always", intent: "Work" });
+    expect(findDomainRule(rules, "myexample.com")).toBeNull();
+    expect(findDomainRule(rules, "com")).toBeNull();
+    expect(findDomainRule({}, "example.com")).toBeNull();
+  });
+
+  test("prompts at most once per cooldown, and domain rules skip the prompt", async () => {
+    await openTab({ id: 1, url: "https://news.com/a", title: "A" });
+    await openTab({ id: 2, url: "https://news.com/b", title: "B" });
+    expect(prompted()).toEqual([1]);
+
+    // Cooldown over
+    bg.chrome.storage.session.data.last_intent_prompt -= 6 * MINUTE;
+    await openTab({ id: 3, url: "https://news.com/c", title: "C" });
+    expect(prompted()).toEqual([1, 3]);
+
+    bg.chrome.storage.session.data.last_intent_prompt = 0;
+    await openTab({ id: 4, url: "https://mail.example.com", title: "Mail" });
+    await openTab({ id: 5, url: "https://docs.dev/start", title: "Start" });
+    expect(prompted()).toEqual([1, 3]);
+    expect(mockStorage.tab_projects.map((p) => [p.intent, p.tabs.map((t) => t.chromeTabId)])).toEqual([["Work", [5]]]);
+  });
+
+  test("tabs opened from a tagged tab are filed into its intent, and so are theirs", async () => {
+    await openTab({ id: 5, url: "https://docs.dev/start", title: "Start" });
+    await openTab({ id: 6, url: "https://blog.io/post", title: "Post", openerTabId: 5 });
+    await openTab({ id: 7, url: "https://blog.io/next", title: "Next", openerTabId: 6 });
+    // An untagged opener gives nothing to inherit
+    await openTab({ id: 8, url: "https://other.io", title: "Other", openerTabId: 99 });
+
+    const [work] = mockStorage.tab_projects;
+    expect(work.tabs.map((t) => [t.url, t.chromeTabId, t.liveStatus])).toEqual([
+      ["https://docs.dev/start", 5, "open"],
+      ["https://blog.io/post", 6, "open"],
+      ["https://blog.io/next", 7, "open"],
+    ]);
+    expect(bg.chrome.storage.session.data.tab_intents).toEqual({ 5: "Work", 6: "Work", 7: "Work" });
+    expect(prompted()).toEqual([8]);
+  });
+});
+
+describe("Live tab binding", () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.schema_version = "2.1.0";
+  });
+
+  const saved = () => mockStorage.tab_projects[0].tabs;
+
+  test("saving a page binds it to its tab, which it follows until the tab closes", async () => {
+    const tab = { id: 4, url: "https://a.com/start", title: "Start", favIconUrl: "https://a.com/icon.png" };
+    const bg = loadBackground({ openTabs: [tab] });
+
+    const result = await bg.send({ action: "saveTabWithIntent", intent: "Work", url: tab.url, title: tab.title }, { tab });
+    expect(result.success).toBe(true);
+    expect(saved()[0]).toMatchObject({ url: "https://a.com/start", chromeTabId: 4, liveStatus: "open", favicon: "https://a.com/icon.png" });
+
+    await bg.fire("tabs.onUpdated", 4, { url: "https://a.com/next" }, tab);
+    await bg.fire("tabs.onUpdated", 4, { title: "Next", favIconUrl: "https://a.com/next.png" }, tab);
+    await bg.settle();
+    expect(saved()[0]).toMatchObject({ url: "https://a.com/next", title: "Next", favicon: "https://a.com/next.png" });
+
+    // Prerendering swaps the tab id
+    await bg.fire("tabs.onReplaced", 9, 4);
+    await bg.settle();
+    expect(saved()[0].chromeTabId).toBe(9);
+
+    await bg.fire("tabs.onRemoved", 9, { windowId: 1, isWindowClosing: false });
+    await bg.settle();
+    expect(saved()[0]).toMatchObject({ liveStatus: "closed", chromeTabId: null });
+    expect(saved()[0].closedAt).toBeDefined();
+    // Closing the tab is not an edit to undo
+    expect(mockStorage.command_log.entries.map((e) => e.label)).toEqual(['Save "Start" to "Work"']);
+  });
+
+  test("saving a page keeps the canonical URL content-extractor.js reads from it", async () => {
+    const tab = { id: 4, url: "https://a.com/article?utm_source=x", title: "Article" };
+    const bg = loadBackground({ openTabs: [tab] });
+    bg.chrome.tabs.sendMessage.mockImplementation(async (tabId, message) =>
+      message.action === "getCanonicalUrl" ? { success: true, canonicalUrl: "https://a.com/article" } : { success: true });
+
+    await bg.send({ action: "saveTabWithIntent", intent: "Work", url: tab.url, title: tab.title }, { tab });
+    expect(bg.chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 4 }, files: ["scripts/content-extractor.js"] });
+    expect(saved()[0].canonicalUrl).toBe("https://a.com/article");
+  });
+
+  test("after a restart saved tabs are rebound to open tabs by URL, and the rest are closed", async () => {
+    mockStorage.tab_projects = [{
+      id: "p1",
+      intent: "Work",
+      tabs: [
+        { id: "t1", url: "https://a.com", chromeTabId: 11, liveStatus: "open" },
+        { id: "t2", url: "https://b.com", chromeTabId: 12, liveStatus: "open" },
+        { id: "t3", url: "https://c.com", chromeTabId: null, liveStatus: "closed", closedAt: "2024-01-01T00:00:00.000Z" },
+      ],
+    }];
+    // Chrome hands out new ids after a restart
+    const bg = loadBackground({ openTabs: [{ id: 1, url: "https://a.com" }, { id: 2, url: "https://c.com" }] });
+
+    await bg.fire("runtime.onStartup");
+    await bg.settle();
+
+    expect(saved().map((t) => [t.id, t.chromeTabId, t.liveStatus])).toEqual([
+      ["t1", 1, "open"],
+      ["t2", null, "closed"],
+      // Closed tabs stay closed even when the same page is open
+      ["t3", null, "closed"],
+    ]);
+    expect(saved()[2].closedAt).toBe("2024-01-01T00:00:00.000Z");
+  });
+});
+
+describe("Background errors", () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    mockStorage.schema_version = "2.1.0";
+  });
+
+  test("a failing handler replies with the error, and a tab closed before it is read is skipped", async () => {
+    const bg = loadBackground();
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    bg.run("storageManager.getSessionSnapshots = async () => { throw new Error('Storage unavailable'); }");
+    expect(await bg.send({ action: "getSnapshots" })).toEqual({ success: false, error: "Storage unavailable" });
+
+    bg.run("storageGuard.saveSettings = async () => { throw new Error('Bad settings'); }");
+    expect(await bg.send({ action: "configureStorageGuard", settings: {} })).toEqual({ success: false, error: "Bad settings" });
+
+    // chrome.tabs.get rejects for a tab that no longer exists
+    await bg.fire("tabs.onActivated", { tabId: 99, windowId: 1 });
+    await bg.settle();
+    expect(bg.run("timelineStore.pending")).toEqual([]);
+    expect(error.mock.calls.filter(([message]) => message === "Failed to record timeline event:")).toEqual([]);
+    error.mockRestore();
+  });
+});
+
+describe("PageSummarizer", () => {
+  let storageManager;
+  let summarizer;
+
+  beforeAll(() => {
+    loadScripts(...STORAGE_SCRIPTS, "page-summarizer");
+  });
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((k) => delete mockStorage[k]);
+    storageManager = new global.window.StorageManager({ autoBackup: false });
+    summarizer = new global.window.PageSummarizer(storageManager);
+    chrome.scripting = { executeScript: jest.fn(async () => [{}]) };
+    chrome.tabs = { sendMessage: jest.fn() };
+  });
+
+  afterEach(() => {
+    delete global.Summarizer;
+  });
+
+  test("cuts long pages into chunks at sentence ends", () => {
+    summarizer.CHUNK_SIZE = 40;
+    const chunks = summarizer.chunk("First sentence is here. Second one follows it.  Third!\n" + "x".repeat(90));
+
+    expect(chunks[0]).toBe("First sentence is here.");
+    expect(chunks[1]).toBe("Second one follows it. Third!");
+    chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(40));
+    expect(chunks.join("").replace(/\s/g, "")).toBe("Firstsentenceishere.Secondonefollowsit.Third!" + "x".repeat(90));
+  });
+
+  test("summarizes the open page chunk by chunk and stores the summary with its type and date", async () => {
+    summarizer.CHUNK_SIZE = 32;
+    const calls = [];
+    global.Summarizer = {
+      availability: jest.fn(async () => "available"),
+      create: jest.fn(async () => ({
+        summarize: async (text) => {
+          calls.push(text);
+          return `S${calls.length}.`;
+        },
+        destroy: jest.fn(),
+      })),
+    };
+    chrome.tabs.sendMessage.mockResolvedValue({
+      success: true,
+      description: "A guide.",
+      content: "Phaser makes 2D games. It runs on WebGL. Scenes hold the game objects.",
+    });
+
+    const tab = { id: "t1", url: "https://phaser.io", chromeTabId: 7, liveStatus: "open" };
+    const result = await summarizer.summarize(tab, { intent: "Game dev" });
+
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 7 }, files: ["scripts/content-extractor.js"] });
+    // Three chunks, then one pass over their summaries
+    expect(calls).toEqual(["A guide. Phaser makes 2D games.", "It runs on WebGL.", "Scenes hold the game objects.", "S1. S2. S3."]);
+    expect(result.success).toBe(true);
+    expect(mockStorage.tab_summaries.t1).toMatchObject({ summary: "S4.", type: "ai", source: "page", chunks: 3 });
+    expect(mockStorage.tab_summaries.t1.content).toContain("Scenes hold the game objects.");
+    expect(summarizer.describe(mockStorage.tab_summaries.t1)).toMatch(/^AI summary · \w{3} \d+, \d{4}$/);
+  });
+
+  test("uses the cached copy once the tab is closed, and the opening sentences without a summarizer", async () => {
+    const tab = { id: "t1", url: "https://example.com", liveStatus: "closed" };
+    expect(await summarizer.summarize(tab, { intent: "Reading" })).toMatchObject({ success: false });
+
+    mockStorage.tab_summaries = { t1: { tabId: "t1", summary: "Old", type: "ai", content: "One. Two. Three. Four." } };
+    const result = await summarizer.summarize(tab, { intent: "Reading" });
+
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    expect(result.summary).toMatchObject({ summary: "One. Two. Three.", type: "extract", source: "cache", content: "One. Two. Three. Four." });
+  });
+
+  test("frees the summarizer when it fails and keeps only the start of the page text", async () => {
+    const destroy = jest.fn();
+    global.Summarizer = {
+      availability: jest.fn(async () => "available"),
+      create: jest.fn(async () => ({ summarize: async () => { throw new Error("Model crashed"); }, destroy })),
+    };
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const tab = { id: "t1", url: "https://example.com", liveStatus: "closed" };
+    mockStorage.tab_summaries = { t1: { tabId: "t1", summary: "Old", content: "Long page. ".repeat(2000) } };
+
+    expect(await summarizer.summarize(tab, { intent: "Reading" })).toEqual({ success: false, error: "Model crashed" });
+    expect(destroy).toHaveBeenCalled();
+    error.mockRestore();
+
+    delete global.Summarizer;
+    await summarizer.summarize(tab, { intent: "Reading" });
+    expect(mockStorage.tab_summaries.t1.content).toHaveLength(summarizer.MAX_STORED_CONTENT);
+  });
+
+  test("reads and stores summaries of saved tabs through the background worker", async () => {
+    mockStorage.schema_version = "2.1.0";
+    mockStorage.tab_projects = [{ id: "p1", intent: "Reading", tabs: [
+      { id: "t1", url: "https://example.com", liveStatus: "closed" },
+      { id: "t2", url: "https://private.example.org", liveStatus: "open", chromeTabId: 4 },
+    ] }];
+    mockStorage.tab_summaries = { t1: { tabId: "t1", summary: "Old", type: "ai", content: "One. Two. Three. Four." } };
+    const bg = loadBackground();
+    await bg.settle();
+
+    const stored = await bg.send({ action: "getSummary", tabId: "t1" });
+    expect(stored.summary).toEqual({ tabId: "t1", summary: "Old", type: "ai", label: "AI summary" });
+
+    const prepared = await bg.send({ action: "prepareSummary", projectId: "p1", tabId: "t1" });
+    expect(prepared).toMatchObject({ success: true, source: "cache", chunks: ["One. Two. Three. Four."], context: "A page saved for: Reading" });
+
+    // The side panel had no Summarizer: the opening of the page is stored
+    const { text, source, chunks } = prepared;
+    const result = await bg.send({ action: "saveSummary", projectId: "p1", tabId: "t1", prepared: { text, source, chunks: chunks.length }, summary: null });
+    expect(result.success).toBe(true);
+    expect(result.summary).toMatchObject({ summary: "One. Two. Three.", type: "extract", source: "cache", chunks: 1 });
+    expect(result.summary.label).toMatch(/^Opening of the page · /);
+    expect(result.summary).not.toHaveProperty("content");
+    expect(mockStorage.tab_summaries.t1.content).toBe("One. Two. Three. Four.");
+
+    const written = await bg.send({ action: "saveSummary", projectId: "p1", tabId: "t1", prepared: { text, source, chunks: 1 }, summary: "Counting." });
+    expect(written.summary).toMatchObject({ summary: "Counting.", type: "ai" });
+    expect(await bg.send({ action: "prepareSummary", projectId: "p1", tabId: "t9" })).toEqual({ success: false, error: "Tab not found" });
+
+    // An open tab on a site without host access can't be scripted
+    bg.chrome.scripting.executeScript.mockRejectedValue(new Error("Cannot access contents of the page."));
+    expect(await bg.send({ action: "prepareSummary", projectId: "p1", tabId: "t2" })).toEqual({
+      success: false,
+      error: "Tab Story cannot read this page. Allow access to the site and try again.",
+    });
+  });
+});
 
 describe("Tab Group Creation", () => {
 